@@ -0,0 +1,351 @@
+/**
+ * @file Historian.ts
+ * @description Server-side logging of PLC tags to disk.
+ * A job is a set of resolved tags, a sample interval and a retention period. Jobs subscribe
+ * to the shared memory monitor of their serial port or TCP connection (see PortMonitor.ts),
+ * so they run alongside editor sessions without extra polling, and keep logging when no
+ * browser is open.
+ *
+ * Storage layout (under the data directory):
+ *   jobs.json               - Job definitions
+ *   <jobId>/<YYYY-MM-DD>.csv - One file per job and UTC day, rows of `time_ms,tag,value`
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import type PortMonitor from './PortMonitor.ts'
+import type { MonitorResult } from './PortMonitor.ts'
+import { decodeValue } from './device-access.ts'
+
+export type HistorianTarget =
+    | { type: 'serial', path: string, baudRate: number }
+    | { type: 'network', host: string, port: number }
+
+export interface HistorianTag {
+    name: string
+    address: number
+    size: number
+    type: string
+    bit?: number | null
+}
+
+export interface HistorianJob {
+    id: string
+    name: string
+    enabled: boolean
+    target: HistorianTarget
+    tags: HistorianTag[]
+    intervalMs: number
+    retentionDays: number
+    littleEndian?: boolean
+    binary?: boolean // Device supports binary framed reads (MB)
+    multi?: boolean // Device supports batched reads (MM)
+}
+
+export interface HistorianJobStatus {
+    running: boolean
+    samples: number
+    lastSample: number | null
+    error: string | null
+}
+
+/** Opens the device link of a target if needed and returns its shared monitor */
+export type MonitorResolver = (target: HistorianTarget) => Promise<PortMonitor>
+
+const MIN_INTERVAL_MS = 100
+const SUPERVISE_INTERVAL_MS = 5000
+const FLUSH_INTERVAL_MS = 1000
+const RETENTION_CHECK_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const dayName = (time: number) => new Date(time).toISOString().slice(0, 10)
+
+const csvField = (value: string) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+
+/** Split one `time,tag,value` row, the tag may be quoted */
+function parseRow(line: string): [number, string, number] | null {
+    const first = line.indexOf(',')
+    const last = line.lastIndexOf(',')
+    if (first < 0 || last <= first) return null
+    let tag = line.slice(first + 1, last)
+    if (tag.startsWith('"')) tag = tag.slice(1, -1).replace(/""/g, '"')
+    const time = Number(line.slice(0, first))
+    const value = Number(line.slice(last + 1))
+    if (!Number.isFinite(time) || Number.isNaN(value)) return null
+    return [time, tag, value]
+}
+
+/** Validate and normalize a job received over the API */
+export function normalizeJob(input: any): HistorianJob {
+    if (!input || typeof input !== 'object') throw new Error('Invalid job')
+    const id = String(input.id || '').trim()
+    if (!/^[\w-]+$/.test(id)) throw new Error('Job id must contain only letters, digits, "_" and "-"')
+    const target = input.target || {}
+    if (target.type === 'serial') {
+        if (!target.path) throw new Error('Serial target requires a port path')
+    } else if (target.type === 'network') {
+        if (!target.host || !target.port) throw new Error('Network target requires host and port')
+    } else {
+        throw new Error('Target type must be "serial" or "network"')
+    }
+    const tags: HistorianTag[] = (Array.isArray(input.tags) ? input.tags : []).map((t: any) => {
+        if (!t?.name || !Number.isFinite(t.address) || !(t.size > 0)) throw new Error(`Invalid tag ${JSON.stringify(t?.name ?? t)}`)
+        return { name: String(t.name), address: t.address, size: t.size, type: String(t.type || 'byte'), bit: Number.isInteger(t.bit) ? t.bit : null }
+    })
+    if (!tags.length) throw new Error('Job has no tags')
+    return {
+        id,
+        name: String(input.name || id),
+        enabled: input.enabled !== false,
+        target: target.type === 'serial'
+            ? { type: 'serial', path: String(target.path), baudRate: Number(target.baudRate) || 115200 }
+            : { type: 'network', host: String(target.host), port: Number(target.port) },
+        tags,
+        intervalMs: Math.max(MIN_INTERVAL_MS, Number(input.intervalMs) || 1000),
+        retentionDays: Math.max(1, Number(input.retentionDays) || 7),
+        littleEndian: input.littleEndian !== false,
+        binary: !!input.binary,
+        multi: !!input.multi,
+    }
+}
+
+interface RunningJob {
+    job: HistorianJob
+    status: HistorianJobStatus
+    monitor: PortMonitor | null
+    pending: string[]
+    lastRecorded: number
+}
+
+export default class Historian {
+    private dataDir: string
+    private resolveMonitor: MonitorResolver
+    private jobs = new Map<string, RunningJob>()
+    private superviseTimer: NodeJS.Timeout | null = null
+    private flushTimer: NodeJS.Timeout | null = null
+    private retentionTimer: NodeJS.Timeout | null = null
+
+    constructor(dataDir: string, resolveMonitor: MonitorResolver) {
+        this.dataDir = dataDir
+        this.resolveMonitor = resolveMonitor
+    }
+
+    /** Load the saved jobs and start logging */
+    async start(): Promise<void> {
+        await fs.promises.mkdir(this.dataDir, { recursive: true })
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.jobsFile(), 'utf-8'))
+            for (const input of saved) {
+                try {
+                    const job = normalizeJob(input)
+                    this.jobs.set(job.id, this.createEntry(job))
+                } catch (err: any) {
+                    console.warn(`[Historian] Skipping invalid job: ${err.message}`)
+                }
+            }
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') console.warn(`[Historian] Failed to load jobs: ${err.message}`)
+        }
+
+        this.superviseTimer = setInterval(() => this.supervise(), SUPERVISE_INTERVAL_MS)
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS)
+        this.retentionTimer = setInterval(() => this.applyRetention(), RETENTION_CHECK_MS)
+        await this.applyRetention()
+        await this.supervise()
+        if (this.jobs.size) console.log(`[Historian] Loaded ${this.jobs.size} job(s) from ${this.dataDir}`)
+    }
+
+    /** Stop logging and write pending samples */
+    async stop(): Promise<void> {
+        for (const timer of [this.superviseTimer, this.flushTimer, this.retentionTimer]) {
+            if (timer) clearInterval(timer)
+        }
+        this.superviseTimer = this.flushTimer = this.retentionTimer = null
+        for (const entry of this.jobs.values()) this.detach(entry)
+        await this.flush()
+    }
+
+    listJobs(): (HistorianJob & { status: HistorianJobStatus })[] {
+        return [...this.jobs.values()].map(entry => ({ ...entry.job, status: { ...entry.status } }))
+    }
+
+    /** Create or replace a job */
+    async saveJob(input: any): Promise<HistorianJob> {
+        const job = normalizeJob(input)
+        const existing = this.jobs.get(job.id)
+        if (existing) this.detach(existing)
+        const entry = this.createEntry(job)
+        if (existing) entry.status.samples = existing.status.samples
+        this.jobs.set(job.id, entry)
+        await this.saveJobs()
+        await this.supervise()
+        return job
+    }
+
+    /** Delete a job, with `purge` its logged samples are removed too */
+    async deleteJob(id: string, purge = false): Promise<boolean> {
+        const entry = this.jobs.get(id)
+        if (!entry) return false
+        this.detach(entry)
+        this.jobs.delete(id)
+        await this.saveJobs()
+        if (purge) await fs.promises.rm(this.jobDir(id), { recursive: true, force: true })
+        return true
+    }
+
+    /**
+     * Read logged samples of a job between two timestamps
+     * @param maxPoints - Per tag, longer series are thinned out evenly
+     */
+    async query(id: string, from: number, to: number, tags?: string[], maxPoints = 2000): Promise<Record<string, [number, number][]>> {
+        const entry = this.jobs.get(id)
+        if (!entry) throw new Error(`Unknown job '${id}'`)
+        await this.flush()
+
+        const series: Record<string, [number, number][]> = {}
+        const wanted = tags?.length ? new Set(tags) : null
+        for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+            let text: string
+            try {
+                text = await fs.promises.readFile(path.join(this.jobDir(id), `${dayName(day)}.csv`), 'utf-8')
+            } catch {
+                continue
+            }
+            for (const line of text.split('\n')) {
+                const row = parseRow(line)
+                if (!row) continue
+                const [time, tag, value] = row
+                if (time < from || time > to || (wanted && !wanted.has(tag))) continue
+                if (!series[tag]) series[tag] = []
+                series[tag].push([time, value])
+            }
+        }
+
+        for (const tag of Object.keys(series)) {
+            const points = series[tag]
+            if (points.length <= maxPoints) continue
+            const step = points.length / maxPoints
+            series[tag] = Array.from({ length: maxPoints }, (_, i) => points[Math.floor(i * step)])
+        }
+        return series
+    }
+
+    private createEntry(job: HistorianJob): RunningJob {
+        return { job, status: { running: false, samples: 0, lastSample: null, error: null }, monitor: null, pending: [], lastRecorded: 0 }
+    }
+
+    private clientId(job: HistorianJob): string {
+        return `historian:${job.id}`
+    }
+
+    /** (Re)attach enabled jobs whose link was closed or never opened */
+    private async supervise(): Promise<void> {
+        for (const entry of this.jobs.values()) {
+            const { job } = entry
+            if (!job.enabled) {
+                this.detach(entry)
+                continue
+            }
+            if (entry.monitor?.has(this.clientId(job))) continue
+            try {
+                const monitor = await this.resolveMonitor(job.target)
+                monitor.subscribe(this.clientId(job), job.tags.map(t => ({ address: t.address, size: t.size })), {
+                    intervalMs: job.intervalMs,
+                    binary: job.binary,
+                    multi: job.multi,
+                    emit: (payload) => this.record(entry, payload.results),
+                })
+                entry.monitor = monitor
+                entry.status.running = true
+                entry.status.error = null
+            } catch (err: any) {
+                entry.monitor = null
+                entry.status.running = false
+                if (entry.status.error !== err.message) console.warn(`[Historian] Job '${job.name}': ${err.message}`)
+                entry.status.error = err.message
+            }
+        }
+    }
+
+    private detach(entry: RunningJob): void {
+        entry.monitor?.unsubscribe(this.clientId(entry.job))
+        entry.monitor = null
+        entry.status.running = false
+    }
+
+    /** The shared monitor may run faster than the job, samples are taken at the job interval */
+    private record(entry: RunningJob, results: MonitorResult[]): void {
+        const now = Date.now()
+        if (now - entry.lastRecorded < entry.job.intervalMs * 0.9) return
+        entry.lastRecorded = now
+
+        let recorded = false
+        for (const tag of entry.job.tags) {
+            const result = results.find(r => tag.address >= r.address && tag.address + tag.size <= r.address + r.size)
+            if (!result) continue
+            const offset = tag.address - result.address
+            const value = decodeValue(tag, result.data.slice(offset, offset + tag.size), entry.job.littleEndian)
+            if (value === null) continue
+            entry.pending.push(`${now},${csvField(tag.name)},${value}\n`)
+            recorded = true
+        }
+        if (recorded) {
+            entry.status.samples++
+            entry.status.lastSample = now
+        }
+    }
+
+    private async flush(): Promise<void> {
+        for (const entry of this.jobs.values()) {
+            if (!entry.pending.length) continue
+            const lines = entry.pending
+            entry.pending = []
+            // Group by day so samples around midnight land in the right file
+            const byDay = new Map<string, string[]>()
+            for (const line of lines) {
+                const day = dayName(Number(line.slice(0, line.indexOf(','))))
+                if (!byDay.has(day)) byDay.set(day, [])
+                byDay.get(day)!.push(line)
+            }
+            try {
+                await fs.promises.mkdir(this.jobDir(entry.job.id), { recursive: true })
+                for (const [day, dayLines] of byDay) {
+                    await fs.promises.appendFile(path.join(this.jobDir(entry.job.id), `${day}.csv`), dayLines.join(''))
+                }
+            } catch (err: any) {
+                entry.status.error = `Write failed: ${err.message}`
+            }
+        }
+    }
+
+    /** Delete day files older than each job's retention period */
+    private async applyRetention(): Promise<void> {
+        for (const { job } of this.jobs.values()) {
+            const oldest = dayName(Date.now() - job.retentionDays * DAY_MS)
+            let files: string[]
+            try {
+                files = await fs.promises.readdir(this.jobDir(job.id))
+            } catch {
+                continue
+            }
+            for (const file of files) {
+                if (file.endsWith('.csv') && file.slice(0, 10) < oldest) {
+                    await fs.promises.rm(path.join(this.jobDir(job.id), file), { force: true })
+                }
+            }
+        }
+    }
+
+    private async saveJobs(): Promise<void> {
+        const jobs = [...this.jobs.values()].map(entry => entry.job)
+        await fs.promises.writeFile(this.jobsFile(), JSON.stringify(jobs, null, 2))
+    }
+
+    private jobsFile(): string {
+        return path.join(this.dataDir, 'jobs.json')
+    }
+
+    private jobDir(id: string): string {
+        return path.join(this.dataDir, id)
+    }
+}
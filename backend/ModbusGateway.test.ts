@@ -0,0 +1,172 @@
+// Tests of the Modbus TCP gateway (ModbusGateway.ts) against an in-memory device
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import ModbusGateway, { normalizeConfig, registerCount, toWire, fromWire, type ModbusMapEntry } from './ModbusGateway.ts'
+import { fakeDevice } from './test-helpers.ts'
+
+const entry = (e: Partial<ModbusMapEntry>): ModbusMapEntry => ({ table: 'holding', register: 0, name: 'tag', address: 0, size: 2, type: 'u16', bit: null, ...e })
+
+describe('normalizeConfig', () => {
+    it('fills in the defaults', () => {
+        const config = normalizeConfig({})
+        assert.equal(config.port, 502)
+        assert.equal(config.host, '0.0.0.0')
+        assert.equal(config.littleEndian, true)
+        assert.deepEqual(config.map, [])
+    })
+
+    it('rejects registers mapped twice', () => {
+        const map = [
+            { table: 'holding', register: 0, name: 'speed', address: 10, size: 4, type: 'u32' },
+            { table: 'holding', register: 1, name: 'level', address: 20, size: 2, type: 'u16' },
+        ]
+        assert.throws(() => normalizeConfig({ map }), /holding 1 is mapped by both speed and level/)
+        // The same register number in another table is fine
+        assert.equal(normalizeConfig({ map: [map[0], { ...map[1], table: 'input' }] }).map.length, 2)
+    })
+
+    it('rejects entries that do not fit the table', () => {
+        assert.throws(() => normalizeConfig({ map: [{ table: 'holding', register: 0xffff, name: 'big', address: 0, size: 4 }] }), /does not fit/)
+    })
+
+    it('accepts bits 0 to 7 only', () => {
+        const coil = (bit: any) => ({ map: [{ table: 'coil', register: 0, name: 'motor', address: 32, size: 1, type: 'bit', bit }] })
+        assert.equal(normalizeConfig(coil(7)).map[0].bit, 7)
+        assert.equal(normalizeConfig(coil(undefined)).map[0].bit, null)
+        assert.throws(() => normalizeConfig(coil(8)), /Invalid bit for "motor"/)
+        assert.throws(() => normalizeConfig(coil(-1)), /Invalid bit/)
+        assert.throws(() => normalizeConfig(coil(1.5)), /Invalid bit/)
+    })
+})
+
+describe('register byte order', () => {
+    it('sends wide values most significant word first', () => {
+        const dword = entry({ size: 4, type: 'u32' })
+        assert.equal(registerCount(dword), 2)
+        assert.deepEqual(toWire(dword, [0x78, 0x56, 0x34, 0x12], true), [0x12, 0x34, 0x56, 0x78])
+        assert.deepEqual(toWire(dword, [0x12, 0x34, 0x56, 0x78], false), [0x12, 0x34, 0x56, 0x78])
+        assert.deepEqual(fromWire(dword, [0x12, 0x34, 0x56, 0x78], true), [0x78, 0x56, 0x34, 0x12])
+        assert.deepEqual(fromWire(dword, [0x12, 0x34, 0x56, 0x78], false), [0x12, 0x34, 0x56, 0x78])
+    })
+
+    it('zero extends bytes and bits to one register', () => {
+        assert.deepEqual(toWire(entry({ size: 1, type: 'u8' }), [0xab], true), [0, 0xab])
+        assert.deepEqual(fromWire(entry({ size: 1, type: 'u8' }), [0x12, 0xab], true), [0xab])
+        assert.deepEqual(toWire(entry({ size: 1, type: 'bit', bit: 3 }), [0x08], true), [0, 1])
+        assert.equal(registerCount(entry({ size: 4, type: 'u32', table: 'coil' })), 1)
+    })
+})
+
+/** A port nobody listens on */
+const freePort = () => new Promise<number>((resolve, reject) => {
+    const server = net.createServer()
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address() as net.AddressInfo
+        server.close(() => resolve(port))
+    })
+})
+
+/** MBAP frame of a request PDU */
+const mbap = (transaction: number, pdu: number[]) => {
+    const header = Buffer.alloc(7)
+    header.writeUInt16BE(transaction, 0)
+    header.writeUInt16BE(pdu.length + 1, 4)
+    header[6] = 1
+    return Buffer.concat([header, Buffer.from(pdu)])
+}
+
+describe('Modbus TCP requests', () => {
+    const device = fakeDevice()
+    let dir: string
+    let gateway: ModbusGateway
+    let socket: net.Socket
+    let received = Buffer.alloc(0)
+
+    /** Send frames in one write and wait for one response per frame, returns [transaction, PDU] pairs */
+    const exchange = async (...frames: Buffer[]) => {
+        socket.write(Buffer.concat(frames))
+        const responses: Array<[number, number[]]> = []
+        while (responses.length < frames.length) {
+            if (received.length >= 6 && received.length >= 6 + received.readUInt16BE(4)) {
+                const length = 6 + received.readUInt16BE(4)
+                responses.push([received.readUInt16BE(0), Array.from(received.subarray(7, length))])
+                received = received.subarray(length)
+                continue
+            }
+            await new Promise(resolve => socket.once('data', resolve))
+        }
+        return responses
+    }
+    const request = async (pdu: number[]) => (await exchange(mbap(1, pdu)))[0][1]
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'modbus-test-'))
+        gateway = new ModbusGateway(path.join(dir, 'modbus.json'), async () => device)
+        const port = await freePort()
+        await gateway.configure({
+            enabled: true, host: '127.0.0.1', port, target: { type: 'editor' }, littleEndian: true,
+            map: [
+                { table: 'coil', register: 0, name: 'motor', address: 32, size: 1, type: 'bit', bit: 0 },
+                { table: 'coil', register: 1, name: 'valve', address: 32, size: 1, type: 'bit', bit: 2 },
+                { table: 'holding', register: 0, name: 'speed', address: 64, size: 4, type: 'u32' },
+                { table: 'holding', register: 2, name: 'level', address: 68, size: 1, type: 'u8' },
+                { table: 'holding', register: 3, name: 'alarm', address: 33, size: 1, type: 'bit', bit: 7 },
+            ],
+        })
+        socket = net.connect(port, '127.0.0.1')
+        socket.on('data', (chunk) => { received = Buffer.concat([received, chunk]) })
+        await new Promise(resolve => socket.once('connect', resolve))
+    })
+
+    after(async () => {
+        socket.destroy()
+        await gateway.stop()
+        await fs.promises.rm(dir, { recursive: true, force: true })
+    })
+
+    it('reads holding registers in Modbus byte order', async () => {
+        device.memory.set([0x78, 0x56, 0x34, 0x12, 0xab], 64)
+        assert.deepEqual(await request([3, 0, 0, 0, 3]), [3, 6, 0x12, 0x34, 0x56, 0x78, 0, 0xab])
+    })
+
+    it('writes coils with masked writes so other bits of the byte are kept', async () => {
+        device.memory[32] = 0b1000_0010 // Outputs the PLC scan drives in the same byte
+        device.writes.length = 0
+        assert.deepEqual(await request([5, 0, 1, 0xff, 0x00]), [5, 0, 1, 0xff, 0x00])
+        assert.deepEqual(device.writes, [{ address: 32, data: [0b100], mask: [0b100] }])
+        assert.equal(device.memory[32], 0b1000_0110)
+        assert.deepEqual(await request([1, 0, 0, 0, 2]), [1, 1, 0b10])
+    })
+
+    it('writes bit entries of holding registers with masked writes', async () => {
+        device.memory[33] = 0x01
+        device.writes.length = 0
+        await request([6, 0, 3, 0, 1])
+        assert.deepEqual(device.writes, [{ address: 33, data: [0x80], mask: [0x80] }])
+        assert.equal(device.memory[33], 0x81)
+    })
+
+    it('writes multiple registers', async () => {
+        assert.deepEqual(await request([16, 0, 0, 0, 2, 4, 0xde, 0xad, 0xbe, 0xef]), [16, 0, 0, 0, 2])
+        assert.deepEqual(Array.from(device.memory.subarray(64, 68)), [0xef, 0xbe, 0xad, 0xde])
+    })
+
+    it('answers unmapped addresses and unknown functions with exceptions', async () => {
+        assert.deepEqual(await request([3, 0, 10, 0, 1]), [0x83, 0x02])
+        assert.deepEqual(await request([8, 0, 0, 0, 0]), [0x88, 0x01])
+        assert.deepEqual(await request([5, 0, 0, 0x12, 0x34]), [0x85, 0x03])
+    })
+
+    it('answers every frame of a chunk with its transaction id', async () => {
+        const responses = await exchange(mbap(7, [3, 0, 2, 0, 1]), mbap(8, [1, 0, 0, 0, 1]))
+        assert.deepEqual(responses.map(([transaction]) => transaction), [7, 8])
+        assert.equal(gateway.status().clients, 1)
+    })
+})
@@ -0,0 +1,409 @@
+/**
+ * @file ModbusGateway.ts
+ * @description Modbus TCP server that exposes PLC memory to SCADA systems.
+ * Coils and discrete inputs map to single bits, holding and input registers map to memory
+ * values (bytes, words, DB fields). Every Modbus request is translated into memory reads
+ * and writes on the device: MR/MW commands over a serial port or TCP connection, or memory
+ * access through an editor session (e.g. the simulator).
+ *
+ * Register layout:
+ *   - Coils and discrete inputs are 1 for a set bit, or for a non-zero byte when the entry has no bit
+ *   - In register tables, bit entries read as 0/1 and single bytes are zero extended to one register
+ *   - Wider values occupy size/2 registers, most significant word first (Modbus byte order)
+ *
+ * Supported functions: 1, 2, 3, 4 (reads), 5, 6, 15, 16 (writes to coils and holding registers).
+ * The configuration is stored in a JSON file and applied on startup.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import net from 'node:net'
+import { parseTarget, readRegions, type DeviceAccess, type DeviceResolver, type DeviceTarget } from './device-access.ts'
+
+export type ModbusTable = 'coil' | 'discrete' | 'holding' | 'input'
+
+export interface ModbusMapEntry {
+    table: ModbusTable
+    register: number // Zero based Modbus address of the first coil/register
+    name: string
+    address: number
+    size: number
+    type: string
+    bit?: number | null
+}
+
+export interface ModbusGatewayConfig {
+    enabled: boolean
+    host: string
+    port: number
+    target: DeviceTarget | null
+    littleEndian: boolean
+    map: ModbusMapEntry[]
+}
+
+export interface ModbusGatewayStatus {
+    listening: boolean
+    clients: number
+    requests: number
+    exceptions: number
+    lastError: string | null
+}
+
+const TABLES: ModbusTable[] = ['coil', 'discrete', 'holding', 'input']
+
+const FUNCTIONS = [1, 2, 3, 4, 5, 6, 15, 16]
+
+const EXCEPTION = {
+    ILLEGAL_FUNCTION: 0x01,
+    ILLEGAL_ADDRESS: 0x02,
+    ILLEGAL_VALUE: 0x03,
+    TARGET_FAILED: 0x0B, // Gateway target device failed to respond
+}
+
+const MAX_READ_BITS = 2000
+const MAX_READ_REGISTERS = 125
+const MAX_WRITE_BITS = 1968
+const MAX_WRITE_REGISTERS = 123
+
+const modbusError = (exception: number, message: string) => Object.assign(new Error(message), { exception })
+
+const isBitTable = (table: ModbusTable) => table === 'coil' || table === 'discrete'
+const hasBit = (entry: ModbusMapEntry) => entry.bit !== null && entry.bit !== undefined
+
+/** Number of coils or registers an entry occupies */
+export function registerCount(entry: ModbusMapEntry): number {
+    if (isBitTable(entry.table) || hasBit(entry) || entry.size === 1) return 1
+    return Math.ceil(entry.size / 2)
+}
+
+const bitValue = (entry: ModbusMapEntry, bytes: number[]) => hasBit(entry) ? (bytes[0] >> entry.bit!) & 1 : bytes[0] ? 1 : 0
+
+/** Write a coil or bit entry, bits only touch their own bit so outputs the PLC scan changes in the same byte are kept */
+const writeBit = (device: DeviceAccess, entry: ModbusMapEntry, on: boolean) => {
+    if (!hasBit(entry)) return device.write(entry.address, [on ? 1 : 0])
+    const mask = 1 << entry.bit!
+    return device.writeMasked(entry.address, [on ? mask : 0], [mask])
+}
+
+/** Register bytes (big-endian) of an entry's PLC bytes */
+export function toWire(entry: ModbusMapEntry, bytes: number[], littleEndian: boolean): number[] {
+    if (hasBit(entry)) return [0, bitValue(entry, bytes)]
+    if (entry.size === 1) return [0, bytes[0]]
+    const wire = littleEndian ? [...bytes].reverse() : [...bytes]
+    if (wire.length % 2) wire.unshift(0)
+    return wire
+}
+
+/** PLC bytes of an entry from its register bytes, bit entries are written with `writeBit` instead */
+export function fromWire(entry: ModbusMapEntry, wire: number[], littleEndian: boolean): number[] {
+    if (entry.size === 1) return [wire[1]]
+    const bytes = wire.slice(wire.length - entry.size)
+    return littleEndian ? bytes.reverse() : bytes
+}
+
+/** Validate and normalize a configuration received over the API */
+export function normalizeConfig(input: any): ModbusGatewayConfig {
+    if (!input || typeof input !== 'object') throw new Error('Invalid configuration')
+    const port = Number(input.port ?? 502)
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('Port must be between 1 and 65535')
+
+    const map: ModbusMapEntry[] = (Array.isArray(input.map) ? input.map : []).map((e: any) => {
+        const label = JSON.stringify(e?.name ?? e)
+        if (!TABLES.includes(e?.table)) throw new Error(`Invalid table for ${label}`)
+        if (!Number.isInteger(e.register) || e.register < 0 || e.register > 0xffff) throw new Error(`Invalid register for ${label}`)
+        if (!Number.isFinite(e.address) || !(e.size > 0)) throw new Error(`Invalid address for ${label}`)
+        const bit = e.bit ?? null
+        if (bit !== null && !(Number.isInteger(bit) && bit >= 0 && bit <= 7)) throw new Error(`Invalid bit for ${label}, use 0 to 7`)
+        return { table: e.table, register: e.register, name: String(e.name || e.address), address: e.address, size: e.size, type: String(e.type || 'byte'), bit }
+    })
+
+    // Every coil/register may only be mapped once
+    for (const table of TABLES) {
+        const used = new Map<number, string>()
+        for (const entry of map.filter(e => e.table === table)) {
+            for (let r = entry.register; r < entry.register + registerCount(entry); r++) {
+                if (r > 0xffff) throw new Error(`${entry.name} does not fit in the ${table} table`)
+                if (used.has(r)) throw new Error(`${table} ${r} is mapped by both ${used.get(r)} and ${entry.name}`)
+                used.set(r, entry.name)
+            }
+        }
+    }
+
+    return {
+        enabled: !!input.enabled,
+        host: String(input.host || '0.0.0.0'),
+        port,
+        target: parseTarget(input.target),
+        littleEndian: input.littleEndian !== false,
+        map,
+    }
+}
+
+export default class ModbusGateway {
+    private configFile: string
+    private resolveDevice: DeviceResolver
+    private config: ModbusGatewayConfig = normalizeConfig({})
+    private index = new Map<ModbusTable, Map<number, ModbusMapEntry>>()
+    private server: net.Server | null = null
+    private sockets = new Set<net.Socket>()
+    private queue: Promise<unknown> = Promise.resolve()
+    private stats = { requests: 0, exceptions: 0, lastError: null as string | null }
+
+    constructor(configFile: string, resolveDevice: DeviceResolver) {
+        this.configFile = configFile
+        this.resolveDevice = resolveDevice
+    }
+
+    /** Load the saved configuration and start listening if enabled */
+    async start(): Promise<void> {
+        try {
+            this.apply(normalizeConfig(JSON.parse(await fs.promises.readFile(this.configFile, 'utf-8'))))
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') console.warn(`[Modbus] Failed to load configuration: ${err.message}`)
+        }
+        if (this.config.enabled) await this.listen()
+    }
+
+    async stop(): Promise<void> {
+        for (const socket of this.sockets) socket.destroy()
+        this.sockets.clear()
+        const server = this.server
+        this.server = null
+        if (server) await new Promise<void>(resolve => server.close(() => resolve()))
+    }
+
+    getConfig(): ModbusGatewayConfig {
+        return this.config
+    }
+
+    status(): ModbusGatewayStatus {
+        return { listening: !!this.server, clients: this.sockets.size, ...this.stats }
+    }
+
+    /** Replace the configuration, save it and restart the server */
+    async configure(input: any): Promise<ModbusGatewayConfig> {
+        const config = normalizeConfig(input)
+        await this.stop()
+        this.apply(config)
+        this.stats = { requests: 0, exceptions: 0, lastError: null }
+        await fs.promises.mkdir(path.dirname(this.configFile), { recursive: true })
+        await fs.promises.writeFile(this.configFile, JSON.stringify(config, null, 2))
+        if (config.enabled) await this.listen()
+        return config
+    }
+
+    private apply(config: ModbusGatewayConfig): void {
+        this.config = config
+        this.index = new Map(TABLES.map(table => [table, new Map()]))
+        for (const entry of config.map) {
+            for (let r = 0; r < registerCount(entry); r++) this.index.get(entry.table)!.set(entry.register + r, entry)
+        }
+    }
+
+    private listen(): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            const server = net.createServer(socket => this.accept(socket))
+            server.once('error', reject)
+            server.listen(this.config.port, this.config.host, () => {
+                server.off('error', reject)
+                server.on('error', (err) => {
+                    this.stats.lastError = err.message
+                })
+                this.server = server
+                console.log(`[Modbus] Gateway listening on ${this.config.host}:${this.config.port} (${this.config.map.length} mapped tags)`)
+                resolve()
+            })
+        })
+    }
+
+    private accept(socket: net.Socket): void {
+        this.sockets.add(socket)
+        let buffer = Buffer.alloc(0)
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk])
+            // MBAP header: transaction id, protocol id, length (unit id + PDU), unit id
+            while (buffer.length >= 7) {
+                const length = buffer.readUInt16BE(4)
+                if (length < 2 || length > 254) {
+                    socket.destroy()
+                    return
+                }
+                if (buffer.length < 6 + length) break
+                const frame = buffer.subarray(0, 6 + length)
+                buffer = buffer.subarray(6 + length)
+                if (frame.readUInt16BE(2) !== 0) continue // Not Modbus
+                this.queue = this.queue.then(() => this.respond(socket, frame)).catch(err => {
+                    this.stats.lastError = err.message
+                })
+            }
+        })
+        socket.on('close', () => this.sockets.delete(socket))
+        socket.on('error', () => this.sockets.delete(socket))
+    }
+
+    /** Requests are handled one at a time so read-modify-write of partly written values is not interleaved */
+    private async respond(socket: net.Socket, frame: Buffer): Promise<void> {
+        const pdu = frame.subarray(7)
+        let response: Buffer
+        this.stats.requests++
+        try {
+            response = await this.handle(pdu)
+        } catch (err: any) {
+            this.stats.exceptions++
+            this.stats.lastError = err.message
+            response = Buffer.from([pdu[0] | 0x80, err.exception || EXCEPTION.TARGET_FAILED])
+        }
+        if (socket.destroyed) return
+        const header = Buffer.alloc(7)
+        header.writeUInt16BE(frame.readUInt16BE(0), 0)
+        header.writeUInt16BE(0, 2)
+        header.writeUInt16BE(response.length + 1, 4)
+        header[6] = frame[6]
+        socket.write(Buffer.concat([header, response]))
+    }
+
+    private async handle(pdu: Buffer): Promise<Buffer> {
+        const fc = pdu[0]
+        if (!FUNCTIONS.includes(fc)) throw modbusError(EXCEPTION.ILLEGAL_FUNCTION, `Unsupported function ${fc}`)
+        if (pdu.length < 5) throw modbusError(EXCEPTION.ILLEGAL_VALUE, 'Request too short')
+        const start = pdu.readUInt16BE(1)
+        switch (fc) {
+            case 1: case 2: {
+                const quantity = this.quantity(pdu, MAX_READ_BITS)
+                const bits = await this.readBits(fc === 1 ? 'coil' : 'discrete', start, quantity)
+                const packed = Buffer.alloc(Math.ceil(quantity / 8))
+                bits.forEach((on, i) => { if (on) packed[i >> 3] |= 1 << (i & 7) })
+                return Buffer.concat([Buffer.from([fc, packed.length]), packed])
+            }
+            case 3: case 4: {
+                const quantity = this.quantity(pdu, MAX_READ_REGISTERS)
+                const wire = await this.readRegisters(fc === 3 ? 'holding' : 'input', start, quantity)
+                return Buffer.concat([Buffer.from([fc, wire.length]), Buffer.from(wire)])
+            }
+            case 5: {
+                const value = pdu.readUInt16BE(3)
+                if (value !== 0xFF00 && value !== 0x0000) throw modbusError(EXCEPTION.ILLEGAL_VALUE, 'Coil value must be 0xFF00 or 0x0000')
+                await this.writeBits(start, [value === 0xFF00])
+                return Buffer.from(pdu.subarray(0, 5))
+            }
+            case 6: {
+                await this.writeRegisters(start, [pdu.readUInt16BE(3)])
+                return Buffer.from(pdu.subarray(0, 5))
+            }
+            case 15: {
+                const quantity = this.quantity(pdu, MAX_WRITE_BITS)
+                if (pdu.length < 6 + Math.ceil(quantity / 8)) throw modbusError(EXCEPTION.ILLEGAL_VALUE, 'Request too short')
+                const bits = Array.from({ length: quantity }, (_, i) => ((pdu[6 + (i >> 3)] >> (i & 7)) & 1) === 1)
+                await this.writeBits(start, bits)
+                return Buffer.from(pdu.subarray(0, 5))
+            }
+            case 16: {
+                const quantity = this.quantity(pdu, MAX_WRITE_REGISTERS)
+                if (pdu.length < 6 + quantity * 2) throw modbusError(EXCEPTION.ILLEGAL_VALUE, 'Request too short')
+                const words = Array.from({ length: quantity }, (_, i) => pdu.readUInt16BE(6 + i * 2))
+                await this.writeRegisters(start, words)
+                return Buffer.from(pdu.subarray(0, 5))
+            }
+        }
+        throw modbusError(EXCEPTION.ILLEGAL_FUNCTION, `Unsupported function ${fc}`)
+    }
+
+    private quantity(pdu: Buffer, max: number): number {
+        const quantity = pdu.readUInt16BE(3)
+        if (quantity < 1 || quantity > max) throw modbusError(EXCEPTION.ILLEGAL_VALUE, `Quantity must be between 1 and ${max}`)
+        return quantity
+    }
+
+    /** Entries covering `quantity` coils/registers from `start`, every address in the range must be mapped */
+    private lookup(table: ModbusTable, start: number, quantity: number): ModbusMapEntry[] {
+        if (start + quantity > 0x10000) throw modbusError(EXCEPTION.ILLEGAL_ADDRESS, `Range ${start}+${quantity} exceeds the ${table} table`)
+        const index = this.index.get(table)!
+        const entries = new Set<ModbusMapEntry>()
+        for (let r = start; r < start + quantity; r++) {
+            const entry = index.get(r)
+            if (!entry) throw modbusError(EXCEPTION.ILLEGAL_ADDRESS, `${table} ${r} is not mapped`)
+            entries.add(entry)
+        }
+        return [...entries]
+    }
+
+    private async device(): Promise<DeviceAccess> {
+        if (!this.config.target) throw new Error('No target device configured')
+        return this.resolveDevice(this.config.target)
+    }
+
+    /** Read the PLC bytes of entries, nearby entries share one memory read */
+    private async readEntries(entries: ModbusMapEntry[]): Promise<Map<ModbusMapEntry, number[]>> {
+        if (!entries.length) return new Map()
+        const data = await readRegions(await this.device(), entries)
+        return new Map(entries.map((entry, i) => [entry, data[i]]))
+    }
+
+    private async readBits(table: ModbusTable, start: number, quantity: number): Promise<boolean[]> {
+        const values = await this.readEntries(this.lookup(table, start, quantity))
+        const index = this.index.get(table)!
+        return Array.from({ length: quantity }, (_, i) => {
+            const entry = index.get(start + i)!
+            return bitValue(entry, values.get(entry)!) === 1
+        })
+    }
+
+    private async readRegisters(table: ModbusTable, start: number, quantity: number): Promise<number[]> {
+        const values = await this.readEntries(this.lookup(table, start, quantity))
+        const index = this.index.get(table)!
+        const wire: number[] = []
+        for (let r = start; r < start + quantity; r++) {
+            const entry = index.get(r)!
+            const offset = (r - entry.register) * 2
+            wire.push(...toWire(entry, values.get(entry)!, this.config.littleEndian).slice(offset, offset + 2))
+        }
+        return wire
+    }
+
+    private async writeBits(start: number, bits: boolean[]): Promise<void> {
+        const entries = this.lookup('coil', start, bits.length)
+        const device = await this.device()
+        for (const entry of entries) await writeBit(device, entry, bits[entry.register - start])
+    }
+
+    private async writeRegisters(start: number, words: number[]): Promise<void> {
+        const end = start + words.length
+        const entries = this.lookup('holding', start, words.length)
+        // Entries only partly covered by the request keep the rest of their current value
+        const current = await this.readEntries(entries.filter(e => !hasBit(e) && (e.register < start || e.register + registerCount(e) > end)))
+        const device = await this.device()
+        const littleEndian = this.config.littleEndian
+        for (const entry of entries) {
+            if (hasBit(entry)) {
+                const on = words[entry.register - start] !== 0
+                await writeBit(device, entry, on)
+                const mask = 1 << entry.bit!
+                this.patch(current, entry.address, [on ? mask : 0], [mask])
+                continue
+            }
+            const plc = current.get(entry) || new Array(entry.size).fill(0)
+            const wire = toWire(entry, plc, littleEndian)
+            for (let r = 0; r < registerCount(entry); r++) {
+                const word = words[entry.register + r - start]
+                if (word === undefined) continue
+                wire[r * 2] = word >> 8
+                wire[r * 2 + 1] = word & 0xff
+            }
+            const data = fromWire(entry, wire, littleEndian)
+            await device.write(entry.address, data)
+            this.patch(current, entry.address, data)
+        }
+    }
+
+    /** Keep values read earlier in the request up to date with a write, entries may share bytes */
+    private patch(current: Map<ModbusMapEntry, number[]>, address: number, data: number[], mask?: number[]): void {
+        for (const [entry, bytes] of current) {
+            for (let i = 0; i < entry.size; i++) {
+                const offset = entry.address + i - address
+                if (offset < 0 || offset >= data.length) continue
+                const m = mask ? mask[offset] : 0xff
+                bytes[i] = (bytes[i] & ~m) | (data[offset] & m)
+            }
+        }
+    }
+}
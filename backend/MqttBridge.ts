@@ -0,0 +1,304 @@
+/**
+ * @file MqttBridge.ts
+ * @description Publishes PLC symbols to an MQTT broker and applies writes received on `<topic>/set`.
+ * Symbols are read from the device every poll period and published on change (beyond a
+ * deadband) or on a fixed interval. Writes are applied as masked memory writes, so a bit only
+ * changes its own bit. Availability is published on `<baseTopic>/status` as `online` and, through
+ * the broker's last will, `offline`.
+ *
+ * Payloads are plain values: numbers, `1`/`0` for bits. Writes also accept `true`/`false` and `on`/`off`.
+ * The configuration is stored in a JSON file and applied on startup.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import net from 'node:net'
+import { parseTarget, readRegions, decodeValue, encodeValue, type DeviceAccess, type DeviceResolver, type DeviceTarget } from './device-access.ts'
+
+export interface MqttSymbol {
+    name: string // Symbol name or address, as mapped in the editor
+    topic: string // Relative to the base topic
+    address: number
+    size: number
+    type: string
+    bit?: number | null
+    qos: 0 | 1 | 2
+    mode: 'change' | 'interval'
+    intervalMs: number // Publish period in interval mode
+    deadband: number // Minimum change to publish in change mode
+    writable: boolean
+}
+
+export interface MqttBridgeConfig {
+    enabled: boolean
+    url: string
+    username?: string
+    password?: string
+    clientId?: string
+    baseTopic: string
+    retain: boolean
+    pollMs: number
+    target: DeviceTarget | null
+    littleEndian: boolean
+    symbols: MqttSymbol[]
+}
+
+export interface MqttSymbolStatus {
+    name: string
+    topic: string
+    value: number | null
+    publishedAt: number | null
+}
+
+export interface MqttBridgeStatus {
+    running: boolean
+    connected: boolean
+    published: number
+    received: number
+    lastError: string | null
+    symbols: MqttSymbolStatus[]
+}
+
+const MIN_POLL_MS = 50
+
+const FLOAT_TYPES = ['real', 'f32', 'float']
+
+/** Validate and normalize a configuration received over the API */
+export function normalizeConfig(input: any): MqttBridgeConfig {
+    if (!input || typeof input !== 'object') throw new Error('Invalid configuration')
+    const url = String(input.url || 'mqtt://localhost:1883')
+    if (!/^(mqtts?|wss?|tcp|ssl):\/\//.test(url)) throw new Error('Broker URL must start with mqtt://, mqtts://, ws:// or wss://')
+    const baseTopic = String(input.baseTopic ?? 'vovkplc').replace(/^\/+|\/+$/g, '')
+
+    const topics = new Set<string>()
+    const symbols: MqttSymbol[] = (Array.isArray(input.symbols) ? input.symbols : []).map((s: any) => {
+        const label = JSON.stringify(s?.name ?? s)
+        if (!s?.name || !Number.isFinite(s.address) || !(s.size > 0)) throw new Error(`Invalid symbol ${label}`)
+        const topic = String(s.topic || s.name).replace(/^\/+|\/+$/g, '')
+        if (!topic || /[#+]/.test(topic)) throw new Error(`Invalid topic for ${label}`)
+        if (topics.has(topic)) throw new Error(`Topic '${topic}' is used more than once`)
+        topics.add(topic)
+        const qos = Number(s.qos)
+        return {
+            name: String(s.name),
+            topic,
+            address: s.address,
+            size: s.size,
+            type: String(s.type || 'byte'),
+            bit: Number.isInteger(s.bit) ? s.bit : null,
+            qos: qos === 1 || qos === 2 ? qos : 0,
+            mode: s.mode === 'interval' ? 'interval' : 'change',
+            intervalMs: Math.max(MIN_POLL_MS, Number(s.intervalMs) || 1000),
+            deadband: Math.max(0, Number(s.deadband) || 0),
+            writable: !!s.writable,
+        }
+    })
+
+    return {
+        enabled: !!input.enabled,
+        url,
+        username: input.username ? String(input.username) : undefined,
+        password: input.password ? String(input.password) : undefined,
+        clientId: input.clientId ? String(input.clientId) : undefined,
+        baseTopic,
+        retain: input.retain !== false,
+        pollMs: Math.max(MIN_POLL_MS, Number(input.pollMs) || 250),
+        target: parseTarget(input.target),
+        littleEndian: input.littleEndian !== false,
+        symbols,
+    }
+}
+
+/** Parse a write payload, returns null if it is not a value */
+function parsePayload(text: string): number | null {
+    const raw = text.trim().toLowerCase()
+    if (raw === 'true' || raw === 'on') return 1
+    if (raw === 'false' || raw === 'off') return 0
+    const value = Number(raw)
+    return raw && Number.isFinite(value) ? value : null
+}
+
+/**
+ * Start an in-process MQTT broker, for testing the bridge without an external broker
+ * @returns A function that closes the broker
+ */
+export async function startLocalBroker(port: number, host = 'localhost'): Promise<() => Promise<void>> {
+    const Aedes = (await import('aedes')).default as any
+    const broker = new Aedes()
+    const server = net.createServer(broker.handle)
+    await new Promise<void>((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, host, () => resolve())
+    })
+    console.log(`[MQTT] Local broker listening on mqtt://${host}:${port}`)
+    return async () => {
+        await new Promise<void>(resolve => server.close(() => resolve()))
+        await new Promise<void>(resolve => broker.close(() => resolve()))
+    }
+}
+
+interface SymbolState {
+    value: number | null
+    published: number | null // Last published value
+    publishedAt: number | null
+}
+
+export default class MqttBridge {
+    private configFile: string
+    private resolveDevice: DeviceResolver
+    private config: MqttBridgeConfig = normalizeConfig({})
+    private client: any = null
+    private timer: NodeJS.Timeout | null = null
+    private processing = false
+    private states = new Map<MqttSymbol, SymbolState>()
+    private stats = { published: 0, received: 0, lastError: null as string | null }
+
+    constructor(configFile: string, resolveDevice: DeviceResolver) {
+        this.configFile = configFile
+        this.resolveDevice = resolveDevice
+    }
+
+    /** Load the saved configuration and connect if enabled */
+    async start(): Promise<void> {
+        try {
+            this.config = normalizeConfig(JSON.parse(await fs.promises.readFile(this.configFile, 'utf-8')))
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') console.warn(`[MQTT] Failed to load configuration: ${err.message}`)
+        }
+        if (this.config.enabled) await this.connect()
+    }
+
+    async stop(): Promise<void> {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+        const client = this.client
+        this.client = null
+        if (!client) return
+        // Leave a clean offline state, the last will is only sent on unexpected disconnects
+        if (client.connected) {
+            await new Promise<void>(resolve => client.publish(this.topic('status'), 'offline', { qos: 1, retain: true }, () => resolve()))
+        }
+        await new Promise<void>(resolve => client.end(false, {}, () => resolve()))
+    }
+
+    getConfig(): MqttBridgeConfig {
+        return { ...this.config, password: this.config.password ? '********' : undefined }
+    }
+
+    status(): MqttBridgeStatus {
+        return {
+            running: !!this.timer,
+            connected: !!this.client?.connected,
+            ...this.stats,
+            symbols: this.config.symbols.map(symbol => {
+                const state = this.states.get(symbol)
+                return { name: symbol.name, topic: this.topic(symbol.topic), value: state?.value ?? null, publishedAt: state?.publishedAt ?? null }
+            }),
+        }
+    }
+
+    /** Replace the configuration, save it and reconnect. A masked password keeps the saved one. */
+    async configure(input: any): Promise<MqttBridgeConfig> {
+        const config = normalizeConfig({ ...input, password: input?.password === '********' ? this.config.password : input?.password })
+        await this.stop()
+        this.config = config
+        this.states.clear()
+        this.stats = { published: 0, received: 0, lastError: null }
+        await fs.promises.mkdir(path.dirname(this.configFile), { recursive: true })
+        await fs.promises.writeFile(this.configFile, JSON.stringify(config, null, 2))
+        if (config.enabled) await this.connect()
+        return this.getConfig()
+    }
+
+    private topic(relative: string): string {
+        return this.config.baseTopic ? `${this.config.baseTopic}/${relative}` : relative
+    }
+
+    private async connect(): Promise<void> {
+        const mqtt = (await import('mqtt')).default as any
+        const { url, username, password, clientId } = this.config
+        const statusTopic = this.topic('status')
+        const client = mqtt.connect(url, {
+            username,
+            password,
+            clientId: clientId || `vovkplc-${Math.random().toString(16).slice(2, 10)}`,
+            reconnectPeriod: 5000,
+            will: { topic: statusTopic, payload: 'offline', qos: 1, retain: true },
+        })
+        this.client = client
+
+        client.on('connect', () => {
+            this.stats.lastError = null
+            client.publish(statusTopic, 'online', { qos: 1, retain: true })
+            // Republish everything after a reconnect
+            for (const state of this.states.values()) state.publishedAt = null
+            for (const symbol of this.config.symbols.filter(s => s.writable)) {
+                client.subscribe(`${this.topic(symbol.topic)}/set`, { qos: symbol.qos })
+            }
+            console.log(`[MQTT] Connected to ${url}`)
+        })
+        client.on('error', (err: Error) => {
+            this.stats.lastError = err.message
+        })
+        client.on('message', (topic: string, payload: Buffer) => {
+            this.handleWrite(topic, payload.toString()).catch(err => {
+                this.stats.lastError = err.message
+            })
+        })
+
+        this.timer = setInterval(() => this.poll(), this.config.pollMs)
+    }
+
+    private async device(): Promise<DeviceAccess> {
+        if (!this.config.target) throw new Error('No target device configured')
+        return this.resolveDevice(this.config.target)
+    }
+
+    private async poll(): Promise<void> {
+        if (this.processing || !this.client?.connected || !this.config.symbols.length) return
+        this.processing = true
+        try {
+            const symbols = this.config.symbols
+            const data = await readRegions(await this.device(), symbols)
+            const now = Date.now()
+            symbols.forEach((symbol, i) => {
+                let value = decodeValue(symbol, data[i], this.config.littleEndian)
+                if (value === null) return
+                if (FLOAT_TYPES.includes(symbol.type.toLowerCase())) value = Number(value.toPrecision(7))
+                const state = this.states.get(symbol) || { value: null, published: null, publishedAt: null }
+                this.states.set(symbol, state)
+                state.value = value
+                if (this.shouldPublish(symbol, state, now)) {
+                    this.client.publish(this.topic(symbol.topic), String(value), { qos: symbol.qos, retain: this.config.retain })
+                    state.published = value
+                    state.publishedAt = now
+                    this.stats.published++
+                }
+            })
+        } catch (err: any) {
+            this.stats.lastError = err.message
+        } finally {
+            this.processing = false
+        }
+    }
+
+    private shouldPublish(symbol: MqttSymbol, state: SymbolState, now: number): boolean {
+        if (state.published === null || state.publishedAt === null) return true
+        if (symbol.mode === 'interval') return now - state.publishedAt >= symbol.intervalMs
+        const change = Math.abs(state.value! - state.published)
+        return symbol.deadband > 0 ? change >= symbol.deadband : change > 0
+    }
+
+    private async handleWrite(topic: string, payload: string): Promise<void> {
+        const symbol = this.config.symbols.find(s => s.writable && `${this.topic(s.topic)}/set` === topic)
+        if (!symbol) return
+        this.stats.received++
+        const value = parsePayload(payload)
+        if (value === null) throw new Error(`Invalid value '${payload}' on ${topic}`)
+        const { data, mask } = encodeValue(symbol, value, this.config.littleEndian)
+        const device = await this.device()
+        await device.writeMasked(symbol.address, data, mask)
+    }
+}
@@ -22,12 +22,19 @@ export interface ScanResult {
     responseTime?: number
 }
 
+export interface ConnectionCallbacks {
+    onData?: (key: string, data: number[]) => void
+    onClose?: (key: string, err?: Error) => void
+    onError?: (key: string, err: Error) => void
+}
+
 interface ManagedConnection {
     socket: net.Socket
     host: string
     port: number
     readBuffer: number[]
     maxBufferSize: number
+    callbacks?: ConnectionCallbacks
 }
 
 export default class NetworkManager {
@@ -118,11 +125,7 @@ export default class NetworkManager {
      */
     async connect(
         target: NetworkTarget,
-        callbacks?: {
-            onData?: (key: string, data: number[]) => void
-            onClose?: (key: string, err?: Error) => void
-            onError?: (key: string, err: Error) => void
-        }
+        callbacks?: ConnectionCallbacks
     ): Promise<string> {
         const { host, port } = target
         const key = this.connectionKey(host, port)
@@ -141,6 +144,7 @@ export default class NetworkManager {
                 port,
                 readBuffer: [],
                 maxBufferSize: this.maxBufferSize,
+                callbacks,
             }
 
             const connectTimeout = setTimeout(() => {
@@ -161,12 +165,12 @@ export default class NetworkManager {
                         managed.readBuffer.shift()
                     }
                 }
-                callbacks?.onData?.(key, Array.from(chunk))
+                managed.callbacks?.onData?.(key, Array.from(chunk))
             })
 
             socket.on('close', () => {
                 this.connections.delete(key)
-                callbacks?.onClose?.(key)
+                managed.callbacks?.onClose?.(key)
             })
 
             socket.on('error', (err: Error) => {
@@ -175,7 +179,7 @@ export default class NetworkManager {
                     // Connection was never established
                     reject(new Error(`Failed to connect to ${key}: ${err.message}`))
                 } else {
-                    callbacks?.onError?.(key, err)
+                    managed.callbacks?.onError?.(key, err)
                 }
             })
 
@@ -183,6 +187,18 @@ export default class NetworkManager {
         })
     }
 
+    /**
+     * Take over the event callbacks of an open connection, for a client joining a
+     * connection that was opened by the server (historian)
+     */
+    attach(key: string, callbacks: ConnectionCallbacks): void {
+        const managed = this.connections.get(key)
+        if (!managed) {
+            throw new Error(`No connection to ${key}`)
+        }
+        managed.callbacks = callbacks
+    }
+
     /**
      * Disconnect from a device
      */
@@ -0,0 +1,52 @@
+// Tests of the shared memory monitor (PortMonitor.ts)
+// Run with `npm test` in backend/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import PortMonitor from './PortMonitor.ts'
+
+/** Link to a device that never answers, records the commands sent */
+const silentLink = () => {
+    const commands: string[] = []
+    return {
+        commands,
+        isOpen: () => true,
+        write: async (data: string) => { commands.push(data.trim()) },
+        available: () => 0,
+        read: () => [],
+    }
+}
+
+const mutex = { acquire: async () => {}, release: () => {} }
+
+/** Command codes of one monitor cycle once every subscriber has joined */
+async function cycleCommands(...subscribers: Array<{ binary?: boolean, multi?: boolean }>): Promise<string[]> {
+    const link = silentLink()
+    const monitor = new PortMonitor('test', link, mutex, 20)
+    const subscribe = (intervalMs: number) => subscribers.forEach((options, i) => {
+        monitor.subscribe(`client-${i}`, [{ address: 0, size: 4 }, { address: 100, size: 2 }], { ...options, intervalMs, emit: () => {} })
+    })
+    const settle = () => new Promise(r => setTimeout(r, 100))
+    // The first cycle starts with the first subscriber, a new interval starts a cycle with all of them
+    subscribe(60_000)
+    await settle()
+    link.commands.length = 0
+    subscribe(30_000)
+    await settle()
+    monitor.stop()
+    return link.commands.map(command => command.slice(0, 2))
+}
+
+describe('PortMonitor framing', () => {
+    it('uses the framing the client reports', async () => {
+        assert.deepEqual(await cycleCommands({}), ['MR', 'MR'])
+        assert.deepEqual(await cycleCommands({ binary: true }), ['MB', 'MB'])
+        assert.deepEqual(await cycleCommands({ binary: true, multi: true }), ['MM'])
+    })
+
+    it('only uses a framing every client reports, whatever the order of subscribing', async () => {
+        assert.deepEqual(await cycleCommands({ binary: true, multi: true }, {}), ['MR', 'MR'])
+        assert.deepEqual(await cycleCommands({}, { binary: true, multi: true }), ['MR', 'MR'])
+        assert.deepEqual(await cycleCommands({ binary: true, multi: true }, { binary: true }), ['MB', 'MB'])
+    })
+})
@@ -0,0 +1,270 @@
+/**
+ * @file PortMonitor.ts
+ * @description Shared memory monitoring for one device link (serial port or TCP connection).
+ * Every client watching the same link registers its regions here. The monitor reads the
+ * union of all requested regions once per interval and pushes each client only the
+ * regions it subscribed to. Regions are reference counted across clients, a region
+ * contained in a larger requested region is served from that read.
+ */
+
+import { createMemorySubscription, createMultiReadSubscription, parseMemoryReply, parseMultiReadReply, batchRegions, replyLength, replyWireBytes, type MemorySubscription } from './plc-protocol.ts'
+
+export interface MonitorRegion {
+    address: number
+    size: number
+}
+
+export interface MonitorResult {
+    address: number
+    size: number
+    data: number[]
+}
+
+export interface MonitorPayload {
+    results: MonitorResult[]
+    cycleMs: number
+    wireBytes: number
+}
+
+/** Byte level access to the device link, bound to one port or connection */
+export interface MonitorLink {
+    isOpen(): boolean
+    write(data: string): Promise<void>
+    available(): number
+    read(): number[]
+}
+
+/** Lock shared with the direct command handlers of the link */
+export interface MonitorMutex {
+    acquire(): Promise<void>
+    release(): void
+}
+
+interface MonitorClient {
+    regions: MonitorRegion[]
+    intervalMs: number
+    binary: boolean
+    multi: boolean
+    emit: (payload: MonitorPayload) => void
+}
+
+/**
+ * Send a command over a link and wait for a complete reply, either an ASCII line or a binary frame.
+ * The caller must hold the link mutex. Returns the bytes received so far on timeout or cancellation.
+ */
+export async function linkCommand(link: MonitorLink, command: string, timeoutMs: number, isCancelled = () => false): Promise<number[]> {
+    // Clear read buffer before sending command
+    link.read()
+    await link.write(command)
+
+    const response: number[] = []
+    const startTime = Date.now()
+    while (Date.now() - startTime < timeoutMs && !isCancelled()) {
+        await new Promise(r => setTimeout(r, 10))
+        if (!link.isOpen()) break
+        if (link.available() > 0) {
+            response.push(...link.read())
+            const length = replyLength(response)
+            if (length) return response.slice(0, length)
+        }
+    }
+    return response
+}
+
+const regionKey = (r: MonitorRegion) => `${r.address}:${r.size}`
+
+const contains = (outer: MonitorRegion, inner: MonitorRegion) =>
+    inner.address >= outer.address && inner.address + inner.size <= outer.address + outer.size
+
+export default class PortMonitor {
+    private clients = new Map<string, MonitorClient>()
+    private refCounts = new Map<string, number>() // key: "address:size" -> number of clients requesting it
+    private reads: MonitorRegion[] = []
+    private subscriptions: MemorySubscription[] = []
+    private timer: NodeJS.Timeout | null = null
+    private intervalMs = 0
+    private processing = false
+    private running = false
+    private link: MonitorLink
+    private mutex: MonitorMutex
+    private readTimeoutMs: number
+    readonly name: string
+
+    constructor(name: string, link: MonitorLink, mutex: MonitorMutex, readTimeoutMs = 500) {
+        this.name = name
+        this.link = link
+        this.mutex = mutex
+        this.readTimeoutMs = readTimeoutMs
+    }
+
+    /** Number of clients subscribed to this link */
+    get clientCount(): number {
+        return this.clients.size
+    }
+
+    /** Number of distinct regions read per cycle */
+    get readCount(): number {
+        return this.reads.length
+    }
+
+    has(clientId: string): boolean {
+        return this.clients.has(clientId)
+    }
+
+    /**
+     * Add a client or replace its regions.
+     * `binary` and `multi` are what the client knows of the device, reads only use a framing
+     * every client reports, so one client with stale device info cannot break the others.
+     */
+    subscribe(clientId: string, regions: MonitorRegion[], options: {
+        intervalMs?: number
+        binary?: boolean
+        multi?: boolean
+        emit: (payload: MonitorPayload) => void
+    }): void {
+        this.release(clientId)
+        const unique = new Map(regions.map(r => [regionKey(r), { address: r.address, size: r.size }]))
+        for (const key of unique.keys()) this.refCounts.set(key, (this.refCounts.get(key) || 0) + 1)
+        this.clients.set(clientId, {
+            regions: [...unique.values()],
+            intervalMs: options.intervalMs || 100,
+            binary: !!options.binary,
+            multi: !!options.multi,
+            emit: options.emit,
+        })
+        this.rebuild()
+    }
+
+    /** Remove a client, the monitor stops when the last client leaves */
+    unsubscribe(clientId: string): void {
+        if (!this.release(clientId)) return
+        this.rebuild()
+    }
+
+    /** Stop reading and drop every client */
+    stop(): void {
+        this.running = false
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+        this.intervalMs = 0
+        this.clients.clear()
+        this.refCounts.clear()
+        this.reads = []
+        this.subscriptions = []
+    }
+
+    private release(clientId: string): boolean {
+        const client = this.clients.get(clientId)
+        if (!client) return false
+        for (const region of client.regions) {
+            const key = regionKey(region)
+            const count = (this.refCounts.get(key) || 0) - 1
+            if (count > 0) this.refCounts.set(key, count)
+            else this.refCounts.delete(key)
+        }
+        this.clients.delete(clientId)
+        return true
+    }
+
+    /** Recompute the regions to read and restart the loop at the fastest requested interval */
+    private rebuild(): void {
+        if (!this.clients.size) {
+            this.stop()
+            return
+        }
+
+        // Largest regions first so contained regions are served from them
+        const requested = [...this.refCounts.keys()]
+            .map(key => {
+                const [address, size] = key.split(':').map(Number)
+                return { address, size }
+            })
+            .sort((a, b) => b.size - a.size || a.address - b.address)
+        const reads: MonitorRegion[] = []
+        for (const region of requested) {
+            if (!reads.some(r => contains(r, region))) reads.push(region)
+        }
+        reads.sort((a, b) => a.address - b.address)
+        this.reads = reads
+
+        const clients = [...this.clients.values()]
+        const binary = clients.every(c => c.binary)
+        const multi = clients.every(c => c.multi)
+        this.subscriptions = multi
+            ? batchRegions(reads).map(group => createMultiReadSubscription(group))
+            : reads.map(r => createMemorySubscription(r.address, r.size, binary))
+
+        const intervalMs = Math.min(...clients.map(c => c.intervalMs))
+        if (this.timer && intervalMs === this.intervalMs) return
+        if (this.timer) clearInterval(this.timer)
+        this.intervalMs = intervalMs
+        this.running = true
+        this.timer = setInterval(() => this.cycle(), intervalMs)
+        this.cycle()
+    }
+
+    private async cycle(): Promise<void> {
+        if (!this.running || this.processing) return
+        if (!this.link.isOpen()) return
+
+        this.processing = true
+        const cycleStart = performance.now()
+        const data = new Map<string, number[]>() // key: "address:size" of each read
+        let wireBytes = 0
+
+        for (const sub of this.subscriptions) {
+            if (!this.running) break
+
+            // Acquire mutex to prevent race with direct frontend commands
+            await this.mutex.acquire()
+
+            // Check again after acquiring - might have been force released during wait
+            if (!this.running || !this.link.isOpen()) {
+                this.mutex.release()
+                break
+            }
+
+            try {
+                const response = await linkCommand(this.link, sub.command + '\n', this.readTimeoutMs, () => !this.running)
+                wireBytes += replyWireBytes(response)
+                if (sub.regions) {
+                    for (const part of parseMultiReadReply(response, sub.regions) || []) {
+                        data.set(regionKey(part), Array.from(part.data))
+                    }
+                } else {
+                    const parsed = parseMemoryReply(response)
+                    if (parsed) data.set(regionKey(sub), Array.from(parsed))
+                }
+            } catch (err) {
+                // Skip failed reads, continue with next subscription
+            } finally {
+                this.mutex.release()
+            }
+        }
+
+        if (this.running && data.size) {
+            const cycleMs = performance.now() - cycleStart
+            for (const client of this.clients.values()) {
+                const results = this.collect(client.regions, data)
+                if (results.length) client.emit({ results, cycleMs, wireBytes })
+            }
+        }
+
+        this.processing = false
+    }
+
+    /** Slice the client's regions out of the regions read this cycle */
+    private collect(regions: MonitorRegion[], data: Map<string, number[]>): MonitorResult[] {
+        const results: MonitorResult[] = []
+        for (const region of regions) {
+            const read = this.reads.find(r => contains(r, region))
+            const bytes = read && data.get(regionKey(read))
+            if (!bytes) continue
+            const offset = region.address - read.address
+            results.push({ address: region.address, size: region.size, data: bytes.slice(offset, offset + region.size) })
+        }
+        return results
+    }
+}
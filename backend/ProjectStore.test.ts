@@ -0,0 +1,81 @@
+// Tests of the shared project workspace (ProjectStore.ts)
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import ProjectStore, { projectName } from './ProjectStore.ts'
+
+const project = (body: string) => `VOVKPLCPROJECT Demo\n${body}\n`
+
+/** Assert that a promise rejects with an HTTP status */
+const rejectsWith = (promise: Promise<unknown>, status: number, message: RegExp) =>
+    assert.rejects(promise, (err: any) => err.status === status && message.test(err.message))
+
+describe('projectName', () => {
+    it('accepts plain names and drops the extension', () => {
+        assert.equal(projectName('Line 1'), 'Line 1')
+        assert.equal(projectName('  Mixer.VOVKPLC '), 'Mixer')
+    })
+
+    it('rejects names that leave the workspace or are not valid file names', () => {
+        for (const name of ['', '   ', '.vovkplc', '.hidden', '../escape', 'a/b', 'a\\b', 'C:', 'what?', 'tab\tname', 'x'.repeat(101), null, undefined]) {
+            assert.throws(() => projectName(name), (err: any) => err.status === 400 && /Invalid project name/.test(err.message), String(name))
+        }
+        assert.equal(projectName('x'.repeat(100)).length, 100)
+    })
+})
+
+describe('ProjectStore.save', () => {
+    let dir: string
+    let store: ProjectStore
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-test-'))
+        store = new ProjectStore(dir)
+    })
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+    it('stores a revision for every change', async () => {
+        const first = await store.save('Demo', project('a'), 'alice', null)
+        assert.deepEqual([first.revision, first.unchanged], [1, false])
+        const second = await store.save('Demo', project('b'), 'bob', 1)
+        assert.equal(second.revision, 2)
+        const same = await store.save('Demo', project('b'), 'bob', 2)
+        assert.deepEqual([same.revision, same.unchanged], [2, true])
+        assert.deepEqual((await store.revisions('Demo')).map(r => [r.id, r.user]), [[2, 'bob'], [1, 'alice']])
+        assert.equal((await store.open('Demo')).text, project('b'))
+    })
+
+    it('rejects saves based on an older revision', async () => {
+        await store.save('Demo', project('a'), 'alice', null)
+        await store.save('Demo', project('b'), 'bob', 1)
+        await rejectsWith(store.save('Demo', project('c'), 'alice', 1), 409, /saved by bob at .* after revision 1/)
+        assert.equal((await store.open('Demo')).text, project('b'))
+        // Without a base revision the save overwrites
+        assert.equal((await store.save('Demo', project('c'), 'alice')).revision, 3)
+    })
+
+    it('rejects creating a project that exists', async () => {
+        await store.save('Demo', project('a'), 'alice', null)
+        await rejectsWith(store.save('Demo.vovkplc', project('b'), 'bob', null), 409, /already exists/)
+    })
+
+    it('lets only one of two concurrent saves of the same revision through', async () => {
+        await store.save('Demo', project('a'), 'alice', null)
+        const results = await Promise.allSettled([
+            store.save('Demo', project('b'), 'alice', 1),
+            store.save('Demo', project('c'), 'bob', 1),
+        ])
+        assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected'])
+        assert.equal((results[1] as PromiseRejectedResult).reason.status, 409)
+    })
+
+    it('rejects text without the project header and invalid names', async () => {
+        await rejectsWith(store.save('Demo', 'hello', null), 400, /VOVKPLCPROJECT header/)
+        await rejectsWith(store.save('../Demo', project('a'), null), 400, /Invalid project name/)
+        assert.deepEqual(fs.readdirSync(dir), [])
+    })
+})
@@ -0,0 +1,259 @@
+/**
+ * @file ProjectStore.ts
+ * @description VOVKPLCPROJECT files in a shared workspace directory on the server.
+ * Every save that changes a project also stores a revision snapshot, so older versions can be
+ * listed, compared and restored. Saves may name the revision they are based on: if someone else
+ * saved in the meantime the save is rejected with a 409 instead of overwriting their work.
+ *
+ * Storage layout (under the workspace directory):
+ *   <name>.vovkplc                   - Current project files
+ *   .revisions/<name>/index.json     - Revision list, oldest first
+ *   .revisions/<name>/<id>.vovkplc   - Snapshot of each revision
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+
+export interface ProjectEntry {
+    name: string // File name without extension
+    projectName: string // Name in the VOVKPLCPROJECT header
+    size: number
+    modifiedAt: number
+    revision: number | null // Latest revision
+    revisions: number
+}
+
+export interface ProjectRevision {
+    id: number
+    savedAt: number
+    size: number
+    user: string | null
+    note?: string
+}
+
+export interface SaveResult {
+    name: string
+    revision: number
+    savedAt: number
+    unchanged: boolean // The text matched the latest revision, no snapshot was stored
+}
+
+const EXTENSION = '.vovkplc'
+const REVISIONS_DIR = '.revisions'
+const HEADER = 'VOVKPLCPROJECT'
+const MAX_NAME_LENGTH = 100
+
+/** Error with the HTTP status to answer with */
+const projectError = (status: number, message: string) => Object.assign(new Error(message), { status })
+
+/** Validate a project file name, a trailing `.vovkplc` is ignored */
+export function projectName(input: unknown): string {
+    let name = String(input ?? '').trim()
+    if (name.toLowerCase().endsWith(EXTENSION)) name = name.slice(0, -EXTENSION.length).trim()
+    if (!name || name.length > MAX_NAME_LENGTH || name.startsWith('.') || /[\\/:*?"<>|\x00-\x1f]/.test(name)) {
+        throw projectError(400, `Invalid project name '${name}'`)
+    }
+    return name
+}
+
+/** Name from the VOVKPLCPROJECT header line */
+const headerName = (text: string) => text.trimStart().split(/\r?\n/, 1)[0].slice(HEADER.length).trim()
+
+export default class ProjectStore {
+    private dir: string
+    private maxRevisions: number
+    private locks = new Map<string, Promise<unknown>>()
+
+    constructor(dir: string, maxRevisions = 200) {
+        this.dir = dir
+        this.maxRevisions = maxRevisions
+    }
+
+    async start(): Promise<void> {
+        await fs.promises.mkdir(this.dir, { recursive: true })
+        console.log(`[Projects] Workspace ${path.resolve(this.dir)}`)
+    }
+
+    async list(): Promise<ProjectEntry[]> {
+        const files = (await fs.promises.readdir(this.dir)).filter(file => file.toLowerCase().endsWith(EXTENSION))
+        const entries: ProjectEntry[] = []
+        for (const file of files) {
+            const name = file.slice(0, -EXTENSION.length)
+            try {
+                const [stat, text, revisions] = await Promise.all([
+                    fs.promises.stat(this.file(name)),
+                    fs.promises.readFile(this.file(name), 'utf-8'),
+                    this.readIndex(name),
+                ])
+                entries.push({
+                    name,
+                    projectName: headerName(text),
+                    size: stat.size,
+                    modifiedAt: stat.mtimeMs,
+                    revision: revisions.at(-1)?.id ?? null,
+                    revisions: revisions.length,
+                })
+            } catch {
+                // Removed while listing
+            }
+        }
+        return entries.sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    async open(input: string): Promise<{ name: string, text: string, revision: number | null, modifiedAt: number }> {
+        const name = projectName(input)
+        const [text, stat] = await Promise.all([this.read(name), fs.promises.stat(this.file(name))])
+        const revisions = await this.readIndex(name)
+        return { name, text, revision: revisions.at(-1)?.id ?? null, modifiedAt: stat.mtimeMs }
+    }
+
+    /**
+     * Save a project and snapshot it as a new revision
+     * @param baseRevision The revision the text was based on, `null` to only create a new project.
+     *                     Omit it to overwrite whatever was saved last.
+     */
+    async save(input: string, text: unknown, user: string | null, baseRevision?: number | null, note?: string): Promise<SaveResult> {
+        const name = projectName(input)
+        if (typeof text !== 'string' || !text.trimStart().startsWith(HEADER)) {
+            throw projectError(400, `Project text must start with the ${HEADER} header`)
+        }
+        return this.exclusive(name, async () => {
+            const revisions = await this.readIndex(name)
+            const latest = revisions.at(-1) || null
+            const exists = fs.existsSync(this.file(name))
+            if (baseRevision === null && exists) throw projectError(409, `A project named '${name}' already exists`)
+            if (baseRevision !== undefined && baseRevision !== null && latest && latest.id !== baseRevision) {
+                const by = latest.user ? ` by ${latest.user}` : ''
+                throw projectError(409, `'${name}' was saved${by} at ${new Date(latest.savedAt).toISOString()} after revision ${baseRevision}`)
+            }
+
+            const savedAt = Date.now()
+            if (latest && exists && (await this.read(name)) === text) {
+                return { name, revision: latest.id, savedAt: latest.savedAt, unchanged: true }
+            }
+
+            const revision: ProjectRevision = { id: (latest?.id ?? 0) + 1, savedAt, size: Buffer.byteLength(text), user }
+            if (note) revision.note = String(note).slice(0, 200)
+            await fs.promises.mkdir(this.revisionDir(name), { recursive: true })
+            await fs.promises.writeFile(this.revisionFile(name, revision.id), text)
+            await this.writeAtomic(this.file(name), text)
+            revisions.push(revision)
+
+            // Drop the oldest snapshots beyond the limit
+            const removed = revisions.splice(0, Math.max(0, revisions.length - this.maxRevisions))
+            for (const old of removed) await fs.promises.rm(this.revisionFile(name, old.id), { force: true })
+            await this.writeAtomic(this.indexFile(name), JSON.stringify(revisions, null, 2))
+            return { name, revision: revision.id, savedAt, unchanged: false }
+        })
+    }
+
+    /** Rename a project together with its revisions */
+    async rename(input: string, newInput: string): Promise<string> {
+        const name = projectName(input)
+        const newName = projectName(newInput)
+        if (newName === name) return name
+        // Case-only renames are the same file on case-insensitive file systems
+        const caseOnly = newName.toLowerCase() === name.toLowerCase()
+        const task = async () => {
+            if (!fs.existsSync(this.file(name))) throw projectError(404, `Unknown project '${name}'`)
+            if (!caseOnly) {
+                if (fs.existsSync(this.file(newName))) throw projectError(409, `A project named '${newName}' already exists`)
+                // Leftover revisions of a deleted project with the new name
+                await fs.promises.rm(this.revisionDir(newName), { recursive: true, force: true })
+            }
+            await fs.promises.rename(this.file(name), this.file(newName))
+            if (fs.existsSync(this.revisionDir(name))) await fs.promises.rename(this.revisionDir(name), this.revisionDir(newName))
+            return newName
+        }
+        if (caseOnly) return this.exclusive(name, task)
+        // Lock both names in a fixed order, so opposite renames cannot wait on each other
+        const [first, second] = [name, newName].sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+        return this.exclusive(first, () => this.exclusive(second, task))
+    }
+
+    /** Delete a project and its revisions */
+    async delete(input: string): Promise<void> {
+        const name = projectName(input)
+        await this.exclusive(name, async () => {
+            if (!fs.existsSync(this.file(name))) throw projectError(404, `Unknown project '${name}'`)
+            await fs.promises.rm(this.file(name))
+            await fs.promises.rm(this.revisionDir(name), { recursive: true, force: true })
+        })
+    }
+
+    /** Revisions of a project, newest first */
+    async revisions(input: string): Promise<ProjectRevision[]> {
+        const name = projectName(input)
+        if (!fs.existsSync(this.file(name))) throw projectError(404, `Unknown project '${name}'`)
+        return (await this.readIndex(name)).reverse()
+    }
+
+    async revision(input: string, id: number): Promise<{ revision: ProjectRevision, text: string }> {
+        const name = projectName(input)
+        const revision = (await this.readIndex(name)).find(r => r.id === id)
+        if (!revision) throw projectError(404, `Unknown revision ${id} of '${name}'`)
+        return { revision, text: await fs.promises.readFile(this.revisionFile(name, id), 'utf-8') }
+    }
+
+    /** Make an older revision current again, as a new revision */
+    async restore(input: string, id: number, user: string | null): Promise<SaveResult> {
+        const { text } = await this.revision(input, id)
+        return this.save(input, text, user, undefined, `Restored revision ${id}`)
+    }
+
+    private file(name: string): string {
+        return path.join(this.dir, name + EXTENSION)
+    }
+
+    private revisionDir(name: string): string {
+        return path.join(this.dir, REVISIONS_DIR, name)
+    }
+
+    private revisionFile(name: string, id: number): string {
+        return path.join(this.revisionDir(name), `${id}${EXTENSION}`)
+    }
+
+    private indexFile(name: string): string {
+        return path.join(this.revisionDir(name), 'index.json')
+    }
+
+    private async read(name: string): Promise<string> {
+        try {
+            return await fs.promises.readFile(this.file(name), 'utf-8')
+        } catch (err: any) {
+            if (err.code === 'ENOENT') throw projectError(404, `Unknown project '${name}'`)
+            throw err
+        }
+    }
+
+    private async readIndex(name: string): Promise<ProjectRevision[]> {
+        try {
+            const revisions = JSON.parse(await fs.promises.readFile(this.indexFile(name), 'utf-8'))
+            return Array.isArray(revisions) ? revisions : []
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') console.warn(`[Projects] Failed to read revisions of '${name}': ${err.message}`)
+            return []
+        }
+    }
+
+    /** Write through a temporary file, so readers of the shared folder never see a partial file */
+    private async writeAtomic(file: string, data: string): Promise<void> {
+        const temp = `${file}.${process.pid}.tmp`
+        await fs.promises.writeFile(temp, data)
+        await fs.promises.rename(temp, file)
+    }
+
+    /** Run changes to one project one at a time */
+    private async exclusive<T>(name: string, task: () => Promise<T>): Promise<T> {
+        const key = name.toLowerCase()
+        const previous = this.locks.get(key) || Promise.resolve()
+        const run = previous.then(task, task)
+        const settled = run.catch(() => {})
+        this.locks.set(key, settled)
+        try {
+            return await run
+        } finally {
+            if (this.locks.get(key) === settled) this.locks.delete(key)
+        }
+    }
+}
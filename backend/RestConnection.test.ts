@@ -0,0 +1,85 @@
+// Tests of the REST driver (frontend/src/connection/drivers/RestConnection.js) against the
+// device stand-in (rest-device.ts)
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import { spawn, type ChildProcess } from 'node:child_process'
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import RestConnection from '../frontend/src/connection/drivers/RestConnection.js'
+
+// The stand-in runs the WASM build, which is gitignored, these checks run where it has been built
+const wasm = new URL('../frontend/src/wasm/VovkPLC.js', import.meta.url)
+
+/** Start the stand-in on a free port, resolves with its base URL */
+function startDevice(child: ChildProcess): Promise<string> {
+    return new Promise((resolve, reject) => {
+        let output = ''
+        const timer = setTimeout(() => reject(new Error(`REST device did not start:\n${output}`)), 10_000)
+        child.stdout!.on('data', (chunk) => {
+            output += chunk
+            const url = output.match(/listening on (http:\/\/\S+)/)?.[1]
+            if (url) {
+                clearTimeout(timer)
+                resolve(url)
+            }
+        })
+        child.stderr!.on('data', (chunk) => { output += chunk })
+        child.once('exit', (code) => {
+            clearTimeout(timer)
+            reject(new Error(`REST device exited with ${code}:\n${output}`))
+        })
+    })
+}
+
+describe('RestConnection', { skip: !fs.existsSync(wasm) && 'no WASM build' }, () => {
+    let child: ChildProcess
+    let rest: RestConnection
+
+    before(async () => {
+        child = spawn(process.execPath, ['--no-warnings', '--experimental-strip-types', 'rest-device.ts'], {
+            cwd: import.meta.dirname,
+            env: { ...process.env, REST_DEVICE_HOST: '127.0.0.1', REST_DEVICE_PORT: '0' },
+            stdio: ['ignore', 'pipe', 'pipe'],
+        })
+        rest = new RestConnection(await startDevice(child))
+        await rest.connect()
+        // Keep the downloaded test program from running
+        await rest.stop()
+    })
+
+    after(() => {
+        child?.kill()
+    })
+
+    it('reads the device info', async () => {
+        const info = await rest.getInfo()
+        assert.equal(info.arch, 'WASM')
+        assert.ok(info.memory > 0)
+        const [transport] = await rest.getTransportInfo()
+        assert.equal(transport.requiresAuth, false)
+        assert.equal(transport.port, +new URL(rest.baseUrl).port)
+    })
+
+    it('writes and reads memory', async () => {
+        const { marker_offset: address } = await rest.getInfo()
+        await rest.writeMemory(address, [1, 2, 3, 4])
+        assert.deepEqual(Array.from(await rest.readMemory(address, 4)), [1, 2, 3, 4])
+        await rest.writeMemoryAreaMasked(address, [0xff, 0x00], [0x0f, 0xff])
+        assert.deepEqual(Array.from(await rest.readMemory(address, 4)), [0x0f, 0x00, 3, 4])
+        await rest.formatMemory(address, 3, 0xaa)
+        assert.deepEqual(Array.from(await rest.readMemory(address, 4)), [0xaa, 0xaa, 0xaa, 4])
+    })
+
+    it('downloads a program and uploads it again', async () => {
+        await rest.downloadProgram('010AFF')
+        assert.match((await rest.uploadProgram()).toUpperCase(), /^010AFF/)
+        await rest.downloadProgram(Uint8Array.from([0x01, 0x0b, 0xff]))
+        assert.match((await rest.uploadProgram()).toUpperCase(), /^010BFF/)
+    })
+
+    it('reports device errors', async () => {
+        await assert.rejects(rest.downloadProgram(''), /Expected application\/octet-stream bytecode/)
+        await assert.rejects(rest._get('missing'), /Not found/)
+    })
+})
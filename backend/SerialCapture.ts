@@ -0,0 +1,175 @@
+/**
+ * @file SerialCapture.ts
+ * @description Records the raw traffic of serial ports to disk for protocol debugging.
+ * While a capture runs for a port, every chunk written to it (tx) and received from it (rx)
+ * is appended with a timestamp. The captures are decoded by the editor's capture viewer and
+ * can be replayed offline with the replay connection.
+ *
+ * Storage layout (under the capture directory):
+ *   <id>.jsonl  - First line `{ "port", "startedAt" }`, then one `{ "t", "dir", "data" }` record
+ *                 per chunk (t in ms since startedAt, dir 'tx' | 'rx', data as hex)
+ *
+ * Credentials of `AU` commands are masked before they are written to disk.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+
+export interface CaptureEntry {
+    id: string
+    port: string
+    startedAt: number
+    size: number
+    active: boolean
+}
+
+export interface CaptureRecord {
+    t: number
+    dir: 'tx' | 'rx'
+    data: string
+}
+
+interface ActiveCapture {
+    id: string
+    startedAt: number
+    stream: fs.WriteStream
+    size: number
+    truncated: boolean
+}
+
+const EXTENSION = '.jsonl'
+const MAX_CAPTURE_SIZE = 64 * 1024 * 1024 // Recording stops when a capture file grows past this
+
+/** Error with the HTTP status to answer with */
+const captureError = (status: number, message: string) => Object.assign(new Error(message), { status })
+
+const toHex = (data: number[]) => data.map(b => b.toString(16).padStart(2, '0')).join('')
+
+/** Replace the arguments of an `AU` command with '*', the command is always written in one chunk */
+const maskCredentials = (data: number[]): number[] => {
+    if (data[0] !== 0x41 || data[1] !== 0x55) return data
+    const end = data.indexOf(0x0A)
+    return data.map((b, i) => i >= 2 && (end < 0 || i < end) && b !== 0x0D ? 0x2A : b)
+}
+
+export default class SerialCapture {
+    private dir: string
+    private active: Map<string, ActiveCapture> = new Map() // port path -> running capture
+
+    constructor(dir: string) {
+        this.dir = dir
+    }
+
+    async start(): Promise<void> {
+        await fs.promises.mkdir(this.dir, { recursive: true })
+    }
+
+    /** Start recording a port, returns the capture id */
+    begin(port: string): string {
+        if (this.active.has(port)) throw captureError(409, `Port ${port} is already being captured`)
+        const startedAt = Date.now()
+        const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-')
+        const id = `${stamp}_${port.replace(/[^\w.-]+/g, '_').replace(/^_+/, '')}`
+        const header = JSON.stringify({ port, startedAt }) + '\n'
+        const stream = fs.createWriteStream(this.file(id), { flags: 'wx' })
+        stream.on('error', err => {
+            console.error(`[Capture] Failed to write ${id}:`, err.message)
+            this.active.delete(port)
+        })
+        stream.write(header)
+        this.active.set(port, { id, startedAt, stream, size: header.length, truncated: false })
+        console.log(`[Capture] Recording ${port} to ${id}${EXTENSION}`)
+        return id
+    }
+
+    /** Stop recording a port, returns the capture id */
+    async end(port: string): Promise<string> {
+        const capture = this.active.get(port)
+        if (!capture) throw captureError(404, `Port ${port} is not being captured`)
+        this.active.delete(port)
+        await new Promise<void>(resolve => capture.stream.end(() => resolve()))
+        console.log(`[Capture] Stopped recording ${port}`)
+        return capture.id
+    }
+
+    /** Traffic hook of the serial manager */
+    record(port: string, dir: 'tx' | 'rx', data: number[]): void {
+        const capture = this.active.get(port)
+        if (!capture || capture.truncated || !data.length) return
+        const record: CaptureRecord = { t: Date.now() - capture.startedAt, dir, data: toHex(dir === 'tx' ? maskCredentials(data) : data) }
+        const line = JSON.stringify(record) + '\n'
+        if (capture.size + line.length > MAX_CAPTURE_SIZE) {
+            capture.truncated = true
+            console.warn(`[Capture] ${capture.id} reached the size limit, recording stopped`)
+            return
+        }
+        capture.size += line.length
+        capture.stream.write(line)
+    }
+
+    /** Ports with a running capture */
+    activePorts(): string[] {
+        return [...this.active.keys()]
+    }
+
+    /** Stored captures, newest first */
+    async list(): Promise<CaptureEntry[]> {
+        const files = (await fs.promises.readdir(this.dir)).filter(f => f.endsWith(EXTENSION))
+        // Running captures come from memory, their file may not be flushed yet
+        const entries: CaptureEntry[] = [...this.active].map(([port, c]) => ({ id: c.id, port, startedAt: c.startedAt, size: c.size, active: true }))
+        for (const file of files) {
+            const id = file.slice(0, -EXTENSION.length)
+            if (entries.some(e => e.id === id)) continue
+            try {
+                const header = await this.header(id)
+                const stat = await fs.promises.stat(this.file(id))
+                entries.push({ id, port: header.port, startedAt: header.startedAt, size: stat.size, active: false })
+            } catch {
+                // Skip unreadable files
+            }
+        }
+        return entries.sort((a, b) => b.startedAt - a.startedAt)
+    }
+
+    /** Raw capture file contents */
+    async read(id: string): Promise<string> {
+        try {
+            return await fs.promises.readFile(this.file(id), 'utf-8')
+        } catch (err: any) {
+            if (err.code === 'ENOENT') throw captureError(404, `Unknown capture '${id}'`)
+            throw err
+        }
+    }
+
+    async delete(id: string): Promise<void> {
+        if ([...this.active.values()].some(c => c.id === id)) throw captureError(409, `Capture '${id}' is still recording`)
+        try {
+            await fs.promises.unlink(this.file(id))
+        } catch (err: any) {
+            if (err.code === 'ENOENT') throw captureError(404, `Unknown capture '${id}'`)
+            throw err
+        }
+    }
+
+    /** Finish all running captures (shutdown) */
+    async stop(): Promise<void> {
+        for (const port of this.activePorts()) await this.end(port)
+    }
+
+    private file(id: string): string {
+        if (!/^[\w.-]+$/.test(id) || id.startsWith('.')) throw captureError(400, `Invalid capture id '${id}'`)
+        return path.join(this.dir, id + EXTENSION)
+    }
+
+    private async header(id: string): Promise<{ port: string, startedAt: number }> {
+        const handle = await fs.promises.open(this.file(id), 'r')
+        try {
+            const buffer = Buffer.alloc(1024)
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0)
+            const line = buffer.subarray(0, bytesRead).toString('utf-8').split('\n', 1)[0]
+            return JSON.parse(line)
+        } finally {
+            await handle.close()
+        }
+    }
+}
@@ -39,6 +39,9 @@ export default class SerialManager {
     private ports: Map<string, ManagedPort> = new Map()
     private maxBufferSize = 32 * 1024
 
+    /** Called with every chunk written to (tx) or received from (rx) a port, used for traffic capture */
+    onTraffic: ((path: string, direction: 'tx' | 'rx', data: number[]) => void) | null = null
+
     /**
      * List all available serial ports
      */
@@ -94,6 +97,7 @@ export default class SerialManager {
                         managed.readBuffer.shift()
                     }
                 }
+                this.onTraffic?.(path, 'rx', Array.from(chunk))
                 callbacks?.onData?.(path, Array.from(chunk))
             }
 
@@ -159,6 +163,7 @@ export default class SerialManager {
         const buffer = typeof data === 'string'
             ? Buffer.from(data, 'utf-8')
             : Buffer.from(data)
+        this.onTraffic?.(path, 'tx', Array.from(buffer))
 
         return new Promise<void>((resolve, reject) => {
             managed.port.write(buffer, (err) => {
@@ -0,0 +1,104 @@
+// Tests of the named tag API (TagService.ts) against an in-memory device
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import TagService, { normalizeSource } from './TagService.ts'
+import { fakeDevice } from './test-helpers.ts'
+
+const SOURCE = {
+    target: { type: 'editor' },
+    offsets: { marker: { offset: 64, size: 64 }, output: { offset: 32, size: 16 } },
+    symbols: [
+        { name: 'motor', location: 'output', type: 'bit', address: 0.3 },
+        { name: 'speed', location: 'marker', type: 'int', address: 2 },
+        { name: 'setpoint', location: 'marker', type: 'real', address: 4 },
+        { name: 'label', location: 'marker', type: 'str8', address: 8 },
+    ],
+    compiledDatablocks: [
+        { db_number: 1, computedOffset: 160, totalSize: 6, fields: [{ name: 'count', typeName: 'u32', typeSize: 4, offset: 2 }] },
+    ],
+}
+
+describe('normalizeSource', () => {
+    it('fills in the defaults', () => {
+        const source = normalizeSource({ symbols: [{ name: 'flag' }] })
+        assert.equal(source.target, null)
+        assert.equal(source.littleEndian, true)
+        assert.deepEqual(source.offsets, {})
+        assert.deepEqual(source.symbols, [{ name: 'flag', location: 'marker', type: 'byte', address: 0 }])
+        assert.deepEqual(source.compiledDatablocks, [])
+    })
+
+    it('coerces data block layouts to numbers', () => {
+        const source = normalizeSource({ compiledDatablocks: [{ db_number: '2', computedOffset: '40', fields: [{ name: 'x', typeSize: '2', offset: '4' }] }] })
+        assert.deepEqual(source.compiledDatablocks, [
+            { db_number: 2, computedOffset: 40, totalSize: 0, fields: [{ name: 'x', typeName: 'byte', typeSize: 2, offset: 4 }] },
+        ])
+    })
+
+    it('rejects invalid sources', () => {
+        assert.throws(() => normalizeSource(null), (err: any) => err.status === 400)
+        assert.throws(() => normalizeSource({ symbols: [{ location: 'marker' }] }), /needs a name/)
+        assert.throws(() => normalizeSource({ target: { type: 'usb' } }), /Target type/)
+    })
+})
+
+describe('TagService', () => {
+    let dir: string
+    let device: ReturnType<typeof fakeDevice>
+    let tags: TagService
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tags-test-'))
+        device = fakeDevice()
+        tags = new TagService(path.join(dir, 'tags.json'), async () => device)
+        await tags.configure(SOURCE)
+    })
+    afterEach(() => {
+        tags.stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('writes bits with a single bit mask', async () => {
+        device.memory[32] = 0b1000_0001
+        assert.equal(await tags.write('motor', true), true)
+        assert.deepEqual(device.writes, [{ address: 32, data: [0b1000], mask: [0b1000] }])
+        assert.equal(device.memory[32], 0b1000_1001)
+        assert.equal(await tags.write('Y0.3', 0), false)
+        assert.equal(device.memory[32], 0b1000_0001)
+    })
+
+    it('writes typed values in the device byte order', async () => {
+        assert.equal(await tags.write('speed', '-2'), -2)
+        assert.deepEqual(device.writes[0], { address: 66, data: [0xfe, 0xff], mask: [0xff, 0xff] })
+        await tags.write('DB1.count', 0x01020304)
+        assert.deepEqual(Array.from(device.memory.subarray(162, 166)), [4, 3, 2, 1])
+        await tags.write('setpoint', 0.1)
+        assert.deepEqual(await tags.read([tags.resolve('setpoint'), tags.resolve('speed'), tags.resolve('motor')]), { setpoint: 0.1, speed: -2, motor: false })
+    })
+
+    it('rejects unknown tags, strings and invalid values', async () => {
+        await assert.rejects(tags.write('missing', 1), (err: any) => err.status === 404)
+        await assert.rejects(tags.write('label', 1), (err: any) => err.status === 400 && /String tag/.test(err.message))
+        await assert.rejects(tags.write('speed', 'fast'), /Invalid value for 'speed'/)
+        await assert.rejects(tags.write('speed', ''), /Invalid value/)
+        await assert.rejects(tags.write('speed', Infinity), /Invalid value/)
+        assert.deepEqual(device.writes, [])
+    })
+
+    it('needs a published target', async () => {
+        await tags.configure({ ...SOURCE, target: null })
+        await assert.rejects(tags.write('speed', 1), (err: any) => err.status === 503)
+    })
+
+    it('keeps the source across restarts', async () => {
+        const restarted = new TagService(path.join(dir, 'tags.json'), async () => device)
+        await restarted.start()
+        assert.deepEqual(restarted.resolve('DB1.count'), { name: 'DB1.count', address: 162, size: 4, type: 'u32', bit: null })
+        assert.equal(restarted.info().tags, tags.info().tags)
+    })
+})
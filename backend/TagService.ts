@@ -0,0 +1,261 @@
+/**
+ * @file TagService.ts
+ * @description Named tag access for external HMIs.
+ * The editor publishes the tag source of its project (symbols, memory offsets and compiled data
+ * block layout) and a target device. Tag names are resolved with the editor's own resolver
+ * (frontend/src/utils/tags.js), so symbol names, `DB<n>.<field>` references and addresses like
+ * `M10.2` mean the same as in the editor. Values are typed: numbers, and booleans for bits.
+ *
+ * Subscribers share one poll loop and only receive the values that changed.
+ * The tag source is stored in a JSON file and survives restarts.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { resolveTag, listTagNames } from '../frontend/src/utils/tags.js'
+import { parseTarget, readRegions, decodeValue, encodeValue, type DeviceAccess, type DeviceResolver, type DeviceTarget, type MemoryTag } from './device-access.ts'
+
+export interface TagSource {
+    target: DeviceTarget | null
+    littleEndian: boolean
+    offsets: Record<string, { offset: number, size: number }>
+    symbols: { name: string, location: string, type: string, address: number | string }[]
+    compiledDatablocks: { db_number: number, computedOffset: number, totalSize: number, fields: { name: string, typeName: string, typeSize: number, offset: number }[] }[]
+    updatedAt: number | null
+}
+
+export interface TagInfo extends MemoryTag {
+    name: string
+    value?: number | boolean
+}
+
+export type TagValue = number | boolean
+
+type TagListener = (values: Record<string, TagValue>) => void
+
+interface Subscriber {
+    tags: Map<string, TagInfo>
+    sent: Map<string, TagValue> // Last value sent per tag
+    listener: TagListener
+}
+
+const STRING_TYPES = ['str8', 'str16', 'cstr8', 'cstr16']
+const FLOAT_TYPES = ['real', 'f32', 'float']
+
+/** Error with the HTTP status to answer with */
+const tagError = (status: number, message: string) => Object.assign(new Error(message), { status })
+
+/** Validate a tag source received over the API */
+export function normalizeSource(input: any): TagSource {
+    if (!input || typeof input !== 'object') throw tagError(400, 'Invalid tag source')
+    const symbols = Array.isArray(input.symbols) ? input.symbols : []
+    const datablocks = Array.isArray(input.compiledDatablocks) ? input.compiledDatablocks : []
+    for (const s of symbols) {
+        if (!s?.name || typeof s.name !== 'string') throw tagError(400, 'Every symbol needs a name')
+    }
+    return {
+        target: parseTarget(input.target),
+        littleEndian: input.littleEndian !== false,
+        offsets: input.offsets && typeof input.offsets === 'object' ? input.offsets : {},
+        symbols: symbols.map((s: any) => ({ name: s.name, location: String(s.location || 'marker'), type: String(s.type || 'byte'), address: s.address ?? 0 })),
+        compiledDatablocks: datablocks.map((db: any) => ({
+            db_number: Number(db.db_number),
+            computedOffset: Number(db.computedOffset) || 0,
+            totalSize: Number(db.totalSize) || 0,
+            fields: (Array.isArray(db.fields) ? db.fields : []).map((f: any) => ({ name: String(f.name), typeName: String(f.typeName || 'byte'), typeSize: Number(f.typeSize) || 1, offset: Number(f.offset) || 0 })),
+        })),
+        updatedAt: Date.now(),
+    }
+}
+
+/** Convert a written JSON value to a number, bits accept booleans */
+function parseValue(name: string, value: any): number {
+    if (typeof value === 'boolean') return value ? 1 : 0
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value)
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw tagError(400, `Invalid value for '${name}'`)
+    return value
+}
+
+export default class TagService {
+    private configFile: string
+    private resolveDevice: DeviceResolver
+    private pollMs: number
+    private source: TagSource = normalizeSource({})
+    private subscribers = new Map<string, Subscriber>()
+    private timer: NodeJS.Timeout | null = null
+    private processing = false
+    private lastError: string | null = null
+
+    constructor(configFile: string, resolveDevice: DeviceResolver, pollMs = 250) {
+        this.configFile = configFile
+        this.resolveDevice = resolveDevice
+        this.pollMs = pollMs
+    }
+
+    /** Load the saved tag source */
+    async start(): Promise<void> {
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.configFile, 'utf-8'))
+            this.source = { ...normalizeSource(saved), updatedAt: saved.updatedAt ?? null }
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') console.warn(`[Tags] Failed to load tag source: ${err.message}`)
+        }
+    }
+
+    stop(): void {
+        if (this.timer) clearInterval(this.timer)
+        this.timer = null
+        this.subscribers.clear()
+    }
+
+    info() {
+        return {
+            target: this.source.target,
+            tags: listTagNames(this.source).length,
+            updatedAt: this.source.updatedAt,
+            subscribers: this.subscribers.size,
+            lastError: this.lastError,
+        }
+    }
+
+    /** Replace the tag source and save it, existing subscriptions are resolved again */
+    async configure(input: any) {
+        this.source = normalizeSource(input)
+        await fs.promises.mkdir(path.dirname(this.configFile), { recursive: true })
+        await fs.promises.writeFile(this.configFile, JSON.stringify(this.source, null, 2))
+        for (const subscriber of this.subscribers.values()) {
+            for (const name of subscriber.tags.keys()) {
+                const tag = this.lookup(name)
+                if (tag) subscriber.tags.set(name, tag)
+                else subscriber.tags.delete(name)
+            }
+            subscriber.sent.clear()
+        }
+        return this.info()
+    }
+
+    /** Every symbol and data block field of the published project */
+    list(): TagInfo[] {
+        return listTagNames(this.source).map(name => this.lookup(name)).filter((tag): tag is TagInfo => !!tag)
+    }
+
+    /** Resolve a tag name or address, throws a 404 error when it is unknown */
+    resolve(name: string): TagInfo {
+        const tag = this.lookup(name)
+        if (!tag) throw tagError(404, `Unknown tag '${name}'`)
+        return tag
+    }
+
+    /** Read the typed values of tags, nearby tags share one memory read */
+    async read(tags: TagInfo[]): Promise<Record<string, TagValue>> {
+        for (const tag of tags) {
+            if (STRING_TYPES.includes(tag.type)) throw tagError(400, `String tag '${tag.name}' is not supported`)
+        }
+        const data = await readRegions(await this.device(), tags)
+        const values: Record<string, TagValue> = {}
+        tags.forEach((tag, i) => {
+            const value = this.decode(tag, data[i])
+            if (value !== null) values[tag.name] = value
+        })
+        return values
+    }
+
+    /** Write a typed value, bits only change their own bit */
+    async write(name: string, value: any): Promise<TagValue> {
+        const tag = this.resolve(name)
+        if (STRING_TYPES.includes(tag.type)) throw tagError(400, `String tag '${name}' is not supported`)
+        const number = parseValue(name, value)
+        const { data, mask } = encodeValue(tag, number, this.source.littleEndian)
+        await (await this.device()).writeMasked(tag.address, data, mask)
+        return this.isBit(tag) ? !!number : number
+    }
+
+    /**
+     * Add tags to a subscription, the listener receives changed values every poll period
+     * @returns The resolved tags
+     */
+    subscribe(id: string, names: string[], listener: TagListener): TagInfo[] {
+        const tags = names.map(name => this.resolve(name))
+        for (const tag of tags) {
+            if (STRING_TYPES.includes(tag.type)) throw tagError(400, `String tag '${tag.name}' is not supported`)
+        }
+        const subscriber = this.subscribers.get(id) || { tags: new Map(), sent: new Map(), listener }
+        subscriber.listener = listener
+        for (const tag of tags) subscriber.tags.set(tag.name, tag)
+        this.subscribers.set(id, subscriber)
+        if (!this.timer) this.timer = setInterval(() => this.poll(), this.pollMs)
+        return tags
+    }
+
+    /** Remove tags from a subscription, or the whole subscription when no names are given */
+    unsubscribe(id: string, names?: string[]): void {
+        const subscriber = this.subscribers.get(id)
+        if (!subscriber) return
+        if (names) {
+            for (const name of names) {
+                subscriber.tags.delete(name)
+                subscriber.sent.delete(name)
+            }
+        }
+        if (!names || !subscriber.tags.size) this.subscribers.delete(id)
+        if (!this.subscribers.size && this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    private lookup(name: string): TagInfo | null {
+        const resolved = resolveTag(this.source, name)
+        if (!resolved) return null
+        return { name, address: resolved.address, size: resolved.size, type: resolved.type, bit: resolved.bit }
+    }
+
+    private isBit(tag: MemoryTag): boolean {
+        return tag.bit !== null && tag.bit !== undefined
+    }
+
+    private decode(tag: TagInfo, data: number[]): TagValue | null {
+        const value = decodeValue(tag, data, this.source.littleEndian)
+        if (value === null) return null
+        if (this.isBit(tag) || tag.type === 'bit' || tag.type === 'bool') return !!value
+        // Float32 values are rounded to their precision, 0.1 reads as 0.1 rather than 0.10000000149
+        return FLOAT_TYPES.includes(tag.type) ? Number(value.toPrecision(7)) : value
+    }
+
+    private async device(): Promise<DeviceAccess> {
+        if (!this.source.target) throw tagError(503, 'No tag source has been published by the editor')
+        return this.resolveDevice(this.source.target)
+    }
+
+    private async poll(): Promise<void> {
+        if (this.processing) return
+        this.processing = true
+        try {
+            // Tags subscribed by several clients are read once
+            const tags = new Map<string, TagInfo>()
+            for (const subscriber of this.subscribers.values()) {
+                for (const [name, tag] of subscriber.tags) tags.set(name, tag)
+            }
+            if (!tags.size) return
+            const values = await this.read([...tags.values()])
+            this.lastError = null
+            for (const subscriber of this.subscribers.values()) {
+                const changed: Record<string, TagValue> = {}
+                let count = 0
+                for (const name of subscriber.tags.keys()) {
+                    if (!(name in values) || subscriber.sent.get(name) === values[name]) continue
+                    changed[name] = values[name]
+                    subscriber.sent.set(name, values[name])
+                    count++
+                }
+                if (count) subscriber.listener(changed)
+            }
+        } catch (err: any) {
+            // Device errors are retried on the next poll, subscribers keep their last values
+            if (err.message !== this.lastError) console.warn(`[Tags] Poll failed: ${err.message}`)
+            this.lastError = err.message
+        } finally {
+            this.processing = false
+        }
+    }
+}
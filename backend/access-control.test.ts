@@ -0,0 +1,97 @@
+// Tests of the roles and allowlists (access-control.ts)
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import AccessControl, { commandRole, hashPassword } from './access-control.ts'
+
+describe('commandRole', () => {
+    it('lets viewers send reads', () => {
+        assert.equal(commandRole('PI'), 'viewer')
+        assert.equal(commandRole('MR0000000000000004AB\nPH'), 'viewer')
+        assert.equal(commandRole([...'mb0001'].map(c => c.charCodeAt(0))), 'viewer')
+        assert.equal(commandRole(''), 'viewer')
+        assert.equal(commandRole(undefined), 'viewer')
+    })
+
+    it('needs an operator for memory writes and health resets', () => {
+        assert.equal(commandRole('MW0000000000000001FF'), 'operator')
+        assert.equal(commandRole('MT00000000000000010101'), 'operator')
+        assert.equal(commandRole('PI\r\nRH'), 'operator')
+    })
+
+    it('needs an engineer for anything else', () => {
+        for (const command of ['PD00000004DEADBEEF', 'PR', 'PS', 'RS', 'TC0000000000000000', 'XX']) {
+            assert.equal(commandRole(command), 'engineer', command)
+        }
+        // A write hidden after a read still counts
+        assert.equal(commandRole('MR00000000\nPR'), 'engineer')
+    })
+})
+
+describe('allowlists', () => {
+    let dir: string
+
+    /** AccessControl loaded from a user file with the given contents */
+    const load = (config: any) => {
+        const file = path.join(dir, `access-${Math.random().toString(36).slice(2)}.json`)
+        fs.writeFileSync(file, JSON.stringify(config))
+        const access = new AccessControl(file)
+        access.start()
+        return access
+    }
+
+    before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-test-')) })
+    after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+    it('allows everything without lists', () => {
+        const access = new AccessControl(null)
+        access.checkSerial('/dev/ttyS0')
+        access.checkNetwork('10.0.0.1', 502)
+        assert.deepEqual(access.identify({}), { name: 'anonymous', role: 'engineer' })
+    })
+
+    it('matches serial ports with globs, ignoring case', () => {
+        const access = load({ allow: { serial: ['/dev/ttyUSB*', 'COM3'] } })
+        access.checkSerial('/dev/ttyUSB0')
+        access.checkSerial('com3')
+        assert.throws(() => access.checkSerial('/dev/ttyACM0'), (err: any) => err.status === 403 && /not allowed/.test(err.message))
+        assert.throws(() => access.checkSerial('COM30'), /not allowed/)
+    })
+
+    it('matches network devices by host or host and port', () => {
+        const access = load({ allow: { network: ['192.168.1.*', 'plc.local:502'] } })
+        access.checkNetwork('192.168.1.20', 8080)
+        access.checkNetwork('plc.local', 502)
+        assert.throws(() => access.checkNetwork('plc.local', 503), /plc\.local:503/)
+        assert.throws(() => access.checkNetwork('192.168.10.1', 502), /not allowed/)
+        // Dots are literal, not regular expression wildcards
+        assert.throws(() => access.checkNetwork('192x168x1x20', 502), /not allowed/)
+    })
+
+    it('checks service targets against the matching list', () => {
+        const access = load({ allow: { serial: ['COM1'], network: ['10.0.0.*'] } })
+        access.checkTarget({ type: 'editor' })
+        access.checkTarget({ type: 'network', host: '10.0.0.5', port: 502 })
+        assert.throws(() => access.checkTarget({ type: 'serial', path: 'COM2' }), /not allowed/)
+    })
+
+    it('ranks roles', () => {
+        const access = load({ users: [{ name: 'hmi', token: 'secret', role: 'operator' }] })
+        const user = access.identify({ authorization: 'Bearer secret' })
+        assert.deepEqual(user, { name: 'hmi', role: 'operator' })
+        assert.equal(access.allows(user, 'viewer'), true)
+        assert.equal(access.allows(user, 'operator'), true)
+        assert.equal(access.allows(user, 'engineer'), false)
+        assert.equal(access.identify({ authorization: 'Bearer wrong' }), null)
+        assert.equal(access.allows(null, 'viewer'), false)
+    })
+
+    it('rejects plain text passwords', () => {
+        assert.throws(() => load({ users: [{ name: 'alice', password: 'hunter2', role: 'engineer' }] }), /must be a hash/)
+        load({ users: [{ name: 'alice', password: hashPassword('hunter2'), role: 'engineer' }] })
+    })
+})
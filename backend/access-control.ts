@@ -0,0 +1,316 @@
+/**
+ * @file access-control.ts
+ * @description Optional authentication and authorization for the HTTP API and Socket.IO namespaces.
+ * Enabled by pointing ACCESS_CONFIG at a JSON file:
+ *
+ *   {
+ *     "users": [
+ *       { "name": "alice", "password": "scrypt:<salt>:<hash>", "role": "engineer" },
+ *       { "name": "hmi", "token": "<random secret>", "role": "operator" }
+ *     ],
+ *     "allow": { "serial": ["/dev/ttyUSB*", "COM3"], "network": ["192.168.1.*", "plc.local:502"] }
+ *   }
+ *
+ * Roles: `viewer` reads and monitors device links that are already open, `operator` also opens and
+ * closes links and writes memory, `engineer` can do anything
+ * (downloads, run/stop, network scans, service configuration). Browsers sign in with
+ * POST /api/login and get a session cookie, other clients send `Authorization: Bearer <token>`
+ * (Socket.IO clients may pass `auth: { token }` instead). Password hashes are printed by
+ * `--hash-password <password>`.
+ *
+ * Without users every client is an engineer. The allowlists apply either way, an empty or
+ * missing list allows everything.
+ */
+
+import fs from 'node:fs'
+import crypto from 'node:crypto'
+import type { Request, Response, NextFunction } from 'express'
+import type { Namespace, Socket } from 'socket.io'
+
+export type Role = 'viewer' | 'operator' | 'engineer'
+
+export interface AccessUser {
+    name: string
+    role: Role
+}
+
+interface UserEntry extends AccessUser {
+    password?: string
+    token?: string
+}
+
+interface AccessConfig {
+    users: UserEntry[]
+    allow: { serial: string[], network: string[] }
+}
+
+const ROLES: Role[] = ['viewer', 'operator', 'engineer']
+const SESSION_COOKIE = 'vovkplc_session'
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000
+const LOGIN_FAILURE_DELAY_MS = 500
+
+/** Used when no users are configured */
+const ANONYMOUS: AccessUser = { name: 'anonymous', role: 'engineer' }
+
+/** Commands that only read from the device, see frontend/src/connection/protocol.js */
+const READ_COMMANDS = ['PI', 'PM', 'PH', 'SL', 'TI', 'DA', 'AU', 'MR', 'MB', 'MM']
+
+type EventRule = Role | ((args: any) => Role)
+
+/**
+ * Role needed for each Socket.IO event. Raw writes and atomic commands are classified by the
+ * command they carry. Events not listed need the engineer role.
+ */
+const EVENT_ROLES: Record<string, Record<string, EventRule>> = {
+    '/serial': {
+        'list': 'viewer', 'read': 'viewer', 'available': 'viewer',
+        'isOpen': 'viewer', 'openPorts': 'viewer', 'get-health': 'viewer',
+        'subscribe-monitor': 'viewer', 'unsubscribe-monitor': 'viewer',
+        // Opening a port that is already open reopens it, closing it ends the link of every client
+        'open': 'operator', 'close': 'operator',
+        'reset-health': 'operator',
+        'write': (options) => commandRole(options?.data),
+        'serial-command': (options) => commandRole(options?.command),
+    },
+    '/network': {
+        'read': 'viewer', 'available': 'viewer',
+        'isConnected': 'viewer', 'activeConnections': 'viewer', 'get-health': 'viewer',
+        'subscribe-monitor': 'viewer', 'unsubscribe-monitor': 'viewer',
+        'connect-device': 'operator', 'disconnect-device': 'operator',
+        'reset-health': 'operator',
+        'write': (options) => commandRole(options?.data),
+        'network-command': (options) => commandRole(options?.command),
+    },
+    '/gateway': {
+        'withdraw': 'viewer',
+    },
+    '/tags': {
+        'subscribe': 'viewer', 'unsubscribe': 'viewer', 'read': 'viewer',
+        'write': 'operator',
+    },
+}
+
+const forbidden = (message: string) => Object.assign(new Error(message), { status: 403 })
+
+/** Hash a password for the user file */
+export function hashPassword(password: string): string {
+    const salt = crypto.randomBytes(16)
+    const hash = crypto.scryptSync(password, salt, 32)
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`
+}
+
+function verifyPassword(password: string, stored: string): boolean {
+    const [scheme, salt, hash] = stored.split(':')
+    if (scheme !== 'scrypt' || !salt || !hash) return false
+    const expected = Buffer.from(hash, 'hex')
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length)
+    return crypto.timingSafeEqual(actual, expected)
+}
+
+/** Constant time comparison of secrets of any length */
+function sameSecret(a: string, b: string): boolean {
+    const digest = (s: string) => crypto.createHash('sha256').update(s).digest()
+    return crypto.timingSafeEqual(digest(a), digest(b))
+}
+
+/**
+ * Role needed to send raw protocol data to a device.
+ * Memory commands other than reads are memory writes, anything else not known to be a read
+ * (program download, run/stop, reset) needs an engineer.
+ */
+export function commandRole(data: string | number[] | undefined): Role {
+    const text = Array.isArray(data) ? String.fromCharCode(...data) : String(data ?? '')
+    let role: Role = 'viewer'
+    for (const line of text.split(/[\r\n]+/)) {
+        const code = line.trim().slice(0, 2).toUpperCase()
+        if (!code || READ_COMMANDS.includes(code)) continue
+        if (code[0] === 'M' || code === 'RH') role = 'operator'
+        else return 'engineer'
+    }
+    return role
+}
+
+function parseCookies(header: string | undefined): Record<string, string> {
+    const cookies: Record<string, string> = {}
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=')
+        if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim())
+    }
+    return cookies
+}
+
+/** Glob pattern (`*` matches anything) to a case-insensitive regular expression */
+function globPattern(pattern: string): RegExp {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+    return new RegExp(`^${escaped}$`, 'i')
+}
+
+function normalizeConfig(input: any): AccessConfig {
+    const users: UserEntry[] = (Array.isArray(input?.users) ? input.users : []).map((u: any) => {
+        if (!u?.name) throw new Error('Every user needs a name')
+        if (!ROLES.includes(u.role)) throw new Error(`User '${u.name}' needs a role: ${ROLES.join(', ')}`)
+        if (!u.password && !u.token) throw new Error(`User '${u.name}' needs a password or a token`)
+        if (u.password && !String(u.password).startsWith('scrypt:')) throw new Error(`Password of '${u.name}' must be a hash from --hash-password`)
+        return { name: String(u.name), role: u.role, password: u.password, token: u.token ? String(u.token) : undefined }
+    })
+    const list = (value: any) => (Array.isArray(value) ? value : []).map(String)
+    return { users, allow: { serial: list(input?.allow?.serial), network: list(input?.allow?.network) } }
+}
+
+export default class AccessControl {
+    private configFile: string | null
+    private config: AccessConfig = normalizeConfig({})
+    private sessions = new Map<string, { user: AccessUser, expires: number }>()
+
+    /** @param configFile - User file, null leaves access open */
+    constructor(configFile: string | null) {
+        this.configFile = configFile
+    }
+
+    /** Load the user file, a broken file stops the server rather than leaving it open */
+    start(): void {
+        if (!this.configFile) return
+        this.config = normalizeConfig(JSON.parse(fs.readFileSync(this.configFile, 'utf-8')))
+        const { users, allow } = this.config
+        console.log(`[Access] ${users.length} user(s), ${allow.serial.length} serial and ${allow.network.length} network allowlist entries`)
+    }
+
+    /** Whether clients have to authenticate */
+    get required(): boolean {
+        return this.config.users.length > 0
+    }
+
+    /** Check a user name and password, returns a session id */
+    async login(name: string, password: string): Promise<{ session: string, user: AccessUser } | null> {
+        const entry = this.config.users.find(u => u.name === name && u.password)
+        if (!entry || !verifyPassword(String(password ?? ''), entry.password!)) {
+            await new Promise(r => setTimeout(r, LOGIN_FAILURE_DELAY_MS))
+            return null
+        }
+        const session = crypto.randomBytes(24).toString('hex')
+        const user = { name: entry.name, role: entry.role }
+        this.sessions.set(session, { user, expires: Date.now() + SESSION_TTL_MS })
+        return { session, user }
+    }
+
+    logout(session: string | undefined): void {
+        if (session) this.sessions.delete(session)
+    }
+
+    /** Identify a client from its cookie or token, null when it is not signed in */
+    identify(headers: { cookie?: string, authorization?: string }, token?: string): AccessUser | null {
+        if (!this.required) return ANONYMOUS
+        const bearer = headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1] || token
+        if (bearer) {
+            const entry = this.config.users.find(u => u.token && sameSecret(u.token, bearer))
+            return entry ? { name: entry.name, role: entry.role } : null
+        }
+        const session = parseCookies(headers.cookie)[SESSION_COOKIE]
+        const entry = session ? this.sessions.get(session) : undefined
+        if (!entry) return null
+        if (entry.expires < Date.now()) {
+            this.sessions.delete(session)
+            return null
+        }
+        entry.expires = Date.now() + SESSION_TTL_MS
+        return entry.user
+    }
+
+    allows(user: AccessUser | null | undefined, role: Role): boolean {
+        return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+    }
+
+    /** Throws a 403 error if a serial port is not on the allowlist */
+    checkSerial(path: string): void {
+        const list = this.config.allow.serial
+        if (list.length && !list.some(p => globPattern(p).test(path))) throw forbidden(`Serial port '${path}' is not allowed`)
+    }
+
+    /** Throws a 403 error if a network device is not on the allowlist, entries are `host` or `host:port` */
+    checkNetwork(host: string, port: number): void {
+        const list = this.config.allow.network
+        if (list.length && !list.some(p => globPattern(p).test(p.includes(':') ? `${host}:${port}` : host))) {
+            throw forbidden(`Network device '${host}:${port}' is not allowed`)
+        }
+    }
+
+    /** Throws a 403 error if a service target is not on the allowlist */
+    checkTarget(target: { type: string, path?: string, host?: string, port?: number }): void {
+        if (target.type === 'serial') this.checkSerial(target.path!)
+        else if (target.type === 'network') this.checkNetwork(target.host!, target.port!)
+    }
+
+    // ─── HTTP ────────────────────────────────────────────────────────────────
+
+    /** Sets the session cookie of a successful login */
+    setSessionCookie(res: Response, session: string): void {
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${session}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`)
+    }
+
+    clearSessionCookie(req: Request, res: Response): void {
+        this.logout(parseCookies(req.headers.cookie)[SESSION_COOKIE])
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`)
+    }
+
+    /** Express middleware rejecting clients that are not signed in, the user is kept in `res.locals.user` */
+    authenticate = (req: Request, res: Response, next: NextFunction): void => {
+        const user = this.identify(req.headers)
+        if (!user) {
+            res.status(401).json({ ok: false, error: 'Authentication required' })
+            return
+        }
+        res.locals.user = user
+        next()
+    }
+
+    /** Express middleware requiring a role, use after `authenticate` */
+    requireRole = (role: Role) => (req: Request, res: Response, next: NextFunction): void => {
+        if (!this.allows(res.locals.user, role)) {
+            res.status(403).json({ ok: false, error: `Requires the ${role} role` })
+            return
+        }
+        next()
+    }
+
+    // ─── Socket.IO ───────────────────────────────────────────────────────────
+
+    /**
+     * Authenticate the clients of a namespace and check the role of every event they send.
+     * Rejected events are answered through their acknowledgement like any other failure.
+     */
+    protect(nsp: Namespace): void {
+        const rules = EVENT_ROLES[nsp.name] || {}
+        nsp.use((socket, next) => {
+            const user = this.identify(socket.handshake.headers, socket.handshake.auth?.token)
+            if (!user) {
+                next(new Error('Authentication required'))
+                return
+            }
+            socket.data.user = user
+            next()
+        })
+        nsp.on('connection', (socket: Socket) => {
+            socket.use((packet, next) => {
+                const [event, args] = packet
+                const rule = rules[event] ?? 'engineer'
+                const role = typeof rule === 'function' ? rule(args) : rule
+                const user: AccessUser = socket.data.user
+                let error = this.allows(user, role) ? null : `Requires the ${role} role`
+                if (!error) {
+                    try {
+                        if (nsp.name === '/serial' && event === 'open') this.checkSerial(String(args?.path))
+                        if (nsp.name === '/network' && event === 'connect-device') this.checkNetwork(String(args?.host), Number(args?.port))
+                    } catch (err: any) {
+                        error = err.message
+                    }
+                }
+                if (!error) {
+                    next()
+                    return
+                }
+                const callback = packet[packet.length - 1]
+                if (typeof callback === 'function') callback({ ok: false, error })
+            })
+        })
+    }
+}
@@ -0,0 +1,555 @@
+/**
+ * @file cli.ts
+ * @description Headless command-line tool for build servers and commissioning scripts.
+ * Compiles exported VOVKPLCPROJECT files with the WASM build of VovkPLCRuntime, through the same
+ * `compileProject` API the editor uses, and talks to a device over a serial port or TCP
+ * connection through the server's SerialManager / NetworkManager.
+ *
+ * Usage:
+ *   npm run cli -- <command> [arguments] [options]
+ *
+ * Commands:
+ *   compile <project>        Compile a project and report its size or the compile error
+ *   download <project>       Compile a project and download it to the device
+ *   info                     Print the device info
+ *   read <tag>...            Read tags: symbols, DB fields (DB1.speed) or addresses (M10, X0.1)
+ *   write <tag>=<value>...   Write tags, bits only change their own bit
+ *   modify <project> [table] Write the modify values of a watch table of the project (default: the first)
+ *   run | stop | reboot      Start or stop the program, or restart the device
+ *
+ * Options:
+ *   --serial <path>          Serial port of the device
+ *   --baud <rate>            Serial baud rate (default: 115200)
+ *   --tcp <host:port>        TCP address of the device
+ *   --project <file>         read/write: resolve symbols and DB fields from this project
+ *   --output <file>          compile: also write the bytecode as hex to this file
+ *   --run                    download: start the program after downloading
+ *   --json                   Print one JSON document, `{ ok: true, ... }` or `{ ok: false, error }`
+ *
+ * Exit codes: 0 on success, 1 when the command failed, 2 for invalid arguments.
+ * Firmware symbols of the device are only known once it is connected, so projects using them
+ * compile with `download` but not with `compile`.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+import { encode, decode, crc8, parseHex, isErrorReply, findInfoLine } from './plc-protocol.ts'
+import { linkCommand, type MonitorLink, type MonitorMutex } from './PortMonitor.ts'
+import { linkDevice, readRegions, decodeValue, encodeValue, type DeviceAccess, type MemoryTag } from './device-access.ts'
+import { resolveTag } from '../frontend/src/utils/tags.js'
+import { SYSTEM_SYMBOLS, toDeviceSymbols, toCompileText, parseMemoryLayout, parseSymbols } from '../frontend/src/utils/project-text.js'
+import { parseWatchTables, mergeMaskedWrites, WATCH_TYPE_SIZES } from '../frontend/src/utils/watch-tables.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const WASM_DIR = path.resolve(__dirname, '../frontend/src/wasm')
+
+const USAGE = `Usage: npm run cli -- <command> [arguments] [options]
+
+Commands:
+  compile <project>        Compile a project and report its size or the compile error
+  download <project>       Compile a project and download it to the device
+  info                     Print the device info
+  read <tag>...            Read tags: symbols, DB fields (DB1.speed) or addresses (M10, X0.1)
+  write <tag>=<value>...   Write tags
+  modify <project> [table] Write the modify values of a watch table (default: the first)
+  run | stop | reboot      Start or stop the program, or restart the device
+
+Options:
+  --serial <path>          Serial port of the device
+  --baud <rate>            Serial baud rate (default: 115200)
+  --tcp <host:port>        TCP address of the device
+  --project <file>         read/write: resolve symbols and DB fields from this project
+  --output <file>          compile: also write the bytecode as hex to this file
+  --run                    download: start the program after downloading
+  --json                   Print the result as JSON`
+
+const INFO_TIMEOUT_MS = 8000
+const DOWNLOAD_TIMEOUT_MS = 30000
+const SERIAL_CHUNK = 64
+const STRING_TYPES = ['str8', 'str16', 'cstr8', 'cstr16']
+const FLOAT_TYPES = ['real', 'f32', 'float']
+
+/** Error for invalid arguments, exits with code 2 */
+const usageError = (message: string) => Object.assign(new Error(message), { usage: true })
+
+const sleep = (ms: number) => new Promise(r => setTimeout(r, ms))
+
+let options: Record<string, string | boolean | undefined> = {}
+
+/** Human readable output, suppressed with --json */
+const say = (line = '') => {
+    if (!options.json) process.stdout.write(line + '\n')
+}
+
+// ─── Runtime ────────────────────────────────────────────────────────────────
+
+let runtime: any = null
+
+/** The compiler, loaded on first use. Device commands are encoded without it */
+async function loadRuntime(): Promise<any> {
+    if (!runtime) {
+        const VovkPLC = (await import(pathToFileURL(path.join(WASM_DIR, 'VovkPLC.js')).href)).default
+        runtime = new VovkPLC(path.join(WASM_DIR, 'VovkPLC.wasm'))
+        await runtime.initialize()
+        if (typeof runtime.setSilent === 'function') await runtime.setSilent(true)
+    }
+    return runtime
+}
+
+// ─── Compiling ──────────────────────────────────────────────────────────────
+
+interface CompiledProject {
+    name: string
+    bytecode: string
+    size: number
+    checksum: number
+    compileTime: number | null
+    memory: any
+    flash: any
+    execution: any
+    offsets: Record<string, { offset: number, size: number }>
+    symbols: any[]
+    datablocks: any[]
+}
+
+function readProject(file: string): string {
+    try {
+        return fs.readFileSync(file, 'utf-8')
+    } catch (err: any) {
+        throw new Error(err.code === 'ENOENT' ? `Project file '${file}' not found` : err.message)
+    }
+}
+
+/**
+ * Compile an exported project, throws with the compiler `problem` attached on compile errors
+ * @param deviceSymbols Firmware symbols of the connected device
+ */
+async function compileProject(file: string, deviceSymbols: any[] = []): Promise<CompiledProject> {
+    const text = readProject(file)
+    const compileText = toCompileText(text, deviceSymbols)
+    const plc = await loadRuntime()
+    const result = await plc.compileProject(compileText)
+    if (result.problem) {
+        throw Object.assign(new Error(`Compilation failed: ${result.problem.message}`), { problem: result.problem })
+    }
+
+    // T/C areas are placed by the compiler, like in ProjectManager.compile
+    const offsets = parseMemoryLayout(text)
+    const memoryMap = result.output?.memory_map || {}
+    if (memoryMap['T']) offsets.timer = { offset: memoryMap['T'][0], size: memoryMap['T'][1] }
+    if (memoryMap['C']) offsets.counter = { offset: memoryMap['C'][0], size: memoryMap['C'][1] }
+
+    let datablocks = []
+    try {
+        if (typeof plc.dbGetAllDecls === 'function') datablocks = plc.dbGetAllDecls()
+    } catch (err: any) {
+        console.warn(`Failed to read the data block declarations: ${err.message}`)
+    }
+
+    const bytecode = result.bytecode || ''
+    return {
+        name: compileText.split('\n', 1)[0].substring('VOVKPLCPROJECT'.length).trim(),
+        bytecode,
+        size: result.output?.flash?.used || 0,
+        checksum: crc8(parseHex(bytecode)),
+        compileTime: result.compileTime ?? null,
+        memory: result.output?.memory,
+        flash: result.output?.flash,
+        execution: result.output?.execution,
+        offsets,
+        symbols: [...SYSTEM_SYMBOLS, ...deviceSymbols, ...parseSymbols(text)],
+        datablocks,
+    }
+}
+
+/** Print a compile error with its location, like the editor console */
+function reportProblem(problem: any): void {
+    const location = []
+    const program = problem.program || problem.programName
+    const block = problem.block || problem.blockName
+    if (program) location.push(`Program: ${program}`)
+    if (block) location.push(`Block: ${block}`)
+    if (problem.line) location.push(`Line ${problem.line}${problem.column ? `:${problem.column}` : ''}`)
+    if (problem.compiler && problem.compiler !== 'UNKNOWN') location.push(`(${problem.compiler})`)
+    if (location.length) console.error(`  ${location.join(' | ')}`)
+    if (problem.token) console.error(`  Token: "${problem.token}"`)
+}
+
+// ─── Device ─────────────────────────────────────────────────────────────────
+
+interface Device {
+    link: MonitorLink
+    access: DeviceAccess
+    info: any
+    close(): Promise<void>
+}
+
+// Commands of this process run one after another, so the link needs no real lock
+const noMutex: MonitorMutex = { acquire: async () => {}, release: () => {} }
+
+async function waitForData(link: MonitorLink, timeoutMs: number): Promise<boolean> {
+    const start = Date.now()
+    while (Date.now() - start < timeoutMs) {
+        if (link.available() > 0) return true
+        await sleep(20)
+    }
+    return false
+}
+
+/**
+ * Read the PI reply, which may arrive in chunks or after other output.
+ * Boards that reset when their serial port opens are woken up first, as the editor does on connect.
+ */
+async function readInfo(link: MonitorLink, wake: boolean): Promise<any> {
+    if (wake) {
+        await link.write('?')
+        await waitForData(link, 5000)
+        while (link.available() > 0) {
+            link.read()
+            await sleep(100)
+        }
+    }
+    link.read()
+    await link.write(encode.programInfo() + '\n')
+    let text = ''
+    const start = Date.now()
+    while (Date.now() - start < INFO_TIMEOUT_MS && link.isOpen()) {
+        await sleep(20)
+        if (link.available() > 0) text += String.fromCharCode(...link.read())
+        const line = findInfoLine(text)
+        const info = line ? decode.programInfo(line) : null
+        if (info) return info
+    }
+    throw new Error('No info reply from the device')
+}
+
+/** Open the device given with --serial or --tcp and read its info */
+async function openDevice(): Promise<Device> {
+    if (options.serial && options.tcp) throw usageError('Use either --serial or --tcp, not both')
+    let link: MonitorLink
+    let close: () => Promise<void>
+    if (typeof options.serial === 'string') {
+        const portPath = options.serial
+        const { default: SerialManager } = await import('./SerialManager.ts')
+        const serial = new SerialManager()
+        await serial.openPort({ path: portPath, baudRate: Number(options.baud) || 115200 })
+        link = {
+            isOpen: () => serial.isPortOpen(portPath),
+            // Long commands are written in chunks like the editor's serial driver does, so small receive buffers keep up
+            write: async (data) => {
+                for (let i = 0; i < data.length; i += SERIAL_CHUNK) {
+                    await serial.writePort(portPath, data.substring(i, i + SERIAL_CHUNK))
+                    if (data.length > SERIAL_CHUNK) await sleep(5)
+                }
+            },
+            available: () => serial.availableBytes(portPath),
+            read: () => serial.readPort(portPath),
+        }
+        close = () => serial.closeAll()
+    } else if (typeof options.tcp === 'string') {
+        const match = /^(.+):(\d+)$/.exec(options.tcp)
+        if (!match) throw usageError('--tcp expects <host>:<port>')
+        const { default: NetworkManager } = await import('./NetworkManager.ts')
+        const network = new NetworkManager()
+        const key = await network.connect({ host: match[1], port: +match[2] })
+        link = {
+            isOpen: () => network.isConnected(key),
+            write: (data) => network.write(key, data),
+            available: () => network.availableBytes(key),
+            read: () => network.isConnected(key) ? network.read(key) : [],
+        }
+        close = () => network.closeAll()
+    } else {
+        throw usageError('No device given, use --serial <path> or --tcp <host:port>')
+    }
+
+    try {
+        const info = await readInfo(link, !!options.serial)
+        return { link, access: linkDevice(link, noMutex, 2000), info, close }
+    } catch (err) {
+        await close()
+        throw err
+    }
+}
+
+/** Send a command line and fail on device errors, returns the reply line */
+async function sendCommand(device: Device, line: string, label: string, timeoutMs = 1000, replyRequired = false): Promise<string> {
+    const reply = String.fromCharCode(...await linkCommand(device.link, line + '\n', timeoutMs)).trim()
+    if (!reply && replyRequired) throw new Error(`No reply to ${label.toLowerCase()}`)
+    if (isErrorReply(reply)) throw new Error(`${label} failed: ${reply}`)
+    return reply
+}
+
+/** Firmware symbols of the device, devices without any may not answer the SL command */
+async function readDeviceSymbols(device: Device): Promise<any[]> {
+    try {
+        const reply = await sendCommand(device, encode.symbolList(), 'Symbol list', 3000)
+        return reply ? toDeviceSymbols(decode.symbolList(reply)) : []
+    } catch {
+        return []
+    }
+}
+
+/** Memory areas reported by the device, used for addresses when no project is given */
+function deviceOffsets(info: any): Record<string, { offset: number, size: number }> {
+    return {
+        system: { offset: info.system_offset || 0, size: info.system_size || 0 },
+        input: { offset: info.input_offset || 0, size: info.input_size || 0 },
+        output: { offset: info.output_offset || 0, size: info.output_size || 0 },
+        marker: { offset: info.marker_offset || 0, size: info.marker_size || 0 },
+        timer: { offset: info.timer_offset || 0, size: (info.timer_count || 0) * (info.timer_struct_size || 0) },
+        counter: { offset: info.counter_offset || 0, size: (info.counter_count || 0) * (info.counter_struct_size || 0) },
+    }
+}
+
+// ─── Tags ───────────────────────────────────────────────────────────────────
+
+interface Tag extends MemoryTag {
+    name: string
+}
+
+async function resolveTags(device: Device, names: string[]): Promise<Tag[]> {
+    let source: any
+    if (typeof options.project === 'string') {
+        const compiled = await compileProject(options.project, await readDeviceSymbols(device))
+        source = { offsets: compiled.offsets, symbols: compiled.symbols, compiledDatablocks: compiled.datablocks }
+    } else {
+        source = { offsets: deviceOffsets(device.info), symbols: [...SYSTEM_SYMBOLS, ...await readDeviceSymbols(device)], compiledDatablocks: [] }
+    }
+    return names.map(name => {
+        const resolved = resolveTag(source, name)
+        if (!resolved) throw new Error(`Unknown tag '${name}'${options.project ? '' : ', symbols and DB fields need --project'}`)
+        if (STRING_TYPES.includes(resolved.type)) throw new Error(`String tag '${name}' is not supported`)
+        return { name, address: resolved.address, size: resolved.size, type: resolved.type, bit: resolved.bit }
+    })
+}
+
+const isBit = (tag: MemoryTag) => (tag.bit !== null && tag.bit !== undefined) || tag.type === 'bit' || tag.type === 'bool'
+
+function formatValue(tag: Tag, data: number[], littleEndian: boolean): number | boolean | null {
+    const value = decodeValue(tag, data, littleEndian)
+    if (value === null) return null
+    if (isBit(tag)) return !!value
+    // Float32 values are rounded to their precision, 0.1 reads as 0.1 rather than 0.10000000149
+    return FLOAT_TYPES.includes(tag.type) ? Number(value.toPrecision(7)) : value
+}
+
+function parseValue(name: string, input: string): number {
+    const text = input.trim().toLowerCase()
+    if (text === 'true' || text === 'on') return 1
+    if (text === 'false' || text === 'off') return 0
+    const value = text === '' ? NaN : Number(text)
+    if (!Number.isFinite(value)) throw usageError(`Invalid value for '${name}': '${input}'`)
+    return value
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+/** Open the device, run a task with it and close it again */
+async function withDevice<T>(task: (device: Device) => Promise<T>): Promise<T> {
+    const device = await openDevice()
+    try {
+        return await task(device)
+    } finally {
+        await device.close()
+    }
+}
+
+function projectArgument(args: string[]): string {
+    if (args.length !== 1) throw usageError('Expected one project file')
+    return args[0]
+}
+
+const commands: Record<string, (args: string[]) => Promise<Record<string, any>>> = {
+    compile: async (args) => {
+        const compiled = await compileProject(projectArgument(args))
+        if (typeof options.output === 'string') fs.writeFileSync(options.output, compiled.bytecode + '\n')
+        say(`Compiled '${compiled.name}'${compiled.compileTime !== null ? ` in ${Number(compiled.compileTime).toFixed(2)}ms` : ''}`)
+        say(`Used ${compiled.size} bytes, checksum ${compiled.checksum.toString(16).padStart(2, '0').toUpperCase()}`)
+        say(`T=${compiled.offsets.timer.offset} (${compiled.offsets.timer.size} bytes), C=${compiled.offsets.counter.offset} (${compiled.offsets.counter.size} bytes)`)
+        if (compiled.datablocks.length) say(`${compiled.datablocks.length} data block(s)`)
+        if (typeof options.output === 'string') say(`Bytecode written to ${options.output}`)
+        return { ...compiled, symbols: undefined }
+    },
+
+    download: (args) => withDevice(async (device) => {
+        const file = projectArgument(args)
+        const compiled = await compileProject(file, await readDeviceSymbols(device))
+        const capacity = Number(device.info.program) || 0
+        if (capacity && compiled.size > capacity) {
+            throw new Error(`Program of ${compiled.size} bytes does not fit the ${capacity} bytes of the device`)
+        }
+        say(`Downloading ${compiled.size}${capacity ? ` / ${capacity}` : ''} bytes to ${device.info.device || device.info.header}...`)
+        const start = Date.now()
+        await sendCommand(device, encode.programDownload(compiled.bytecode), 'Program download', DOWNLOAD_TIMEOUT_MS, true)
+        const downloadTime = Date.now() - start
+        say(`Download took ${downloadTime}ms`)
+
+        // The device's timer/counter areas must match the compiled bytecode
+        const timerOffset = compiled.offsets.timer.offset
+        const counterOffset = compiled.offsets.counter.offset
+        if (timerOffset > 0 || counterOffset > 0) {
+            await sendCommand(device, encode.tcConfig(timerOffset, counterOffset), 'T/C configuration', 2000)
+            say(`T/C offsets configured: T=${timerOffset}, C=${counterOffset}`)
+        }
+        if (options.run) {
+            await sendCommand(device, encode.run(), 'Run')
+            say('Program started')
+        }
+        return { name: compiled.name, size: compiled.size, capacity, checksum: compiled.checksum, downloadTime, timerOffset, counterOffset, running: !!options.run }
+    }),
+
+    info: (args) => withDevice(async (device) => {
+        if (args.length) throw usageError('info takes no arguments')
+        const info = device.info
+        say(`${info.device || info.header} (${info.arch}) ${info.version}${info.date ? `, ${info.date}` : ''}`)
+        say(`Program ${info.program} bytes, memory ${info.memory} bytes, stack ${info.stack}`)
+        const offsets = deviceOffsets(info)
+        say(Object.entries(offsets).map(([area, { offset, size }]) => `${area} ${offset}+${size}`).join(', '))
+        return { info }
+    }),
+
+    read: (args) => withDevice(async (device) => {
+        if (!args.length) throw usageError('Expected at least one tag')
+        const tags = await resolveTags(device, args)
+        const littleEndian = device.info.isLittleEndian ?? true
+        const data = await readRegions(device.access, tags)
+        const values: Record<string, number | boolean | null> = {}
+        tags.forEach((tag, i) => {
+            values[tag.name] = formatValue(tag, data[i], littleEndian)
+            say(`${tag.name} = ${values[tag.name]}`)
+        })
+        return { values }
+    }),
+
+    write: (args) => withDevice(async (device) => {
+        if (!args.length) throw usageError('Expected at least one <tag>=<value>')
+        const entries = args.map(arg => {
+            const separator = arg.indexOf('=')
+            if (separator <= 0) throw usageError(`Expected <tag>=<value>, got '${arg}'`)
+            const name = arg.substring(0, separator).trim()
+            return { name, value: parseValue(name, arg.substring(separator + 1)) }
+        })
+        const tags = await resolveTags(device, entries.map(e => e.name))
+        const littleEndian = device.info.isLittleEndian ?? true
+        const values: Record<string, number | boolean> = {}
+        for (let i = 0; i < tags.length; i++) {
+            const tag = tags[i]
+            const { data, mask } = encodeValue(tag, entries[i].value, littleEndian)
+            await device.access.writeMasked(tag.address, data, mask)
+            values[tag.name] = isBit(tag) ? !!entries[i].value : entries[i].value
+            say(`${tag.name} = ${values[tag.name]}`)
+        }
+        return { values }
+    }),
+
+    modify: (args) => withDevice(async (device) => {
+        if (args.length < 1 || args.length > 2) throw usageError('Expected a project file and optionally a watch table name')
+        const [file, tableName] = args
+        const tables = parseWatchTables(readProject(file))
+        const table = tableName ? tables.find(t => t.name === tableName) : tables[0]
+        if (!table) {
+            const names = tables.map(t => `'${t.name}'`).join(', ')
+            throw new Error(tableName ? `Watch table '${tableName}' not found${names ? `, the project has ${names}` : ''}` : 'The project has no watch tables')
+        }
+        const entries = table.entries.filter(e => e.modify)
+        if (!entries.length) throw new Error(`Watch table '${table.name}' has no modify values`)
+
+        // Symbols and DB fields of the watch table resolve against its own project
+        options.project = file
+        const tags = await resolveTags(device, entries.map(e => e.name))
+        const littleEndian = device.info.isLittleEndian ?? true
+        const values: Record<string, number | boolean> = {}
+        const writes = tags.map((tag, i) => {
+            const entry = entries[i]
+            if (!isBit(tag) && entry.type && entry.type in WATCH_TYPE_SIZES) {
+                tag.type = entry.type
+                tag.size = WATCH_TYPE_SIZES[entry.type]
+            }
+            const value = parseValue(tag.name, entry.modify)
+            values[tag.name] = isBit(tag) ? !!value : value
+            return { address: tag.address, ...encodeValue(tag, value, littleEndian) }
+        })
+        // All values are encoded first, then go out together with bits of the same byte in one write
+        for (const write of mergeMaskedWrites(writes)) {
+            await device.access.writeMasked(write.address, write.data, write.mask)
+        }
+        for (const [name, value] of Object.entries(values)) say(`${name} = ${value}`)
+        return { table: table.name, values }
+    }),
+
+    run: (args) => withDevice(async (device) => {
+        if (args.length) throw usageError('run takes no arguments')
+        await sendCommand(device, encode.run(), 'Run')
+        say('Program started')
+        return {}
+    }),
+
+    stop: (args) => withDevice(async (device) => {
+        if (args.length) throw usageError('stop takes no arguments')
+        await sendCommand(device, encode.stop(), 'Stop')
+        say('Program stopped')
+        return {}
+    }),
+
+    reboot: (args) => withDevice(async (device) => {
+        if (args.length) throw usageError('reboot takes no arguments')
+        // The device restarts without replying
+        await device.link.write(encode.reset() + '\n')
+        say('Device restarting')
+        return {}
+    }),
+}
+
+// ─── Main ───────────────────────────────────────────────────────────────────
+
+async function main(): Promise<number> {
+    let command = ''
+    // Known before parsing, so argument errors are reported as JSON too
+    options = { json: process.argv.includes('--json') }
+    try {
+        const parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                serial: { type: 'string' },
+                baud: { type: 'string' },
+                tcp: { type: 'string' },
+                project: { type: 'string' },
+                output: { type: 'string' },
+                run: { type: 'boolean' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        })
+        options = parsed.values
+        const [name = '', ...args] = parsed.positionals
+        command = name
+        if (options.help || !command) {
+            console.log(USAGE)
+            return options.help ? 0 : 2
+        }
+        const handler = commands[command]
+        if (!handler) throw usageError(`Unknown command '${command}'`)
+
+        // Keep stdout to the JSON document, runtime and library logs go to stderr
+        if (options.json) console.log = console.info = console.error
+
+        const result = await handler(args)
+        if (options.json) process.stdout.write(JSON.stringify({ ok: true, command, ...result }) + '\n')
+        return 0
+    } catch (err: any) {
+        const usage = err.usage || String(err.code).startsWith('ERR_PARSE_ARGS')
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ ok: false, command, error: err.message, ...(err.problem ? { problem: err.problem } : {}) }) + '\n')
+        } else {
+            console.error(err.message)
+            if (err.problem) reportProblem(err.problem)
+            if (usage) console.error(`\n${USAGE}`)
+        }
+        return usage ? 2 : 1
+    }
+}
+
+process.exitCode = await main()
@@ -0,0 +1,160 @@
+/**
+ * @file device-access.ts
+ * @description Memory access to a PLC for the server-side services (Modbus gateway, MQTT bridge).
+ * A service names its device with a target: a serial port or TCP connection opened by the
+ * server, or the editor session serving the /gateway namespace (e.g. the simulator).
+ * Also holds the value codec shared by the services.
+ */
+
+import { buildMemoryReadCommand, buildMemoryWriteCommand, parseMemoryReply, encode, decode } from './plc-protocol.ts'
+import { linkCommand, type MonitorLink, type MonitorMutex } from './PortMonitor.ts'
+
+export type DeviceTarget =
+    | { type: 'serial', path: string, baudRate: number }
+    | { type: 'network', host: string, port: number }
+    | { type: 'editor' } // Memory access through the editor session serving the services
+
+/** Memory access on the device behind a service */
+export interface DeviceAccess {
+    read(address: number, size: number): Promise<number[]>
+    write(address: number, data: number[]): Promise<void>
+    writeMasked(address: number, data: number[], mask: number[]): Promise<void>
+}
+
+/** Returns the device of a target, opening its link if needed */
+export type DeviceResolver = (target: DeviceTarget) => Promise<DeviceAccess>
+
+/** A typed value in PLC memory, as resolved by the editor */
+export interface MemoryTag {
+    address: number
+    size: number
+    type: string
+    bit?: number | null
+}
+
+/** Validate a target received over the API, returns null when none is given */
+export function parseTarget(input: any): DeviceTarget | null {
+    if (!input) return null
+    if (input.type === 'serial') {
+        if (!input.path) throw new Error('Serial target requires a port path')
+        return { type: 'serial', path: String(input.path), baudRate: Number(input.baudRate) || 115200 }
+    }
+    if (input.type === 'network') {
+        if (!input.host || !input.port) throw new Error('Network target requires host and port')
+        return { type: 'network', host: String(input.host), port: Number(input.port) }
+    }
+    if (input.type === 'editor') return { type: 'editor' }
+    throw new Error('Target type must be "serial", "network" or "editor"')
+}
+
+/**
+ * Memory access over a serial port or TCP connection using MR/MW commands.
+ * Commands hold the link mutex so they interleave safely with monitoring and editor commands.
+ */
+export function linkDevice(link: MonitorLink, mutex: MonitorMutex, timeoutMs = 1000): DeviceAccess {
+    const command = async (line: string): Promise<number[]> => {
+        await mutex.acquire()
+        try {
+            if (!link.isOpen()) throw new Error('Device link is closed')
+            return await linkCommand(link, line + '\n', timeoutMs)
+        } finally {
+            mutex.release()
+        }
+    }
+    const ack = async (line: string, label: string) => {
+        const reply = String.fromCharCode(...await command(line))
+        if (!reply.trim()) throw new Error(`No reply to ${label.toLowerCase()}`)
+        decode.ack(reply, label)
+    }
+    return {
+        read: async (address, size) => {
+            const data = parseMemoryReply(await command(buildMemoryReadCommand(address, size)))
+            if (!data || data.length < size) throw new Error(`No valid reply to memory read at ${address}`)
+            return Array.from(data.subarray(0, size))
+        },
+        write: (address, data) => ack(buildMemoryWriteCommand(address, data), 'Memory write'),
+        writeMasked: (address, data, mask) => ack(encode.memoryWriteMask(address, data, mask), 'Masked memory write'),
+    }
+}
+
+/**
+ * Read the bytes of many regions, nearby regions share one memory read.
+ * Returns the data of each region in request order.
+ */
+export async function readRegions(device: DeviceAccess, regions: { address: number, size: number }[], mergeGap = 16, maxRead = 256): Promise<number[][]> {
+    const results: number[][] = new Array(regions.length)
+    const order = regions.map((_, i) => i).sort((a, b) => regions[a].address - regions[b].address)
+    let group: number[] = []
+    let groupStart = 0
+    let groupEnd = 0
+    const flush = async () => {
+        const data = await device.read(groupStart, groupEnd - groupStart)
+        for (const i of group) {
+            const offset = regions[i].address - groupStart
+            results[i] = data.slice(offset, offset + regions[i].size)
+        }
+    }
+    for (const i of order) {
+        const { address, size } = regions[i]
+        const end = address + size
+        if (group.length && address <= groupEnd + mergeGap && Math.max(end, groupEnd) - groupStart <= maxRead) {
+            group.push(i)
+            groupEnd = Math.max(groupEnd, end)
+            continue
+        }
+        if (group.length) await flush()
+        group = [i]
+        groupStart = address
+        groupEnd = end
+    }
+    if (group.length) await flush()
+    return results
+}
+
+/** Decode a tag value from the bytes read at its address */
+export function decodeValue(tag: MemoryTag, data: number[], littleEndian = true): number | null {
+    if (data.length < tag.size) return null
+    if (tag.bit !== null && tag.bit !== undefined) return (data[0] >> tag.bit) & 1
+    const view = new DataView(Uint8Array.from(data).buffer)
+    switch (tag.type.toLowerCase()) {
+        case 'bit': case 'bool': return data[0] ? 1 : 0
+        case 'byte': case 'u8': case 'usint': return view.getUint8(0)
+        case 'i8': case 'sint': return view.getInt8(0)
+        case 'int': case 'i16': return view.getInt16(0, littleEndian)
+        case 'u16': case 'uint': case 'word': return view.getUint16(0, littleEndian)
+        case 'dint': case 'i32': return view.getInt32(0, littleEndian)
+        case 'u32': case 'udint': case 'dword': return view.getUint32(0, littleEndian)
+        case 'real': case 'f32': case 'float': return view.getFloat32(0, littleEndian)
+        case 'f64': case 'lreal': return view.getFloat64(0, littleEndian)
+        case 'i64': return Number(view.getBigInt64(0, littleEndian))
+        case 'u64': case 'lword': return Number(view.getBigUint64(0, littleEndian))
+    }
+    return view.getUint8(0)
+}
+
+/**
+ * Encode a value for a masked write of the tag.
+ * Bits only touch their own bit, other types overwrite all of their bytes.
+ */
+export function encodeValue(tag: MemoryTag, value: number, littleEndian = true): { data: number[], mask: number[] } {
+    if (tag.bit !== null && tag.bit !== undefined) {
+        const mask = 1 << tag.bit
+        return { data: [value ? mask : 0], mask: [mask] }
+    }
+    const bytes = new Uint8Array(tag.size)
+    const view = new DataView(bytes.buffer)
+    switch (tag.type.toLowerCase()) {
+        case 'bit': case 'bool': view.setUint8(0, value ? 1 : 0); break
+        case 'i8': case 'sint': view.setInt8(0, value); break
+        case 'int': case 'i16': view.setInt16(0, value, littleEndian); break
+        case 'u16': case 'uint': case 'word': view.setUint16(0, value, littleEndian); break
+        case 'dint': case 'i32': view.setInt32(0, value, littleEndian); break
+        case 'u32': case 'udint': case 'dword': view.setUint32(0, value, littleEndian); break
+        case 'real': case 'f32': case 'float': view.setFloat32(0, value, littleEndian); break
+        case 'f64': case 'lreal': view.setFloat64(0, value, littleEndian); break
+        case 'i64': view.setBigInt64(0, BigInt(Math.trunc(value)), littleEndian); break
+        case 'u64': case 'lword': view.setBigUint64(0, BigInt(Math.trunc(value)), littleEndian); break
+        default: view.setUint8(0, value)
+    }
+    return { data: Array.from(bytes), mask: new Array(tag.size).fill(0xff) }
+}
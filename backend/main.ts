@@ -6,11 +6,41 @@
  *
  * Socket.IO Namespaces:
  *   /serial   - Serial port management (list, open, close, write, read)
- *   /network  - TCP/UDP network device management (scan, connect, disconnect, write, read)
+ *   /network  - TCP/UDP network device management (scan, connect, disconnect, write, read,
+ *               atomic commands, health and memory monitoring)
+ *
+ *   /gateway  - Editor sessions serving memory access to the Modbus gateway and MQTT bridge
+ *               (e.g. the simulator)
+ *   /tags     - Tag subscriptions for external HMIs (subscribe, unsubscribe, read, write)
+ *
+ * The historian logs PLC tags to disk in the background (HISTORIAN_DIR, default ./data/historian)
+ * and serves the logged samples over /api/historian.
+ *
+ * The Modbus TCP gateway exposes mapped PLC memory to SCADA clients. It is configured
+ * over /api/modbus and its configuration is kept in MODBUS_CONFIG (default ./data/modbus.json).
+ *
+ * The MQTT bridge publishes PLC symbols to a broker and applies writes from `<topic>/set`.
+ * It is configured over /api/mqtt and kept in MQTT_CONFIG (default ./data/mqtt.json).
+ * Set MQTT_BROKER_PORT to also run a local broker in-process (for testing without one).
+ *
+ * The tag API gives HMIs typed read/write access to named tags over /api/tags and the /tags
+ * namespace. Names are resolved against the tag source published by the editor, which is
+ * kept in TAGS_CONFIG (default ./data/tags.json).
+ *
+ * Projects can be kept in a shared workspace directory on the server (PROJECTS_DIR, default
+ * ./data/projects, only enabled in frontend-only mode when set). Every save keeps a revision
+ * snapshot, see ProjectStore.ts. The files are served over /api/projects.
+ *
+ * Serial traffic can be recorded per port for protocol debugging (CAPTURE_DIR, default
+ * ./data/captures), see SerialCapture.ts. Captures are started and downloaded over /api/captures.
+ *
+ * Access control is optional: ACCESS_CONFIG names a user file with roles and device allowlists
+ * (see access-control.ts). Without it anyone who can reach the port has full access.
  *
  * Command-line arguments:
- *   --frontendonly  Disable server-side device access (serial/network). Useful for
- *                   hosting the frontend without local device access vulnerabilities.
+ *   --frontendonly            Disable server-side device access (serial/network). Useful for
+ *                             hosting the frontend without local device access vulnerabilities.
+ *   --hash-password <secret>  Print a password hash for the ACCESS_CONFIG user file and exit
  */
 
 import 'dotenv/config'
@@ -29,22 +59,53 @@ if (FRONTEND_ONLY) {
 import express from 'express'
 import bodyParser from 'body-parser'
 import { createServer } from 'node:http'
-import { Server as SocketIOServer } from 'socket.io'
+import { Server as SocketIOServer, type Socket } from 'socket.io'
 
 // Only import device managers if not in frontend-only mode
 let SerialManager: any = null
 let NetworkManager: any = null
 let serialManager: any = null
 let networkManager: any = null
+let historian: Historian | null = null
+let modbusGateway: ModbusGateway | null = null
+let mqttBridge: MqttBridge | null = null
+let closeLocalBroker: (() => Promise<void>) | null = null
+let tagService: TagService | null = null
+let serialCapture: SerialCapture | null = null
+
+const HISTORIAN_DIR = process.env.HISTORIAN_DIR || './data/historian'
+const MODBUS_CONFIG = process.env.MODBUS_CONFIG || './data/modbus.json'
+const MQTT_CONFIG = process.env.MQTT_CONFIG || './data/mqtt.json'
+const MQTT_BROKER_PORT = process.env.MQTT_BROKER_PORT ? +process.env.MQTT_BROKER_PORT || 0 : 0
+const TAGS_CONFIG = process.env.TAGS_CONFIG || './data/tags.json'
+const CAPTURE_DIR = process.env.CAPTURE_DIR || './data/captures'
+const PROJECTS_DIR = process.env.PROJECTS_DIR || (FRONTEND_ONLY ? '' : './data/projects')
 
 // Import PLC protocol utilities for monitoring
-import { buildMemoryReadCommand, parseMemoryResponse, crc8, type MemorySubscription } from './plc-protocol.ts'
-
-// Helper for single-byte CRC8
-function crc8Single(byte: number, initial = 0): number {
-    return crc8(byte, initial)
+import { replyLength, encode, decode } from './plc-protocol.ts'
+import PortMonitor, { linkCommand, type MonitorLink } from './PortMonitor.ts'
+import Historian, { type HistorianTarget } from './Historian.ts'
+import ModbusGateway from './ModbusGateway.ts'
+import MqttBridge, { startLocalBroker } from './MqttBridge.ts'
+import TagService from './TagService.ts'
+import ProjectStore from './ProjectStore.ts'
+import SerialCapture from './SerialCapture.ts'
+import AccessControl, { hashPassword } from './access-control.ts'
+import { linkDevice, type DeviceAccess, type DeviceTarget } from './device-access.ts'
+import type { ConnectionCallbacks } from './NetworkManager.ts'
+
+const hashIndex = args.indexOf('--hash-password')
+if (hashIndex >= 0) {
+    console.log(hashPassword(args[hashIndex + 1] || ''))
+    process.exit(0)
 }
 
+const access = new AccessControl(process.env.ACCESS_CONFIG || null)
+access.start()
+
+const projectStore = PROJECTS_DIR ? new ProjectStore(PROJECTS_DIR) : null
+projectStore?.start().catch(err => console.error('[Projects] Failed to start:', err))
+
 // Simple async mutex for serial port access
 class SerialMutex {
     private _locked = false
@@ -114,14 +175,81 @@ function releaseMutexHold(socketId: string, portPath: string): boolean {
     return false
 }
 
-// Per-socket monitoring state
-interface MonitoringState {
-    portPath: string | null
-    subscriptions: Map<string, MemorySubscription> // key: "address:size"
-    intervalHandle: NodeJS.Timeout | null
-    running: boolean
+// Shared monitoring per port, all clients on a port are served by one read loop
+const portMonitors = new Map<string, PortMonitor>()
+
+function serialLink(portPath: string): MonitorLink {
+    return {
+        isOpen: () => serialManager.isPortOpen(portPath),
+        write: (data) => serialManager.writePort(portPath, data),
+        available: () => serialManager.availableBytes(portPath),
+        read: () => serialManager.readPort(portPath),
+    }
+}
+
+function getPortMonitor(portPath: string): PortMonitor {
+    let monitor = portMonitors.get(portPath)
+    if (!monitor) {
+        monitor = new PortMonitor(portPath, serialLink(portPath), getPortMutex(portPath))
+        portMonitors.set(portPath, monitor)
+    }
+    return monitor
+}
+
+// Per-connection mutex and shared monitoring for TCP devices, keyed by "host:port"
+const connectionMutexes = new Map<string, SerialMutex>()
+const connectionMonitors = new Map<string, PortMonitor>()
+
+function getConnectionMutex(key: string): SerialMutex {
+    if (!connectionMutexes.has(key)) {
+        connectionMutexes.set(key, new SerialMutex())
+    }
+    return connectionMutexes.get(key)!
+}
+
+function networkLink(key: string): MonitorLink {
+    return {
+        isOpen: () => networkManager.isConnected(key),
+        write: (data) => networkManager.write(key, data),
+        available: () => networkManager.availableBytes(key),
+        read: () => networkManager.isConnected(key) ? networkManager.read(key) : [],
+    }
+}
+
+function getConnectionMonitor(key: string): PortMonitor {
+    let monitor = connectionMonitors.get(key)
+    if (!monitor) {
+        monitor = new PortMonitor(key, networkLink(key), getConnectionMutex(key))
+        connectionMonitors.set(key, monitor)
+    }
+    return monitor
+}
+
+/**
+ * Remove a socket from the monitors (all links when no key is given).
+ * Returns the links whose monitor stopped because the socket was the last client.
+ */
+function leaveMonitors(monitors: Map<string, PortMonitor>, socketId: string, key?: string): string[] {
+    const stopped: string[] = []
+    for (const [path, monitor] of monitors) {
+        if (key && path !== key) continue
+        if (!monitor.has(socketId)) continue
+        monitor.unsubscribe(socketId)
+        if (!monitor.clientCount) {
+            monitors.delete(path)
+            stopped.push(path)
+        }
+    }
+    return stopped
+}
+
+/** Stop monitoring a link for every client, used when the port or connection is closed or reopened */
+function stopMonitor(monitors: Map<string, PortMonitor>, key: string): void {
+    const monitor = monitors.get(key)
+    if (!monitor) return
+    monitor.stop()
+    monitors.delete(key)
 }
-const socketMonitoringState = new Map<string, MonitoringState>()
 
 if (!FRONTEND_ONLY) {
     SerialManager = (await import('./SerialManager.ts')).default
@@ -133,7 +261,7 @@ if (!FRONTEND_ONLY) {
 const app = express()
 const httpServer = createServer(app)
 
-app.use(bodyParser.json())
+app.use(bodyParser.json({ limit: '10mb' })) // Project files are saved as JSON bodies
 app.use(bodyParser.urlencoded({ extended: true }))
 
 app.use((req, res, next) => {
@@ -158,13 +286,46 @@ app.get('/api/capabilities', (req, res) => {
         localDeviceAccess: !FRONTEND_ONLY,
         serial: !FRONTEND_ONLY,
         network: !FRONTEND_ONLY,
+        historian: !FRONTEND_ONLY,
+        modbus: !FRONTEND_ONLY,
+        mqtt: !FRONTEND_ONLY,
+        tags: !FRONTEND_ONLY,
+        projects: !!projectStore,
+        captures: !FRONTEND_ONLY,
+        auth: { required: access.required, user: access.identify(req.headers) },
         socketIO: {
-            namespaces: FRONTEND_ONLY ? [] : ['/serial', '/network'],
+            namespaces: FRONTEND_ONLY ? [] : ['/serial', '/network', '/gateway', '/tags'],
         },
         version: '0.1.0',
     })
 })
 
+/**
+ * POST /api/login
+ * Signs in with a user name and password from ACCESS_CONFIG and sets the session cookie
+ */
+app.post('/api/login', async (req, res) => {
+    const result = await access.login(String(req.body?.username ?? ''), String(req.body?.password ?? ''))
+    if (!result) {
+        res.status(401).json({ ok: false, error: 'Invalid user name or password' })
+        return
+    }
+    access.setSessionCookie(res, result.session)
+    res.json({ ok: true, user: result.user })
+})
+
+/**
+ * POST /api/logout
+ * Ends the session of the cookie
+ */
+app.post('/api/logout', (req, res) => {
+    access.clearSessionCookie(req, res)
+    res.json({ ok: true })
+})
+
+// Every other endpoint needs a signed in client when access control is enabled
+app.use('/api', access.authenticate)
+
 /**
  * GET /api/serial/ports
  * Lists available serial ports (avoids needing a Socket.IO connection for polling)
@@ -182,11 +343,450 @@ app.get('/api/serial/ports', async (req, res) => {
     }
 })
 
+// ─── Historian API ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/historian/jobs
+ * Lists the logging jobs with their status
+ */
+app.get('/api/historian/jobs', (req, res) => {
+    if (!historian) {
+        res.status(503).json({ ok: false, error: 'Historian disabled' })
+        return
+    }
+    res.json({ ok: true, jobs: historian.listJobs() })
+})
+
+/**
+ * PUT /api/historian/jobs/:id
+ * Creates or replaces a logging job
+ */
+app.put('/api/historian/jobs/:id', access.requireRole('engineer'), async (req, res) => {
+    if (!historian) {
+        res.status(503).json({ ok: false, error: 'Historian disabled' })
+        return
+    }
+    try {
+        if (req.body?.target) access.checkTarget(req.body.target)
+        const job = await historian.saveJob({ ...req.body, id: req.params.id })
+        res.json({ ok: true, job })
+    } catch (err: any) {
+        res.status(err.status || 400).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * DELETE /api/historian/jobs/:id[?purge=1]
+ * Deletes a logging job, with `purge` its logged samples are deleted too
+ */
+app.delete('/api/historian/jobs/:id', access.requireRole('engineer'), async (req, res) => {
+    if (!historian) {
+        res.status(503).json({ ok: false, error: 'Historian disabled' })
+        return
+    }
+    try {
+        const deleted = await historian.deleteJob(req.params.id, req.query.purge === '1')
+        if (!deleted) res.status(404).json({ ok: false, error: `Unknown job '${req.params.id}'` })
+        else res.json({ ok: true })
+    } catch (err: any) {
+        res.status(500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/historian/jobs/:id/samples?from=<ms>&to=<ms>[&tags=a,b][&maxPoints=n]
+ * Returns the logged samples per tag as [time_ms, value] pairs
+ */
+app.get('/api/historian/jobs/:id/samples', async (req, res) => {
+    if (!historian) {
+        res.status(503).json({ ok: false, error: 'Historian disabled' })
+        return
+    }
+    const to = Number(req.query.to) || Date.now()
+    const from = Number(req.query.from) || to - 60 * 60 * 1000
+    const tags = typeof req.query.tags === 'string' && req.query.tags ? req.query.tags.split(',') : undefined
+    const maxPoints = Math.min(10000, Number(req.query.maxPoints) || 2000)
+    try {
+        const series = await historian.query(req.params.id, from, to, tags, maxPoints)
+        res.json({ ok: true, from, to, series })
+    } catch (err: any) {
+        res.status(404).json({ ok: false, error: err.message })
+    }
+})
+
+// ─── Modbus gateway API ─────────────────────────────────────────────────────
+
+/**
+ * GET /api/modbus
+ * Returns the gateway configuration and status
+ */
+app.get('/api/modbus', (req, res) => {
+    if (!modbusGateway) {
+        res.status(503).json({ ok: false, error: 'Modbus gateway disabled' })
+        return
+    }
+    res.json({ ok: true, config: modbusGateway.getConfig(), status: modbusGateway.status() })
+})
+
+/**
+ * PUT /api/modbus
+ * Replaces the gateway configuration (target, register map, listen address) and restarts it
+ */
+app.put('/api/modbus', access.requireRole('engineer'), async (req, res) => {
+    if (!modbusGateway) {
+        res.status(503).json({ ok: false, error: 'Modbus gateway disabled' })
+        return
+    }
+    try {
+        if (req.body?.target) access.checkTarget(req.body.target)
+        const config = await modbusGateway.configure(req.body)
+        res.json({ ok: true, config, status: modbusGateway.status() })
+    } catch (err: any) {
+        res.status(err.status || 400).json({ ok: false, error: err.message })
+    }
+})
+
+// ─── MQTT bridge API ────────────────────────────────────────────────────────
+
+/**
+ * GET /api/mqtt
+ * Returns the bridge configuration (password masked) and status
+ */
+app.get('/api/mqtt', (req, res) => {
+    if (!mqttBridge) {
+        res.status(503).json({ ok: false, error: 'MQTT bridge disabled' })
+        return
+    }
+    res.json({ ok: true, config: mqttBridge.getConfig(), status: mqttBridge.status() })
+})
+
+/**
+ * PUT /api/mqtt
+ * Replaces the bridge configuration (broker, target, symbols) and reconnects
+ */
+app.put('/api/mqtt', access.requireRole('engineer'), async (req, res) => {
+    if (!mqttBridge) {
+        res.status(503).json({ ok: false, error: 'MQTT bridge disabled' })
+        return
+    }
+    try {
+        if (req.body?.target) access.checkTarget(req.body.target)
+        const config = await mqttBridge.configure(req.body)
+        res.json({ ok: true, config, status: mqttBridge.status() })
+    } catch (err: any) {
+        res.status(err.status || 400).json({ ok: false, error: err.message })
+    }
+})
+
+// ─── Tag API ────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/tags
+ * Lists the symbols and data block fields of the published project.
+ * Query: names=<a,b,...> to select tags (any resolvable name or address), values=1 to read their values
+ */
+app.get('/api/tags', async (req, res) => {
+    if (!tagService) {
+        res.status(503).json({ ok: false, error: 'Tag API disabled' })
+        return
+    }
+    const service = tagService
+    try {
+        const names = typeof req.query.names === 'string' ? req.query.names.split(',').map(n => n.trim()).filter(Boolean) : null
+        const tags = names ? names.map(name => service.resolve(name)) : service.list()
+        if (req.query.values === '1' || req.query.values === 'true') {
+            const values = await service.read(tags)
+            for (const tag of tags) tag.value = values[tag.name]
+        }
+        res.json({ ok: true, ...service.info(), tags })
+    } catch (err: any) {
+        res.status(err.status || 502).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * PUT /api/tags
+ * Publishes the tag source: { target, littleEndian, offsets, symbols, compiledDatablocks }
+ */
+app.put('/api/tags', access.requireRole('engineer'), async (req, res) => {
+    if (!tagService) {
+        res.status(503).json({ ok: false, error: 'Tag API disabled' })
+        return
+    }
+    try {
+        if (req.body?.target) access.checkTarget(req.body.target)
+        res.json({ ok: true, ...await tagService.configure(req.body) })
+    } catch (err: any) {
+        res.status(err.status || 400).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/tags/:name
+ * Reads the typed value of a tag
+ */
+app.get('/api/tags/:name', async (req, res) => {
+    if (!tagService) {
+        res.status(503).json({ ok: false, error: 'Tag API disabled' })
+        return
+    }
+    try {
+        const tag = tagService.resolve(req.params.name)
+        const values = await tagService.read([tag])
+        res.json({ ok: true, ...tag, value: values[tag.name] })
+    } catch (err: any) {
+        res.status(err.status || 502).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * PUT /api/tags/:name
+ * Writes a tag. Body: { value: number | boolean }
+ */
+app.put('/api/tags/:name', access.requireRole('operator'), async (req, res) => {
+    if (!tagService) {
+        res.status(503).json({ ok: false, error: 'Tag API disabled' })
+        return
+    }
+    try {
+        const value = await tagService.write(req.params.name, req.body?.value)
+        res.json({ ok: true, name: req.params.name, value })
+    } catch (err: any) {
+        res.status(err.status || 502).json({ ok: false, error: err.message })
+    }
+})
+
+// ─── Project workspace API ──────────────────────────────────────────────────
+
+/** User name recorded with revisions, only when clients sign in */
+const revisionUser = (res: express.Response): string | null => access.required ? res.locals.user?.name ?? null : null
+
+/**
+ * GET /api/projects
+ * Lists the projects in the workspace directory
+ */
+app.get('/api/projects', async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, projects: await projectStore.list() })
+    } catch (err: any) {
+        res.status(500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/projects/:name
+ * Returns the project text and its latest revision
+ */
+app.get('/api/projects/:name', async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, ...(await projectStore.open(req.params.name)) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * PUT /api/projects/:name
+ * Saves a project as a new revision. Body: { text, baseRevision?: number | null, note?: string }
+ * A `baseRevision` that is no longer the latest is rejected with 409, `null` only creates new projects.
+ */
+app.put('/api/projects/:name', access.requireRole('engineer'), async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    const base = req.body?.baseRevision
+    try {
+        const result = await projectStore.save(req.params.name, req.body?.text, revisionUser(res), base === null ? null : base === undefined ? undefined : Number(base), req.body?.note)
+        res.json({ ok: true, ...result })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * POST /api/projects/:name/rename
+ * Renames a project and its revisions. Body: { name }
+ */
+app.post('/api/projects/:name/rename', access.requireRole('engineer'), async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, name: await projectStore.rename(req.params.name, req.body?.name) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * DELETE /api/projects/:name
+ * Deletes a project and its revisions
+ */
+app.delete('/api/projects/:name', access.requireRole('engineer'), async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        await projectStore.delete(req.params.name)
+        res.json({ ok: true })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/projects/:name/revisions
+ * Lists the revisions of a project, newest first
+ */
+app.get('/api/projects/:name/revisions', async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, revisions: await projectStore.revisions(req.params.name) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/projects/:name/revisions/:id
+ * Returns the text of a revision
+ */
+app.get('/api/projects/:name/revisions/:id', async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, ...(await projectStore.revision(req.params.name, Number(req.params.id))) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * POST /api/projects/:name/revisions/:id/restore
+ * Makes a revision current again, it is saved as a new revision
+ */
+app.post('/api/projects/:name/revisions/:id/restore', access.requireRole('engineer'), async (req, res) => {
+    if (!projectStore) {
+        res.status(503).json({ ok: false, error: 'Project workspace disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, ...(await projectStore.restore(req.params.name, Number(req.params.id), revisionUser(res))) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+// ─── Serial capture API ─────────────────────────────────────────────────────
+
+/**
+ * GET /api/captures
+ * Lists the stored captures and the ports being recorded
+ */
+app.get('/api/captures', async (req, res) => {
+    if (!serialCapture) {
+        res.status(503).json({ ok: false, error: 'Serial capture disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, captures: await serialCapture.list(), recording: serialCapture.activePorts() })
+    } catch (err: any) {
+        res.status(500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * POST /api/captures/start { path }
+ * Starts recording the traffic of a serial port, the port does not need to be open yet
+ */
+app.post('/api/captures/start', access.requireRole('engineer'), (req, res) => {
+    if (!serialCapture) {
+        res.status(503).json({ ok: false, error: 'Serial capture disabled' })
+        return
+    }
+    const portPath = String(req.body?.path || '')
+    if (!portPath) {
+        res.status(400).json({ ok: false, error: 'Missing port path' })
+        return
+    }
+    try {
+        access.checkTarget({ type: 'serial', path: portPath })
+        res.json({ ok: true, id: serialCapture.begin(portPath) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * POST /api/captures/stop { path }
+ * Stops recording a serial port
+ */
+app.post('/api/captures/stop', access.requireRole('engineer'), async (req, res) => {
+    if (!serialCapture) {
+        res.status(503).json({ ok: false, error: 'Serial capture disabled' })
+        return
+    }
+    try {
+        res.json({ ok: true, id: await serialCapture.end(String(req.body?.path || '')) })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * GET /api/captures/:id
+ * Returns the capture file (JSON lines, see SerialCapture.ts)
+ */
+app.get('/api/captures/:id', async (req, res) => {
+    if (!serialCapture) {
+        res.status(503).json({ ok: false, error: 'Serial capture disabled' })
+        return
+    }
+    try {
+        const text = await serialCapture.read(req.params.id)
+        res.type('application/x-ndjson').send(text)
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
+/**
+ * DELETE /api/captures/:id
+ * Deletes a stored capture
+ */
+app.delete('/api/captures/:id', access.requireRole('engineer'), async (req, res) => {
+    if (!serialCapture) {
+        res.status(503).json({ ok: false, error: 'Serial capture disabled' })
+        return
+    }
+    try {
+        await serialCapture.delete(req.params.id)
+        res.json({ ok: true })
+    } catch (err: any) {
+        res.status(err.status || 500).json({ ok: false, error: err.message })
+    }
+})
+
 app.use((req, res) => {
     res.status(404).end()
 })
 
-
 // ─── Socket.IO setup ────────────────────────────────────────────────────────
 
 const io = new SocketIOServer(httpServer, {
@@ -204,8 +804,14 @@ const io = new SocketIOServer(httpServer, {
 if (!FRONTEND_ONLY) {
     serialManager = new SerialManager()
 
+    serialCapture = new SerialCapture(CAPTURE_DIR)
+    serialCapture.start().catch(err => console.error('[Capture] Failed to start:', err))
+    serialManager.onTraffic = (path: string, direction: 'tx' | 'rx', data: number[]) => serialCapture!.record(path, direction, data)
+
     const serialNsp = io.of('/serial')
 
+    access.protect(serialNsp)
+
 serialNsp.on('connection', (socket) => {
     console.log(`[Serial] Client connected: ${socket.id}`)
 
@@ -223,33 +829,14 @@ serialNsp.on('connection', (socket) => {
     socket.on('open', async (options: { path: string, baudRate: number, dataBits?: number, stopBits?: number, parity?: string }, callback) => {
         try {
             // Stop any existing monitoring for this socket before opening new port
-            const existingState = socketMonitoringState.get(socket.id)
-            if (existingState) {
-                existingState.running = false
-                if (existingState.intervalHandle) {
-                    clearInterval(existingState.intervalHandle)
-                    existingState.intervalHandle = null
-                }
-                existingState.subscriptions.clear()
-                existingState.portPath = null
-            }
+            leaveMonitors(portMonitors, socket.id)
             
             // If port is already open (e.g., from a crashed/disconnected session), close it first
             if (serialManager.isPortOpen(options.path)) {
                 console.log(`[Serial] Port ${options.path} already open, closing before reopening...`)
                 
                 // Stop ALL monitoring that uses this port (from any socket)
-                for (const [_socketId, state] of socketMonitoringState) {
-                    if (state.portPath === options.path) {
-                        state.running = false
-                        if (state.intervalHandle) {
-                            clearInterval(state.intervalHandle)
-                            state.intervalHandle = null
-                        }
-                        state.subscriptions.clear()
-                        state.portPath = null
-                    }
-                }
+                stopMonitor(portMonitors, options.path)
                 
                 // Force release the mutex for this port to unblock any pending operations
                 const mutex = portMutexes.get(options.path)
@@ -276,8 +863,7 @@ serialNsp.on('connection', (socket) => {
                     onData: (portPath, data) => {
                         // Check if subscription monitoring is active for this socket/port
                         // If so, suppress 'data' events - monitoring loop handles the data
-                        const monitorState = socketMonitoringState.get(socket.id)
-                        if (monitorState?.running && monitorState.portPath === portPath) {
+                        if (portMonitors.get(portPath)?.has(socket.id)) {
                             // Monitoring is active - don't emit raw data events
                             // The monitoring loop will read and process the data
                             return
@@ -302,17 +888,8 @@ serialNsp.on('connection', (socket) => {
     // --- Close a serial port ---
     socket.on('close', async (options: { path: string }, callback) => {
         try {
-            // Stop monitoring for this port
-            const state = socketMonitoringState.get(socket.id)
-            if (state && state.portPath === options.path) {
-                state.running = false
-                if (state.intervalHandle) {
-                    clearInterval(state.intervalHandle)
-                    state.intervalHandle = null
-                }
-                state.subscriptions.clear()
-                state.portPath = null
-            }
+            // Stop monitoring for this port, closing it ends monitoring for every client
+            stopMonitor(portMonitors, options.path)
             
             await serialManager.closePort(options.path)
             callback({ ok: true })
@@ -339,7 +916,8 @@ serialNsp.on('connection', (socket) => {
     socket.on('serial-command', async (options: { 
         path: string, 
         command: string,
-        timeoutMs?: number
+        timeoutMs?: number,
+        binary?: boolean // Reply may be a binary frame, answer with raw bytes
     }, callback) => {
         const mutex = getPortMutex(options.path)
         await mutex.acquire()
@@ -354,6 +932,7 @@ serialNsp.on('connection', (socket) => {
             
             // Wait for response (with timeout)
             let response = ''
+            const received: number[] = []
             const startTime = Date.now()
             
             while (Date.now() - startTime < timeout) {
@@ -361,12 +940,18 @@ serialNsp.on('connection', (socket) => {
                 const available = serialManager.availableBytes(options.path)
                 if (available > 0) {
                     const bytes = serialManager.readPort(options.path)
-                    response += String.fromCharCode(...bytes)
-                    if (response.includes('\n')) break
+                    if (options.binary) {
+                        received.push(...bytes)
+                        if (replyLength(received)) break
+                    } else {
+                        response += String.fromCharCode(...bytes)
+                        if (response.includes('\n')) break
+                    }
                 }
             }
             
-            callback({ ok: true, response })
+            if (options.binary) callback({ ok: true, bytes: received.slice(0, replyLength(received) || received.length) })
+            else callback({ ok: true, response })
         } catch (err: any) {
             callback({ ok: false, error: err.message })
         } finally {
@@ -409,13 +994,7 @@ serialNsp.on('connection', (socket) => {
         const mutex = getPortMutex(options.path)
         await mutex.acquire()
         try {
-            // Build PH command with checksum
-            const cmd = 'PH'
-            let checksum = 0
-            for (const c of cmd) {
-                checksum = crc8Single(c.charCodeAt(0), checksum)
-            }
-            const command = cmd + checksum.toString(16).padStart(2, '0').toUpperCase() + '\n'
+            const command = encode.health() + '\n'
             
             // Clear buffer and send command
             serialManager.readPort(options.path)
@@ -436,39 +1015,7 @@ serialNsp.on('connection', (socket) => {
                 }
             }
             
-            // Parse response
-            let raw = response.trim()
-            if (!raw.startsWith('PH')) {
-                const idx = raw.indexOf('PH')
-                if (idx >= 0) raw = raw.slice(idx)
-            }
-            if (raw.startsWith('PH')) raw = raw.slice(2)
-            const hex = raw.replace(/[^0-9a-fA-F]/g, '')
-            
-            if (hex.length < 48) {
-                callback({ ok: false, error: 'Invalid health response' })
-                return
-            }
-            
-            const parseU32 = (offset: number) => parseInt(hex.slice(offset, offset + 8), 16) >>> 0
-            callback({
-                ok: true,
-                health: {
-                    last_cycle_time_us: parseU32(0),
-                    min_cycle_time_us: parseU32(8),
-                    max_cycle_time_us: parseU32(16),
-                    ram_free: parseU32(24),
-                    min_ram_free: parseU32(32),
-                    max_ram_free: parseU32(40),
-                    total_ram_size: parseU32(48),
-                    last_period_us: parseU32(56),
-                    min_period_us: parseU32(64),
-                    max_period_us: parseU32(72),
-                    last_jitter_us: parseU32(80),
-                    min_jitter_us: parseU32(88),
-                    max_jitter_us: parseU32(96),
-                }
-            })
+            callback({ ok: true, health: decode.health(response) })
         } catch (err: any) {
             callback({ ok: false, error: err.message })
         } finally {
@@ -481,13 +1028,7 @@ serialNsp.on('connection', (socket) => {
         const mutex = getPortMutex(options.path)
         await mutex.acquire()
         try {
-            // Build RH command with checksum
-            const cmd = 'RH'
-            let checksum = 0
-            for (const c of cmd) {
-                checksum = crc8Single(c.charCodeAt(0), checksum)
-            }
-            const command = cmd + checksum.toString(16).padStart(2, '0').toUpperCase() + '\n'
+            const command = encode.resetHealth() + '\n'
             
             // Clear buffer and send command
             serialManager.readPort(options.path)
@@ -515,139 +1056,37 @@ serialNsp.on('connection', (socket) => {
 
     // ─── Memory Monitoring Subscriptions ────────────────────────────────────────
 
-    // Initialize monitoring state for this socket
-    socketMonitoringState.set(socket.id, {
-        portPath: null,
-        subscriptions: new Map(),
-        intervalHandle: null,
-        running: false
-    })
-
     /**
      * Subscribe to memory monitoring
      * Client sends array of {address, size} regions to monitor
-     * Backend will continuously read these and emit 'memory-data' events
+     * Backend reads the union of all clients' regions on the port and emits
+     * 'memory-data' events with the regions this client subscribed to
      */
     socket.on('subscribe-monitor', (options: { 
         path: string, 
         regions: { address: number, size: number }[],
-        intervalMs?: number 
+        intervalMs?: number,
+        binary?: boolean // Device supports binary framed reads (MB)
+        multi?: boolean // Device supports batched reads (MM)
     }, callback) => {
-        const state = socketMonitoringState.get(socket.id)
-        if (!state) {
-            callback({ ok: false, error: 'Monitoring state not found' })
-            return
-        }
-
         // Validate port is open
         if (!serialManager.isPortOpen(options.path)) {
             callback({ ok: false, error: `Port ${options.path} is not open` })
             return
         }
 
-        // Stop existing monitoring if running
-        if (state.intervalHandle) {
-            clearInterval(state.intervalHandle)
-            state.intervalHandle = null
-        }
-        state.running = false
-
-        // Clear old subscriptions and set new ones
-        state.subscriptions.clear()
-        state.portPath = options.path
-
-        for (const region of options.regions) {
-            const key = `${region.address}:${region.size}`
-            state.subscriptions.set(key, {
-                address: region.address,
-                size: region.size,
-                command: buildMemoryReadCommand(region.address, region.size)
-            })
-        }
-
-        const intervalMs = options.intervalMs || 100
-
-        // Start monitoring loop
-        state.running = true
-        let processingCycle = false
-        const mutex = getPortMutex(options.path)
-
-        const monitoringLoop = async () => {
-            if (!state.running || processingCycle) return
-            if (!serialManager.isPortOpen(options.path)) {
-                state.running = false
-                return
-            }
-
-            processingCycle = true
-            const results: { address: number, size: number, data: number[] }[] = []
-
-            for (const [_key, sub] of state.subscriptions) {
-                if (!state.running) break
-
-                // Acquire mutex to prevent race with direct frontend commands
-                await mutex.acquire()
-                
-                // Check again after acquiring - might have been force released during wait
-                if (!state.running || !serialManager.isPortOpen(options.path)) {
-                    mutex.release()
-                    break
-                }
-                
-                try {
-                    // Clear read buffer before sending command
-                    serialManager.readPort(options.path)
-                    
-                    // Send memory read command
-                    await serialManager.writePort(options.path, sub.command + '\n')
-                    
-                    // Wait for response (with timeout)
-                    let response = ''
-                    const startTime = Date.now()
-                    const timeout = 500 // 500ms timeout per read
-                    
-                    while (Date.now() - startTime < timeout && state.running) {
-                        await new Promise(r => setTimeout(r, 10))
-                        if (!serialManager.isPortOpen(options.path)) break
-                        const available = serialManager.availableBytes(options.path)
-                        if (available > 0) {
-                            const bytes = serialManager.readPort(options.path)
-                            response += String.fromCharCode(...bytes)
-                            if (response.includes('\n')) break
-                        }
-                    }
-                    
-                    // Parse response
-                    const parsed = parseMemoryResponse(response)
-                    if (parsed) {
-                        results.push({
-                            address: sub.address,
-                            size: sub.size,
-                            data: Array.from(parsed)
-                        })
-                    }
-                } catch (err) {
-                    // Skip failed reads, continue with next subscription
-                    // console.warn('[Monitor] Read failed:', err)
-                } finally {
-                    mutex.release()
-                }
-            }
-
-            // Emit all results in a single event
-            if (results.length > 0 && state.running) {
-                socket.emit('memory-data', { results })
-            }
-
-            processingCycle = false
-        }
-
-        state.intervalHandle = setInterval(monitoringLoop, intervalMs)
+        // A socket monitors one port at a time
+        leaveMonitors(portMonitors, socket.id)
 
-        // Run immediately
-        monitoringLoop()
+        const monitor = getPortMonitor(options.path)
+        monitor.subscribe(socket.id, options.regions, {
+            intervalMs: options.intervalMs,
+            binary: options.binary,
+            multi: options.multi,
+            emit: (payload) => socket.emit('memory-data', payload),
+        })
 
-        console.log(`[Serial] Client ${socket.id} subscribed to ${options.regions.length} memory regions on ${options.path}`)
+        console.log(`[Serial] Client ${socket.id} subscribed to ${options.regions.length} memory regions on ${options.path} (${monitor.clientCount} client(s), ${monitor.readCount} shared reads)`)
         callback({ ok: true, subscribedRegions: options.regions.length })
     })
 
@@ -655,15 +1094,8 @@ serialNsp.on('connection', (socket) => {
      * Unsubscribe from memory monitoring
      */
     socket.on('unsubscribe-monitor', (callback) => {
-        const state = socketMonitoringState.get(socket.id)
-        if (state) {
-            state.running = false
-            if (state.intervalHandle) {
-                clearInterval(state.intervalHandle)
-                state.intervalHandle = null
-            }
-            state.subscriptions.clear()
-            state.portPath = null
+        if (portMonitors.size) {
+            leaveMonitors(portMonitors, socket.id)
             console.log(`[Serial] Client ${socket.id} unsubscribed from memory monitoring`)
         }
         callback({ ok: true })
@@ -671,23 +1103,14 @@ serialNsp.on('connection', (socket) => {
 
     // Cleanup on disconnect
     socket.on('disconnect', () => {
-        // Stop monitoring for this socket and get the port path
-        const state = socketMonitoringState.get(socket.id)
-        let monitoredPortPath: string | null = null
-        if (state) {
-            monitoredPortPath = state.portPath
-            state.running = false
-            if (state.intervalHandle) {
-                clearInterval(state.intervalHandle)
-            }
-            socketMonitoringState.delete(socket.id)
-        }
+        // Drop this socket's monitoring references, the port monitor keeps running for other clients
+        const stoppedPorts = leaveMonitors(portMonitors, socket.id)
         
-        // Force release the mutex for the monitored port to unblock any pending operations
-        if (monitoredPortPath) {
-            const mutex = portMutexes.get(monitoredPortPath)
+        // Force release the mutex of ports nobody monitors anymore to unblock any pending operations
+        for (const portPath of stoppedPorts) {
+            const mutex = portMutexes.get(portPath)
             if (mutex && mutex.isLocked) {
-                console.log(`[Serial] Force releasing mutex for ${monitoredPortPath} on disconnect`)
+                console.log(`[Serial] Force releasing mutex for ${portPath} on disconnect`)
                 mutex.forceRelease()
             }
         }
@@ -717,6 +1140,8 @@ serialNsp.on('connection', (socket) => {
 
     const networkNsp = io.of('/network')
 
+    access.protect(networkNsp)
+
 networkNsp.on('connection', (socket) => {
     console.log(`[Network] Client connected: ${socket.id}`)
 
@@ -757,20 +1182,27 @@ networkNsp.on('connection', (socket) => {
     // --- Connect to a device ---
     socket.on('connect-device', async (options: { host: string, port: number }, callback) => {
         try {
-            const key = await networkManager.connect(
-                { host: options.host, port: options.port },
-                {
-                    onData: (connKey, data) => {
-                        socket.emit('data', { key: connKey, data })
-                    },
-                    onClose: (connKey, err) => {
-                        socket.emit('closed', { key: connKey, error: err?.message })
-                    },
-                    onError: (connKey, err) => {
-                        socket.emit('error', { key: connKey, error: err.message })
-                    },
-                }
-            )
+            const callbacks: ConnectionCallbacks = {
+                onData: (connKey, data) => {
+                    // Monitoring and atomic commands read the buffer themselves
+                    if (connectionMonitors.get(connKey)?.has(socket.id)) return
+                    socket.emit('data', { key: connKey, data })
+                },
+                onClose: (connKey, err) => {
+                    stopMonitor(connectionMonitors, connKey)
+                    socket.emit('closed', { key: connKey, error: err?.message })
+                },
+                onError: (connKey, err) => {
+                    socket.emit('error', { key: connKey, error: err.message })
+                },
+            }
+            let key = `${options.host}:${options.port}`
+            if (networkManager.isConnected(key)) {
+                // Already open on the server (e.g. by a historian job), join it instead of failing
+                networkManager.attach(key, callbacks)
+            } else {
+                key = await networkManager.connect({ host: options.host, port: options.port }, callbacks)
+            }
             callback({ ok: true, key })
         } catch (err: any) {
             callback({ ok: false, error: err.message })
@@ -780,6 +1212,7 @@ networkNsp.on('connection', (socket) => {
     // --- Disconnect from a device ---
     socket.on('disconnect-device', async (options: { key: string }, callback) => {
         try {
+            stopMonitor(connectionMonitors, options.key)
             await networkManager.disconnect(options.key)
             callback({ ok: true })
         } catch (err: any) {
@@ -827,11 +1260,254 @@ networkNsp.on('connection', (socket) => {
         callback({ ok: true, connections: networkManager.getActiveConnections() })
     })
 
+    // --- Atomic command (acquires mutex, sends command, waits for response) ---
+    socket.on('network-command', async (options: {
+        key: string,
+        command: string,
+        timeoutMs?: number,
+        binary?: boolean // Reply may be a binary frame, answer with raw bytes
+    }, callback) => {
+        const mutex = getConnectionMutex(options.key)
+        await mutex.acquire()
+        try {
+            if (!networkManager.isConnected(options.key)) throw new Error(`No connection to ${options.key}`)
+            const bytes = await linkCommand(networkLink(options.key), options.command, options.timeoutMs || 5000)
+            if (options.binary) callback({ ok: true, bytes })
+            else callback({ ok: true, response: String.fromCharCode(...bytes) })
+        } catch (err: any) {
+            callback({ ok: false, error: err.message })
+        } finally {
+            mutex.release()
+        }
+    })
+
+    // --- Get device health (atomic operation, works alongside monitoring) ---
+    socket.on('get-health', async (options: { key: string }, callback) => {
+        const mutex = getConnectionMutex(options.key)
+        await mutex.acquire()
+        try {
+            if (!networkManager.isConnected(options.key)) throw new Error(`No connection to ${options.key}`)
+            const bytes = await linkCommand(networkLink(options.key), encode.health() + '\n', 2000)
+            callback({ ok: true, health: decode.health(String.fromCharCode(...bytes)) })
+        } catch (err: any) {
+            callback({ ok: false, error: err.message })
+        } finally {
+            mutex.release()
+        }
+    })
+
+    // --- Reset device health (atomic operation) ---
+    socket.on('reset-health', async (options: { key: string }, callback) => {
+        const mutex = getConnectionMutex(options.key)
+        await mutex.acquire()
+        try {
+            if (!networkManager.isConnected(options.key)) throw new Error(`No connection to ${options.key}`)
+            await linkCommand(networkLink(options.key), encode.resetHealth() + '\n', 1000)
+            callback({ ok: true })
+        } catch (err: any) {
+            callback({ ok: false, error: err.message })
+        } finally {
+            mutex.release()
+        }
+    })
+
+    // ─── Memory Monitoring Subscriptions ────────────────────────────────────────
+
+    /**
+     * Subscribe to memory monitoring, same as the /serial namespace but keyed by connection
+     */
+    socket.on('subscribe-monitor', (options: {
+        key: string,
+        regions: { address: number, size: number }[],
+        intervalMs?: number,
+        binary?: boolean // Device supports binary framed reads (MB)
+        multi?: boolean // Device supports batched reads (MM)
+    }, callback) => {
+        if (!networkManager.isConnected(options.key)) {
+            callback({ ok: false, error: `No connection to ${options.key}` })
+            return
+        }
+
+        // A socket monitors one connection at a time
+        leaveMonitors(connectionMonitors, socket.id)
+
+        const monitor = getConnectionMonitor(options.key)
+        monitor.subscribe(socket.id, options.regions, {
+            intervalMs: options.intervalMs,
+            binary: options.binary,
+            multi: options.multi,
+            emit: (payload) => socket.emit('memory-data', payload),
+        })
+
+        console.log(`[Network] Client ${socket.id} subscribed to ${options.regions.length} memory regions on ${options.key} (${monitor.clientCount} client(s), ${monitor.readCount} shared reads)`)
+        callback({ ok: true, subscribedRegions: options.regions.length })
+    })
+
+    /**
+     * Unsubscribe from memory monitoring
+     */
+    socket.on('unsubscribe-monitor', (callback) => {
+        if (connectionMonitors.size) {
+            leaveMonitors(connectionMonitors, socket.id)
+            console.log(`[Network] Client ${socket.id} unsubscribed from memory monitoring`)
+        }
+        callback({ ok: true })
+    })
+
     socket.on('disconnect', () => {
+        // Drop this socket's monitoring references and unblock connections nobody monitors anymore
+        for (const key of leaveMonitors(connectionMonitors, socket.id)) {
+            const mutex = connectionMutexes.get(key)
+            if (mutex && mutex.isLocked) {
+                console.log(`[Network] Force releasing mutex for ${key} on disconnect`)
+                mutex.forceRelease()
+            }
+        }
         console.log(`[Network] Client disconnected: ${socket.id}`)
     })
 })
 
+
+    // ─── Server-side targets ────────────────────────────────────────────────────
+
+    /** Open the serial port or TCP connection of a target used by a background service, returns its key */
+    const openTarget = async (target: HistorianTarget): Promise<string> => {
+        access.checkTarget(target)
+        if (target.type === 'serial') {
+            if (!serialManager.isPortOpen(target.path)) {
+                await serialManager.openPort({ path: target.path, baudRate: target.baudRate })
+            }
+            return target.path
+        }
+        const key = `${target.host}:${target.port}`
+        if (!networkManager.isConnected(key)) {
+            await networkManager.connect({ host: target.host, port: target.port }, {
+                onClose: (connKey) => stopMonitor(connectionMonitors, connKey),
+            })
+        }
+        return key
+    }
+
+    // ─── Historian ──────────────────────────────────────────────────────────────
+
+    /** Open the link of a historian target if needed and return its shared monitor */
+    const historianMonitor = async (target: HistorianTarget): Promise<PortMonitor> => {
+        const key = await openTarget(target)
+        return target.type === 'serial' ? getPortMonitor(key) : getConnectionMonitor(key)
+    }
+
+    historian = new Historian(HISTORIAN_DIR, historianMonitor)
+    historian.start().catch(err => console.error('[Historian] Failed to start:', err))
+
+    // ─── Gateway Namespace (/gateway) ───────────────────────────────────────────
+
+    // The editor session answering memory access for the 'editor' target, the last one to offer wins
+    let gatewayProvider: Socket | null = null
+    const gatewayNsp = io.of('/gateway')
+    access.protect(gatewayNsp)
+
+    gatewayNsp.on('connection', (socket) => {
+        socket.on('provide', (callback) => {
+            gatewayProvider = socket
+            callback?.({ ok: true })
+        })
+
+        socket.on('withdraw', (callback) => {
+            if (gatewayProvider === socket) gatewayProvider = null
+            callback?.({ ok: true })
+        })
+
+        socket.on('disconnect', () => {
+            if (gatewayProvider === socket) gatewayProvider = null
+        })
+    })
+
+    /** Forward a memory access to the serving editor session */
+    const editorRequest = async (event: string, args: any): Promise<any> => {
+        if (!gatewayProvider) throw new Error('No editor session is serving the gateway')
+        const reply = await gatewayProvider.timeout(2000).emitWithAck(event, args)
+        if (!reply?.ok) throw new Error(reply?.error || `Editor ${event} failed`)
+        return reply
+    }
+
+    const editorDevice: DeviceAccess = {
+        read: async (address, size) => (await editorRequest('read', { address, size })).data,
+        write: async (address, data) => {
+            await editorRequest('write', { address, data })
+        },
+        writeMasked: async (address, data, mask) => {
+            await editorRequest('write-masked', { address, data, mask })
+        },
+    }
+
+    const gatewayDevice = async (target: DeviceTarget): Promise<DeviceAccess> => {
+        if (target.type === 'editor') return editorDevice
+        const key = await openTarget(target)
+        return target.type === 'serial'
+            ? linkDevice(serialLink(key), getPortMutex(key))
+            : linkDevice(networkLink(key), getConnectionMutex(key))
+    }
+
+    modbusGateway = new ModbusGateway(MODBUS_CONFIG, gatewayDevice)
+    modbusGateway.start().catch(err => console.error('[Modbus] Failed to start gateway:', err))
+
+    // ─── MQTT bridge ────────────────────────────────────────────────────────────
+
+    mqttBridge = new MqttBridge(MQTT_CONFIG, gatewayDevice)
+    const bridge = mqttBridge
+    const startMqtt = async () => {
+        // The local broker must listen before the bridge connects to it
+        if (MQTT_BROKER_PORT) closeLocalBroker = await startLocalBroker(MQTT_BROKER_PORT, HOST)
+        await bridge.start()
+    }
+    startMqtt().catch(err => console.error('[MQTT] Failed to start bridge:', err))
+
+    // ─── Tags Namespace (/tags) ─────────────────────────────────────────────────
+
+    tagService = new TagService(TAGS_CONFIG, gatewayDevice)
+    tagService.start().catch(err => console.error('[Tags] Failed to start:', err))
+    const tags = tagService
+    const tagsNsp = io.of('/tags')
+    access.protect(tagsNsp)
+
+    tagsNsp.on('connection', (socket) => {
+        // Changed values arrive as 'values' events: { [name]: value }
+        socket.on('subscribe', (names: string[], callback) => {
+            try {
+                const subscribed = tags.subscribe(socket.id, Array.isArray(names) ? names : [names], values => socket.emit('values', values))
+                callback?.({ ok: true, tags: subscribed })
+            } catch (err: any) {
+                callback?.({ ok: false, error: err.message })
+            }
+        })
+
+        socket.on('unsubscribe', (names: string[] | undefined, callback) => {
+            tags.unsubscribe(socket.id, names ? (Array.isArray(names) ? names : [names]) : undefined)
+            callback?.({ ok: true })
+        })
+
+        socket.on('read', async (names: string[], callback) => {
+            try {
+                const values = await tags.read((Array.isArray(names) ? names : [names]).map(name => tags.resolve(name)))
+                callback?.({ ok: true, values })
+            } catch (err: any) {
+                callback?.({ ok: false, error: err.message })
+            }
+        })
+
+        socket.on('write', async (args: { name: string, value: any }, callback) => {
+            try {
+                callback?.({ ok: true, value: await tags.write(String(args?.name), args?.value) })
+            } catch (err: any) {
+                callback?.({ ok: false, error: err.message })
+            }
+        })
+
+        socket.on('disconnect', () => {
+            tags.unsubscribe(socket.id)
+        })
+    })
+
 } // end if (!FRONTEND_ONLY)
 
 
@@ -842,13 +1518,19 @@ httpServer.listen(PORT, HOST, () => {
     if (FRONTEND_ONLY) {
         console.log(`  Mode: FRONTEND-ONLY (no local device access)`)
     } else {
-        console.log(`  Socket.IO namespaces: /serial, /network`)
+        console.log(`  Socket.IO namespaces: /serial, /network, /gateway, /tags`)
     }
 })
 
 // Cleanup on process exit
 const cleanup = async () => {
     console.log('\nShutting down...')
+    if (historian) await historian.stop()
+    if (serialCapture) await serialCapture.stop()
+    if (modbusGateway) await modbusGateway.stop()
+    if (mqttBridge) await mqttBridge.stop()
+    if (closeLocalBroker) await closeLocalBroker()
+    if (tagService) tagService.stop()
     if (serialManager) await serialManager.closeAll()
     if (networkManager) await networkManager.closeAll()
     io.close()
@@ -1,76 +1,20 @@
 /**
  * @file plc-protocol.ts
  * @description PLC protocol utilities for building commands and parsing responses.
- * This implements the VovkPLC serial protocol used by the runtime.
+ * The codec itself is shared with the frontend drivers (frontend/src/connection/protocol.js),
+ * this module adapts it for the backend monitoring loop.
  */
 
-// CRC8 lookup table (polynomial 0x31)
-const crc8Table: number[] = []
-let crc8TableLoaded = false
+import { crc8, stringToHex, parseHex, encode, decode, isErrorReply, replyLength, replyWireBytes, batchRegions, findInfoLine } from '../frontend/src/connection/protocol.js'
 
-function initCrc8Table(): void {
-    if (crc8TableLoaded) return
-    crc8TableLoaded = true
-    for (let i = 0; i < 256; i++) {
-        let crc8 = i
-        for (let j = 0; j < 8; j++) {
-            crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x31) : (crc8 << 1)
-        }
-        crc8Table[i] = crc8 & 0xff
-    }
-}
-
-/**
- * Calculate CRC8 checksum
- */
-export function crc8(data: number | number[], initialCrc = 0): number {
-    initCrc8Table()
-    const bytes = Array.isArray(data) ? data : [data]
-    let crc = initialCrc
-    for (const byte of bytes) {
-        if (byte < 0 || byte > 255) throw new Error(`Invalid byte: ${byte}`)
-        const index = (crc ^ byte) & 0xff
-        crc = crc8Table[index] & 0xff
-    }
-    return crc
-}
-
-/**
- * Convert string to hex bytes
- */
-export function stringToHex(str: string): string {
-    return str.split('').map(c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('')
-}
-
-/**
- * Parse hex string to byte array
- */
-export function parseHex(hexString: string): number[] {
-    const clean = hexString.replace(/[^0-9a-fA-F]/g, '')
-    if (clean.length % 2 !== 0) throw new Error(`Invalid hex string length: ${clean.length}`)
-    const result: number[] = []
-    for (let i = 0; i < clean.length; i += 2) {
-        result.push(parseInt(clean.substring(i, i + 2), 16))
-    }
-    return result
-}
+export { crc8, stringToHex, parseHex, encode, decode, isErrorReply, replyLength, replyWireBytes, batchRegions, findInfoLine }
 
 /**
  * Build memory read command
  * Format: MR<address_u32><size_u32><checksum>
  */
 export function buildMemoryReadCommand(address: number, size: number): string {
-    const cmd = 'MR'
-    const cmdHex = stringToHex(cmd)
-    const addressHex = address.toString(16).padStart(8, '0')
-    const sizeHex = size.toString(16).padStart(8, '0')
-    
-    let checksum = crc8(parseHex(cmdHex))
-    checksum = crc8(parseHex(addressHex), checksum)
-    checksum = crc8(parseHex(sizeHex), checksum)
-    
-    const checksumHex = checksum.toString(16).padStart(2, '0')
-    return (cmd + addressHex + sizeHex + checksumHex).toUpperCase()
+    return encode.memoryRead(address, size)
 }
 
 /**
@@ -78,19 +22,7 @@ export function buildMemoryReadCommand(address: number, size: number): string {
  * Format: MW<address_u32><size_u32><data><checksum>
  */
 export function buildMemoryWriteCommand(address: number, data: number[]): string {
-    const cmd = 'MW'
-    const cmdHex = stringToHex(cmd)
-    const addressHex = address.toString(16).padStart(8, '0')
-    const sizeHex = data.length.toString(16).padStart(8, '0')
-    const dataHex = data.map(b => b.toString(16).padStart(2, '0')).join('')
-    
-    let checksum = crc8(parseHex(cmdHex))
-    checksum = crc8(parseHex(addressHex), checksum)
-    checksum = crc8(parseHex(sizeHex), checksum)
-    checksum = crc8(data, checksum)
-    
-    const checksumHex = checksum.toString(16).padStart(2, '0')
-    return (cmd + addressHex + sizeHex + dataHex + checksumHex).toUpperCase()
+    return encode.memoryWrite(address, data)
 }
 
 /**
@@ -98,28 +30,44 @@ export function buildMemoryWriteCommand(address: number, data: number[]): string
  * Format: PI<checksum>
  */
 export function buildProgramInfoCommand(): string {
-    const cmd = 'PI'
-    const cmdHex = stringToHex(cmd)
-    const checksum = crc8(parseHex(cmdHex))
-    const checksumHex = checksum.toString(16).padStart(2, '0')
-    return (cmd + checksumHex).toUpperCase()
+    return encode.programInfo()
 }
 
 /**
  * Parse memory read response
  * Response format: OK<hex_data> or just <hex_data>
+ * Returns null for empty, malformed or error replies
  */
 export function parseMemoryResponse(response: string): Uint8Array | null {
-    let raw = response.trim()
-    if (raw.startsWith('OK')) {
-        raw = raw.substring(2).trim()
+    if (!response.trim()) return null
+    try {
+        return decode.memoryRead(response)
+    } catch {
+        return null
     }
-    if (!raw || raw.startsWith('ERR') || raw.startsWith('E:')) {
+}
+
+/**
+ * Parse a memory read reply given as raw bytes, either a binary frame (MB) or an ASCII line (MR)
+ * Returns null for incomplete, malformed or error replies
+ */
+export function parseMemoryReply(bytes: number[]): Uint8Array | null {
+    if (!replyLength(bytes)) return null
+    try {
+        return decode.memoryReadBinary(bytes)
+    } catch {
         return null
     }
+}
+
+/**
+ * Parse a batched read reply (MM) into one result per region
+ * Returns null for incomplete, malformed or error replies
+ */
+export function parseMultiReadReply(bytes: number[], regions: { address: number, size: number }[]): { address: number, size: number, data: Uint8Array }[] | null {
+    if (!replyLength(bytes)) return null
     try {
-        const bytes = parseHex(raw)
-        return new Uint8Array(bytes)
+        return decode.memoryReadMulti(bytes, regions)
     } catch {
         return null
     }
@@ -132,15 +80,28 @@ export interface MemorySubscription {
     address: number
     size: number
     command: string // Pre-built command string
+    regions?: { address: number, size: number }[] // Set for batched reads (MM), one entry per region
 }
 
 /**
  * Create subscription entry with pre-built command
  */
-export function createMemorySubscription(address: number, size: number): MemorySubscription {
+export function createMemorySubscription(address: number, size: number, binary = false): MemorySubscription {
     return {
         address,
         size,
-        command: buildMemoryReadCommand(address, size)
+        command: binary ? encode.memoryReadBinary(address, size) : buildMemoryReadCommand(address, size)
+    }
+}
+
+/**
+ * Create a subscription entry that reads several regions with one batched command (MM)
+ */
+export function createMultiReadSubscription(regions: { address: number, size: number }[]): MemorySubscription {
+    return {
+        address: regions[0].address,
+        size: regions.reduce((sum, r) => sum + r.size, 0),
+        command: encode.memoryReadMulti(regions),
+        regions: regions.map(({ address, size }) => ({ address, size })),
     }
 }
@@ -0,0 +1,183 @@
+// Tests of the project text helpers shared by the editor and the CLI (frontend/src/utils/project-text.js)
+// Run with `npm test` in backend/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { SYSTEM_SYMBOLS, toCompileText, buildCompileText, parseMemoryLayout, parseSymbols, parseProgramHeader, parseDBHeader, parseDBField } from '../frontend/src/utils/project-text.js'
+
+// Exported project with every kind of editor-only section, including one this version does not know
+const EXPORTED = `VOVKPLCPROJECT Conveyor
+VERSION 1.2.0
+EXPORT_DATE 2026-01-01T00:00:00.000Z
+FORMAT_VERSION 1.0
+AUTHOR Line 3
+DESCRIPTION Conveyor with a PROGRAM and a VERSION in the description
+
+DEVICE
+    NAME Uno
+    VERSION 0.1.0
+    PROGRAM 1024
+    INTERFACES
+        Serial : TYPE=0 : NETWORK=false
+    END_INTERFACES
+END_DEVICE
+
+TABS
+    main
+    forces
+END_TABS
+
+ACTIVE_TAB main
+
+MEMORY
+    OFFSET 0
+    AVAILABLE 448
+    S 64
+    X 32
+    Y 32
+    M 256
+    T 32
+    C 32
+END_MEMORY
+
+SYMBOLS
+    Start : BOOL : X0.1 : Start button: normally open
+    Speed : U16 : M10
+    P_1s : BOOL : M20.0 : Shadows a system symbol
+END_SYMBOLS
+
+DATABLOCKS
+    DB1 "Recipe A" PATH=/recipes { : Recipe data
+        DB2_count: INT = 5 : Named like a DB header
+        ratio: REAL = 1.5
+        flag: BIT
+    }
+    DB3 {
+    }
+END_DATABLOCKS
+
+PROGRAM main : Main program
+    BLOCK LANG=STL Network 1
+A Start
+= Q0.0
+    END_BLOCK
+    BLOCK LANG=LADDER Rung
+{
+    "comment": "Rung",
+    "nodes": [],
+    "connections": []
+}
+    END_BLOCK
+END_PROGRAM
+
+PROGRAM "Sub Routine" PATH=/lib
+    BLOCK LANG=PLCASM Code
+nop
+    END_BLOCK
+END_PROGRAM
+
+WATCH Default
+    Speed : DEC
+END_WATCH
+
+FORCES
+    Start = 1
+END_FORCES
+
+PLANT_MODEL Tank TYPE=SCRIPT
+    // Script lines are indented on export
+    END_PLANT_MODEL
+    PROGRAM fake
+END_PLANT_MODEL
+
+FUTURE_SECTION
+PROGRAM not_a_program
+    BLOCK LANG=STL Hidden
+    END_BLOCK
+END_PROGRAM
+END_FUTURE_SECTION
+
+END_PROJECT`
+
+// The same project as the editor holds it
+const SOURCE = {
+    name: 'Conveyor',
+    version: '1.2.0',
+    sizes: { S: 64, X: 32, Y: 32, M: 256, T: 32, C: 32 },
+    symbols: [
+        ...SYSTEM_SYMBOLS,
+        { name: 'Start', location: 'input', type: 'bit', address: 0.1, initial_value: 0, comment: 'Start button: normally open' },
+        { name: 'Speed', location: 'marker', type: 'u16', address: 10, initial_value: 0, comment: '' },
+    ],
+    datablocks: [
+        {
+            id: 1, name: 'Recipe A', path: '/recipes', fields: [
+                { name: 'DB2_count', type: 'int', defaultValue: 5 },
+                { name: 'ratio', type: 'real', defaultValue: 1.5 },
+                { name: 'flag', type: 'bit', defaultValue: 0 },
+            ],
+        },
+        { id: 3, name: '', path: '/', fields: [] },
+    ],
+    programs: [
+        {
+            name: 'main', path: '/', blocks: [
+                { name: 'Network 1', lang: 'STL', content: 'A Start\n= Q0.0' },
+                { name: 'Rung', lang: 'LADDER', content: '{"comment":"Rung","nodes":[],"connections":[]}' },
+            ],
+        },
+        { name: 'Sub Routine', path: '/lib', blocks: [{ name: 'Code', lang: 'PLCASM', content: 'nop' }] },
+    ],
+}
+
+describe('toCompileText', () => {
+    it('gives the text the editor compiles for the same project', () => {
+        assert.equal(toCompileText(EXPORTED), buildCompileText(SOURCE as any))
+    })
+
+    it('leaves out every editor-only section', () => {
+        const text = toCompileText(EXPORTED)
+        for (const keyword of ['EXPORT_DATE', 'DEVICE', 'INTERFACES', 'TABS', 'ACTIVE_TAB', 'WATCH', 'FORCES', 'PLANT_MODEL', 'FUTURE_SECTION', 'not_a_program', 'fake', 'Hidden', 'END_PROJECT']) {
+            assert.ok(!text.includes(keyword), `${keyword} reached the compile text`)
+        }
+        assert.equal(text.match(/^PROGRAM /gm)?.length, 2)
+    })
+
+    it('adds extra symbols and the symbols section when the project has none', () => {
+        const extra = { name: 'led', location: 'output', type: 'bit', address: 1.2, initial_value: 0, comment: 'Device symbol', readonly: true, device: true }
+        const text = toCompileText('VOVKPLCPROJECT Empty\nEND_PROJECT', [extra as any])
+        assert.match(text, /^VERSION 1\.0$/m)
+        assert.match(text, /^ {4}led : BOOL : Y1\.2 : Device symbol$/m)
+        assert.equal(text.match(/^ {4}P_100ms : /gm)?.length, 1)
+    })
+
+    it('rejects files without the project header', () => {
+        assert.throws(() => toCompileText('PROGRAM main\nEND_PROGRAM'), /missing VOVKPLCPROJECT header/)
+    })
+})
+
+describe('project sections', () => {
+    it('lays out the memory areas in order', () => {
+        const layout = parseMemoryLayout(EXPORTED)
+        assert.deepEqual(layout.input, { offset: 64, size: 32 })
+        assert.deepEqual(layout.marker, { offset: 128, size: 256 })
+        assert.deepEqual(layout.counter, { offset: 416, size: 32 })
+    })
+
+    it('reads the user symbols', () => {
+        assert.deepEqual(parseSymbols(EXPORTED).map(s => [s.name, s.type, s.location, s.address]), [
+            ['Start', 'bit', 'input', 0.1],
+            ['Speed', 'u16', 'marker', 10],
+            ['P_1s', 'bit', 'marker', 20],
+        ])
+    })
+
+    it('parses program and DataBlock headers', () => {
+        assert.deepEqual(parseProgramHeader('"Sub Routine" PATH="/my lib" : Helpers'), { name: 'Sub Routine', path: '/my lib', comment: 'Helpers' })
+        assert.deepEqual(parseDBHeader('DB7 "Recipe A" PATH=/recipes ADDRESS=512 { : Recipe data'), {
+            id: 7, name: 'Recipe A', path: '/recipes', address: 512, comment: 'Recipe data', hasBrace: true,
+        })
+        assert.equal(parseDBHeader('count: INT'), null)
+        assert.deepEqual(parseDBField('name : STRING = idle : State: text'), { name: 'name', type: 'STRING', defaultValue: 'idle', comment: 'State: text' })
+    })
+})
@@ -0,0 +1,37 @@
+// Tests of the binary framed memory reads (MB), a proposed protocol extension (frontend/src/connection/protocol.js)
+// Run with `npm test` in backend/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { encode, decode, replyLength, replyWireBytes } from '../frontend/src/connection/protocol.js'
+import { parseCommand, u32, ascii, frame } from './test-helpers.ts'
+
+describe('reply wire bytes', () => {
+    it('counts the wire bytes of a reply the same with or without its newline', () => {
+        assert.equal(replyWireBytes('OK0102'), 7)
+        assert.equal(replyWireBytes('OK0102\n'), 7)
+        assert.equal(replyWireBytes(ascii('OK0102\n')), 7)
+        assert.equal(replyWireBytes(frame([1, 2])), 6)
+    })
+})
+
+describe('MB binary memory read', () => {
+    it('round-trips a binary frame', () => {
+        assert.deepEqual(parseCommand(encode.memoryReadBinary(0x40, 3)), { cmd: 'MB', args: u32(0x40) + u32(3) })
+        const reply = [0x0d, 0x0a, ...frame([0x0a, 0x02, 0x0a])]
+        assert.equal(replyLength(reply), reply.length)
+        assert.equal(replyLength(reply.slice(0, -1)), 0)
+        assert.deepEqual(decode.memoryReadBinary(reply), Uint8Array.from([0x0a, 0x02, 0x0a]))
+    })
+
+    it('falls back to hex lines and rejects corrupt frames', () => {
+        const line = ascii('OK0102\n')
+        assert.equal(replyLength(line), line.length)
+        assert.deepEqual(decode.memoryReadBinary(line), Uint8Array.from([1, 2]))
+        const corrupt = frame([1, 2, 3])
+        corrupt[corrupt.length - 1] ^= 0xff
+        assert.throws(() => decode.memoryReadBinary(corrupt), /checksum mismatch/)
+        assert.throws(() => decode.memoryReadBinary(ascii('ERR RANGE\n')), /Memory read failed/)
+    })
+})
+
@@ -0,0 +1,18 @@
+// Tests of the force table (FT), a proposed protocol extension (frontend/src/connection/protocol.js)
+// Run with `npm test` in backend/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { encode } from '../frontend/src/connection/protocol.js'
+import { parseCommand, u16, u32 } from './test-helpers.ts'
+
+describe('FT force table', () => {
+    it('encodes forced values with their masks', () => {
+        const line = encode.forceTable([{ address: 0x10, data: [0x01], mask: [0x01] }, { address: 0x20, data: [0x34, 0x12], mask: [0xff, 0xff] }])
+        assert.deepEqual(parseCommand(line), { cmd: 'FT', args: u16(2) + u32(0x10) + u16(1) + '0101' + u32(0x20) + u16(2) + '3412FFFF' })
+    })
+
+    it('encodes an empty table to release all forces', () => {
+        assert.deepEqual(parseCommand(encode.forceTable([])), { cmd: 'FT', args: u16(0) })
+    })
+})
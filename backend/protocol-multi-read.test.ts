@@ -0,0 +1,29 @@
+// Tests of the batched memory reads (MM), a proposed protocol extension (frontend/src/connection/protocol.js)
+// Run with `npm test` in backend/
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { encode, decode, batchRegions } from '../frontend/src/connection/protocol.js'
+import { parseCommand, u16, u32, ascii, frame } from './test-helpers.ts'
+
+describe('MM batched memory read', () => {
+    const regions = [{ address: 0, size: 2 }, { address: 0x100, size: 1 }]
+
+    it('round-trips the regions', () => {
+        assert.deepEqual(parseCommand(encode.memoryReadMulti(regions)), { cmd: 'MM', args: u16(2) + u32(0) + u32(2) + u32(0x100) + u32(1) })
+        const results = decode.memoryReadMulti(frame([1, 2, 3]), regions)
+        assert.deepEqual(results.map(r => [r.address, Array.from(r.data)]), [[0, [1, 2]], [0x100, [3]]])
+        assert.deepEqual(decode.memoryReadMulti(ascii('010203\n'), regions).map(r => r.size), [2, 1])
+    })
+
+    it('rejects replies of the wrong size', () => {
+        assert.throws(() => decode.memoryReadMulti(frame([1, 2]), regions), /returned 2 bytes, expected 3/)
+    })
+
+    it('batches regions by size and count', () => {
+        const sizes = (groups: Array<Array<{ size: number }>>) => groups.map(g => g.map(r => r.size))
+        assert.deepEqual(sizes(batchRegions([{ address: 0, size: 300 }, { address: 0, size: 300 }, { address: 0, size: 600 }, { address: 0, size: 1 }])), [[300], [300], [600], [1]])
+        const many = Array.from({ length: 40 }, (_, address) => ({ address, size: 1 }))
+        assert.deepEqual(batchRegions(many).map(g => g.length), [32, 8])
+    })
+})
@@ -0,0 +1,174 @@
+// Tests of the line protocol codec shared by the drivers and the backend (frontend/src/connection/protocol.js)
+// Run with `npm test` in backend/
+
+import fs from 'node:fs'
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { crc8, parseHex, encode, decode, isErrorReply } from '../frontend/src/connection/protocol.js'
+import { parseCommand, u16, u32 } from './test-helpers.ts'
+
+describe('protocol helpers', () => {
+    it('computes CRC8 with polynomial 0x31', () => {
+        assert.equal(crc8([]), 0)
+        assert.equal(crc8(0x01), 0x31)
+        assert.equal(crc8([0x01, 0x02]), crc8(0x02, crc8(0x01)))
+    })
+
+    it('parses hex strings ignoring separators', () => {
+        assert.deepEqual(parseHex('01 ab:FF'), [0x01, 0xab, 0xff])
+        assert.throws(() => parseHex('abc'), /Invalid hex string length/)
+    })
+
+    it('recognises error replies', () => {
+        assert.equal(isErrorReply('ERR CRC'), true)
+        assert.equal(isErrorReply('  E:AUTH\r'), true)
+        assert.equal(isErrorReply('OK'), false)
+        assert.equal(isErrorReply(''), false)
+    })
+})
+
+describe('PI program info', () => {
+    it('encodes the request', () => {
+        assert.deepEqual(parseCommand(encode.programInfo()), { cmd: 'PI', args: '' })
+    })
+
+    it('decodes the layout with DataBlocks and flags', () => {
+        const reply = 'PLC INFO - [VovkPLCRuntime,WASM,0,1,0,324,2025-03-16 19:16:44,1024,104857,104857,0,16,16,16,32,16,48,16,64,16,12,80,16,12,200,8,6,C001,Simulator]'
+        const info = decode.programInfo(reply)
+        assert.ok(info)
+        assert.equal(info.version, '0.1.0 Build 324')
+        assert.equal(info.date, '2025-03-16 19:16:44')
+        assert.equal(info.input_offset, 16)
+        assert.equal(info.output_offset, 32)
+        assert.equal(info.timer_count, 16)
+        assert.equal(info.counter_offset, 80)
+        assert.equal(info.db_slot_count, 8)
+        assert.equal(info.flags, 0xC001)
+        assert.equal(info.isLittleEndian, true)
+        assert.equal(info.device, 'Simulator')
+    })
+
+    it('returns null for other lines and throws on errors', () => {
+        assert.equal(decode.programInfo('booting...'), null)
+        assert.throws(() => decode.programInfo('ERR BUSY'), /Program info failed: ERR BUSY/)
+    })
+})
+
+describe('PH device health', () => {
+    it('round-trips the health counters', () => {
+        assert.deepEqual(parseCommand(encode.health()), { cmd: 'PH', args: '' })
+        const values = [150, 100, 900, 2048, 1024, 4096, 8192, 1000, 990, 1010, 5, 0, 12]
+        const health = decode.health('PH' + values.map(u32).join(''))
+        assert.deepEqual(Object.values(health), values)
+        assert.equal(health.max_cycle_time_us, 900)
+        assert.equal(health.total_ram_size, 8192)
+        assert.equal(health.max_jitter_us, 12)
+    })
+
+    it('rejects short and error replies', () => {
+        assert.throws(() => decode.health('PH0000'), /Invalid health response/)
+        assert.throws(() => decode.health('E:AUTH'), /Health failed/)
+    })
+})
+
+describe('SL symbol list', () => {
+    it('keeps commas and braces in comments', () => {
+        assert.deepEqual(parseCommand(encode.symbolList()), { cmd: 'SL', args: '' })
+        const symbols = decode.symbolList('[PS,3,{Start,I,0,1,bit,Start button, normally open},{Speed,M,10,0,u16,},{Mode,M,12,0,u8,values {0,1}, see manual}]')
+        assert.deepEqual(symbols, [
+            { name: 'Start', area: 'I', address: 0, bit: 1, type: 'bit', comment: 'Start button, normally open' },
+            { name: 'Speed', area: 'M', address: 10, bit: 0, type: 'u16', comment: '' },
+            { name: 'Mode', area: 'M', address: 12, bit: 0, type: 'u8', comment: 'values {0,1}, see manual' },
+        ])
+    })
+
+    it('decodes an empty list and throws on errors', () => {
+        assert.deepEqual(decode.symbolList('[PS,0]'), [])
+        assert.throws(() => decode.symbolList('ERR UNKNOWN'), /PS failed/)
+    })
+})
+
+describe('TI transport info', () => {
+    it('decodes serial and network transports', () => {
+        assert.deepEqual(parseCommand(encode.transportInfo()), { cmd: 'TI', args: '' })
+        const transports = decode.transportInfo('[TI,2,{0,Serial,0,0,1,115200},{1,Ethernet,1,1,0,192.168.1.10,192.168.1.1,255.255.255.0,502,DE:AD:BE:EF:00:01}]')
+        assert.deepEqual(transports, [
+            { type: 0, name: 'Serial', isNetwork: false, requiresAuth: false, isConnected: true, baudrate: 115200 },
+            {
+                type: 1, name: 'Ethernet', isNetwork: true, requiresAuth: true, isConnected: false,
+                ip: '192.168.1.10', gateway: '192.168.1.1', subnet: '255.255.255.0', port: 502, mac: 'DE:AD:BE:EF:00:01',
+            },
+        ])
+    })
+
+    it('throws on errors', () => {
+        assert.throws(() => decode.transportInfo('ERR'), /TI failed/)
+    })
+})
+
+describe('DA DataBlock info', () => {
+    it('decodes the table and skips free slots', () => {
+        assert.deepEqual(parseCommand(encode.dbInfo()), { cmd: 'DA', args: '' })
+        const reply = 'DA' + [8, 2, 0x100, 0x200, 0x300].map(u16).join('') + [1, 0x300, 16, 0, 0, 0, 5, 0x310, 4].map(u16).join('')
+        assert.deepEqual(decode.dbInfo(reply), {
+            slots: 8, active: 2, table_offset: 0x100, free_space: 0x200, lowest_address: 0x300,
+            entries: [{ db: 1, offset: 0x300, size: 16 }, { db: 5, offset: 0x310, size: 4 }],
+        })
+    })
+
+    it('throws on errors', () => {
+        assert.throws(() => decode.dbInfo('E:DB'), /DataBlock info failed/)
+    })
+})
+
+describe('MR / MW memory access', () => {
+    it('round-trips a memory read', () => {
+        assert.deepEqual(parseCommand(encode.memoryRead(0x20, 4)), { cmd: 'MR', args: u32(0x20) + u32(4) })
+        assert.deepEqual(decode.memoryRead('OK0102FEFF\r'), Uint8Array.from([1, 2, 0xfe, 0xff]))
+        assert.deepEqual(decode.memoryRead('0A0B'), Uint8Array.from([10, 11]))
+        assert.throws(() => decode.memoryRead('ERR RANGE'), /Memory read failed: ERR RANGE/)
+    })
+
+    it('encodes a memory write with its data', () => {
+        const data = [0x00, 0x7f, 0x80, 0x1ff]
+        assert.deepEqual(parseCommand(encode.memoryWrite(0x1000, data)), { cmd: 'MW', args: u32(0x1000) + u32(4) + '007F80FF' })
+        assert.equal(decode.ack('OK', 'Memory write'), true)
+        assert.throws(() => decode.ack('ERR LOCKED', 'Memory write'), /Memory write failed: ERR LOCKED/)
+    })
+})
+
+describe('program and memory commands', () => {
+    it('encodes the commands without arguments', () => {
+        assert.deepEqual(parseCommand(encode.run()), { cmd: 'PR', args: '' })
+        assert.deepEqual(parseCommand(encode.stop()), { cmd: 'PS', args: '' })
+        assert.deepEqual(parseCommand(encode.reset()), { cmd: 'RS', args: '' })
+        assert.deepEqual(parseCommand(encode.programUpload()), { cmd: 'PU', args: '' })
+    })
+
+    it('encodes a program download from hex or bytes', () => {
+        assert.deepEqual(parseCommand(encode.programDownload('01 0A ff')), { cmd: 'PD', args: u32(3) + '010AFF' })
+        assert.equal(encode.programDownload(Uint8Array.from([1, 10, 255])), encode.programDownload('010AFF'))
+    })
+
+    it('encodes masked writes, fills and T/C offsets', () => {
+        assert.deepEqual(parseCommand(encode.memoryWriteMask(0x10, [0x04, 0x00], [0x04, 0xff])), { cmd: 'MT', args: u32(0x10) + u32(2) + '0400' + '04FF' })
+        assert.throws(() => encode.memoryWriteMask(0, [1, 2], [1]), /one byte per data byte/)
+        assert.deepEqual(parseCommand(encode.memoryFormat(0x100, 16, 0xff)), { cmd: 'MF', args: u32(0x100) + u32(16) + 'FF' })
+        assert.deepEqual(parseCommand(encode.tcConfig(80, 200)), { cmd: 'TC', args: u32(80) + u32(200) })
+    })
+
+    // The WASM build is gitignored, these checks run where it has been built
+    const wasm = new URL('../frontend/src/wasm/VovkPLC.js', import.meta.url)
+    it('matches the command builder of the runtime', { skip: !fs.existsSync(wasm) && 'no WASM build' }, async () => {
+        const VovkPLC = (await import(wasm.href)).default
+        const builder = new VovkPLC().buildCommand
+        assert.equal(encode.run(), builder.programRun())
+        assert.equal(encode.stop(), builder.programStop())
+        assert.equal(encode.reset(), builder.plcReset())
+        assert.equal(encode.programDownload('010AFF'), builder.programDownload('010AFF'))
+        assert.equal(encode.programUpload(), builder.programUpload())
+        assert.equal(encode.memoryWriteMask(0x10, [0x04], [0x04]), builder.memoryWriteMask(0x10, [0x04], [0x04]))
+        assert.equal(encode.memoryFormat(0x100, 16, 0xff), builder.memoryFormat(0x100, 16, 0xff))
+        assert.equal(encode.tcConfig(80, 200), builder.tcConfig(80, 200))
+    })
+})
@@ -0,0 +1,309 @@
+/**
+ * @file rest-device.ts
+ * @description Local stand-in for a REST-enabled VovkPLC device.
+ * Serves the `/vovkplcruntime/device/*` endpoints used by the frontend RestConnection
+ * driver, backed by the WASM build of VovkPLCRuntime running in this process.
+ * Useful for testing the REST target end-to-end without Wi-Fi hardware.
+ *
+ * Endpoints (all under /vovkplcruntime/device):
+ *   GET  info, program-upload, health, symbols, transports, db-info, db-decls
+ *   POST auth, reboot, run, stop, monitor, program-download (octet-stream), health-reset,
+ *        memory-read, memory-write, memory-write-masked, memory-format, tc-config,
+ *        db-declare, db-remove, db-compact, db-format, db-read, db-read-value,
+ *        db-write-value, db-read-field, db-write-field, db-read-fields, db-write-fields
+ *   Errors are returned as `{ error }` JSON with a non-2xx status.
+ *
+ * Usage:
+ *   npm run rest-device
+ *
+ * Environment variables:
+ *   REST_DEVICE_HOST   Listen address (default: localhost)
+ *   REST_DEVICE_PORT   Listen port, 0 picks a free one (default: 3100)
+ *   REST_DEVICE_SCAN   Scan cycle period in milliseconds (default: 10)
+ */
+
+import 'dotenv/config'
+import path from 'node:path'
+import type { AddressInfo } from 'node:net'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import express from 'express'
+import bodyParser from 'body-parser'
+
+const HOST = process.env.REST_DEVICE_HOST || 'localhost'
+const PORT = process.env.REST_DEVICE_PORT && Number.isInteger(+process.env.REST_DEVICE_PORT) ? +process.env.REST_DEVICE_PORT : 3100
+const SCAN_MS = process.env.REST_DEVICE_SCAN ? +process.env.REST_DEVICE_SCAN || 10 : 10
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const WASM_DIR = path.resolve(__dirname, '../frontend/src/wasm')
+
+// ─── Runtime ────────────────────────────────────────────────────────────────
+
+const VovkPLC = (await import(pathToFileURL(path.join(WASM_DIR, 'VovkPLC.js')).href)).default
+const runtime: any = new VovkPLC(path.join(WASM_DIR, 'VovkPLC.wasm'))
+await runtime.initialize()
+
+let scanTimer: NodeJS.Timeout | null = null
+
+function startScan(): void {
+    if (scanTimer) return
+    scanTimer = setInterval(() => {
+        try {
+            runtime.run()
+        } catch {
+            // Ignore transient runtime errors, same as the editor simulator
+        }
+    }, SCAN_MS)
+}
+
+function stopScan(): void {
+    if (scanTimer) {
+        clearInterval(scanTimer)
+        scanTimer = null
+    }
+}
+
+/** Throws if the loaded WASM build does not export the given runtime method */
+function requireRuntime(name: string): void {
+    if (typeof runtime[name] !== 'function') {
+        throw Object.assign(new Error(`${name} not available in this runtime build`), { status: 501 })
+    }
+}
+
+// ─── Express setup ──────────────────────────────────────────────────────────
+
+const app = express()
+
+app.use((req, res, next) => {
+    // The editor is served from another origin, allow it to call this device
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    if (req.method === 'OPTIONS') {
+        res.status(204).end()
+        return
+    }
+    next()
+})
+
+app.use(bodyParser.json({ limit: '10mb' }))
+app.use(bodyParser.raw({ type: 'application/octet-stream', limit: '10mb' }))
+
+const device = express.Router()
+
+/** Wraps a route handler so thrown errors become `{ error }` JSON responses */
+const handle = (fn: (req: express.Request, res: express.Response) => any) => async (req: express.Request, res: express.Response) => {
+    try {
+        await fn(req, res)
+    } catch (err: any) {
+        res.status(err.status || 500).json({ error: err.message })
+    }
+}
+
+// --- Device control ---
+
+device.get('/info', handle((req, res) => {
+    res.json(runtime.printInfo())
+}))
+
+device.post('/auth', handle((req, res) => {
+    // The stand-in reports requiresAuth: false, any credentials are accepted
+    res.json({ ok: true })
+}))
+
+device.post('/reboot', handle(async (req, res) => {
+    stopScan()
+    await runtime.initialize()
+    startScan()
+    res.json({ ok: true })
+}))
+
+device.post('/run', handle((req, res) => {
+    startScan()
+    res.json({ ok: true })
+}))
+
+device.post('/stop', handle((req, res) => {
+    stopScan()
+    res.json({ ok: true })
+}))
+
+device.post('/monitor', handle((req, res) => {
+    res.json({ ok: true })
+}))
+
+// --- Program ---
+
+device.post('/program-download', handle((req, res) => {
+    const bytecode: Buffer = req.body
+    if (!Buffer.isBuffer(bytecode) || bytecode.length === 0) throw Object.assign(new Error('Expected application/octet-stream bytecode'), { status: 400 })
+    const hex = bytecode.toString('hex').toUpperCase()
+    if (typeof runtime.downloadBytecodeHex === 'function') runtime.downloadBytecodeHex(hex)
+    else runtime.downloadBytecode(hex)
+    res.json({ ok: true, size: bytecode.length })
+}))
+
+device.get('/program-upload', handle((req, res) => {
+    const program = runtime.extractProgram()
+    res.type('text/plain').send(typeof program === 'string' ? program : Buffer.from(program).toString('hex').toUpperCase())
+}))
+
+// --- Memory ---
+
+device.post('/memory-read', handle((req, res) => {
+    const { address, size } = req.body
+    const data = runtime.readMemoryArea(+address, +size)
+    res.type('application/octet-stream').send(Buffer.from(data))
+}))
+
+device.post('/memory-write', handle((req, res) => {
+    const { address, data } = req.body
+    runtime.writeMemoryArea(+address, Uint8Array.from(data))
+    res.json({ ok: true })
+}))
+
+device.post('/memory-write-masked', handle((req, res) => {
+    const { address, data, mask } = req.body
+    runtime.writeMemoryAreaMasked(+address, Uint8Array.from(data), Uint8Array.from(mask))
+    res.json({ ok: true })
+}))
+
+device.post('/memory-format', handle((req, res) => {
+    const { address, size, value } = req.body
+    runtime.writeMemoryArea(+address, new Uint8Array(+size).fill(+value & 0xff))
+    res.json({ ok: true })
+}))
+
+device.post('/tc-config', handle((req, res) => {
+    // The WASM runtime takes its T/C layout from the downloaded program, nothing to configure
+    res.json({ ok: true })
+}))
+
+// --- Health ---
+
+device.get('/health', handle((req, res) => {
+    requireRuntime('getDeviceHealth')
+    res.json(runtime.getDeviceHealth())
+}))
+
+device.post('/health-reset', handle((req, res) => {
+    requireRuntime('resetDeviceHealth')
+    runtime.resetDeviceHealth()
+    res.json({ ok: true })
+}))
+
+// --- Device description ---
+
+device.get('/symbols', handle((req, res) => {
+    // The WASM runtime has no firmware-registered symbols
+    res.json([])
+}))
+
+device.get('/transports', handle((req, res) => {
+    res.json([{ type: 0, name: 'REST', isNetwork: true, requiresAuth: false, isConnected: true, ip: HOST, gateway: '', subnet: '', port: (server.address() as AddressInfo).port, mac: '' }])
+}))
+
+// --- DataBlocks ---
+
+device.get('/db-info', handle((req, res) => {
+    requireRuntime('dbGetSlotCount')
+    const entries = runtime.dbGetActiveEntries().map((e: any) => ({ db: e.db_number, offset: e.offset, size: e.size }))
+    res.json({
+        slots: runtime.dbGetSlotCount(),
+        active: runtime.dbGetActiveCount(),
+        table_offset: runtime.dbGetTableOffset(),
+        free_space: runtime.dbGetFreeSpace(),
+        lowest_address: runtime.dbGetLowestAddress(),
+        entries,
+    })
+}))
+
+device.post('/db-declare', handle((req, res) => {
+    requireRuntime('dbDeclare')
+    res.json({ slot: runtime.dbDeclare(+req.body.db, +req.body.size) })
+}))
+
+device.post('/db-remove', handle((req, res) => {
+    requireRuntime('dbRemove')
+    res.json({ ok: !!runtime.dbRemove(+req.body.db) })
+}))
+
+device.post('/db-compact', handle((req, res) => {
+    requireRuntime('dbCompact')
+    res.json({ lowest_address: runtime.dbCompact() })
+}))
+
+device.post('/db-format', handle((req, res) => {
+    requireRuntime('dbFormat')
+    runtime.dbFormat()
+    res.json({ ok: true })
+}))
+
+device.post('/db-read', handle((req, res) => {
+    requireRuntime('dbReadAll')
+    const { data, offset, size } = runtime.dbReadAll(+req.body.db)
+    res.json({ data: Array.from(data), offset, size })
+}))
+
+device.post('/db-read-value', handle((req, res) => {
+    requireRuntime('dbRead')
+    const { db, offset, type } = req.body
+    res.json({ value: runtime.dbRead(+db, +offset, type || 'u8') })
+}))
+
+device.post('/db-write-value', handle((req, res) => {
+    requireRuntime('dbWrite')
+    const { db, offset, value, type } = req.body
+    runtime.dbWrite(+db, +offset, +value, type || 'u8')
+    res.json({ ok: true })
+}))
+
+device.post('/db-read-field', handle((req, res) => {
+    requireRuntime('dbReadField')
+    res.json({ value: runtime.dbReadField(+req.body.db, req.body.field) })
+}))
+
+device.post('/db-write-field', handle((req, res) => {
+    requireRuntime('dbWriteField')
+    runtime.dbWriteField(+req.body.db, req.body.field, +req.body.value)
+    res.json({ ok: true })
+}))
+
+device.post('/db-read-fields', handle((req, res) => {
+    requireRuntime('dbReadFields')
+    res.json({ values: runtime.dbReadFields(+req.body.db) })
+}))
+
+device.post('/db-write-fields', handle((req, res) => {
+    requireRuntime('dbWriteFields')
+    runtime.dbWriteFields(+req.body.db, req.body.values || {})
+    res.json({ ok: true })
+}))
+
+device.get('/db-decls', handle((req, res) => {
+    requireRuntime('dbGetAllDecls')
+    res.json(runtime.dbGetAllDecls())
+}))
+
+app.use('/vovkplcruntime/device', device)
+
+app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' })
+})
+
+// ─── Start server ────────────────────────────────────────────────────────────
+
+startScan()
+
+const server = app.listen(PORT, HOST, () => {
+    console.log(`VovkPLC REST device stand-in listening on http://${HOST}:${(server.address() as AddressInfo).port}`)
+    console.log(`  Scan period: ${SCAN_MS} ms`)
+})
+
+const cleanup = () => {
+    stopScan()
+    server.close()
+    process.exit(0)
+}
+
+process.on('SIGINT', cleanup)
+process.on('SIGTERM', cleanup)
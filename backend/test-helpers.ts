@@ -0,0 +1,41 @@
+// Helpers shared by the protocol test suites
+
+import assert from 'node:assert/strict'
+import { crc8, stringToHex, parseHex, FRAME_START } from '../frontend/src/connection/protocol.js'
+
+/** Split a command line and check its checksum */
+export const parseCommand = (line: string) => {
+    assert.match(line, /^[A-Z]{2}[0-9A-F]*$/)
+    const cmd = line.slice(0, 2)
+    const args = line.slice(2, -2)
+    let checksum = crc8(parseHex(stringToHex(cmd)))
+    if (args) checksum = crc8(parseHex(args), checksum)
+    assert.equal(parseInt(line.slice(-2), 16), checksum, `checksum of ${line}`)
+    return { cmd, args }
+}
+
+export const u32 = (value: number) => value.toString(16).padStart(8, '0').toUpperCase()
+export const u16 = (value: number) => value.toString(16).padStart(4, '0').toUpperCase()
+export const ascii = (text: string) => Array.from(text, c => c.charCodeAt(0))
+
+/** Binary frame as sent by devices with BINARY_FRAMES */
+export const frame = (payload: number[]) => [FRAME_START, payload.length >> 8, payload.length & 0xff, ...payload, crc8(payload)]
+
+/** In-memory device for the service tests, records every write */
+export const fakeDevice = (size = 256) => {
+    const memory = new Uint8Array(size)
+    const writes: Array<{ address: number, data: number[], mask?: number[] }> = []
+    return {
+        memory,
+        writes,
+        read: async (address: number, length: number) => Array.from(memory.subarray(address, address + length)),
+        write: async (address: number, data: number[]) => {
+            writes.push({ address, data })
+            memory.set(data, address)
+        },
+        writeMasked: async (address: number, data: number[], mask: number[]) => {
+            writes.push({ address, data, mask })
+            data.forEach((byte, i) => { memory[address + i] = (memory[address + i] & ~mask[i]) | (byte & mask[i]) })
+        },
+    }
+}
@@ -2,6 +2,33 @@ export default class ConnectionBase {
     /** @type { (error: Error) => void } */
     onDisconnected = null
 
+    /**
+     * Memory read round-trip statistics, shown as LINK in the device health panel
+     * @type {{ framing: 'ascii' | 'binary', reads: number, last_read_us: number, min_read_us: number, max_read_us: number, payload_bytes: number, wire_bytes: number }}
+     */
+    linkStats = { framing: 'ascii', reads: 0, last_read_us: 0, min_read_us: 0, max_read_us: 0, payload_bytes: 0, wire_bytes: 0 };
+
+    /**
+     * Record a completed memory read in `linkStats`
+     * @param {number} elapsedMs - Round-trip time of the read
+     * @param {number} payloadBytes - Bytes of memory data returned
+     * @param {number} wireBytes - Bytes received on the link for the reply
+     */
+    _recordLinkRead(elapsedMs, payloadBytes, wireBytes) {
+        const stats = this.linkStats;
+        const us = Math.round(elapsedMs * 1000);
+        stats.last_read_us = us;
+        stats.min_read_us = stats.reads ? Math.min(stats.min_read_us, us) : us;
+        stats.max_read_us = Math.max(stats.max_read_us, us);
+        stats.payload_bytes += payloadBytes;
+        stats.wire_bytes += wireBytes;
+        stats.reads++;
+    }
+
+    resetLinkStats() {
+        this.linkStats = { framing: this.linkStats.framing, reads: 0, last_read_us: 0, min_read_us: 0, max_read_us: 0, payload_bytes: 0, wire_bytes: 0 };
+    }
+
     /** @type { () => Promise<boolean> } */
     async connect() { throw new Error("connect() not implemented"); }
 
@@ -11,6 +38,14 @@ export default class ConnectionBase {
     /** @type { () => Promise<any> } */
     async getInfo() { throw new Error("getInfo() not implemented"); }
 
+    /**
+     * Authenticate the session on transports that report `requiresAuth`
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<void>} Rejects if the device refuses the credentials
+     */
+    async authenticate(username, password) { throw new Error("authenticate() not implemented"); }
+
     /** @type { () => Promise<{ last_cycle_time_us: number, max_cycle_time_us: number, ram_free: number, min_ram_free: number }> } */
     async getHealth() { throw new Error("getHealth() not implemented"); }
 
@@ -35,9 +70,43 @@ export default class ConnectionBase {
     /** @type { (address: number, size: number) => Promise<Uint8Array> } */
     async readMemory(address, size) { throw new Error("readMemory() not implemented"); }
 
+    /**
+     * Whether `readMemoryRegions` reads all regions in a single request.
+     * Drivers set this from the device capabilities, otherwise the regions are read one by one.
+     * @type {boolean}
+     */
+    supportsMultiRead = false;
+
+    /**
+     * Read several memory regions, in a single request when `supportsMultiRead` is set
+     * @param {Array<{ address: number, size: number }>} regions
+     * @returns {Promise<Array<{ address: number, size: number, data: Uint8Array }>>} One result per region, in order
+     */
+    async readMemoryRegions(regions) {
+        const results = [];
+        for (const { address, size } of regions) {
+            results.push({ address, size, data: await this.readMemory(address, size) });
+        }
+        return results;
+    }
+
     /** @type { (address: number, data: Uint8Array) => Promise<void> } */
     async writeMemory(address, data) { throw new Error("writeMemory() not implemented"); }
 
+    /**
+     * Whether the runtime holds forced values itself through `setForces`.
+     * Without it the editor keeps rewriting the forced values (see editor/ForceManager.js).
+     * @type {boolean}
+     */
+    supportsForce = false;
+
+    /**
+     * Replace the force table of the runtime, an empty list releases all forces
+     * @param {Array<{ address: number, data: number[], mask: number[] }>} forces - Masked values, see `mergeMaskedWrites`
+     * @returns {Promise<void>}
+     */
+    async setForces(forces) { throw new Error("setForces() not implemented"); }
+
     /** @type { (address: number, size: number, value: number) => Promise<void> } */
     async formatMemory(address, size, value) { throw new Error("formatMemory() not implemented"); }
 
@@ -0,0 +1,204 @@
+/**
+ * @file capture.js
+ * @description Decoding of serial traffic captures recorded by the backend (see backend/SerialCapture.ts).
+ * A capture is a JSON lines file: a `{ port, startedAt }` header followed by `{ t, dir, data }`
+ * records with the hex encoded bytes written to (tx) or received from (rx) the port.
+ *
+ * The records are regrouped into exchanges, one per command with the reply that followed it,
+ * which the capture viewer lists and the replay transport answers commands from.
+ *
+ * This module has no dependencies besides the protocol codec so it can be used in the browser and in Node.
+ */
+
+import { parseHex, decode, isErrorReply, replyLength, FRAME_START } from './protocol.js'
+
+/**
+ * @typedef {{ t: number, dir: 'tx' | 'rx', data: number[] }} CaptureRecord
+ * @typedef {{ port: string, startedAt: number, records: CaptureRecord[] }} Capture
+ * @typedef {{
+ *     t: number, type: string, command: string, request: number[],
+ *     reply: number[], replyAt: number | null,
+ * }} CaptureExchange
+ */
+
+/** Command types of the VovkPLC protocol, by their two letter prefix */
+export const COMMAND_NAMES = {
+    '?': 'Wake-up',
+    PI: 'Program info',
+    PM: 'Monitor',
+    PH: 'Health',
+    RH: 'Reset health',
+    SL: 'Symbol list',
+    TI: 'Transport info',
+    DA: 'DataBlock info',
+    AU: 'Authenticate',
+    MR: 'Memory read',
+    MB: 'Memory read (binary)',
+    MM: 'Memory read (batched)',
+    MW: 'Memory write',
+    MT: 'Memory write (masked)',
+    MF: 'Memory fill',
+    PR: 'Run',
+    PS: 'Stop',
+    RS: 'Restart',
+    PD: 'Program download',
+    PU: 'Program upload',
+    TC: 'T/C configuration',
+}
+
+const textDecoder = new TextDecoder()
+
+/** Bytes as text, without the line ending */
+const toText = (bytes) => textDecoder.decode(new Uint8Array(bytes)).replace(/[\r\n]+$/, '')
+
+/**
+ * Parse a capture file
+ * @param {string} text
+ * @returns {Capture}
+ */
+export const parseCapture = (text) => {
+    const lines = text.split('\n').filter(line => line.trim())
+    let header
+    try {
+        header = JSON.parse(lines[0] || '')
+    } catch {
+        header = null
+    }
+    if (!header || typeof header.startedAt !== 'number') throw new Error('Not a serial capture file')
+    /** @type {CaptureRecord[]} */
+    const records = []
+    for (const line of lines.slice(1)) {
+        try {
+            const record = JSON.parse(line)
+            if (record.dir !== 'tx' && record.dir !== 'rx') continue
+            records.push({ t: +record.t || 0, dir: record.dir, data: parseHex(record.data || '') })
+        } catch {
+            // A capture cut short while recording may end in a partial line
+        }
+    }
+    return { port: String(header.port || ''), startedAt: header.startedAt, records }
+}
+
+/**
+ * Command type of a request line, its two letter prefix
+ * @param {string} command
+ */
+export const commandType = (command) => /^[A-Z]{2}/.test(command) ? command.slice(0, 2) : command === '?' ? '?' : 'other'
+
+/**
+ * Group capture records into command exchanges.
+ * Written bytes are split into commands at line endings, received bytes are the reply to the
+ * last command written before them. Bytes written without a line ending (the `?` wake-up) are
+ * a command of their own once the device answers.
+ * @param {CaptureRecord[]} records
+ * @returns {CaptureExchange[]}
+ */
+export const toExchanges = (records) => {
+    /** @type {CaptureExchange[]} */
+    const exchanges = []
+    /** @type {CaptureExchange[]} */
+    let awaiting = [] // Commands of the last write waiting for their reply, oldest first
+    /** @type {number[]} */
+    let pending = [] // Written bytes of an unfinished command line
+    let pendingAt = 0
+
+    const pushCommand = (bytes, t) => {
+        const command = toText(bytes).trim()
+        if (!command) return
+        const exchange = { t, type: commandType(command), command, request: bytes, reply: [], replyAt: null }
+        exchanges.push(exchange)
+        awaiting.push(exchange)
+    }
+
+    for (const record of records) {
+        if (record.dir === 'tx') {
+            if (!pending.length) {
+                pendingAt = record.t
+                awaiting = []
+            }
+            pending.push(...record.data)
+            let newline
+            while ((newline = pending.indexOf(0x0A)) >= 0) {
+                pushCommand(pending.slice(0, newline + 1), pendingAt)
+                pending = pending.slice(newline + 1)
+                pendingAt = record.t
+            }
+            continue
+        }
+        if (pending.length) {
+            pushCommand(pending, pendingAt)
+            pending = []
+        }
+        let rest = record.data
+        while (rest.length) {
+            let target = awaiting[0]
+            if (!target) {
+                // Data the device sent on its own
+                target = { t: record.t, type: 'unsolicited', command: '', request: [], reply: [], replyAt: null }
+                exchanges.push(target)
+                awaiting = [target]
+            }
+            if (target.replyAt === null) target.replyAt = record.t
+            target.reply.push(...rest)
+            rest = []
+            // With several commands in flight, a complete reply moves on to the next one
+            if (awaiting.length > 1) {
+                const length = replyLength(target.reply)
+                if (length) {
+                    rest = target.reply.splice(length)
+                    awaiting.shift()
+                }
+            }
+        }
+    }
+    if (pending.length) pushCommand(pending, pendingAt)
+    return exchanges
+}
+
+/**
+ * Human readable summary of an exchange's request and reply
+ * @param {CaptureExchange} exchange
+ * @returns {{ request: string, reply: string, error: boolean }}
+ */
+export const describeExchange = (exchange) => {
+    const { type, command, reply } = exchange
+    const args = command.slice(2)
+    const u32 = (offset) => parseInt(args.slice(offset, offset + 8), 16)
+    const binary = reply.find(b => b !== 0x0D && b !== 0x0A) === FRAME_START
+    const line = binary ? '' : toText(reply).trim()
+    const error = !binary && isErrorReply(line)
+
+    let request = command
+    if (type === 'MR' || type === 'MB' || type === 'MW') request = `${type} address ${u32(0)}, ${u32(8)} bytes`
+    else if (type === 'MM') request = `MM ${parseInt(args.slice(0, 4), 16)} regions`
+    else if (type === 'AU') request = 'AU (credentials hidden)'
+
+    let summary = binary ? `binary frame, ${reply.length} bytes` : line
+    if (!reply.length) summary = 'no reply'
+    else if (!error) {
+        try {
+            if (type === 'PI') {
+                const info = decode.programInfo(line.slice(line.indexOf('[')))
+                if (info) summary = `${info.device} ${info.arch} ${info.version}, program ${info.program} bytes`
+            } else if (type === 'PH') {
+                const health = decode.health(line)
+                summary = `cycle ${health.last_cycle_time_us} us, RAM free ${health.ram_free}`
+            } else if (type === 'SL') {
+                summary = `${decode.symbolList(line).length} symbols`
+            } else if (type === 'TI') {
+                summary = decode.transportInfo(line).map(t => t.name).join(', ') || 'no transports'
+            } else if (type === 'DA') {
+                const info = decode.dbInfo(line)
+                summary = `${info.active}/${info.slots} data blocks, ${info.free_space} bytes free`
+            } else if (type === 'MR') {
+                summary = `${decode.memoryRead(line).length} bytes`
+            } else if (type === 'MB') {
+                summary = `${decode.memoryReadBinary(reply.slice(reply.indexOf(FRAME_START))).length} bytes (binary)`
+            }
+        } catch (err) {
+            summary = `${summary} (${err.message})`
+        }
+    }
+    if (summary.length > 120) summary = summary.slice(0, 117) + '...'
+    return { request, reply: summary, error }
+}
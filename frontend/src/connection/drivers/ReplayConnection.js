@@ -0,0 +1,28 @@
+/**
+ * @file ReplayConnection.js
+ * @description Connection driver that replays a recorded serial capture instead of talking to a device,
+ * so field issues can be reproduced offline against the editor.
+ *
+ * It reuses the command handling of SerialConnection and only swaps the transport for one that
+ * answers every command with the reply recorded in the capture (see tools/replaySerial.js).
+ */
+
+import SerialConnection from "./SerialConnection.js"
+import ReplaySerial from "./tools/replaySerial.js"
+
+export default class ReplayConnection extends SerialConnection {
+    /**
+     * @param {import('../capture.js').Capture} capture
+     * @param {boolean} [debug]
+     */
+    constructor(capture, debug = false) {
+        super(115200, debug, new ReplaySerial(capture, debug))
+        this.capture = capture
+    }
+
+    async connect() {
+        this._clearCommandQueue()
+        await this.serial.begin()
+        return true
+    }
+}
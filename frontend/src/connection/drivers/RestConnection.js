@@ -1,4 +1,5 @@
 import ConnectionBase from "../ConnectionBase.js";
+import { parseHex } from "../protocol.js";
 
 export default class RestConnection extends ConnectionBase {
     baseUrl = ''
@@ -21,61 +22,210 @@ export default class RestConnection extends ConnectionBase {
     }
 
     async getInfo() {
-        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/info`);
+        const res = await this._get("info");
         return await res.json();
     }
 
     async reboot() {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/reboot`, { method: "POST" });
+        await this._post("reboot");
     }
 
     async run() {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/run`, { method: "POST" });
+        await this._post("run");
     }
 
     async stop() {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/stop`, { method: "POST" });
+        await this._post("stop");
     }
 
     async monitor() {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/monitor`, { method: "POST" });
+        await this._post("monitor");
     }
 
+    /** @param {string | ArrayLike<number>} bytecode - Hex string as produced by the compiler, or the bytes */
     async downloadProgram(bytecode) {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/program-download`, {
+        const bytes = typeof bytecode === "string" ? parseHex(bytecode) : bytecode;
+        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/program-download`, {
             method: "POST",
             headers: { "Content-Type": "application/octet-stream" },
-            body: new Uint8Array(bytecode),
+            body: new Uint8Array(bytes),
         });
+        if (!res.ok) throw new Error(await this._errorText(res, "program-download"));
     }
 
     async uploadProgram() {
-        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/program-upload`);
+        const res = await this._get("program-upload");
         return await res.text();
     }
 
     async readMemory(address, size) {
-        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/memory-read`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ address, size }),
-        });
+        const res = await this._post("memory-read", { address, size });
         return new Uint8Array(await res.arrayBuffer());
     }
 
     async writeMemory(address, data) {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/memory-write`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ address, size: data.length, data: Array.from(data) }),
-        });
+        await this._post("memory-write", { address, size: data.length, data: Array.from(data) });
     }
 
     async formatMemory(address, size, value) {
-        await fetch(`${this.baseUrl}/vovkplcruntime/device/memory-format`, {
+        await this._post("memory-format", { address, size, value });
+    }
+
+    async writeMemoryArea(address, data) {
+        return this.writeMemory(address, data);
+    }
+
+    async writeMemoryAreaMasked(address, data, mask) {
+        await this._post("memory-write-masked", { address, data: Array.from(data), mask: Array.from(mask) });
+    }
+
+    /**
+     * Configure Timer/Counter offsets on the device
+     * @param {number} timerOffset
+     * @param {number} counterOffset
+     */
+    async configureTCOffsets(timerOffset, counterOffset) {
+        await this._post("tc-config", { timerOffset, counterOffset });
+    }
+
+    /**
+     * Authenticate the session on devices that require it
+     * @param {string} username
+     * @param {string} password
+     */
+    async authenticate(username, password) {
+        await this._post("auth", { username, password });
+    }
+
+    async getHealth() {
+        const res = await this._get("health");
+        return await res.json();
+    }
+
+    async resetHealth() {
+        await this._post("health-reset");
+    }
+
+    /**
+     * Get symbol list from device
+     * @returns {Promise<Array<{name: string, area: string, address: number, bit: number, type: string, comment: string}>>}
+     */
+    async getSymbolList() {
+        const res = await this._get("symbols");
+        return await res.json();
+    }
+
+    /**
+     * Get transport/interface info from device
+     * @returns {Promise<Array<{type: number, name: string, isNetwork: boolean, requiresAuth: boolean, isConnected: boolean, baudrate?: number, ip?: string, gateway?: string, subnet?: string, port?: number, mac?: string}>>}
+     */
+    async getTransportInfo() {
+        const res = await this._get("transports");
+        return await res.json();
+    }
+
+    async getDataBlockInfo() {
+        const res = await this._get("db-info");
+        return await res.json();
+    }
+
+    async declareDataBlock(dbNumber, size) {
+        const res = await this._post("db-declare", { db: dbNumber, size });
+        const { slot } = await res.json();
+        return slot;
+    }
+
+    async removeDataBlock(dbNumber) {
+        const res = await this._post("db-remove", { db: dbNumber });
+        const { ok } = await res.json();
+        return !!ok;
+    }
+
+    async compactDataBlocks() {
+        const res = await this._post("db-compact");
+        const { lowest_address } = await res.json();
+        return lowest_address;
+    }
+
+    async formatDataBlocks() {
+        await this._post("db-format");
+    }
+
+    async readDataBlock(dbNumber) {
+        const res = await this._post("db-read", { db: dbNumber });
+        const { data, offset, size } = await res.json();
+        return { data: new Uint8Array(data), offset, size };
+    }
+
+    async readDataBlockValue(dbNumber, dbOffset, type = 'u8') {
+        const res = await this._post("db-read-value", { db: dbNumber, offset: dbOffset, type });
+        const { value } = await res.json();
+        return value;
+    }
+
+    async writeDataBlockValue(dbNumber, dbOffset, value, type = 'u8') {
+        await this._post("db-write-value", { db: dbNumber, offset: dbOffset, value, type });
+    }
+
+    async readDataBlockField(dbNumber, fieldName) {
+        const res = await this._post("db-read-field", { db: dbNumber, field: fieldName });
+        const { value } = await res.json();
+        return value;
+    }
+
+    async writeDataBlockField(dbNumber, fieldName, value) {
+        await this._post("db-write-field", { db: dbNumber, field: fieldName, value });
+    }
+
+    async readDataBlockFields(dbNumber) {
+        const res = await this._post("db-read-fields", { db: dbNumber });
+        const { values } = await res.json();
+        return values;
+    }
+
+    async writeDataBlockFields(dbNumber, values) {
+        await this._post("db-write-fields", { db: dbNumber, values });
+    }
+
+    async getDataBlockDeclarations() {
+        const res = await this._get("db-decls");
+        return await res.json();
+    }
+
+    /**
+     * GET a device endpoint, throwing on HTTP errors
+     * @param {string} endpoint - Path under /vovkplcruntime/device/
+     * @returns {Promise<Response>}
+     */
+    async _get(endpoint) {
+        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/${endpoint}`);
+        if (!res.ok) throw new Error(await this._errorText(res, endpoint));
+        return res;
+    }
+
+    /**
+     * POST JSON to a device endpoint, throwing on HTTP errors
+     * @param {string} endpoint - Path under /vovkplcruntime/device/
+     * @param {any} [body]
+     * @returns {Promise<Response>}
+     */
+    async _post(endpoint, body) {
+        const res = await fetch(`${this.baseUrl}/vovkplcruntime/device/${endpoint}`, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ address, size, value }),
+            body: JSON.stringify(body ?? {}),
         });
+        if (!res.ok) throw new Error(await this._errorText(res, endpoint));
+        return res;
+    }
+
+    async _errorText(res, endpoint) {
+        try {
+            const body = await res.json();
+            if (body?.error) return body.error;
+        } catch {
+            // Non-JSON error body
+        }
+        return `REST ${endpoint} failed: HTTP ${res.status}`;
     }
 }
@@ -1,18 +1,24 @@
 import ConnectionBase from "../ConnectionBase.js";
 import Serial from "./tools/serial.js";
-import VovkPLC from "../../wasm/VovkPLC.js";
+import { encode, decode, parseHex, findInfoLine, replyLength, replyWireBytes, batchRegions, PROTOCOL_FLAGS } from "../protocol.js";
 
 export default class SerialConnection extends ConnectionBase {
-    constructor(baudrate = 115200, debug = false) {
+    /**
+     * @param {number} [baudrate]
+     * @param {boolean} [debug]
+     * @param {any} [transport] - Object with the tools/serial.js interface used instead of Web Serial
+     */
+    constructor(baudrate = 115200, debug = false, transport = null) {
         super();
         this.debug = debug;
         this.baudrate = baudrate;
-        this.serial = new Serial(32 * 1024, debug); // buffer size
-        this.plc = new VovkPLC(); // only used for buildCommand and crc8
+        this.serial = transport || new Serial(32 * 1024, debug); // buffer size
         this._commandQueue = [];
         this._commandRunning = false;
         this._commandQueueLimit = 50;
         this._commandTimeoutMs = 8000;
+        /** Use binary framed memory reads, negotiated through the info handshake */
+        this.binaryFraming = false;
 
         this.serial.onDisconnect = (err) => {
             if (this.onDisconnected) this.onDisconnected(err);
@@ -33,37 +39,34 @@ export default class SerialConnection extends ConnectionBase {
 
     async reboot() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.plcReset();
+            const command = encode.reset();
             await this.serial.write(command + "\n");
         }, { label: 'reboot' });
     }
 
     async run() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programRun();
+            const command = encode.run();
             await this.serial.write(command + "\n");
         }, { label: 'run' });
     }
 
     async stop() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programStop();
+            const command = encode.stop();
             await this.serial.write(command + "\n");
         }, { label: 'stop' });
     }
 
     async monitor() {
         return this._enqueueCommand(async () => {
-            const command = "PM"; // TODO: implement checksum if required
-            const cmdHex = this.plc.stringToHex(command);
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0');
-            await this.serial.write(command + checksum.toUpperCase() + "\n");
+            await this.serial.write(encode.monitor() + "\n");
         }, { label: 'monitor' });
     }
 
     async downloadProgram(bytecode) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programDownload(bytecode);
+            const command = encode.programDownload(bytecode);
             await this.writeChunked(command + "\n");
 
             // Wait for response
@@ -88,7 +91,7 @@ export default class SerialConnection extends ConnectionBase {
 
     async uploadProgram() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programUpload();
+            const command = encode.programUpload();
             await this.serial.write(command + "\n");
 
             const line = await this._readResponseLine(12000);
@@ -96,7 +99,7 @@ export default class SerialConnection extends ConnectionBase {
             if (raw.startsWith('OK')) {
                 raw = raw.substring(2).trim();
             }
-            const hex = this.plc.parseHex(raw);
+            const hex = parseHex(raw);
             const buffer = new Uint8Array(hex);
             return buffer;
         }, { label: 'uploadProgram', timeoutMs: 12000 });
@@ -104,32 +107,56 @@ export default class SerialConnection extends ConnectionBase {
 
     async readMemory(address, size) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryRead(address, size);
+            const binary = this.binaryFraming;
+            const command = binary ? encode.memoryReadBinary(address, size) : encode.memoryRead(address, size);
+            const start = performance.now();
             await this.serial.write(command + "\n");
 
-            // Wait for the full line (including potential large data payload)
-            const line = await this._readResponseLine(8000);
-            let raw = line.trim();
-            if (raw.startsWith('OK')) {
-                raw = raw.substring(2).trim();
+            let data, wireBytes;
+            if (binary) {
+                const reply = await this._readReplyBytes(8000);
+                data = decode.memoryReadBinary(reply);
+                wireBytes = replyWireBytes(reply);
+            } else {
+                // Wait for the full line (including potential large data payload)
+                const line = await this._readResponseLine(8000);
+                data = decode.memoryRead(line);
+                wireBytes = replyWireBytes(line);
             }
-            const hex = this.plc.parseHex(raw);
-            const buffer = new Uint8Array(hex);
-            return buffer;
+            this._recordLinkRead(performance.now() - start, data.length, wireBytes);
+            return data;
         }, { label: 'readMemory' });
     }
 
+    async readMemoryRegions(regions) {
+        if (!this.supportsMultiRead) return super.readMemoryRegions(regions);
+        const results = [];
+        for (const group of batchRegions(regions)) {
+            const part = await this._enqueueCommand(async () => {
+                const start = performance.now();
+                await this.serial.write(encode.memoryReadMulti(group) + "\n");
+                // The reply is a binary frame or an ASCII line depending on the device framing
+                const reply = await this._readReplyBytes(8000);
+                const decoded = decode.memoryReadMulti(reply, group);
+                this._recordLinkRead(performance.now() - start, decoded.reduce((sum, r) => sum + r.size, 0), replyWireBytes(reply));
+                return decoded;
+            }, { label: 'readMemoryRegions' });
+            results.push(...part);
+        }
+        return results;
+    }
+
     async writeMemory(address, data) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryWrite(address, data);
+            const command = encode.memoryWrite(address, data);
             await this.serial.write(command + "\n");
-            await this._readResponseLine(); // Wait for OK
+            decode.ack(await this._readResponseLine(), 'Memory write');
         }, { label: 'writeMemory' });
     }
 
     async formatMemory(address, size, value) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryFormat(address, size, value);
+            const command = encode.memoryFormat(address, size, value);
             await this.serial.write(command + "\n");
             await this._readResponseLine(); // Wait for OK
         }, { label: 'formatMemory' });
@@ -141,12 +168,19 @@ export default class SerialConnection extends ConnectionBase {
 
     async writeMemoryAreaMasked(address, data, mask) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryWriteMask(address, data, mask);
+            const command = encode.memoryWriteMask(address, data, mask);
             await this.serial.write(command + "\n");
             await this._readResponseLine(); // Wait for OK
         }, { label: 'writeMemoryAreaMasked' });
     }
 
+    async setForces(forces) {
+        return this._enqueueCommand(async () => {
+            await this.serial.write(encode.forceTable(forces) + "\n");
+            decode.ack(await this._readResponseLine(), 'Force table');
+        }, { label: 'setForces' });
+    }
+
     /**
      * Configure Timer/Counter offsets on the device
      * @param {number} timerOffset - Timer memory area offset
@@ -154,12 +188,24 @@ export default class SerialConnection extends ConnectionBase {
      */
     async configureTCOffsets(timerOffset, counterOffset) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.tcConfig(timerOffset, counterOffset);
+            const command = encode.tcConfig(timerOffset, counterOffset);
             await this.serial.write(command + "\n");
             await this._readResponseLine(); // Wait for OK
         }, { label: 'configureTCOffsets' });
     }
 
+    /**
+     * Authenticate the session on transports that require it
+     * @param {string} username
+     * @param {string} password
+     */
+    async authenticate(username, password) {
+        return this._enqueueCommand(async () => {
+            await this.serial.write(encode.auth(username, password) + "\n");
+            decode.ack(await this._readResponseLine(), 'Authentication');
+        }, { label: 'authenticate' });
+    }
+
     async getInfo(initial = false) {
         return this._enqueueCommand(async () => {
             if (initial) {
@@ -170,11 +216,9 @@ export default class SerialConnection extends ConnectionBase {
                     await this._waitForReply(100);
                 }
             }
-            const command = "PI";
-            const cmdHex = this.plc.stringToHex(command);
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0');
-            if (this.debug) console.log("Sending info command:", command + checksum.toUpperCase());
-            await this.serial.write(command + checksum.toUpperCase() + "\n");
+            const command = encode.programInfo();
+            if (this.debug) console.log("Sending info command:", command);
+            await this.serial.write(command + "\n");
 
             const available = await this._waitForReply(5000);
             if (!available) throw new Error("No response from device");
@@ -203,26 +247,12 @@ export default class SerialConnection extends ConnectionBase {
                     }
                 }
                 
-                // Check if we have a complete info line in accumulated data
-                // Look for a line that contains '[' and ends with ']' followed by newline or end
-                const bracketStart = accumulated.indexOf('[');
-                if (bracketStart >= 0) {
-                    const bracketEnd = accumulated.indexOf(']', bracketStart);
-                    if (bracketEnd >= 0) {
-                        // Found complete bracketed content - extract the full line
-                        // Find the start of this line (after previous newline)
-                        let lineStart = accumulated.lastIndexOf('\n', bracketStart);
-                        lineStart = lineStart >= 0 ? lineStart + 1 : 0;
-                        // Find end of line (newline after bracket or end of string)
-                        let lineEnd = accumulated.indexOf('\n', bracketEnd);
-                        lineEnd = lineEnd >= 0 ? lineEnd : accumulated.length;
-                        
-                        infoLine = accumulated.substring(lineStart, lineEnd).trim();
-                        if (this.debug) console.log("Found complete info line:", infoLine);
-                        // Give a bit more time for any trailing data
-                        await new Promise(r => setTimeout(r, 50));
-                        break;
-                    }
+                infoLine = findInfoLine(accumulated);
+                if (infoLine) {
+                    if (this.debug) console.log("Found complete info line:", infoLine);
+                    // Give a bit more time for any trailing data
+                    await new Promise(r => setTimeout(r, 50));
+                    break;
                 }
                 
                 // If no data and we've been waiting a while, check if we should give up
@@ -230,202 +260,34 @@ export default class SerialConnection extends ConnectionBase {
                     break; // No data at all after 2 seconds
                 }
             }
-            
-            let raw = infoLine;
 
-            if (!raw) {
+            if (!infoLine) {
                 console.log("Remaining accumulated data:", accumulated);
                 throw new Error("Invalid info response: no data or incomplete response");
             }
 
-            while (true) {
-                if (!raw) break
-                if (raw.startsWith('PLC INFO - ')) {
-                    if (this.debug) console.log("Device info:", raw);
-                    const parts = raw.split('PLC INFO - ')
-                    parts.shift()
-                    raw = parts.join('PLC INFO - ') // This should not happen, but just in case we will remove the first instance of 'PLC INFO - '
-                }
-                raw = raw.trim()
-                if (raw.startsWith("[") && raw.endsWith("]")) { // '[VovkPLCRuntime,WASM,0,1,0,324,2025-03-16 19:16:44,1024,104857,104857,0,16,16,16,32,16,48,16,64,16,Simulator]'
-                    const content = raw.substring(1, raw.length - 1)
-                    const parts = content.split(",")
-                    const base = {
-                        header: parts[0],
-                        arch: parts[1],
-                        version: `${parts[2]}.${parts[3]}.${parts[4]} Build ${parts[5]}`,
-                        date: parts[6],
-                        stack: +parts[7],
-                        memory: +parts[8],
-                        program: +parts[9],
-                    }
-                    if (parts.length >= 29) {
-                        // New format with DB info + FLAGS:
-                        // Format: [header,arch,ver_maj,ver_min,ver_patch,build,date,stack,mem,prog,
-                        //          sys_off,sys_size,in_off,in_size,out_off,out_size,mark_off,mark_size,
-                        //          timer_off,timer_count,timer_struct,counter_off,counter_count,counter_struct,
-                        //          db_table_offset,db_slot_count,db_entry_size,flags,device]
-                        const flags = parseInt(parts[27], 16) || 0
-                        const isLittleEndian = (flags & 0x01) === 1
-                        return {
-                            ...base,
-                            system_offset: +parts[10],
-                            system_size: +parts[11],
-                            input_offset: +parts[12],
-                            input_size: +parts[13],
-                            output_offset: +parts[14],
-                            output_size: +parts[15],
-                            marker_offset: +parts[16],
-                            marker_size: +parts[17],
-                            timer_offset: +parts[18],
-                            timer_count: +parts[19],
-                            timer_struct_size: +parts[20],
-                            counter_offset: +parts[21],
-                            counter_count: +parts[22],
-                            counter_struct_size: +parts[23],
-                            db_table_offset: +parts[24],
-                            db_slot_count: +parts[25],
-                            db_entry_size: +parts[26],
-                            flags,
-                            isLittleEndian,
-                            device: parts[28],
-                            // Legacy compatibility aliases
-                            control_offset: +parts[10],
-                            control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 26) {
-                        // Legacy with FLAGS but no DB info
-                        const flags = parseInt(parts[24], 16) || 0
-                        const isLittleEndian = (flags & 0x01) === 1
-                        return {
-                            ...base,
-                            system_offset: +parts[10],
-                            system_size: +parts[11],
-                            input_offset: +parts[12],
-                            input_size: +parts[13],
-                            output_offset: +parts[14],
-                            output_size: +parts[15],
-                            marker_offset: +parts[16],
-                            marker_size: +parts[17],
-                            timer_offset: +parts[18],
-                            timer_count: +parts[19],
-                            timer_struct_size: +parts[20],
-                            counter_offset: +parts[21],
-                            counter_count: +parts[22],
-                            counter_struct_size: +parts[23],
-                            flags,
-                            isLittleEndian,
-                            device: parts[25],
-                            // Legacy compatibility aliases
-                            control_offset: +parts[10],
-                            control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 25) {
-                        // Previous format without FLAGS (backwards compatibility)
-                        return {
-                            ...base,
-                            system_offset: +parts[10],
-                            system_size: +parts[11],
-                            input_offset: +parts[12],
-                            input_size: +parts[13],
-                            output_offset: +parts[14],
-                            output_size: +parts[15],
-                            marker_offset: +parts[16],
-                            marker_size: +parts[17],
-                            timer_offset: +parts[18],
-                            timer_count: +parts[19],
-                            timer_struct_size: +parts[20],
-                            counter_offset: +parts[21],
-                            counter_count: +parts[22],
-                            counter_struct_size: +parts[23],
-                            flags: 0,
-                            isLittleEndian: true, // Default to little-endian for legacy devices
-                            device: parts[24],
-                            // Legacy compatibility aliases
-                            control_offset: +parts[10],
-                            control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 21) {
-                        // Legacy format with control_offset naming (backwards compatibility)
-                        return {
-                            ...base,
-                            control_offset: +parts[10],
-                            control_size: +parts[11],
-                            input_offset: +parts[12],
-                            input_size: +parts[13],
-                            output_offset: +parts[14],
-                            output_size: +parts[15],
-                            system_offset: +parts[16],
-                            system_size: +parts[17],
-                            marker_offset: +parts[18],
-                            marker_size: +parts[19],
-                            device: parts[20],
-                        }
-                    }
-                    return {
-                        ...base,
-                        input_offset: +parts[10],
-                        input_size: +parts[11],
-                        output_offset: +parts[12],
-                        output_size: +parts[13],
-                        device: parts[14]
-                    }
-                }
-            }
-
-            console.error(`Invalid info response:`, raw)
+            if (this.debug) console.log("Device info:", infoLine);
+            const info = decode.programInfo(infoLine);
+            if (!info) console.error(`Invalid info response:`, infoLine);
+            this.binaryFraming = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.BINARY_FRAMES) !== 0;
+            this.supportsMultiRead = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.MULTI_READ) !== 0;
+            this.supportsForce = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.FORCE) !== 0;
+            this.linkStats.framing = this.binaryFraming ? 'binary' : 'ascii';
+            return info || undefined;
         }, { label: 'getInfo', timeoutMs: 12000 });
     }
 
     async getHealth() {
         return this._enqueueCommand(async () => {
-            const command = "PH"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            await this.serial.write(command + checksum.toUpperCase() + "\n")
-
-            const line = await this._readResponseLine()
-            let raw = line.trim()
-            if (!raw) throw new Error("Invalid health response")
-            if (!raw.startsWith('PH')) {
-                const idx = raw.indexOf('PH')
-                if (idx >= 0) raw = raw.slice(idx)
-            }
-            if (raw.startsWith('PH')) raw = raw.slice(2)
-            const hex = raw.replace(/[^0-9a-fA-F]/g, '')
-            if (hex.length < 48) throw new Error("Invalid health response")
-            const parseU32 = (offset) => parseInt(hex.slice(offset, offset + 8), 16) >>> 0
-            // Struct order from runtime-lib.h DeviceHealth:
-            // 0-2: cycle, 3-5: ram_free, 6: total_ram, 7-9: period, 10-12: jitter
-            return {
-                last_cycle_time_us: parseU32(0),
-                min_cycle_time_us: parseU32(8),
-                max_cycle_time_us: parseU32(16),
-                ram_free: parseU32(24),
-                min_ram_free: parseU32(32),
-                max_ram_free: parseU32(40),
-                total_ram_size: parseU32(48),
-                last_period_us: parseU32(56),
-                min_period_us: parseU32(64),
-                max_period_us: parseU32(72),
-                last_jitter_us: parseU32(80),
-                min_jitter_us: parseU32(88),
-                max_jitter_us: parseU32(96),
-            }
+            await this.serial.write(encode.health() + "\n");
+            return decode.health(await this._readResponseLine());
         }, { label: 'getHealth' });
     }
 
     async resetHealth() {
         return this._enqueueCommand(async () => {
-            const command = "RH"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            await this.serial.write(command + checksum.toUpperCase() + "\n")
-
-            await this._readResponseLine()
+            await this.serial.write(encode.resetHealth() + "\n");
+            decode.ack(await this._readResponseLine(), 'Health reset');
         }, { label: 'resetHealth' });
     }
 
@@ -433,73 +295,12 @@ export default class SerialConnection extends ConnectionBase {
      * Get symbol list from device
      * Request: SL<checksum>
      * Response: [PS,count,{name,area,address,bit,type,comment},...]
-     * @returns {Promise<Array<{name: string, area: string, address: number, bit: number, type: string, comment: string}>>}
+     * @returns {Promise<import('../protocol.js').DeviceSymbol[]>}
      */
     async getSymbolList() {
         return this._enqueueCommand(async () => {
-            const command = "SL"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            await this.serial.write(command + checksum.toUpperCase() + "\n")
-
-            const line = await this._readResponseLine(8000)
-            let raw = line.trim()
-            if (!raw) return []
-            
-            // Response format: [PS,count,{name,area,address,bit,type,comment},...]
-            if (raw.startsWith('[') && raw.endsWith(']')) {
-                const content = raw.substring(1, raw.length - 1)
-                
-                // First, extract header (PS,count) before the first {
-                const firstBrace = content.indexOf('{')
-                if (firstBrace === -1) {
-                    // No symbols, just header
-                    const headerParts = content.split(',')
-                    if (headerParts[0] !== 'PS') {
-                        console.warn('Unexpected symbol list response header:', headerParts[0])
-                        return []
-                    }
-                    return []
-                }
-                
-                const headerPart = content.substring(0, firstBrace)
-                const headerParts = headerPart.split(',').filter(p => p.trim())
-                
-                if (headerParts[0] !== 'PS') {
-                    console.warn('Unexpected symbol list response header:', headerParts[0])
-                    return []
-                }
-                
-                const count = parseInt(headerParts[1], 10)
-                if (count === 0 || isNaN(count)) return []
-                
-                // Extract all {...} groups
-                const symbols = []
-                const symbolRegex = /\{([^}]*)\}/g
-                let match
-                
-                while ((match = symbolRegex.exec(content)) !== null) {
-                    const innerContent = match[1]
-                    // Split only the first 5 fields, the rest is comment (which may contain commas)
-                    const parts = innerContent.split(',')
-                    if (parts.length >= 5) {
-                        // Join remaining parts as comment (in case comment contains commas)
-                        const comment = parts.slice(5).join(',')
-                        symbols.push({
-                            name: parts[0] || '',
-                            area: parts[1] || '',
-                            address: parseInt(parts[2], 10) || 0,
-                            bit: parseInt(parts[3], 10) || 0,
-                            type: parts[4] || 'byte',
-                            comment: comment
-                        })
-                    }
-                }
-                
-                return symbols
-            }
-            
-            return []
+            await this.serial.write(encode.symbolList() + "\n");
+            return decode.symbolList(await this._readResponseLine(8000));
         }, { label: 'getSymbolList', timeoutMs: 8000 });
     }
 
@@ -507,92 +308,12 @@ export default class SerialConnection extends ConnectionBase {
      * Get transport/interface info from device
      * Request: TI<checksum>
      * Response: [TI,count,{type,name,isNetwork,requiresAuth,isConnected,config...},...]
-     * Config for Serial: baudrate
-     * Config for Network: ip,gateway,subnet,port,mac
-     * @returns {Promise<Array<{type: number, name: string, isNetwork: boolean, requiresAuth: boolean, isConnected: boolean, baudrate?: number, ip?: string, gateway?: string, subnet?: string, port?: number, mac?: string}>>}
+     * @returns {Promise<import('../protocol.js').TransportInfo[]>}
      */
     async getTransportInfo() {
         return this._enqueueCommand(async () => {
-            const command = "TI"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            await this.serial.write(command + checksum.toUpperCase() + "\n")
-
-            const line = await this._readResponseLine(8000)
-            let raw = line.trim()
-            if (!raw) return []
-            
-            // Response format: [TI,count,{type,name,isNetwork,requiresAuth,isConnected,config...},...]
-            if (raw.startsWith('[') && raw.endsWith(']')) {
-                const content = raw.substring(1, raw.length - 1)
-                
-                // Extract header (TI,count) before the first {
-                const firstBrace = content.indexOf('{')
-                if (firstBrace === -1) {
-                    // No transports, just header
-                    const headerParts = content.split(',')
-                    if (headerParts[0] !== 'TI') {
-                        console.warn('Unexpected transport info response header:', headerParts[0])
-                        return []
-                    }
-                    return []
-                }
-                
-                const headerPart = content.substring(0, firstBrace)
-                const headerParts = headerPart.split(',').filter(p => p.trim())
-                
-                if (headerParts[0] !== 'TI') {
-                    console.warn('Unexpected transport info response header:', headerParts[0])
-                    return []
-                }
-                
-                const count = parseInt(headerParts[1], 10)
-                if (count === 0 || isNaN(count)) return []
-                
-                // Extract all {...} groups
-                const transports = []
-                const transportRegex = /\{([^}]*)\}/g
-                let match
-                
-                while ((match = transportRegex.exec(content)) !== null) {
-                    const innerContent = match[1]
-                    const parts = innerContent.split(',')
-                    if (parts.length >= 5) {
-                        const type = parseInt(parts[0], 10) || 0
-                        const name = parts[1] || ''
-                        const isNetwork = parts[2] === '1'
-                        const requiresAuth = parts[3] === '1'
-                        const isConnected = parts[4] === '1'
-                        
-                        const transport = {
-                            type,
-                            name,
-                            isNetwork,
-                            requiresAuth,
-                            isConnected
-                        }
-                        
-                        // Parse config based on transport type
-                        if (!isNetwork && parts.length >= 6) {
-                            // Serial config: baudrate
-                            transport.baudrate = parseInt(parts[5], 10) || 0
-                        } else if (isNetwork && parts.length >= 10) {
-                            // Network config: ip, gateway, subnet, port, mac
-                            transport.ip = parts[5] || ''
-                            transport.gateway = parts[6] || ''
-                            transport.subnet = parts[7] || ''
-                            transport.port = parseInt(parts[8], 10) || 0
-                            transport.mac = parts[9] || ''
-                        }
-                        
-                        transports.push(transport)
-                    }
-                }
-                
-                return transports
-            }
-            
-            return []
+            await this.serial.write(encode.transportInfo() + "\n");
+            return decode.transportInfo(await this._readResponseLine(8000));
         }, { label: 'getTransportInfo', timeoutMs: 8000 });
     }
 
@@ -600,44 +321,12 @@ export default class SerialConnection extends ConnectionBase {
      * Get DataBlock layout info from device
      * Request: DA<checksum>
      * Response: DA<slots:4hex><active:4hex><table_offset:4hex><free_space:4hex><lowest:4hex>[<db:4hex><off:4hex><sz:4hex>]...
-     * @returns {Promise<{ slots: number, active: number, table_offset: number, free_space: number, lowest_address: number, entries: Array<{ db: number, offset: number, size: number }> }>}
+     * @returns {Promise<import('../protocol.js').DataBlockInfo>}
      */
     async getDataBlockInfo() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.dbInfo()
-            await this.serial.write(command + "\n")
-
-            const line = await this._readResponseLine(5000)
-            const raw = line.trim()
-            if (!raw || !raw.startsWith('DA')) {
-                console.warn('Unexpected DA response:', raw)
-                return { slots: 0, active: 0, table_offset: 0, free_space: 0, lowest_address: 0, entries: [] }
-            }
-
-            // Parse hex fields after "DA" prefix
-            const hex = raw.substring(2) // skip "DA"
-            const parseU16 = (offset) => parseInt(hex.slice(offset, offset + 4), 16) || 0
-
-            const slots = parseU16(0)
-            const active = parseU16(4)
-            const table_offset = parseU16(8)
-            const free_space = parseU16(12)
-            const lowest_address = parseU16(16)
-
-            // Parse active entries starting at offset 20 (each entry = 12 hex chars = 3 x u16)
-            const entries = []
-            let pos = 20
-            while (pos + 12 <= hex.length) {
-                const db = parseU16(pos)
-                const offset = parseU16(pos + 4)
-                const size = parseU16(pos + 8)
-                if (db !== 0) {
-                    entries.push({ db, offset, size })
-                }
-                pos += 12
-            }
-
-            return { slots, active, table_offset, free_space, lowest_address, entries }
+            await this.serial.write(encode.dbInfo() + "\n");
+            return decode.dbInfo(await this._readResponseLine(5000));
         }, { label: 'getDataBlockInfo', timeoutMs: 5000 });
     }
 
@@ -677,6 +366,24 @@ export default class SerialConnection extends ConnectionBase {
         }
     }
 
+    /**
+     * Read one complete reply, either a binary frame or an ASCII line
+     * @param {number} [timeout=5000]
+     * @returns {Promise<number[]>} Raw reply bytes
+     */
+    async _readReplyBytes(timeout = 5000) {
+        const start = Date.now();
+        const bytes = [];
+        while (true) {
+            if (!this.serial.isOpen) throw new Error('Connection closed');
+            while (this.serial.available()) bytes.push(this.serial.read());
+            const length = replyLength(bytes);
+            if (length) return bytes.slice(0, length);
+            if (Date.now() - start > timeout) throw new Error("Timeout waiting for reply");
+            await new Promise(r => setTimeout(r, 10));
+        }
+    }
+
     _enqueueCommand(handler, options = {}) {
         const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : this._commandTimeoutMs;
         const label = options.label || 'command';
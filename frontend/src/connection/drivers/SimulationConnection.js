@@ -1,19 +1,54 @@
 import ConnectionBase from "../ConnectionBase.js";
 import { PLCEditor } from "../../utils/types.js";
 import { ensureOffsets } from "../../utils/offsets.js";
+import PlantSimulator, { plantScriptsAllowed } from "../plant.js";
 
 /** @typedef { import('../../wasm/VovkPLC.js').default } VovkPLC_class */
 
+/** localStorage key of the simulated scan cycle period */
+export const SCAN_PERIOD_STORAGE_KEY = 'vovk_plc_simulation_scan_ms'
+export const DEFAULT_SCAN_PERIOD_MS = 200
+
+const emptyHealth = () => ({
+    last_cycle_time_us: 0, min_cycle_time_us: 0, max_cycle_time_us: 0,
+    ram_free: 0, min_ram_free: 0, max_ram_free: 0, total_ram_size: 0,
+    last_period_us: 0, min_period_us: 0, max_period_us: 0,
+    last_jitter_us: 0, min_jitter_us: 0, max_jitter_us: 0,
+})
+
+/** Health fields of the scan loop timing, the runtime does not see the time between the cycles the editor runs */
+const LOOP_HEALTH_FIELDS = ['last_period_us', 'min_period_us', 'max_period_us', 'last_jitter_us', 'min_jitter_us', 'max_jitter_us']
+
 export default class SimulationConnection extends ConnectionBase {
     deviceInfo = null
     _runTimer = null
-    _runIntervalMs = 200
+    /** Target scan cycle period in milliseconds */
+    scanPeriodMs = SimulationConnection.loadScanPeriod()
+    /** True while the scan loop runs, single cycles can only be run while stopped */
+    running = false
+    /** @type { import('../protocol.js').DeviceHealth } */
+    _health = emptyHealth()
+    _cycles = 0
+    _periods = 0
+    _lastCycleStart = 0
+    _nextCycleAt = 0
+    /** Time of the previous plant step, plant models get the elapsed time between cycles */
+    _lastPlantStep = 0
     editor
     onDisconnected = null
+    /** The runtime is in-process, every region is read directly in one call */
+    supportsMultiRead = true
+    /** Forces are emulated around every scan cycle */
+    supportsForce = true
+    /** @type { Array<{ address: number, data: number[], mask: number[] }> } */
+    _forces = []
 
     /** @type { VovkPLC_class } */
     plc
 
+    /** Plant models run before every scan cycle */
+    plant
+
     /**
      * @param { PLCEditor } editor - The PLC editor instance
      */
@@ -21,6 +56,10 @@ export default class SimulationConnection extends ConnectionBase {
         super();
         this.editor = editor
         this.plc = /** @type { VovkPLC_class } */ (editor.runtime) // Simulation always uses local WASM, not worker
+        this.plant = new PlantSimulator(this.plc, (ref) => editor.data_fetcher?.resolve(ref) || null)
+        this.plant.onError = (model, err) => {
+            editor.window_manager?.logToConsole?.(`Plant model '${model.name}' stopped: ${err.message}`, 'error')
+        }
     }
 
     async connect() {
@@ -35,10 +74,22 @@ export default class SimulationConnection extends ConnectionBase {
                 normalized.marker.offset
             )
         }
+        this.plant.reset()
+        this.plant.scriptsAllowed = plantScriptsAllowed(this.editor?.project)
+        this.plant.load(this.editor?.project?.plant_models || [])
+        this._lastPlantStep = 0
+        this._resetHealthStats()
         this._startRunLoop()
+        if (this.plant.hasScripts && !this.plant.scriptsAllowed) {
+            // Rule models run right away, the scripts wait for the user
+            this.editor?.window_manager?.confirmPlantScripts?.().then(allowed => {
+                if (allowed) this.plant.allowScripts()
+            })
+        }
     }
     async disconnect() {
         this._stopRunLoop()
+        this._forces = []
     }
 
     async getInfo() {
@@ -93,8 +144,18 @@ export default class SimulationConnection extends ConnectionBase {
         await this.connect();
     }
 
+    /**
+     * Execute a single scan cycle while the scan loop is stopped
+     * @returns {Promise<void>}
+     */
     async run() {
-        return this.plc.run();
+        if (this.running) throw new Error("Stop the simulation before stepping")
+        this._runCycle()
+    }
+
+    /** Run scan cycles every `scanPeriodMs` until `stop()` */
+    async startScanLoop() {
+        this._startRunLoop()
     }
 
     async stop() {
@@ -119,6 +180,10 @@ export default class SimulationConnection extends ConnectionBase {
         return this.plc.readMemoryArea(address, size);
     }
 
+    async readMemoryRegions(regions) {
+        return Promise.all(regions.map(async ({ address, size }) => ({ address, size, data: await this.plc.readMemoryArea(address, size) })));
+    }
+
     async writeMemory(address, data) {
         return this.plc.writeMemoryArea(address, data);
     }
@@ -131,6 +196,11 @@ export default class SimulationConnection extends ConnectionBase {
         return this.plc.writeMemoryAreaMasked(address, data, mask);
     }
 
+    async setForces(forces) {
+        this._forces = forces.map(f => ({ address: f.address, data: [...f.data], mask: [...f.mask] }))
+        this._applyForces()
+    }
+
     async formatMemory(address, size, value) {
         const data = Array(size).fill(value);
         return this.writeMemory(address, data);
@@ -297,35 +367,155 @@ export default class SimulationConnection extends ConnectionBase {
         return this.plc.dbGetAllDecls()
     }
 
+    /**
+     * Health counters of the runtime when its build provides them. Fields it does not report,
+     * such as the period and jitter of the scan loop driven by the editor, come from the loop's own measurements.
+     * @returns {Promise<import('../protocol.js').DeviceHealth>}
+     */
     async getHealth() {
-        if (!this.plc || typeof this.plc.getDeviceHealth !== 'function') {
-            throw new Error("Device health not supported")
+        const runtime = typeof this.plc.getDeviceHealth === 'function' ? this.plc.getDeviceHealth() : null
+        if (!runtime) return { ...this._health }
+        const health = { ...this._health }
+        for (const key of Object.keys(health)) {
+            if (LOOP_HEALTH_FIELDS.includes(key)) continue
+            if (Number.isFinite(runtime[key])) health[key] = runtime[key]
         }
-        return this.plc.getDeviceHealth()
+        return health
     }
 
     async resetHealth() {
-        if (!this.plc || typeof this.plc.resetDeviceHealth !== 'function') {
-            throw new Error("Device health not supported")
+        if (typeof this.plc.resetDeviceHealth === 'function') this.plc.resetDeviceHealth()
+        this._resetHealthStats()
+    }
+
+    /**
+     * Change the scan cycle period, remembered for future simulation sessions
+     * @param {number} ms - Period in milliseconds (1 - 10000)
+     */
+    setScanPeriod(ms) {
+        this.scanPeriodMs = SimulationConnection.saveScanPeriod(ms)
+        this._resetHealthStats()
+        if (this.running) {
+            this._stopRunLoop()
+            this._startRunLoop()
+        }
+    }
+
+    /** @returns {number} Stored scan cycle period in milliseconds */
+    static loadScanPeriod() {
+        try {
+            const saved = Number(localStorage.getItem(SCAN_PERIOD_STORAGE_KEY))
+            if (saved > 0) return saved
+        } catch {
+            // localStorage unavailable
+        }
+        return DEFAULT_SCAN_PERIOD_MS
+    }
+
+    /**
+     * @param {number} ms
+     * @returns {number} The clamped period that was stored
+     */
+    static saveScanPeriod(ms) {
+        const period = Math.min(10000, Math.max(1, Math.round(Number(ms) || DEFAULT_SCAN_PERIOD_MS)))
+        try {
+            localStorage.setItem(SCAN_PERIOD_STORAGE_KEY, String(period))
+        } catch {
+            // localStorage unavailable
+        }
+        return period
+    }
+
+    _runCycle() {
+        const start = performance.now()
+        // Stepped cycles advance the plant by one nominal scan period
+        const dt = this.running && this._lastPlantStep ? (start - this._lastPlantStep) / 1000 : this.scanPeriodMs / 1000
+        this._lastPlantStep = this.running ? start : 0
+        this.plant.step(dt)
+        // Forced inputs hide what the plant models wrote, forced outputs override the program
+        this._applyForces()
+        try {
+            this.plc.run()
+        } catch (e) {
+            // Ignore transient simulation errors
+        }
+        this._applyForces()
+        this._recordCycle(start, performance.now())
+    }
+
+    _applyForces() {
+        for (const force of this._forces) {
+            this.plc.writeMemoryAreaMasked(force.address, force.data, force.mask)
         }
-        return this.plc.resetDeviceHealth()
+    }
+
+    /**
+     * Update the health statistics with a completed cycle.
+     * Period and jitter are only measured between consecutive cycles of the scan loop, not while stepping.
+     */
+    _recordCycle(start, end) {
+        const health = this._health
+        const cycleUs = Math.round((end - start) * 1000)
+        health.last_cycle_time_us = cycleUs
+        health.min_cycle_time_us = this._cycles ? Math.min(health.min_cycle_time_us, cycleUs) : cycleUs
+        health.max_cycle_time_us = Math.max(health.max_cycle_time_us, cycleUs)
+        this._cycles++
+
+        if (this.running && this._lastCycleStart) {
+            const periodUs = Math.round((start - this._lastCycleStart) * 1000)
+            const jitterUs = Math.abs(periodUs - this.scanPeriodMs * 1000)
+            health.last_period_us = periodUs
+            health.min_period_us = this._periods ? Math.min(health.min_period_us, periodUs) : periodUs
+            health.max_period_us = Math.max(health.max_period_us, periodUs)
+            health.last_jitter_us = jitterUs
+            health.min_jitter_us = this._periods ? Math.min(health.min_jitter_us, jitterUs) : jitterUs
+            health.max_jitter_us = Math.max(health.max_jitter_us, jitterUs)
+            this._periods++
+        }
+        this._lastCycleStart = this.running ? start : 0
+
+        // The WASM heap has no allocator statistics, free RAM is the linear memory
+        // not taken by the PLC memory and program areas (it grows with the heap)
+        const total = this.plc.wasm?.exports?.memory?.buffer?.byteLength || 0
+        if (total) {
+            const free = Math.max(0, total - (this.plc.memory_size || 0) - (this.plc.program_size || 0))
+            const first = !health.total_ram_size
+            health.total_ram_size = total
+            health.ram_free = free
+            health.min_ram_free = first ? free : Math.min(health.min_ram_free, free)
+            health.max_ram_free = first ? free : Math.max(health.max_ram_free, free)
+        }
+    }
+
+    _resetHealthStats() {
+        this._health = emptyHealth()
+        this._cycles = 0
+        this._periods = 0
+        this._lastCycleStart = 0
     }
 
     _startRunLoop() {
         if (this._runTimer) return
-        this._runTimer = setInterval(() => {
-            try {
-                this.plc.run()
-            } catch (e) {
-                // Ignore transient simulation errors
-            }
-        }, this._runIntervalMs)
+        this.running = true
+        this._nextCycleAt = performance.now()
+        // Each cycle is scheduled against a fixed timeline so the period does not drift with the cycle time
+        const tick = () => {
+            this._runCycle()
+            this._nextCycleAt += this.scanPeriodMs
+            const now = performance.now()
+            if (this._nextCycleAt < now) this._nextCycleAt = now // Overrun, skip the missed cycles
+            this._runTimer = setTimeout(tick, this._nextCycleAt - now)
+        }
+        this._runTimer = setTimeout(tick, 0)
     }
 
     _stopRunLoop() {
         if (this._runTimer) {
-            clearInterval(this._runTimer)
+            clearTimeout(this._runTimer)
             this._runTimer = null
         }
+        this.running = false
+        this._lastCycleStart = 0
+        this._lastPlantStep = 0
     }
 }
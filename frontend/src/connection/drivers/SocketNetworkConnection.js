@@ -0,0 +1,223 @@
+/**
+ * @file SocketNetworkConnection.js
+ * @description Connection driver that communicates with a PLC device over TCP
+ * through the backend server's /network Socket.IO namespace.
+ *
+ * The VovkPLC protocol is identical on serial and TCP links, so this driver reuses
+ * the command queue, response parsing and backend memory monitoring of
+ * SocketSerialConnection and only swaps the transport for a TCP connection
+ * managed by the backend NetworkManager.
+ *
+ * DataBlock values are read and written with memory commands at the offsets of the device
+ * DB table (`DA`). The table itself is set up by the downloaded program and named fields
+ * only exist in the editor's compiler output, so those DataBlock methods are not available.
+ */
+
+import SocketSerialConnection from "./SocketSerialConnection.js"
+import SocketNetwork from "./tools/socketNetwork.js"
+import { readTypedValue, writeTypedValue } from "../../utils/tools.js"
+
+/** Byte size of the DataBlock value types */
+const VALUE_SIZES = { u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4, f32: 4, f64: 8, u64: 8, i64: 8 }
+
+export default class SocketNetworkConnection extends SocketSerialConnection {
+    constructor(debug = false) {
+        super(115200, debug)
+        // The transport is kept under `serial` so the inherited command handlers work unchanged
+        this.serial = new SocketNetwork(32 * 1024, debug)
+        this.serial.onDisconnect = (err) => {
+            if (this.onDisconnected) this.onDisconnected(err)
+        }
+    }
+
+    /**
+     * @param {{ host: string, port: number, serverUrl?: string }} options
+     */
+    async connect(options) {
+        this._clearCommandQueue()
+        await this.serial.begin(options)
+        return true
+    }
+
+    async listPorts() {
+        throw new Error("listPorts() not supported on network connections")
+    }
+
+    /**
+     * Scan a subnet from the backend for hosts accepting TCP connections on the given port
+     * @param {{ baseIp: string, port: number, startHost?: number, endHost?: number, timeoutMs?: number, serverUrl?: string }} options
+     * @param {(scanned: number, total: number) => void} [onProgress]
+     * @returns {Promise<Array<{ host: string, port: number, reachable: boolean, responseTime?: number }>>}
+     */
+    static async scan(options, onProgress) {
+        const { io } = await import('/socket.io/socket.io.esm.min.js')
+        const serverUrl = options.serverUrl || window.location.origin
+        const startHost = options.startHost ?? 1
+        const endHost = options.endHost ?? 254
+        const timeoutMs = options.timeoutMs ?? 500
+        // Backend probes hosts in batches of 32, allow for every batch timing out
+        const scanTimeoutMs = Math.ceil((endHost - startHost + 1) / 32) * timeoutMs + 10000
+        const tempSocket = io(`${serverUrl}/network`, {
+            transports: ['websocket', 'polling'],
+            reconnection: false,
+        })
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                tempSocket.disconnect()
+                reject(new Error('Timeout scanning network'))
+            }, scanTimeoutMs)
+
+            tempSocket.on('scan-progress', (msg) => {
+                if (onProgress) onProgress(msg.scanned, msg.total)
+            })
+
+            tempSocket.on('connect', () => {
+                tempSocket.emit('scan', { baseIp: options.baseIp, port: options.port, startHost, endHost, timeoutMs }, (result) => {
+                    clearTimeout(timeout)
+                    tempSocket.disconnect()
+                    if (result.ok) resolve((result.results || []).filter(r => r.reachable))
+                    else reject(new Error(result.error || 'Failed to scan network'))
+                })
+            })
+
+            tempSocket.on('connect_error', (err) => {
+                clearTimeout(timeout)
+                tempSocket.disconnect()
+                reject(new Error(`Connection failed: ${err.message}`))
+            })
+        })
+    }
+
+    /**
+     * Connect to a host, query its info and disconnect again.
+     * Used to confirm that a reachable host is running VovkPLCRuntime.
+     * @param {{ host: string, port: number, serverUrl?: string }} target
+     * @returns {Promise<any | null>} Device info, or null if the host did not answer like a VovkPLC device
+     */
+    static async probe(target) {
+        const connection = new SocketNetworkConnection()
+        try {
+            await connection.connect(target)
+            const info = await connection.getInfo(true)
+            return info && info.arch ? info : null
+        } catch {
+            return null
+        } finally {
+            try {
+                await connection.disconnect()
+            } catch {
+                // Ignore disconnect errors
+            }
+        }
+    }
+
+    async getHealth() {
+        // Use backend's atomic get-health command to avoid race conditions with monitoring
+        return this.serial.getHealth()
+    }
+
+    async resetHealth() {
+        return this.serial.resetHealth()
+    }
+
+    /**
+     * Read an entire DataBlock's raw data using the device DB layout table
+     * @param {number} dbNumber - DB number to read
+     * @returns {Promise<{ data: Uint8Array, offset: number, size: number }>}
+     */
+    async readDataBlock(dbNumber) {
+        const entry = await this._dataBlockEntry(dbNumber)
+        const data = await this.readMemory(entry.offset, entry.size)
+        return { data, offset: entry.offset, size: entry.size }
+    }
+
+    /**
+     * Read a typed value from a DataBlock
+     * @param {number} dbNumber - DB number
+     * @param {number} dbOffset - Byte offset within the DB
+     * @param {'u8'|'i8'|'u16'|'i16'|'u32'|'i32'|'f32'|'f64'} type - Data type
+     * @returns {Promise<number>}
+     */
+    async readDataBlockValue(dbNumber, dbOffset, type = 'u8') {
+        const { address, size } = await this._dataBlockValue(dbNumber, dbOffset, type)
+        const data = await this.readMemory(address, size)
+        return Number(readTypedValue(new DataView(data.buffer, data.byteOffset, data.byteLength), 0, type, this.littleEndian))
+    }
+
+    /**
+     * Write a typed value to a DataBlock
+     * @param {number} dbNumber - DB number
+     * @param {number} dbOffset - Byte offset within the DB
+     * @param {number} value - Value to write
+     * @param {'u8'|'i8'|'u16'|'i16'|'u32'|'i32'|'f32'|'f64'} type - Data type
+     * @returns {Promise<void>}
+     */
+    async writeDataBlockValue(dbNumber, dbOffset, value, type = 'u8') {
+        const { address, size } = await this._dataBlockValue(dbNumber, dbOffset, type)
+        const data = new Uint8Array(size)
+        const isBig = type === 'u64' || type === 'i64'
+        writeTypedValue(new DataView(data.buffer), 0, type, isBig ? BigInt(Math.trunc(value)) : value, this.littleEndian)
+        await this.writeMemory(address, data)
+    }
+
+    async declareDataBlock(dbNumber, size) {
+        throw new Error("declareDataBlock() not supported on devices, DataBlocks are declared by the downloaded program")
+    }
+
+    async removeDataBlock(dbNumber) {
+        throw new Error("removeDataBlock() not supported on devices, DataBlocks are declared by the downloaded program")
+    }
+
+    async compactDataBlocks() {
+        throw new Error("compactDataBlocks() not supported on devices, DataBlocks are declared by the downloaded program")
+    }
+
+    async formatDataBlocks() {
+        throw new Error("formatDataBlocks() not supported on devices, DataBlocks are declared by the downloaded program")
+    }
+
+    async readDataBlockField(dbNumber, fieldName) {
+        throw new Error(`readDataBlockField() not supported on devices, read DB${dbNumber}.${fieldName} by its offset`)
+    }
+
+    async writeDataBlockField(dbNumber, fieldName, value) {
+        throw new Error(`writeDataBlockField() not supported on devices, write DB${dbNumber}.${fieldName} by its offset`)
+    }
+
+    async readDataBlockFields(dbNumber) {
+        throw new Error("readDataBlockFields() not supported on devices, read the fields by their offsets")
+    }
+
+    async writeDataBlockFields(dbNumber, values) {
+        throw new Error("writeDataBlockFields() not supported on devices, write the fields by their offsets")
+    }
+
+    /**
+     * Find a DataBlock in the device DB layout table
+     * @param {number} dbNumber
+     * @returns {Promise<{ db: number, offset: number, size: number }>}
+     */
+    async _dataBlockEntry(dbNumber) {
+        const info = await this.getDataBlockInfo()
+        const entry = info.entries.find(e => e.db === dbNumber)
+        if (!entry) throw new Error(`DB${dbNumber} is not declared on the device`)
+        return entry
+    }
+
+    /**
+     * Memory location of a typed value inside a DataBlock
+     * @param {number} dbNumber
+     * @param {number} dbOffset
+     * @param {string} type
+     * @returns {Promise<{ address: number, size: number }>}
+     */
+    async _dataBlockValue(dbNumber, dbOffset, type) {
+        const size = VALUE_SIZES[type]
+        if (!size) throw new Error(`Unsupported DataBlock value type '${type}'`)
+        const entry = await this._dataBlockEntry(dbNumber)
+        if (!Number.isInteger(dbOffset) || dbOffset < 0 || dbOffset + size > entry.size) {
+            throw new Error(`Offset ${dbOffset} (${type}) is outside DB${dbNumber} (${entry.size} bytes)`)
+        }
+        return { address: entry.offset + dbOffset, size }
+    }
+}
@@ -13,7 +13,7 @@
 
 import ConnectionBase from "../ConnectionBase.js"
 import SocketSerial from "./tools/socketSerial.js"
-import VovkPLC from "../../wasm/VovkPLC.js"
+import { encode, decode, parseHex, findInfoLine, replyWireBytes, batchRegions, PROTOCOL_FLAGS } from "../protocol.js"
 
 export default class SocketSerialConnection extends ConnectionBase {
     constructor(baudrate = 115200, debug = false) {
@@ -21,11 +21,14 @@ export default class SocketSerialConnection extends ConnectionBase {
         this.debug = debug
         this.baudrate = baudrate
         this.serial = new SocketSerial(32 * 1024, debug)
-        this.plc = new VovkPLC() // only used for buildCommand and crc8
         this._commandQueue = []
         this._commandRunning = false
         this._commandQueueLimit = 50
         this._commandTimeoutMs = 8000
+        /** Use binary framed memory reads, negotiated through the info handshake */
+        this.binaryFraming = false
+        /** Byte order of the device, from the info handshake */
+        this.littleEndian = true
 
         this.serial.onDisconnect = (err) => {
             if (this.onDisconnected) this.onDisconnected(err)
@@ -103,37 +106,34 @@ export default class SocketSerialConnection extends ConnectionBase {
 
     async reboot() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.plcReset()
+            const command = encode.reset()
             await this.serial.write(command + "\n")
         }, { label: 'reboot' })
     }
 
     async run() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programRun()
+            const command = encode.run()
             await this.serial.write(command + "\n")
         }, { label: 'run' })
     }
 
     async stop() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programStop()
+            const command = encode.stop()
             await this.serial.write(command + "\n")
         }, { label: 'stop' })
     }
 
     async monitor() {
         return this._enqueueCommand(async () => {
-            const command = "PM"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            await this.serial.write(command + checksum.toUpperCase() + "\n")
+            await this.serial.write(encode.monitor() + "\n")
         }, { label: 'monitor' })
     }
 
     async downloadProgram(bytecode) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programDownload(bytecode)
+            const command = encode.programDownload(bytecode)
             // For program download, temporarily pause monitoring using atomic command wrapper
             // Send entire command through atomic channel to ensure clean send/receive cycle
             const combinedData = command + "\n"
@@ -158,14 +158,14 @@ export default class SocketSerialConnection extends ConnectionBase {
 
     async uploadProgram() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.programUpload()
+            const command = encode.programUpload()
             // Use atomic command to avoid conflicts with monitoring
             const line = await this.serial.command(command + "\n", 30000)
             let raw = line.trim()
             if (raw.startsWith('OK')) {
                 raw = raw.substring(2).trim()
             }
-            const hex = this.plc.parseHex(raw)
+            const hex = parseHex(raw)
             const buffer = new Uint8Array(hex)
             return buffer
         }, { label: 'uploadProgram', timeoutMs: 30000 })
@@ -173,30 +173,52 @@ export default class SocketSerialConnection extends ConnectionBase {
 
     async readMemory(address, size) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryRead(address, size)
+            const start = performance.now()
+            let data, wireBytes
             // Use atomic command to avoid conflicts with monitoring
-            const line = await this.serial.command(command + "\n", 8000)
-            let raw = line.trim()
-            if (raw.startsWith('OK')) {
-                raw = raw.substring(2).trim()
+            if (this.binaryFraming) {
+                const reply = await this.serial.commandBytes(encode.memoryReadBinary(address, size) + "\n", 8000)
+                data = decode.memoryReadBinary(reply)
+                wireBytes = replyWireBytes(reply)
+            } else {
+                const line = await this.serial.command(encode.memoryRead(address, size) + "\n", 8000)
+                data = decode.memoryRead(line)
+                wireBytes = replyWireBytes(line)
             }
-            const hex = this.plc.parseHex(raw)
-            const buffer = new Uint8Array(hex)
-            return buffer
+            this._recordLinkRead(performance.now() - start, data.length, wireBytes)
+            return data
         }, { label: 'readMemory' })
     }
 
+    async readMemoryRegions(regions) {
+        if (!this.supportsMultiRead) return super.readMemoryRegions(regions)
+        const results = []
+        for (const group of batchRegions(regions)) {
+            const part = await this._enqueueCommand(async () => {
+                const start = performance.now()
+                // The reply is a binary frame or an ASCII line depending on the device framing
+                const reply = await this.serial.commandBytes(encode.memoryReadMulti(group) + "\n", 8000)
+                const decoded = decode.memoryReadMulti(reply, group)
+                this._recordLinkRead(performance.now() - start, decoded.reduce((sum, r) => sum + r.size, 0), replyWireBytes(reply))
+                return decoded
+            }, { label: 'readMemoryRegions' })
+            results.push(...part)
+        }
+        return results
+    }
+
     async writeMemory(address, data) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryWrite(address, data)
+            const command = encode.memoryWrite(address, data)
             // Use atomic command to avoid conflicts with monitoring
-            await this.serial.command(command + "\n", 2000)
+            const line = await this.serial.command(command + "\n", 2000)
+            decode.ack(line, 'Memory write')
         }, { label: 'writeMemory' })
     }
 
     async formatMemory(address, size, value) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryFormat(address, size, value)
+            const command = encode.memoryFormat(address, size, value)
             // Use atomic command to avoid conflicts with monitoring
             await this.serial.command(command + "\n", 2000)
         }, { label: 'formatMemory' })
@@ -208,12 +230,19 @@ export default class SocketSerialConnection extends ConnectionBase {
 
     async writeMemoryAreaMasked(address, data, mask) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.memoryWriteMask(address, data, mask)
+            const command = encode.memoryWriteMask(address, data, mask)
             // Use atomic command to avoid conflicts with monitoring
             await this.serial.command(command + "\n", 2000)
         }, { label: 'writeMemoryAreaMasked' })
     }
 
+    async setForces(forces) {
+        return this._enqueueCommand(async () => {
+            const line = await this.serial.command(encode.forceTable(forces) + "\n", 2000)
+            decode.ack(line, 'Force table')
+        }, { label: 'setForces' })
+    }
+
     /**
      * Configure Timer/Counter offsets on the device
      * @param {number} timerOffset
@@ -221,12 +250,25 @@ export default class SocketSerialConnection extends ConnectionBase {
      */
     async configureTCOffsets(timerOffset, counterOffset) {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.tcConfig(timerOffset, counterOffset)
+            const command = encode.tcConfig(timerOffset, counterOffset)
             // Use atomic command to avoid conflicts with monitoring
             await this.serial.command(command + "\n", 2000)
         }, { label: 'configureTCOffsets' })
     }
 
+    /**
+     * Authenticate the session on transports that require it
+     * @param {string} username
+     * @param {string} password
+     */
+    async authenticate(username, password) {
+        return this._enqueueCommand(async () => {
+            // Use atomic command to avoid conflicts with monitoring
+            const line = await this.serial.command(encode.auth(username, password) + "\n", 5000)
+            decode.ack(line, 'Authentication')
+        }, { label: 'authenticate' })
+    }
+
     async getInfo(initial = false) {
         return this._enqueueCommand(async () => {
             if (initial) {
@@ -237,121 +279,27 @@ export default class SocketSerialConnection extends ConnectionBase {
                     // Ignore timeout - device may not respond to '?'
                 }
             }
-            const command = "PI"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            if (this.debug) console.log("Sending info command:", command + checksum.toUpperCase())
+            const command = encode.programInfo()
+            if (this.debug) console.log("Sending info command:", command)
             
             // Use atomic command method to avoid conflicts with monitoring loop
-            const accumulated = await this.serial.command(command + checksum.toUpperCase() + "\n", 8000)
+            const accumulated = await this.serial.command(command + "\n", 8000)
             
-            let infoLine = null
-            const bracketStart = accumulated.indexOf('[')
-            if (bracketStart >= 0) {
-                const bracketEnd = accumulated.indexOf(']', bracketStart)
-                if (bracketEnd >= 0) {
-                    let lineStart = accumulated.lastIndexOf('\n', bracketStart)
-                    lineStart = lineStart >= 0 ? lineStart + 1 : 0
-                    let lineEnd = accumulated.indexOf('\n', bracketEnd)
-                    lineEnd = lineEnd >= 0 ? lineEnd : accumulated.length
-
-                    infoLine = accumulated.substring(lineStart, lineEnd).trim()
-                    if (this.debug) console.log("Found complete info line:", infoLine)
-                }
-            }
-
-            let raw = infoLine
-            if (!raw) {
+            const infoLine = findInfoLine(accumulated)
+            if (!infoLine) {
                 console.log("Remaining accumulated data:", accumulated)
                 throw new Error("Invalid info response: no data or incomplete response")
             }
-
-            // Parse the info response - identical logic to SerialConnection
-            while (true) {
-                if (!raw) break
-                if (raw.startsWith('PLC INFO - ')) {
-                    const parts = raw.split('PLC INFO - ')
-                    parts.shift()
-                    raw = parts.join('PLC INFO - ')
-                }
-                raw = raw.trim()
-                if (raw.startsWith("[") && raw.endsWith("]")) {
-                    const content = raw.substring(1, raw.length - 1)
-                    const parts = content.split(",")
-                    const base = {
-                        header: parts[0],
-                        arch: parts[1],
-                        version: `${parts[2]}.${parts[3]}.${parts[4]} Build ${parts[5]}`,
-                        date: parts[6],
-                        stack: +parts[7],
-                        memory: +parts[8],
-                        program: +parts[9],
-                    }
-                    if (parts.length >= 29) {
-                        const flags = parseInt(parts[27], 16) || 0
-                        const isLittleEndian = (flags & 0x01) === 1
-                        return {
-                            ...base,
-                            system_offset: +parts[10], system_size: +parts[11],
-                            input_offset: +parts[12], input_size: +parts[13],
-                            output_offset: +parts[14], output_size: +parts[15],
-                            marker_offset: +parts[16], marker_size: +parts[17],
-                            timer_offset: +parts[18], timer_count: +parts[19], timer_struct_size: +parts[20],
-                            counter_offset: +parts[21], counter_count: +parts[22], counter_struct_size: +parts[23],
-                            db_table_offset: +parts[24], db_slot_count: +parts[25], db_entry_size: +parts[26],
-                            flags, isLittleEndian, device: parts[28],
-                            control_offset: +parts[10], control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 26) {
-                        const flags = parseInt(parts[24], 16) || 0
-                        const isLittleEndian = (flags & 0x01) === 1
-                        return {
-                            ...base,
-                            system_offset: +parts[10], system_size: +parts[11],
-                            input_offset: +parts[12], input_size: +parts[13],
-                            output_offset: +parts[14], output_size: +parts[15],
-                            marker_offset: +parts[16], marker_size: +parts[17],
-                            timer_offset: +parts[18], timer_count: +parts[19], timer_struct_size: +parts[20],
-                            counter_offset: +parts[21], counter_count: +parts[22], counter_struct_size: +parts[23],
-                            flags, isLittleEndian, device: parts[25],
-                            control_offset: +parts[10], control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 25) {
-                        return {
-                            ...base,
-                            system_offset: +parts[10], system_size: +parts[11],
-                            input_offset: +parts[12], input_size: +parts[13],
-                            output_offset: +parts[14], output_size: +parts[15],
-                            marker_offset: +parts[16], marker_size: +parts[17],
-                            timer_offset: +parts[18], timer_count: +parts[19], timer_struct_size: +parts[20],
-                            counter_offset: +parts[21], counter_count: +parts[22], counter_struct_size: +parts[23],
-                            flags: 0, isLittleEndian: true, device: parts[24],
-                            control_offset: +parts[10], control_size: +parts[11],
-                        }
-                    }
-                    if (parts.length >= 21) {
-                        return {
-                            ...base,
-                            control_offset: +parts[10], control_size: +parts[11],
-                            input_offset: +parts[12], input_size: +parts[13],
-                            output_offset: +parts[14], output_size: +parts[15],
-                            system_offset: +parts[16], system_size: +parts[17],
-                            marker_offset: +parts[18], marker_size: +parts[19],
-                            device: parts[20],
-                        }
-                    }
-                    return {
-                        ...base,
-                        input_offset: +parts[10], input_size: +parts[11],
-                        output_offset: +parts[12], output_size: +parts[13],
-                        device: parts[14]
-                    }
-                }
-            }
-
-            console.error(`Invalid info response:`, raw)
+            if (this.debug) console.log("Found complete info line:", infoLine)
+
+            const info = decode.programInfo(infoLine)
+            if (!info) console.error(`Invalid info response:`, infoLine)
+            this.littleEndian = info ? info.isLittleEndian !== false : true
+            this.binaryFraming = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.BINARY_FRAMES) !== 0
+            this.supportsMultiRead = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.MULTI_READ) !== 0
+            this.supportsForce = !!info && ((info.flags || 0) & PROTOCOL_FLAGS.FORCE) !== 0
+            this.linkStats.framing = this.binaryFraming ? 'binary' : 'ascii'
+            return info || undefined
         }, { label: 'getInfo', timeoutMs: 12000 })
     }
 
@@ -391,133 +339,25 @@ export default class SocketSerialConnection extends ConnectionBase {
 
     async getSymbolList() {
         return this._enqueueCommand(async () => {
-            const command = "SL"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            
             // Use atomic command method to avoid conflicts with monitoring loop
-            const line = await this.serial.command(command + checksum.toUpperCase() + "\n", 8000)
-            let raw = line.trim()
-            if (!raw) return []
-
-            if (raw.startsWith('[') && raw.endsWith(']')) {
-                const content = raw.substring(1, raw.length - 1)
-                const firstBrace = content.indexOf('{')
-                if (firstBrace === -1) return []
-
-                const headerPart = content.substring(0, firstBrace)
-                const headerParts = headerPart.split(',').filter(p => p.trim())
-                if (headerParts[0] !== 'PS') return []
-
-                const count = parseInt(headerParts[1], 10)
-                if (count === 0 || isNaN(count)) return []
-
-                const symbols = []
-                const symbolRegex = /\{([^}]*)\}/g
-                let match
-                while ((match = symbolRegex.exec(content)) !== null) {
-                    const parts = match[1].split(',')
-                    if (parts.length >= 5) {
-                        symbols.push({
-                            name: parts[0] || '',
-                            area: parts[1] || '',
-                            address: parseInt(parts[2], 10) || 0,
-                            bit: parseInt(parts[3], 10) || 0,
-                            type: parts[4] || 'byte',
-                            comment: parts.slice(5).join(',')
-                        })
-                    }
-                }
-                return symbols
-            }
-            return []
+            const line = await this.serial.command(encode.symbolList() + "\n", 8000)
+            return decode.symbolList(line)
         }, { label: 'getSymbolList', timeoutMs: 8000 })
     }
 
     async getTransportInfo() {
         return this._enqueueCommand(async () => {
-            const command = "TI"
-            const cmdHex = this.plc.stringToHex(command)
-            const checksum = this.plc.crc8(this.plc.parseHex(cmdHex)).toString(16).padStart(2, '0')
-            
             // Use atomic command method to avoid conflicts with monitoring loop
-            const line = await this.serial.command(command + checksum.toUpperCase() + "\n", 8000)
-            let raw = line.trim()
-            if (!raw) return []
-
-            if (raw.startsWith('[') && raw.endsWith(']')) {
-                const content = raw.substring(1, raw.length - 1)
-                const firstBrace = content.indexOf('{')
-                if (firstBrace === -1) return []
-
-                const headerPart = content.substring(0, firstBrace)
-                const headerParts = headerPart.split(',').filter(p => p.trim())
-                if (headerParts[0] !== 'TI') return []
-
-                const count = parseInt(headerParts[1], 10)
-                if (count === 0 || isNaN(count)) return []
-
-                const transports = []
-                const transportRegex = /\{([^}]*)\}/g
-                let match
-                while ((match = transportRegex.exec(content)) !== null) {
-                    const parts = match[1].split(',')
-                    if (parts.length >= 5) {
-                        const type = parseInt(parts[0], 10) || 0
-                        const name = parts[1] || ''
-                        const isNetwork = parts[2] === '1'
-                        const requiresAuth = parts[3] === '1'
-                        const isConnected = parts[4] === '1'
-                        const transport = { type, name, isNetwork, requiresAuth, isConnected }
-                        if (!isNetwork && parts.length >= 6) {
-                            transport.baudrate = parseInt(parts[5], 10) || 0
-                        } else if (isNetwork && parts.length >= 10) {
-                            transport.ip = parts[5] || ''
-                            transport.gateway = parts[6] || ''
-                            transport.subnet = parts[7] || ''
-                            transport.port = parseInt(parts[8], 10) || 0
-                            transport.mac = parts[9] || ''
-                        }
-                        transports.push(transport)
-                    }
-                }
-                return transports
-            }
-            return []
+            const line = await this.serial.command(encode.transportInfo() + "\n", 8000)
+            return decode.transportInfo(line)
         }, { label: 'getTransportInfo', timeoutMs: 8000 })
     }
 
     async getDataBlockInfo() {
         return this._enqueueCommand(async () => {
-            const command = this.plc.buildCommand.dbInfo()
-            
             // Use atomic command method to avoid conflicts with monitoring loop
-            const line = await this.serial.command(command + "\n", 5000)
-            const raw = line.trim()
-            if (!raw || !raw.startsWith('DA')) {
-                return { slots: 0, active: 0, table_offset: 0, free_space: 0, lowest_address: 0, entries: [] }
-            }
-
-            const hex = raw.substring(2)
-            const parseU16 = (offset) => parseInt(hex.slice(offset, offset + 4), 16) || 0
-
-            const slots = parseU16(0)
-            const active = parseU16(4)
-            const table_offset = parseU16(8)
-            const free_space = parseU16(12)
-            const lowest_address = parseU16(16)
-
-            const entries = []
-            let pos = 20
-            while (pos + 12 <= hex.length) {
-                const db = parseU16(pos)
-                const offset = parseU16(pos + 4)
-                const size = parseU16(pos + 8)
-                if (db !== 0) entries.push({ db, offset, size })
-                pos += 12
-            }
-
-            return { slots, active, table_offset, free_space, lowest_address, entries }
+            const line = await this.serial.command(encode.dbInfo() + "\n", 5000)
+            return decode.dbInfo(line)
         }, { label: 'getDataBlockInfo', timeoutMs: 5000 })
     }
 
@@ -577,12 +417,16 @@ export default class SocketSerialConnection extends ConnectionBase {
      */
     async subscribeMemory(regions, intervalMs = 100) {
         // Forward callback to socket
-        this.serial.onMemoryData = (results) => {
+        this.serial.onMemoryData = (results, stats) => {
+            if (stats?.cycleMs !== undefined) {
+                const payloadBytes = results.reduce((sum, r) => sum + r.data.length, 0)
+                this._recordLinkRead(stats.cycleMs, payloadBytes, stats.wireBytes || 0)
+            }
             if (this.onMemoryData) {
                 this.onMemoryData(results)
             }
         }
-        await this.serial.subscribeMemory(regions, intervalMs)
+        await this.serial.subscribeMemory(regions, intervalMs, this.binaryFraming, this.supportsMultiRead)
     }
 
     /**
@@ -0,0 +1,173 @@
+/**
+ * @file replaySerial.js
+ * @description Serial transport that plays a device back from a recorded capture
+ * (see connection/capture.js). It has the same interface as the Web Serial API wrapper
+ * (tools/serial.js), every command written to it is answered with the reply the device
+ * gave to the same command in the capture, after the recorded latency.
+ *
+ * Repeated commands walk through their recorded replies in order, so polled values change
+ * like they did on the device. Commands that do not appear in the capture are answered by
+ * a recorded command of the same type, except memory reads which stay unanswered.
+ */
+
+import { toExchanges, commandType } from '../../capture.js'
+
+// Replies of these commands depend on their arguments, they are only answered by an exact match
+const EXACT_ONLY = ['MR', 'MB', 'MM']
+
+const MAX_REPLY_DELAY_MS = 1000
+
+export default class ReplaySerial {
+    /**
+     * @param {import('../../capture.js').Capture} capture
+     * @param {boolean} [debug]
+     */
+    constructor(capture, debug = false) {
+        this.debug = debug
+        this.isOpen = false
+        this.exchanges = toExchanges(capture.records).filter(e => e.command && e.reply.length)
+        /** @type {number[]} */
+        this._readBuffer = []
+        /** @type {number[]} */
+        this._pending = []
+        /** @type {Map<string, number>} Index of the last exchange used per command */
+        this._positions = new Map()
+        /** @type {Set<ReturnType<typeof setTimeout>>} */
+        this._timers = new Set()
+
+        /** @type {((error: Error) => void) | null} */
+        this.onDisconnect = null
+    }
+
+    async begin() {
+        if (this.isOpen) throw new Error('Replay already open. Call end() first.')
+        if (!this.exchanges.length) throw new Error('The capture has no commands to replay')
+        this._positions.clear()
+        this.isOpen = true
+    }
+
+    async end() {
+        for (const timer of this._timers) clearTimeout(timer)
+        this._timers.clear()
+        this.isOpen = false
+        this._readBuffer = []
+        this._pending = []
+    }
+
+    /**
+     * Returns the number of bytes available in the receive buffer.
+     * @return {number}
+     */
+    available() {
+        return this._readBuffer.length
+    }
+
+    /**
+     * Reads the oldest byte from the receive buffer.
+     * @return {number} Next byte (0-255) or -1 if no data available.
+     */
+    read() {
+        if (this._readBuffer.length === 0) return -1
+        return this._readBuffer.shift() & 0xff
+    }
+
+    /**
+     * Peeks at a byte in the buffer without removing it.
+     * @param {number} offset
+     * @return {number}
+     */
+    peek(offset = 0) {
+        if (this._readBuffer.length === 0) return -1
+        if (offset < 0 || offset >= this._readBuffer.length) return -2
+        return this._readBuffer[offset] & 0xff
+    }
+
+    /**
+     * Reads a complete line (delimited by \n) from the buffer, if available.
+     * @return {string|null}
+     */
+    readLine() {
+        const newlineIndex = this._readBuffer.indexOf(10) // ASCII '\n'
+        if (newlineIndex === -1) return null
+        const lineBytes = this._readBuffer.splice(0, newlineIndex + 1)
+        return new TextDecoder().decode(new Uint8Array(lineBytes)).trim()
+    }
+
+    /**
+     * Reads and returns all available buffered data as a string.
+     * @return {string}
+     */
+    readAll() {
+        const all = new TextDecoder().decode(new Uint8Array(this._readBuffer))
+        this._readBuffer = []
+        return all
+    }
+
+    /**
+     * Takes a command and schedules its recorded reply.
+     * @param {string|Uint8Array|ArrayBuffer|number} data
+     * @return {Promise<void>}
+     */
+    async write(data) {
+        if (!this.isOpen) throw new Error('Cannot write: replay is not open')
+        if (typeof data === 'string') this._pending.push(...new TextEncoder().encode(data))
+        else if (data instanceof Uint8Array) this._pending.push(...data)
+        else if (data instanceof ArrayBuffer) this._pending.push(...new Uint8Array(data))
+        else if (typeof data === 'number') this._pending.push(data & 0xff)
+
+        let newline
+        while ((newline = this._pending.indexOf(0x0A)) >= 0) {
+            const line = this._pending.splice(0, newline + 1)
+            this._answer(new TextDecoder().decode(new Uint8Array(line)).trim())
+        }
+        // The wake-up is sent without a line ending
+        if (this._pending.length === 1 && this._pending[0] === 0x3F) {
+            this._pending = []
+            this._answer('?')
+        }
+    }
+
+    /** @param {string} command */
+    _answer(command) {
+        if (!command) return
+        const exchange = this._find(command)
+        if (!exchange) {
+            if (this.debug) console.warn(`[Replay] No recorded reply for ${command}`)
+            return
+        }
+        const delay = Math.min(MAX_REPLY_DELAY_MS, Math.max(0, (exchange.replyAt ?? exchange.t) - exchange.t))
+        const timer = setTimeout(() => {
+            this._timers.delete(timer)
+            if (this.isOpen) this._readBuffer.push(...exchange.reply)
+        }, delay)
+        this._timers.add(timer)
+    }
+
+    /**
+     * Next recorded exchange for a command, wrapping around at the end of the capture
+     * @param {string} command
+     */
+    _find(command) {
+        const type = commandType(command)
+        const exact = this._next(command, e => e.command === command)
+        if (exact || EXACT_ONLY.includes(type)) return exact
+        return this._next(type, e => e.type === type)
+    }
+
+    /**
+     * @param {string} key - Position key
+     * @param {(exchange: import('../../capture.js').CaptureExchange) => boolean} match
+     */
+    _next(key, match) {
+        const count = this.exchanges.length
+        const last = this._positions.get(key) ?? -1
+        for (let step = 1; step <= count; step++) {
+            const index = (last + step) % count
+            if (match(this.exchanges[index])) {
+                this._positions.set(key, index)
+                return this.exchanges[index]
+            }
+        }
+        return null
+    }
+}
@@ -0,0 +1,419 @@
+/**
+ * @file socketNetwork.js
+ * @description Socket.IO-based TCP transport that provides the same interface
+ * as the socket serial wrapper (tools/socketSerial.js). Instead of a serial port,
+ * it communicates with the backend's /network Socket.IO namespace which opens a
+ * TCP connection to the PLC via the NetworkManager.
+ *
+ * Incoming bytes are buffered locally for raw reads. Commands, health queries and
+ * memory monitoring run on the backend under a per-connection mutex, like on /serial.
+ */
+
+import { io } from '/socket.io/socket.io.esm.min.js'
+
+export default class SocketNetwork {
+    constructor(maxBufferLength = 32 * 1024, debug = false) {
+        this.debug = debug
+        /** @type {import('socket.io-client').Socket | null} */
+        this.socket = null
+        this.isOpen = false
+        this.host = ''
+        this.port = 0
+        /** Backend connection key (`host:port`) */
+        this.key = ''
+        this._readBuffer = []
+        this._maxBufferLength = maxBufferLength
+        this._closing = false
+
+        /** @type {((error: Error) => void) | null} */
+        this.onDisconnect = null
+    }
+
+    /**
+     * Connect to the backend Socket.IO /network namespace and open a TCP connection to the device.
+     * @param {{
+     *     host: string,
+     *     port: number,
+     *     serverUrl?: string,
+     * }} openOptions
+     */
+    async begin(openOptions) {
+        if (this.isOpen) {
+            throw new Error('Socket network already open. Call end() first.')
+        }
+        if (!openOptions?.host) {
+            throw new Error('No host specified')
+        }
+        if (!openOptions.port) {
+            throw new Error('No port specified')
+        }
+
+        const serverUrl = openOptions.serverUrl || window.location.origin
+        const host = openOptions.host
+        const port = openOptions.port
+
+        // Connect to the backend /network namespace
+        this.socket = io(`${serverUrl}/network`, {
+            transports: ['websocket', 'polling'],
+            reconnection: true,
+            reconnectionAttempts: 5,
+            reconnectionDelay: 1000,
+        })
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Socket.IO connection timeout'))
+            }, 10000)
+
+            this.socket.on('connect', () => {
+                clearTimeout(timeout)
+                resolve()
+            })
+
+            this.socket.on('connect_error', (err) => {
+                clearTimeout(timeout)
+                reject(new Error(`Socket.IO connection failed: ${err.message}`))
+            })
+        })
+
+        // Open the TCP connection on the backend
+        const result = await this._emit('connect-device', { host, port })
+        if (!result.ok) {
+            this.socket.removeAllListeners()
+            this.socket.disconnect()
+            this.socket = null
+            throw new Error(result.error || `Failed to connect to ${host}:${port}`)
+        }
+
+        this.key = result.key
+        this.host = host
+        this.port = port
+        this.isOpen = true
+        this._closing = false
+        this._readBuffer = []
+
+        // Listen for incoming TCP data
+        this.socket.on('data', (msg) => {
+            if (msg.key !== this.key) return
+            const data = msg.data // number[]
+            for (const byte of data) {
+                this._readBuffer.push(byte & 0xff)
+                if (this._readBuffer.length > this._maxBufferLength) {
+                    this._readBuffer.shift()
+                }
+            }
+        })
+
+        // Listen for connection closure
+        this.socket.on('closed', (msg) => {
+            if (msg.key !== this.key) return
+            if (!this._closing) {
+                this.isOpen = false
+                if (this.onDisconnect) {
+                    this.onDisconnect(new Error(msg.error || 'Network connection closed'))
+                }
+            }
+        })
+
+        // Listen for errors
+        this.socket.on('error', (msg) => {
+            if (msg.key !== this.key) return
+            if (!this._closing && this.onDisconnect) {
+                this.onDisconnect(new Error(msg.error || 'Network connection error'))
+            }
+        })
+
+        // Handle Socket.IO disconnect
+        this.socket.on('disconnect', (reason) => {
+            if (!this._closing && this.isOpen) {
+                this.isOpen = false
+                if (this.onDisconnect) {
+                    this.onDisconnect(new Error(`Socket.IO disconnected: ${reason}`))
+                }
+            }
+        })
+
+        if (this.debug) console.log(`[SocketNetwork] Connected to ${this.key}`)
+    }
+
+    /**
+     * Close the TCP connection
+     */
+    async end() {
+        if (!this.socket) return
+        this._closing = true
+
+        try {
+            if (this.socket.connected && this.key) {
+                await this._emit('disconnect-device', { key: this.key })
+            }
+        } catch {
+            // Ignore close errors
+        }
+
+        this.isOpen = false
+        this._subscribed = false
+        this.socket.removeAllListeners()
+        this.socket.disconnect()
+        this.socket = null
+        this.key = ''
+        this.host = ''
+        this.port = 0
+        this._readBuffer = []
+        this._closing = false
+    }
+
+    /**
+     * Returns the number of bytes available in the receive buffer.
+     * @return {number}
+     */
+    available() {
+        return this._readBuffer.length
+    }
+
+    /**
+     * Reads the oldest byte from the receive buffer.
+     * @return {number} Next byte (0-255) or -1 if no data available.
+     */
+    read() {
+        if (this._readBuffer.length === 0) return -1
+        return this._readBuffer.shift() & 0xff
+    }
+
+    /**
+     * Peeks at a byte in the buffer without removing it.
+     * @param {number} offset
+     * @return {number}
+     */
+    peek(offset = 0) {
+        if (this._readBuffer.length === 0) return -1
+        if (offset < 0 || offset >= this._readBuffer.length) return -2
+        return this._readBuffer[offset] & 0xff
+    }
+
+    /**
+     * Reads a complete line (delimited by \n) from the buffer, if available.
+     * @return {string|null}
+     */
+    readLine() {
+        const newlineIndex = this._readBuffer.indexOf(10) // ASCII '\n'
+        if (newlineIndex === -1) return null
+        const lineBytes = this._readBuffer.splice(0, newlineIndex + 1)
+        return new TextDecoder().decode(new Uint8Array(lineBytes)).trim()
+    }
+
+    /**
+     * Reads and returns all available buffered data as a string.
+     * @return {string}
+     */
+    readAll() {
+        const all = new TextDecoder().decode(new Uint8Array(this._readBuffer))
+        this._readBuffer = []
+        return all
+    }
+
+    /**
+     * Writes data to the device via the backend.
+     * @param {string|Uint8Array|ArrayBuffer|number} data
+     * @return {Promise<void>}
+     */
+    async write(data) {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Cannot write: network connection is not open')
+        }
+
+        let payload
+        if (typeof data === 'string') {
+            payload = data
+        } else if (data instanceof Uint8Array) {
+            payload = Array.from(data)
+        } else if (data instanceof ArrayBuffer) {
+            payload = Array.from(new Uint8Array(data))
+        } else if (typeof data === 'number') {
+            if (data >= 0 && data < 256 && Number.isInteger(data)) {
+                payload = [data]
+            } else {
+                payload = String(data)
+            }
+        } else {
+            payload = String(data)
+        }
+
+        const result = await this._emit('write', { key: this.key, data: payload })
+        if (!result.ok) {
+            throw new Error(result.error || 'Write failed')
+        }
+    }
+
+    /**
+     * Send a command and wait for a line response (atomic operation).
+     * The backend acquires the connection mutex, clears its buffer, sends the command,
+     * waits for a line response, then releases the mutex.
+     * @param {string} command - Command to send (include newline if needed)
+     * @param {number} [timeoutMs=5000] - Timeout in milliseconds
+     * @returns {Promise<string>} Raw response string
+     */
+    async command(command, timeoutMs = 5000) {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Cannot send command: network connection is not open')
+        }
+
+        const result = await this._emit('network-command', {
+            key: this.key,
+            command,
+            timeoutMs
+        })
+        if (!result.ok) {
+            throw new Error(result.error || 'Command failed')
+        }
+        return result.response || ''
+    }
+
+    /**
+     * Same as `command()`, but the backend waits for a complete reply that may be
+     * a binary frame instead of a newline terminated line.
+     * @param {string} command - Command to send (include newline if needed)
+     * @param {number} [timeoutMs=5000] - Timeout in milliseconds
+     * @returns {Promise<number[]>} Raw reply bytes
+     */
+    async commandBytes(command, timeoutMs = 5000) {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Cannot send command: network connection is not open')
+        }
+
+        const result = await this._emit('network-command', {
+            key: this.key,
+            command,
+            timeoutMs,
+            binary: true
+        })
+        if (!result.ok) {
+            throw new Error(result.error || 'Command failed')
+        }
+        return result.bytes || []
+    }
+
+    /**
+     * Query device health on the backend (atomic, works alongside monitoring)
+     * @returns {Promise<import('../../protocol.js').DeviceHealth>}
+     */
+    async getHealth() {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Not connected')
+        }
+        const result = await this._emit('get-health', { key: this.key })
+        if (!result.ok) {
+            throw new Error(result.error || 'Failed to get health')
+        }
+        return result.health
+    }
+
+    /**
+     * Reset the device health statistics (atomic)
+     * @returns {Promise<void>}
+     */
+    async resetHealth() {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Not connected')
+        }
+        const result = await this._emit('reset-health', { key: this.key })
+        if (!result.ok) {
+            throw new Error(result.error || 'Failed to reset health')
+        }
+    }
+
+    // ─── Memory Monitoring Subscriptions ────────────────────────────────────────
+
+    /** @type {((results: Array<{address: number, size: number, data: number[]}>, stats?: { cycleMs: number, wireBytes: number }) => void) | null} */
+    onMemoryData = null
+
+    /** @type {boolean} */
+    _subscribed = false
+
+    /**
+     * Subscribe to memory monitoring
+     * Backend will continuously read these memory regions and emit data
+     * @param {Array<{address: number, size: number}>} regions - Memory regions to monitor
+     * @param {number} [intervalMs=100] - Polling interval in milliseconds
+     * @param {boolean} [binary=false] - Read with binary framed `MB` commands
+     * @param {boolean} [multi=false] - Read all regions with batched `MM` commands
+     * @returns {Promise<void>}
+     */
+    async subscribeMemory(regions, intervalMs = 100, binary = false, multi = false) {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Cannot subscribe: network connection is not open')
+        }
+
+        // Remove old listener if exists
+        this.socket.off('memory-data')
+
+        // Set up listener for memory data
+        this.socket.on('memory-data', (msg) => {
+            if (this.onMemoryData && msg.results) {
+                this.onMemoryData(msg.results, { cycleMs: msg.cycleMs, wireBytes: msg.wireBytes })
+            }
+        })
+
+        const result = await this._emit('subscribe-monitor', {
+            key: this.key,
+            regions,
+            intervalMs,
+            binary,
+            multi
+        })
+
+        if (!result.ok) {
+            throw new Error(result.error || 'Failed to subscribe to memory monitoring')
+        }
+
+        this._subscribed = true
+        if (this.debug) console.log(`[SocketNetwork] Subscribed to ${regions.length} memory regions`)
+    }
+
+    /**
+     * Unsubscribe from memory monitoring
+     * @returns {Promise<void>}
+     */
+    async unsubscribeMemory() {
+        if (!this.socket?.connected) return
+
+        this.socket.off('memory-data')
+        this._subscribed = false
+
+        try {
+            await this._emit('unsubscribe-monitor')
+        } catch {
+            // Ignore errors during unsubscribe
+        }
+
+        if (this.debug) console.log('[SocketNetwork] Unsubscribed from memory monitoring')
+    }
+
+    /**
+     * Check if currently subscribed to memory monitoring
+     * @returns {boolean}
+     */
+    isSubscribed() {
+        return this._subscribed
+    }
+
+    /**
+     * Emit a Socket.IO event and wait for the acknowledgment callback.
+     * @param {string} event
+     * @param {any} [data]
+     * @returns {Promise<any>}
+     */
+    _emit(event, data) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error(`Socket.IO event '${event}' timed out`))
+            }, 15000)
+
+            const args = data !== undefined ? [data] : []
+            this.socket.emit(event, ...args, (response) => {
+                clearTimeout(timeout)
+                resolve(response)
+            })
+        })
+    }
+}
@@ -299,9 +299,33 @@ export default class SocketSerial {
         return result.response || ''
     }
 
+    /**
+     * Same as `command()`, but the backend waits for a complete reply that may be
+     * a binary frame instead of a newline terminated line.
+     * @param {string} command - Command to send (include newline if needed)
+     * @param {number} [timeoutMs=5000] - Timeout in milliseconds
+     * @returns {Promise<number[]>} Raw reply bytes
+     */
+    async commandBytes(command, timeoutMs = 5000) {
+        if (!this.isOpen || !this.socket?.connected) {
+            throw new Error('Cannot send command: serial port is not open')
+        }
+
+        const result = await this._emit('serial-command', {
+            path: this.portPath,
+            command,
+            timeoutMs,
+            binary: true
+        })
+        if (!result.ok) {
+            throw new Error(result.error || 'Command failed')
+        }
+        return result.bytes || []
+    }
+
     // ─── Memory Monitoring Subscriptions ────────────────────────────────────────
 
-    /** @type {((results: Array<{address: number, size: number, data: number[]}>) => void) | null} */
+    /** @type {((results: Array<{address: number, size: number, data: number[]}>, stats?: { cycleMs: number, wireBytes: number }) => void) | null} */
     onMemoryData = null
 
     /** @type {boolean} */
@@ -312,9 +336,11 @@ export default class SocketSerial {
      * Backend will continuously read these memory regions and emit data
      * @param {Array<{address: number, size: number}>} regions - Memory regions to monitor
      * @param {number} [intervalMs=100] - Polling interval in milliseconds
+     * @param {boolean} [binary=false] - Read with binary framed `MB` commands
+     * @param {boolean} [multi=false] - Read all regions with batched `MM` commands
      * @returns {Promise<void>}
      */
-    async subscribeMemory(regions, intervalMs = 100) {
+    async subscribeMemory(regions, intervalMs = 100, binary = false, multi = false) {
         if (!this.isOpen || !this.socket?.connected) {
             throw new Error('Cannot subscribe: serial port is not open')
         }
@@ -325,14 +351,16 @@ export default class SocketSerial {
         // Set up listener for memory data
         this.socket.on('memory-data', (msg) => {
             if (this.onMemoryData && msg.results) {
-                this.onMemoryData(msg.results)
+                this.onMemoryData(msg.results, { cycleMs: msg.cycleMs, wireBytes: msg.wireBytes })
             }
         })
 
         const result = await this._emit('subscribe-monitor', {
             path: this.portPath,
             regions,
-            intervalMs
+            intervalMs,
+            binary,
+            multi
         })
 
         if (!result.ok) {
@@ -0,0 +1,112 @@
+/**
+ * @file gateway.js
+ * @description Serves the backend Modbus gateway and MQTT bridge from this editor session.
+ * When a service target is `editor`, its memory requests are forwarded over the backend's
+ * /gateway Socket.IO namespace and answered with the editor's active connection, which lets
+ * SCADA clients reach devices only the browser can talk to, like the simulator.
+ */
+
+/**
+ * @typedef {{ table: 'coil' | 'discrete' | 'holding' | 'input', register: number, tag: string }} ModbusMapRow
+ * @typedef {{ host?: string, port: number, map: ModbusMapRow[] }} ModbusSettings - Stored in `project.modbus`
+ * @typedef {{ tag: string, topic?: string, qos: 0 | 1 | 2, mode: 'change' | 'interval', intervalMs?: number, deadband?: number, writable?: boolean }} MqttSymbolRow
+ * @typedef {{ url: string, baseTopic: string, username?: string, clientId?: string, retain?: boolean, symbols: MqttSymbolRow[] }} MqttSettings - Stored in `project.mqtt`, the password stays on the server
+ */
+
+/**
+ * Device target of the backend services for the editor's current connection, null when disconnected.
+ * Backend serial ports and TCP connections are used directly, anything else is served by this editor.
+ * @param {any} device_manager - The editor's DeviceManager
+ */
+export const deviceTarget = (device_manager) => {
+    const options = device_manager?.options
+    if (!device_manager?.connected || !options) return null
+    if (options.target === 'socket-serial' && options.portPath) {
+        return { type: 'serial', path: options.portPath, baudRate: options.baudrate || 115200 }
+    }
+    if (options.target === 'socket-network') {
+        return { type: 'network', host: options.host, port: options.port }
+    }
+    return { type: 'editor' }
+}
+
+export default class GatewayProvider {
+    /** @type {any} */
+    socket = null
+    /** Services using the provider, it serves until the last one stops */
+    users = new Set()
+    /** Number of requests answered since `start()` */
+    requests = 0
+    /** @type {string | null} */
+    lastError = null
+
+    /**
+     * @param {() => import('./ConnectionBase.js').default | null} getConnection - Active device connection, null when disconnected
+     */
+    constructor(getConnection) {
+        this.getConnection = getConnection
+    }
+
+    get active() {
+        return !!this.socket
+    }
+
+    /**
+     * Connect to the backend and serve memory access until every user called `stop()`
+     * @param {string} user - Service name, e.g. `modbus` or `mqtt`
+     */
+    async start(user, serverUrl = window.location.origin) {
+        this.users.add(user)
+        if (this.socket) return
+        const { io } = await import('/socket.io/socket.io.esm.min.js')
+        const socket = io(`${serverUrl}/gateway`, { transports: ['websocket', 'polling'] })
+        this.socket = socket
+        this.requests = 0
+        this.lastError = null
+
+        // The backend forgets the provider on disconnect, offer again after every (re)connect
+        socket.on('connect', () => socket.emit('provide'))
+        socket.on('read', (args, callback) => this._serve(callback, async (connection) => {
+            const data = await connection.readMemory(args.address, args.size)
+            return { data: Array.from(data) }
+        }))
+        socket.on('write', (args, callback) => this._serve(callback, async (connection) => {
+            await connection.writeMemory(args.address, args.data)
+            return {}
+        }))
+        socket.on('write-masked', (args, callback) => this._serve(callback, async (connection) => {
+            await connection.writeMemoryAreaMasked(args.address, args.data, args.mask)
+            return {}
+        }))
+    }
+
+    /** @param {string} user */
+    stop(user) {
+        this.users.delete(user)
+        if (!this.socket || this.users.size) return
+        this.socket.emit('withdraw')
+        this.socket.removeAllListeners()
+        this.socket.disconnect()
+        this.socket = null
+    }
+
+    /**
+     * @param {(reply: any) => void} callback
+     * @param {(connection: import('./ConnectionBase.js').default) => Promise<object>} handler
+     */
+    async _serve(callback, handler) {
+        const connection = this.getConnection()
+        if (!connection) {
+            callback({ ok: false, error: 'The editor is not connected to a device' })
+            return
+        }
+        try {
+            const result = await handler(connection)
+            this.requests++
+            callback({ ok: true, ...result })
+        } catch (err) {
+            this.lastError = err.message
+            callback({ ok: false, error: err.message })
+        }
+    }
+}
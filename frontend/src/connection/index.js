@@ -3,8 +3,10 @@ import SimulationConnection from "./drivers/SimulationConnection.js";
 import RestConnection from "./drivers/RestConnection.js";
 import SerialConnection from "./drivers/SerialConnection.js";
 import SocketSerialConnection from "./drivers/SocketSerialConnection.js";
+import SocketNetworkConnection from "./drivers/SocketNetworkConnection.js";
+import ReplayConnection from "./drivers/ReplayConnection.js";
 
-/** @typedef { SimulationConnection | RestConnection | SerialConnection | SocketSerialConnection } ConnectionBase * @type { ConnectionBase } */
+/** @typedef { SimulationConnection | RestConnection | SerialConnection | SocketSerialConnection | SocketNetworkConnection | ReplayConnection } ConnectionBase * @type { ConnectionBase } */
 export let ConnectionBase
 
 /**
@@ -12,13 +14,15 @@ export let ConnectionBase
  * @typedef {{ target: 'rest', host?: string }} ConnectionOption_Rest
  * @typedef {{ target: 'serial', baudrate?: number, debug?: boolean, port?: any }} ConnectionOption_Serial
  * @typedef {{ target: 'socket-serial', baudrate?: number, debug?: boolean, portPath?: string, serverUrl?: string }} ConnectionOption_SocketSerial
- * @typedef { ConnectionOption_Simulation | ConnectionOption_Rest | ConnectionOption_Serial | ConnectionOption_SocketSerial } ConnectionOptions
+ * @typedef {{ target: 'socket-network', debug?: boolean, host: string, port: number, serverUrl?: string }} ConnectionOption_SocketNetwork
+ * @typedef {{ target: 'replay', capture: import('./capture.js').Capture, name?: string, debug?: boolean }} ConnectionOption_Replay
+ * @typedef { ConnectionOption_Simulation | ConnectionOption_Rest | ConnectionOption_Serial | ConnectionOption_SocketSerial | ConnectionOption_SocketNetwork | ConnectionOption_Replay } ConnectionOptions
  * @type { ConnectionOptions } */
 export let ConnectionOptions
 
 /**
  * Fetch server capabilities
- * @returns {Promise<{ localDeviceAccess: boolean, serial: boolean, network: boolean, socketIO: { namespaces: string[] }, version: string } | null>}
+ * @returns {Promise<{ localDeviceAccess: boolean, serial: boolean, network: boolean, socketIO: { namespaces: string[] }, version: string, auth?: { required: boolean, user: { name: string, role: 'viewer' | 'operator' | 'engineer' } | null } } | null>}
  */
 export async function fetchServerCapabilities() {
     try {
@@ -30,6 +34,38 @@ export async function fetchServerCapabilities() {
     }
 }
 
+/**
+ * Scan a subnet through the server for hosts accepting TCP connections on a port
+ * @type { (options: { baseIp: string, port: number, startHost?: number, endHost?: number, timeoutMs?: number, serverUrl?: string }, onProgress?: (scanned: number, total: number) => void) => Promise<Array<{ host: string, port: number, reachable: boolean, responseTime?: number }>> }
+ */
+export async function scanNetwork(options, onProgress) {
+    return SocketNetworkConnection.scan(options, onProgress);
+}
+
+/**
+ * Query the info of a network host to confirm it runs VovkPLCRuntime
+ * @type { (target: { host: string, port: number, serverUrl?: string }) => Promise<any | null> }
+ */
+export async function probeNetworkDevice(target) {
+    return SocketNetworkConnection.probe(target);
+}
+
+/**
+ * Stored scan cycle period of the simulator in milliseconds
+ * @type { () => number }
+ */
+export function loadSimulationScanPeriod() {
+    return SimulationConnection.loadScanPeriod();
+}
+
+/**
+ * Store the scan cycle period of the simulator, used by the next simulation session
+ * @type { (ms: number) => number }
+ */
+export function saveSimulationScanPeriod(ms) {
+    return SimulationConnection.saveScanPeriod(ms);
+}
+
 /**
  * Initialize the connection
  * @type { (options: ConnectionOptions, editor: PLCEditor) => Promise<ConnectionBase> }
@@ -58,6 +94,18 @@ export async function initializeConnection(options, editor) {
         connection = new SocketSerialConnection(baudrate, debug);
         await connection.connect({ path: portPath, serverUrl });
         return connection;
+    } else if (target === "socket-network") {
+        const { debug, host, port, serverUrl } = options;
+        if (!host) throw new Error("Network host is required");
+        connection = new SocketNetworkConnection(debug);
+        await connection.connect({ host, port, serverUrl });
+        return connection;
+    } else if (target === "replay") {
+        const { capture, debug } = options;
+        if (!capture) throw new Error("A capture to replay is required");
+        connection = new ReplayConnection(capture, debug);
+        await connection.connect();
+        return connection;
     } else {
         throw new Error(`Unsupported connection target: ${target}`);
     }
@@ -0,0 +1,260 @@
+/**
+ * @file plant.js
+ * @description Plant models for the simulator. Models run between PLC scan cycles,
+ * read outputs and write inputs directly in the runtime memory to mimic process behaviour.
+ *
+ * Two model types are supported:
+ *   - rules:  a table of `when <condition> then <action> <target>` rows, for example
+ *             `when Y0.0 ramp X2 by 2` raises X2 by 2 per second while the motor output is on
+ *   - script: a JS function body called as `(io, dt)` every cycle, see `PlantIO`
+ *
+ * Scripts come with the project file, which may have been opened from the shared server workspace,
+ * so script models only run once the user allowed the scripts of that project in this page session.
+ */
+
+import { readTypedValue, writeTypedValue } from "../utils/tools.js"
+
+/**
+ * @typedef {{ when?: string, action: 'set' | 'ramp', target: string, value: number, min?: number, max?: number }} PlantRule
+ * @typedef {{ id: string, name: string, type: 'rules' | 'script', rules?: PlantRule[], script?: string }} PlantModel
+ * @typedef {{ address: number, size: number, bit: number | null, type: string }} ResolvedAddress
+ *
+ * @typedef {{
+ *     read: (ref: string) => number | boolean,
+ *     write: (ref: string, value: number | boolean) => void,
+ *     state: Record<string, any>,
+ *     time: number,
+ * }} PlantIO - Passed to script models. `state` persists between cycles, `time` is the session time in seconds.
+ */
+
+/** Projects whose script models the user allowed to run, until the page is closed */
+const allowedProjects = new WeakSet()
+
+/**
+ * @param {object | null | undefined} project
+ * @returns {boolean} True when the script models of the project may run
+ */
+export const plantScriptsAllowed = (project) => !!project && allowedProjects.has(project)
+
+/** @param {object} project - Project whose script models the user allowed to run */
+export const allowPlantScripts = (project) => {
+    allowedProjects.add(project)
+}
+
+const CONDITION_PATTERN = /^(!)?\s*([^<>=!\s]+)\s*(?:(==|!=|>=|<=|>|<)\s*(-?[\d.]+))?$/
+
+const compare = (a, op, b) => {
+    switch (op) {
+        case '==': return a === b
+        case '!=': return a !== b
+        case '>=': return a >= b
+        case '<=': return a <= b
+        case '>': return a > b
+        case '<': return a < b
+    }
+    return false
+}
+
+export default class PlantSimulator {
+    /** @type {((model: PlantModel, error: Error) => void) | null} */
+    onError = null
+    /** @type {(() => void) | null} Called when a model is switched on or off */
+    onStateChange = null
+
+    /** @type {Array<{ model: PlantModel, run: (io: PlantIO, dt: number) => void, state: Record<string, any> }>} */
+    _models = []
+    /** Session enable state per model id, models start enabled */
+    _enabled = new Map()
+    /** Ids of the script models, they are off while `scriptsAllowed` is false */
+    _scripts = new Set()
+    /** Set once the user allowed the scripts of the project, see `plantScriptsAllowed` */
+    scriptsAllowed = false
+    /** Last error per model id, cleared when the model is reloaded or switched on again */
+    errors = new Map()
+    _time = 0
+
+    /**
+     * @param {any} plc - WASM runtime with synchronous readMemoryArea / writeMemoryArea
+     * @param {(ref: string) => ResolvedAddress | null} resolve - Resolves symbol names and X/Y/M addresses
+     * @param {() => boolean} [isLittleEndian]
+     */
+    constructor(plc, resolve, isLittleEndian = () => true) {
+        this.plc = plc
+        this.resolve = resolve
+        this.isLittleEndian = isLittleEndian
+    }
+
+    /**
+     * Load or reload the models, keeping the session enable state and script state of models that stay.
+     * Models that were switched off by an error run again once they compile.
+     * @param {PlantModel[]} models
+     */
+    load(models) {
+        const previous = new Map(this._models.map(m => [m.model.id, m.state]))
+        const failed = new Set(this.errors.keys())
+        this.errors.clear()
+        this._models = []
+        this._scripts = new Set((models || []).filter(m => m.type === 'script').map(m => m.id))
+        for (const model of models || []) {
+            try {
+                this._models.push({ model, run: this._compile(model), state: previous.get(model.id) || {} })
+                if (failed.has(model.id)) this._enabled.delete(model.id)
+            } catch (err) {
+                this._fail(model, err)
+            }
+        }
+    }
+
+    /** Reset the session: every model enabled again, script state and time cleared */
+    reset() {
+        this._enabled.clear()
+        this.errors.clear()
+        this._time = 0
+        for (const entry of this._models) entry.state = {}
+    }
+
+    /** @returns {boolean} True when a loaded model is a script */
+    get hasScripts() {
+        return this._scripts.size > 0
+    }
+
+    /** @param {string} id */
+    isEnabled(id) {
+        if (this._scripts.has(id) && !this.scriptsAllowed) return false
+        return this._enabled.get(id) !== false
+    }
+
+    /** Let the script models run, after the user allowed them */
+    allowScripts() {
+        this.scriptsAllowed = true
+        if (this.onStateChange) this.onStateChange()
+    }
+
+    /**
+     * @param {string} id
+     * @param {boolean} enabled
+     */
+    setEnabled(id, enabled) {
+        this._enabled.set(id, !!enabled)
+        if (enabled) this.errors.delete(id)
+        if (this.onStateChange) this.onStateChange()
+    }
+
+    /**
+     * Run every enabled model once
+     * @param {number} dt - Seconds since the previous step
+     */
+    step(dt) {
+        if (!this._models.length) return
+        this._time += dt
+        for (const entry of this._models) {
+            if (!this.isEnabled(entry.model.id)) continue
+            const io = {
+                read: (ref) => this.read(ref),
+                write: (ref, value) => this.write(ref, value),
+                state: entry.state,
+                time: this._time,
+            }
+            try {
+                entry.run(io, dt)
+            } catch (err) {
+                this._fail(entry.model, err)
+            }
+        }
+    }
+
+    /**
+     * Read a value from runtime memory, bits are returned as booleans
+     * @param {string} ref
+     * @returns {number | boolean}
+     */
+    read(ref) {
+        const target = this._resolve(ref)
+        const data = Uint8Array.from(this.plc.readMemoryArea(target.address, target.size))
+        if (target.bit !== null) return ((data[0] >> target.bit) & 1) === 1
+        const value = readTypedValue(new DataView(data.buffer), 0, target.type, this.isLittleEndian())
+        return Number(value)
+    }
+
+    /**
+     * Write a value to runtime memory
+     * @param {string} ref
+     * @param {number | boolean} value
+     */
+    write(ref, value) {
+        const target = this._resolve(ref)
+        if (target.bit !== null) {
+            const mask = 1 << target.bit
+            this.plc.writeMemoryAreaMasked(target.address, [value ? mask : 0], [mask])
+            return
+        }
+        const data = new Uint8Array(target.size)
+        writeTypedValue(new DataView(data.buffer), 0, target.type, Number(value) || 0, this.isLittleEndian())
+        this.plc.writeMemoryArea(target.address, Array.from(data))
+    }
+
+    /** @returns {ResolvedAddress} */
+    _resolve(ref) {
+        // Resolved on every access so renamed or moved symbols are picked up while running
+        const target = this.resolve(String(ref).trim())
+        if (!target) throw new Error(`Unknown address or symbol '${ref}'`)
+        return target
+    }
+
+    /**
+     * @param {PlantModel} model
+     * @returns {(io: PlantIO, dt: number) => void}
+     */
+    _compile(model) {
+        if (model.type === 'script') {
+            return /** @type {any} */ (new Function('io', 'dt', model.script || ''))
+        }
+        const rules = (model.rules || []).map(rule => ({ rule, when: this._compileCondition(rule.when), ramped: NaN }))
+        return (io, dt) => {
+            for (const entry of rules) {
+                const { rule, when } = entry
+                if (!rule.target || !when(io)) continue
+                if (rule.action === 'ramp') {
+                    // Integer targets truncate every write, so the fraction is carried in the rule
+                    // as long as nothing else changed the target since the last write
+                    const current = Number(io.read(rule.target))
+                    const base = Math.abs(entry.ramped - current) < 1 ? entry.ramped : current
+                    let next = base + (Number(rule.value) || 0) * dt
+                    if (typeof rule.min === 'number') next = Math.max(rule.min, next)
+                    if (typeof rule.max === 'number') next = Math.min(rule.max, next)
+                    io.write(rule.target, next)
+                    entry.ramped = next
+                } else {
+                    io.write(rule.target, Number(rule.value) || 0)
+                }
+            }
+        }
+    }
+
+    /**
+     * Compile a rule condition: empty (always), `ref`, `!ref` or `ref <op> number`
+     * @param {string | undefined} text
+     * @returns {(io: PlantIO) => boolean}
+     */
+    _compileCondition(text) {
+        const source = (text || '').trim()
+        if (!source) return () => true
+        const match = source.match(CONDITION_PATTERN)
+        if (!match) throw new Error(`Invalid condition '${source}'`)
+        const [, negate, ref, op, operand] = match
+        if (op) {
+            const value = parseFloat(operand)
+            return (io) => compare(Number(io.read(ref)), op, value) !== !!negate
+        }
+        return (io) => !!io.read(ref) !== !!negate
+    }
+
+    _fail(model, err) {
+        // A failing model is switched off for the rest of the session instead of erroring every cycle
+        this._enabled.set(model.id, false)
+        this.errors.set(model.id, err.message)
+        if (this.onError) this.onError(model, err)
+        else console.error(`[Plant] Model '${model.name}' failed:`, err)
+        if (this.onStateChange) this.onStateChange()
+    }
+}
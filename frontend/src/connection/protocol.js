@@ -0,0 +1,670 @@
+/**
+ * @file protocol.js
+ * @description Shared codec for the VovkPLC line protocol used on serial and TCP links.
+ *
+ * Every request is an ASCII command followed by hex encoded arguments and a CRC8
+ * checksum (polynomial 0x31) over the command characters and argument bytes.
+ * Replies are single lines, either a payload or an error (`ERR...` / `E:...`).
+ *
+ * Proposed extensions: the capability flags and commands below are not implemented by the
+ * VovkPLCRuntime firmware yet. They are only used once a device advertises them, every
+ * runtime released so far is driven with the baseline commands.
+ *
+ * Devices advertising `PROTOCOL_FLAGS.BINARY_FRAMES` in the info flags also accept
+ * `MB`, a memory read answered with a binary frame instead of an ASCII hex line:
+ *   <STX 0x02><length:u16 big-endian><payload><crc8 of payload>
+ *
+ * Devices advertising `PROTOCOL_FLAGS.MULTI_READ` accept `MM`, a batched read of
+ * several address/size pairs answered with their data concatenated in request order,
+ * framed like `MB` on binary framing devices and like `MR` otherwise.
+ *
+ * Devices advertising `PROTOCOL_FLAGS.FORCE` keep a force table: masked values the runtime
+ * writes after reading the inputs and again before updating the outputs on every scan cycle.
+ * `FT` replaces the whole table in one command, an empty table releases all forces.
+ *
+ * Devices reporting `requiresAuth` for a transport in the `TI` reply accept `AU` to log in the
+ * session on that transport. Until it succeeds they refuse commands that change the device.
+ *
+ * This module has no dependencies so it can be loaded by the browser drivers
+ * (served statically) and by the backend (imported relatively from backend/).
+ */
+
+// CRC8 lookup table (polynomial 0x31)
+const crc8Table = []
+for (let i = 0; i < 256; i++) {
+    let crc = i
+    for (let j = 0; j < 8; j++) {
+        crc = crc & 0x80 ? ((crc << 1) ^ 0x31) : (crc << 1)
+    }
+    crc8Table[i] = crc & 0xff
+}
+
+/**
+ * Calculate CRC8 checksum
+ * @param {number | number[] | Uint8Array} data - Byte or bytes to checksum
+ * @param {number} [initialCrc=0] - Running checksum to continue from
+ * @returns {number}
+ */
+export const crc8 = (data, initialCrc = 0) => {
+    const bytes = typeof data === 'number' ? [data] : data
+    let crc = initialCrc
+    for (const byte of bytes) {
+        if (byte < 0 || byte > 255) throw new Error(`Invalid byte: ${byte}`)
+        crc = crc8Table[(crc ^ byte) & 0xff]
+    }
+    return crc
+}
+
+/**
+ * Convert a string to hex encoded character codes
+ * @param {string} str
+ * @returns {string}
+ */
+export const stringToHex = (str) => str.split('').map(c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('')
+
+/**
+ * Parse a hex string to a byte array, ignoring any non-hex characters
+ * @param {string} hexString
+ * @returns {number[]}
+ */
+export const parseHex = (hexString) => {
+    const clean = hexString.replace(/[^0-9a-fA-F]/g, '')
+    if (clean.length % 2 !== 0) throw new Error(`Invalid hex string length: ${clean.length}`)
+    const result = []
+    for (let i = 0; i < clean.length; i += 2) {
+        result.push(parseInt(clean.substring(i, i + 2), 16))
+    }
+    return result
+}
+
+/**
+ * Protocol capability bits advertised in the `flags` field of the PI reply,
+ * next to the runtime feature flags (LITTLE_ENDIAN, STRINGS, ...).
+ * All of them belong to the proposed extensions, see the module header.
+ */
+export const PROTOCOL_FLAGS = {
+    /** Device answers `MB` memory reads with binary frames (proposed) */
+    BINARY_FRAMES: 0x4000,
+    /** Device accepts `MM` batched memory reads (proposed) */
+    MULTI_READ: 0x8000,
+    /** Device holds forced values set with `FT` (proposed) */
+    FORCE: 0x10000,
+}
+
+/** Largest data payload requested by a single `MM` batched read */
+export const MULTI_READ_MAX_BYTES = 512
+
+/** Most regions requested by a single `MM` batched read */
+export const MULTI_READ_MAX_REGIONS = 32
+
+/** First byte of a binary frame */
+export const FRAME_START = 0x02
+
+const u16Hex = (value) => (value & 0xffff).toString(16).padStart(4, '0')
+const u32Hex = (value) => (value >>> 0).toString(16).padStart(8, '0')
+const bytesHex = (bytes) => Array.from(bytes, b => (b & 0xff).toString(16).padStart(2, '0')).join('')
+
+/**
+ * Build a command line (without the trailing newline)
+ * @param {string} cmd - Two letter command
+ * @param {string} [argsHex=''] - Hex encoded arguments
+ * @returns {string}
+ */
+const buildCommand = (cmd, argsHex = '') => {
+    let checksum = crc8(parseHex(stringToHex(cmd)))
+    if (argsHex) checksum = crc8(parseHex(argsHex), checksum)
+    return (cmd + argsHex + checksum.toString(16).padStart(2, '0')).toUpperCase()
+}
+
+/**
+ * Check if a reply line is a device error
+ * @param {string} line
+ * @returns {boolean}
+ */
+export const isErrorReply = (line) => {
+    const raw = (line || '').trim()
+    return raw.startsWith('ERR') || raw.startsWith('E:')
+}
+
+/** Throws if the reply line is a device error */
+const assertNotError = (line, label) => {
+    if (isErrorReply(line)) throw new Error(`${label} failed: ${line.trim()}`)
+}
+
+/**
+ * Request encoders. Each returns the command line without the trailing newline.
+ */
+export const encode = {
+    /** PI - program and memory layout info */
+    programInfo: () => buildCommand('PI'),
+    /** RS - restart the device, it does not reply */
+    reset: () => buildCommand('RS'),
+    /** PR - run the program */
+    run: () => buildCommand('PR'),
+    /** PS - stop the program */
+    stop: () => buildCommand('PS'),
+    /**
+     * PD - program download
+     * Format: PD<size:u32><bytecode><checksum>
+     * @param {string | number[] | Uint8Array} bytecode - Bytes or a hex string as returned by the compiler
+     */
+    programDownload: (bytecode) => {
+        const bytes = typeof bytecode === 'string' ? parseHex(bytecode) : Array.from(bytecode)
+        return buildCommand('PD', u32Hex(bytes.length) + bytesHex(bytes))
+    },
+    /** PU - program upload, answered with the bytecode as a hex line */
+    programUpload: () => buildCommand('PU'),
+    /** PM - enter monitoring mode */
+    monitor: () => buildCommand('PM'),
+    /** PH - device health */
+    health: () => buildCommand('PH'),
+    /** RH - reset device health statistics */
+    resetHealth: () => buildCommand('RH'),
+    /** SL - firmware registered symbols */
+    symbolList: () => buildCommand('SL'),
+    /** TI - transport / interface info */
+    transportInfo: () => buildCommand('TI'),
+    /** DA - DataBlock layout */
+    dbInfo: () => buildCommand('DA'),
+    /**
+     * AU - authenticate the current session (proposed)
+     * Format: AU<user_len:u8><user><pass_len:u8><pass><checksum>
+     * @param {string} username
+     * @param {string} password
+     */
+    auth: (username, password) => {
+        const field = (str) => {
+            const bytes = new TextEncoder().encode(str)
+            if (bytes.length > 255) throw new Error('Credential too long')
+            return [bytes.length, ...bytes].map(b => b.toString(16).padStart(2, '0')).join('')
+        }
+        return buildCommand('AU', field(username) + field(password))
+    },
+    /**
+     * MR - memory read
+     * @param {number} address
+     * @param {number} size
+     */
+    memoryRead: (address, size) => buildCommand('MR', u32Hex(address) + u32Hex(size)),
+    /**
+     * MB - memory read answered with a binary frame (proposed)
+     * @param {number} address
+     * @param {number} size
+     */
+    memoryReadBinary: (address, size) => buildCommand('MB', u32Hex(address) + u32Hex(size)),
+    /**
+     * MM - batched memory read of several regions (proposed)
+     * @param {Array<{ address: number, size: number }>} regions
+     */
+    memoryReadMulti: (regions) => buildCommand('MM', u16Hex(regions.length) + regions.map(r => u32Hex(r.address) + u32Hex(r.size)).join('')),
+    /**
+     * MW - memory write
+     * @param {number} address
+     * @param {number[] | Uint8Array} data
+     */
+    memoryWrite: (address, data) => buildCommand('MW', u32Hex(address) + u32Hex(data.length) + bytesHex(data)),
+    /**
+     * MT - masked memory write, only the bits set in `mask` are written
+     * Format: MT<address:u32><size:u32><data><mask><checksum>
+     * @param {number} address
+     * @param {number[] | Uint8Array} data
+     * @param {number[] | Uint8Array} mask - One mask byte per data byte
+     */
+    memoryWriteMask: (address, data, mask) => {
+        if (mask.length !== data.length) throw new Error('Mask must have one byte per data byte')
+        return buildCommand('MT', u32Hex(address) + u32Hex(data.length) + bytesHex(data) + bytesHex(mask))
+    },
+    /**
+     * MF - fill a memory range with one byte value
+     * @param {number} address
+     * @param {number} size
+     * @param {number} value
+     */
+    memoryFormat: (address, size, value) => buildCommand('MF', u32Hex(address) + u32Hex(size) + bytesHex([value])),
+    /**
+     * TC - timer and counter area offsets, must match the compiled program
+     * @param {number} timerOffset
+     * @param {number} counterOffset
+     */
+    tcConfig: (timerOffset, counterOffset) => buildCommand('TC', u32Hex(timerOffset) + u32Hex(counterOffset)),
+    /**
+     * FT - replace the force table (proposed)
+     * Format: FT<count:u16>{<address:u32><size:u16><data><mask>}...<checksum>
+     * @param {Array<{ address: number, data: number[], mask: number[] }>} forces
+     */
+    forceTable: (forces) => {
+        const entries = forces.map(f => u32Hex(f.address) + u16Hex(f.data.length) + bytesHex(f.data) + bytesHex(f.mask))
+        return buildCommand('FT', u16Hex(forces.length) + entries.join(''))
+    },
+}
+
+/**
+ * @typedef {{
+ *     header: string, arch: string, version: string, date: string,
+ *     stack: number, memory: number, program: number,
+ *     system_offset?: number, system_size?: number,
+ *     input_offset: number, input_size: number,
+ *     output_offset: number, output_size: number,
+ *     marker_offset?: number, marker_size?: number,
+ *     timer_offset?: number, timer_count?: number, timer_struct_size?: number,
+ *     counter_offset?: number, counter_count?: number, counter_struct_size?: number,
+ *     db_table_offset?: number, db_slot_count?: number, db_entry_size?: number,
+ *     flags?: number, isLittleEndian?: boolean, device: string,
+ *     control_offset?: number, control_size?: number,
+ * }} ProgramInfo
+ *
+ * @typedef {{
+ *     last_cycle_time_us: number, min_cycle_time_us: number, max_cycle_time_us: number,
+ *     ram_free: number, min_ram_free: number, max_ram_free: number, total_ram_size: number,
+ *     last_period_us: number, min_period_us: number, max_period_us: number,
+ *     last_jitter_us: number, min_jitter_us: number, max_jitter_us: number,
+ * }} DeviceHealth
+ *
+ * @typedef {{ name: string, area: string, address: number, bit: number, type: string, comment: string }} DeviceSymbol
+ *
+ * @typedef {{
+ *     type: number, name: string, isNetwork: boolean, requiresAuth: boolean, isConnected: boolean,
+ *     baudrate?: number, ip?: string, gateway?: string, subnet?: string, port?: number, mac?: string,
+ * }} TransportInfo
+ *
+ * @typedef {{
+ *     slots: number, active: number, table_offset: number, free_space: number, lowest_address: number,
+ *     entries: Array<{ db: number, offset: number, size: number }>,
+ * }} DataBlockInfo
+ */
+
+/**
+ * Split regions into groups that each fit in a single `MM` request.
+ * Order is preserved, a region larger than `maxBytes` gets a group of its own.
+ * @template {{ address: number, size: number }} T
+ * @param {T[]} regions
+ * @param {number} [maxBytes=MULTI_READ_MAX_BYTES]
+ * @returns {T[][]}
+ */
+export const batchRegions = (regions, maxBytes = MULTI_READ_MAX_BYTES) => {
+    const groups = []
+    let group = []
+    let bytes = 0
+    for (const region of regions) {
+        if (group.length && (bytes + region.size > maxBytes || group.length >= MULTI_READ_MAX_REGIONS)) {
+            groups.push(group)
+            group = []
+            bytes = 0
+        }
+        group.push(region)
+        bytes += region.size
+    }
+    if (group.length) groups.push(group)
+    return groups
+}
+
+/**
+ * Check if a receive buffer holds a complete reply.
+ * A reply is either a binary frame or a newline terminated ASCII line,
+ * stray CR/LF bytes before it are skipped.
+ * @param {ArrayLike<number>} bytes
+ * @returns {number} Length of the complete reply in bytes, or 0 if more bytes are needed
+ */
+export const replyLength = (bytes) => {
+    let start = 0
+    while (start < bytes.length && (bytes[start] === 0x0D || bytes[start] === 0x0A)) start++
+    if (start >= bytes.length) return 0
+    if (bytes[start] === FRAME_START) {
+        if (bytes.length < start + 3) return 0
+        const total = start + 4 + ((bytes[start + 1] << 8) | bytes[start + 2])
+        return bytes.length >= total ? total : 0
+    }
+    for (let i = start; i < bytes.length; i++) {
+        if (bytes[i] === 0x0A) return i + 1
+    }
+    return 0
+}
+
+/**
+ * Bytes a reply took on the link, for the link statistics.
+ * ASCII replies are counted with their newline whether or not the reader kept it.
+ * @param {string | ArrayLike<number>} reply - Reply line or the raw reply bytes, see `replyLength`
+ * @returns {number}
+ */
+export const replyWireBytes = (reply) => {
+    if (typeof reply !== 'string') return reply.length
+    return reply.length + (reply.endsWith('\n') ? 0 : 1)
+}
+
+/**
+ * Find the bracketed info line in (possibly chunked) device output
+ * @param {string} text
+ * @returns {string | null} The full line containing `[...]`, or null if incomplete
+ */
+export const findInfoLine = (text) => {
+    const bracketStart = text.indexOf('[')
+    if (bracketStart < 0) return null
+    const bracketEnd = text.indexOf(']', bracketStart)
+    if (bracketEnd < 0) return null
+    let lineStart = text.lastIndexOf('\n', bracketStart)
+    lineStart = lineStart >= 0 ? lineStart + 1 : 0
+    let lineEnd = text.indexOf('\n', bracketEnd)
+    lineEnd = lineEnd >= 0 ? lineEnd : text.length
+    return text.substring(lineStart, lineEnd).trim()
+}
+
+/**
+ * Split the `{...},{...}` groups of a list reply.
+ * A group only ends at a `}` followed by `,{` or the end of the list, so comments
+ * containing commas or braces stay intact.
+ * @param {string} content - List content after the header
+ * @returns {string[]} Inner content of each group
+ */
+const splitGroups = (content) => {
+    const groups = []
+    let start = content.indexOf('{')
+    while (start >= 0) {
+        let end = -1
+        let next = -1
+        let search = start + 1
+        while (search < content.length) {
+            const close = content.indexOf('}', search)
+            if (close < 0) break
+            const rest = content.substring(close + 1).trimStart()
+            if (rest === '') {
+                end = close
+                break
+            }
+            if (rest.startsWith(',')) {
+                const after = rest.substring(1).trimStart()
+                if (after.startsWith('{')) {
+                    end = close
+                    next = content.indexOf('{', close + 1)
+                    break
+                }
+            }
+            search = close + 1
+        }
+        if (end < 0) break
+        groups.push(content.substring(start + 1, end))
+        start = next
+    }
+    return groups
+}
+
+/**
+ * Parse a `[HEADER,count,{...},...]` list reply
+ * @param {string} line
+ * @param {string} header - Expected header tag
+ * @returns {string[]} Group contents, empty if the reply is empty or malformed
+ */
+const decodeList = (line, header) => {
+    const raw = (line || '').trim()
+    assertNotError(raw, header)
+    if (!raw.startsWith('[') || !raw.endsWith(']')) return []
+    const content = raw.substring(1, raw.length - 1)
+    const firstBrace = content.indexOf('{')
+    const headerParts = (firstBrace >= 0 ? content.substring(0, firstBrace) : content).split(',').map(p => p.trim()).filter(Boolean)
+    if (headerParts[0] !== header) {
+        console.warn(`Unexpected ${header} response header:`, headerParts[0])
+        return []
+    }
+    const count = parseInt(headerParts[1], 10)
+    if (!count || firstBrace < 0) return []
+    return splitGroups(content.substring(firstBrace))
+}
+
+/**
+ * Reply decoders. All of them throw on device error replies.
+ */
+export const decode = {
+    /**
+     * Decode a generic acknowledgement (`OK` or any non-error line)
+     * @param {string} line
+     * @param {string} [label='Command']
+     * @returns {true}
+     */
+    ack: (line, label = 'Command') => {
+        assertNotError(line, label)
+        return true
+    },
+
+    /**
+     * Decode the PI reply. Supports all published field layouts.
+     * @param {string} line - Reply line, optionally prefixed with `PLC INFO - `
+     * @returns {ProgramInfo | null} null if the line is not an info reply
+     */
+    programInfo: (line) => {
+        let raw = (line || '').trim()
+        assertNotError(raw, 'Program info')
+        const prefixIndex = raw.indexOf('PLC INFO - ')
+        if (prefixIndex >= 0) raw = raw.substring(prefixIndex + 'PLC INFO - '.length).trim()
+        if (!raw.startsWith('[') || !raw.endsWith(']')) return null
+        // '[VovkPLCRuntime,WASM,0,1,0,324,2025-03-16 19:16:44,1024,104857,104857,0,16,16,16,32,16,48,16,64,16,Simulator]'
+        const parts = raw.substring(1, raw.length - 1).split(',')
+        const base = {
+            header: parts[0],
+            arch: parts[1],
+            version: `${parts[2]}.${parts[3]}.${parts[4]} Build ${parts[5]}`,
+            date: parts[6],
+            stack: +parts[7],
+            memory: +parts[8],
+            program: +parts[9],
+        }
+        const areas = () => ({
+            system_offset: +parts[10], system_size: +parts[11],
+            input_offset: +parts[12], input_size: +parts[13],
+            output_offset: +parts[14], output_size: +parts[15],
+            marker_offset: +parts[16], marker_size: +parts[17],
+            timer_offset: +parts[18], timer_count: +parts[19], timer_struct_size: +parts[20],
+            counter_offset: +parts[21], counter_count: +parts[22], counter_struct_size: +parts[23],
+        })
+        // Legacy compatibility aliases
+        const aliases = { control_offset: +parts[10], control_size: +parts[11] }
+        if (parts.length >= 29) {
+            // [header,arch,ver_maj,ver_min,ver_patch,build,date,stack,mem,prog,
+            //  sys_off,sys_size,in_off,in_size,out_off,out_size,mark_off,mark_size,
+            //  timer_off,timer_count,timer_struct,counter_off,counter_count,counter_struct,
+            //  db_table_offset,db_slot_count,db_entry_size,flags,device]
+            const flags = parseInt(parts[27], 16) || 0
+            return {
+                ...base, ...areas(),
+                db_table_offset: +parts[24], db_slot_count: +parts[25], db_entry_size: +parts[26],
+                flags, isLittleEndian: (flags & 0x01) === 1,
+                device: parts[28],
+                ...aliases,
+            }
+        }
+        if (parts.length >= 26) {
+            // FLAGS but no DB info
+            const flags = parseInt(parts[24], 16) || 0
+            return { ...base, ...areas(), flags, isLittleEndian: (flags & 0x01) === 1, device: parts[25], ...aliases }
+        }
+        if (parts.length >= 25) {
+            // No FLAGS, legacy devices are little-endian
+            return { ...base, ...areas(), flags: 0, isLittleEndian: true, device: parts[24], ...aliases }
+        }
+        if (parts.length >= 21) {
+            // Control area naming
+            return {
+                ...base,
+                control_offset: +parts[10], control_size: +parts[11],
+                input_offset: +parts[12], input_size: +parts[13],
+                output_offset: +parts[14], output_size: +parts[15],
+                system_offset: +parts[16], system_size: +parts[17],
+                marker_offset: +parts[18], marker_size: +parts[19],
+                device: parts[20],
+            }
+        }
+        return {
+            ...base,
+            input_offset: +parts[10], input_size: +parts[11],
+            output_offset: +parts[12], output_size: +parts[13],
+            device: parts[14],
+        }
+    },
+
+    /**
+     * Decode the PH reply: `PH` followed by 13 u32 hex fields
+     * @param {string} line
+     * @returns {DeviceHealth}
+     */
+    health: (line) => {
+        let raw = (line || '').trim()
+        assertNotError(raw, 'Health')
+        const idx = raw.indexOf('PH')
+        if (idx >= 0) raw = raw.slice(idx + 2)
+        const hex = raw.replace(/[^0-9a-fA-F]/g, '')
+        if (hex.length < 48) throw new Error('Invalid health response')
+        const parseU32 = (offset) => parseInt(hex.slice(offset, offset + 8), 16) >>> 0
+        // Struct order from runtime-lib.h DeviceHealth:
+        // 0-2: cycle, 3-5: ram_free, 6: total_ram, 7-9: period, 10-12: jitter
+        return {
+            last_cycle_time_us: parseU32(0),
+            min_cycle_time_us: parseU32(8),
+            max_cycle_time_us: parseU32(16),
+            ram_free: parseU32(24),
+            min_ram_free: parseU32(32),
+            max_ram_free: parseU32(40),
+            total_ram_size: parseU32(48),
+            last_period_us: parseU32(56),
+            min_period_us: parseU32(64),
+            max_period_us: parseU32(72),
+            last_jitter_us: parseU32(80),
+            min_jitter_us: parseU32(88),
+            max_jitter_us: parseU32(96),
+        }
+    },
+
+    /**
+     * Decode the MR reply: `OK<hex>` or `<hex>`
+     * @param {string} line
+     * @returns {Uint8Array}
+     */
+    memoryRead: (line) => {
+        let raw = (line || '').trim()
+        assertNotError(raw, 'Memory read')
+        if (raw.startsWith('OK')) raw = raw.substring(2).trim()
+        return new Uint8Array(parseHex(raw))
+    },
+
+    /**
+     * Decode a reply to `MB`. Falls back to the ASCII format for devices that answer with a hex line.
+     * @param {ArrayLike<number>} bytes - Complete reply, see `replyLength`
+     * @returns {Uint8Array}
+     */
+    memoryReadBinary: (bytes) => {
+        let start = 0
+        while (start < bytes.length && (bytes[start] === 0x0D || bytes[start] === 0x0A)) start++
+        if (bytes[start] !== FRAME_START) {
+            return decode.memoryRead(String.fromCharCode(...Array.from(bytes).slice(start)))
+        }
+        if (bytes.length < start + 4) throw new Error('Incomplete binary frame')
+        const length = (bytes[start + 1] << 8) | bytes[start + 2]
+        if (bytes.length < start + 4 + length) throw new Error('Incomplete binary frame')
+        const payload = Uint8Array.from(Array.from(bytes).slice(start + 3, start + 3 + length))
+        const checksum = bytes[start + 3 + length]
+        if (crc8(payload) !== checksum) throw new Error('Binary frame checksum mismatch')
+        return payload
+    },
+
+    /**
+     * Decode a reply to `MM` into one result per requested region
+     * @param {ArrayLike<number>} bytes - Complete reply, see `replyLength`
+     * @param {Array<{ address: number, size: number }>} regions - Regions of the request, in order
+     * @returns {Array<{ address: number, size: number, data: Uint8Array }>}
+     */
+    memoryReadMulti: (bytes, regions) => {
+        const payload = decode.memoryReadBinary(bytes)
+        const expected = regions.reduce((sum, r) => sum + r.size, 0)
+        if (payload.length !== expected) throw new Error(`Batched read returned ${payload.length} bytes, expected ${expected}`)
+        let offset = 0
+        return regions.map(({ address, size }) => {
+            const data = payload.subarray(offset, offset + size)
+            offset += size
+            return { address, size, data }
+        })
+    },
+
+    /**
+     * Decode the SL reply: `[PS,count,{name,area,address,bit,type,comment},...]`
+     * @param {string} line
+     * @returns {DeviceSymbol[]}
+     */
+    symbolList: (line) => {
+        const symbols = []
+        for (const group of decodeList(line, 'PS')) {
+            const parts = group.split(',')
+            if (parts.length < 5) continue
+            symbols.push({
+                name: parts[0] || '',
+                area: parts[1] || '',
+                address: parseInt(parts[2], 10) || 0,
+                bit: parseInt(parts[3], 10) || 0,
+                type: parts[4] || 'byte',
+                // The comment is the last field and may contain commas
+                comment: parts.slice(5).join(','),
+            })
+        }
+        return symbols
+    },
+
+    /**
+     * Decode the TI reply: `[TI,count,{type,name,isNetwork,requiresAuth,isConnected,config...},...]`
+     * Config for serial: baudrate. Config for network: ip,gateway,subnet,port,mac
+     * @param {string} line
+     * @returns {TransportInfo[]}
+     */
+    transportInfo: (line) => {
+        const transports = []
+        for (const group of decodeList(line, 'TI')) {
+            const parts = group.split(',')
+            if (parts.length < 5) continue
+            /** @type {TransportInfo} */
+            const transport = {
+                type: parseInt(parts[0], 10) || 0,
+                name: parts[1] || '',
+                isNetwork: parts[2] === '1',
+                requiresAuth: parts[3] === '1',
+                isConnected: parts[4] === '1',
+            }
+            if (!transport.isNetwork && parts.length >= 6) {
+                transport.baudrate = parseInt(parts[5], 10) || 0
+            } else if (transport.isNetwork && parts.length >= 10) {
+                transport.ip = parts[5] || ''
+                transport.gateway = parts[6] || ''
+                transport.subnet = parts[7] || ''
+                transport.port = parseInt(parts[8], 10) || 0
+                transport.mac = parts[9] || ''
+            }
+            transports.push(transport)
+        }
+        return transports
+    },
+
+    /**
+     * Decode the DA reply:
+     * `DA<slots:4hex><active:4hex><table_offset:4hex><free_space:4hex><lowest:4hex>[<db:4hex><off:4hex><sz:4hex>]...`
+     * @param {string} line
+     * @returns {DataBlockInfo}
+     */
+    dbInfo: (line) => {
+        const raw = (line || '').trim()
+        assertNotError(raw, 'DataBlock info')
+        if (!raw.startsWith('DA')) {
+            console.warn('Unexpected DA response:', raw)
+            return { slots: 0, active: 0, table_offset: 0, free_space: 0, lowest_address: 0, entries: [] }
+        }
+        const hex = raw.substring(2)
+        const parseU16 = (offset) => parseInt(hex.slice(offset, offset + 4), 16) || 0
+        const entries = []
+        // Entries start at offset 20, each is 3 x u16
+        for (let pos = 20; pos + 12 <= hex.length; pos += 12) {
+            const db = parseU16(pos)
+            if (db !== 0) entries.push({ db, offset: parseU16(pos + 4), size: parseU16(pos + 8) })
+        }
+        return {
+            slots: parseU16(0),
+            active: parseU16(4),
+            table_offset: parseU16(8),
+            free_space: parseU16(12),
+            lowest_address: parseU16(16),
+            entries,
+        }
+    },
+}
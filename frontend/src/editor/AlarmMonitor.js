@@ -0,0 +1,168 @@
+import { decodeTagValue } from "../utils/tools.js"
+import { parseAlarmCondition, alarmConditionActive, alarmLogToCSV } from "../utils/alarms.js"
+
+/**
+ * @typedef {import('../utils/alarms.js').PLC_Alarm} PLC_Alarm
+ * @typedef {import('../utils/alarms.js').AlarmLogEntry} AlarmLogEntry
+ */
+
+/** Oldest cleared and acknowledged entries are dropped beyond this */
+export const MAX_ALARM_LOG = 1000
+
+/**
+ * Evaluates the project alarm table (`project.alarms`) from DataFetcher data and keeps the alarm log.
+ *
+ * Conditions are evaluated whenever monitoring delivers a new value, so alarms are only raised and
+ * cleared while the editor is online with monitoring on. An alarm raises a log entry when its
+ * condition becomes true, the entry is cleared when the condition becomes false again and stays in
+ * the log until it has been acknowledged. The log belongs to the session, export it to keep it.
+ * Changes are announced with a `plc-alarms-update` event on the workspace.
+ */
+export default class AlarmMonitor {
+    /** @type { AlarmLogEntry[] } Newest entry last */
+    log = []
+    /** @type { Map<string, AlarmLogEntry> } Log entry of each active alarm, by alarm name */
+    active = new Map()
+    /** @type { Map<PLC_Alarm, string> } Why an alarm can not be evaluated */
+    errors = new Map()
+    fetcher_id = 'alarms'
+
+    /** @param { import('./Editor.js').VovkPLCEditor } editor */
+    constructor(editor) {
+        this.editor = editor
+    }
+
+    /** @returns { PLC_Alarm[] } */
+    get alarms() {
+        const project = this.editor.project
+        if (!project) return []
+        if (!project.alarms) project.alarms = []
+        return project.alarms
+    }
+
+    /** Active alarms and cleared alarms that were not acknowledged yet */
+    get pending() {
+        return this.log.filter(entry => !entry.cleared || !entry.acknowledged)
+    }
+
+    /** Subscribe to the tags of the alarm table, call after the table or the symbols changed */
+    reload() {
+        const fetcher = this.editor.data_fetcher
+        if (!fetcher) return
+        fetcher.unregisterAll(this.fetcher_id)
+        this.errors.clear()
+        const names = new Set(this.alarms.map(alarm => alarm.name))
+        for (const name of [...this.active.keys()]) {
+            // Alarms removed from the table can not clear anymore
+            if (!names.has(name)) this._clear(name)
+        }
+        for (const alarm of this.alarms) {
+            try {
+                const condition = parseAlarmCondition(alarm.condition)
+                const resolved = fetcher.resolve(condition.tag)
+                if (!resolved) throw new Error(`Unknown address or symbol '${condition.tag}'`)
+                fetcher.register(this.fetcher_id, resolved.address, resolved.size || 1, (data) => {
+                    const value = decodeTagValue(resolved, data, this.editor.device_manager?.deviceInfo?.isLittleEndian ?? true)
+                    if (value === null) return
+                    this._evaluate(alarm, alarmConditionActive(condition, Number(value)))
+                })
+            } catch (e) {
+                this.errors.set(alarm, e.message)
+            }
+        }
+        this._notify()
+    }
+
+    /** Stop evaluating until the next reload, the cache reset of the DataFetcher would be taken for values */
+    unsubscribe() {
+        this.editor.data_fetcher?.unregisterAll(this.fetcher_id)
+    }
+
+    /** Start over with an empty log, when another project is opened */
+    reset() {
+        this.log = []
+        this.active.clear()
+        this.reload()
+    }
+
+    /** @param {AlarmLogEntry} entry */
+    acknowledge(entry) {
+        if (entry.acknowledged) return
+        entry.acknowledged = Date.now()
+        this._prune()
+        this._notify()
+    }
+
+    acknowledgeAll() {
+        const now = Date.now()
+        for (const entry of this.log) {
+            if (!entry.acknowledged) entry.acknowledged = now
+        }
+        this._prune()
+        this._notify()
+    }
+
+    /** Drop the finished entries (cleared and acknowledged) from the log */
+    clearLog() {
+        this.log = this.log.filter(entry => !entry.cleared || !entry.acknowledged)
+        this._notify()
+    }
+
+    /** @returns {string} */
+    exportCSV() {
+        return alarmLogToCSV(this.log)
+    }
+
+    /**
+     * @param {PLC_Alarm} alarm
+     * @param {boolean} isActive
+     */
+    _evaluate(alarm, isActive) {
+        const current = this.active.get(alarm.name)
+        if (isActive && !current) {
+            /** @type {AlarmLogEntry} */
+            const entry = {
+                alarm: alarm.name,
+                message: alarm.message,
+                severity: alarm.severity || 'error',
+                class: alarm.class || '',
+                raised: Date.now(),
+                cleared: null,
+                acknowledged: null,
+            }
+            this.active.set(alarm.name, entry)
+            this.log.push(entry)
+            this._prune()
+            this._notify()
+        } else if (!isActive && current) {
+            this._clear(alarm.name)
+            this._notify()
+        }
+    }
+
+    /** @param {string} name */
+    _clear(name) {
+        const entry = this.active.get(name)
+        if (entry) entry.cleared = Date.now()
+        this.active.delete(name)
+    }
+
+    _prune() {
+        let excess = this.log.length - MAX_ALARM_LOG
+        if (excess <= 0) return
+        this.log = this.log.filter(entry => {
+            if (excess > 0 && entry.cleared && entry.acknowledged) {
+                excess--
+                return false
+            }
+            return true
+        })
+    }
+
+    _notify() {
+        const pending = this.pending
+        this.editor.workspace.dispatchEvent(new CustomEvent('plc-alarms-update', {
+            detail: { active: this.active.size, pending: pending.length },
+        }))
+    }
+}
@@ -1,3 +1,5 @@
+import { resolveTag, resolveDBAddress } from "../utils/tags.js"
+
 export default class DataFetcher {
     /** @type { number } */
     max_batch_size = 512
@@ -20,6 +22,15 @@ export default class DataFetcher {
     /** @type { number } */
     interval = 200
 
+    /** @type { number } Update interval when no consumer asks for a faster one */
+    default_interval = 200
+
+    /** @type { Map<string, number> } Faster update intervals requested by consumers (e.g. the trace recorder) */
+    interval_requests = new Map()
+
+    /** @type { boolean } */
+    _polling = false
+
     /** @type { number } */
     batch_index = 0
 
@@ -102,6 +113,25 @@ export default class DataFetcher {
         }
     }
 
+    /**
+     * Request a faster update interval while a consumer needs it, the fastest request wins
+     * @param {string} id - Requester ID
+     * @param {number | null} ms - Interval in ms, null drops the request
+     */
+    requestInterval(id, ms) {
+        if (ms) this.interval_requests.set(id, ms)
+        else this.interval_requests.delete(id)
+        const interval = Math.min(this.default_interval, ...this.interval_requests.values())
+        if (interval === this.interval) return
+        this.interval = interval
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = setInterval(() => this._poll(), this.interval)
+        } else if (this.fetching) {
+            this._scheduleSubscriptionRefresh()
+        }
+    }
+
     /**
      * Schedule a subscription refresh (debounced to avoid rapid updates)
      */
@@ -125,7 +155,7 @@ export default class DataFetcher {
             this._startSubscriptionMode()
         } else {
             // Fallback to polling mode
-            this.timer = setInterval(() => this.tick(), this.interval)
+            this.timer = setInterval(() => this._poll(), this.interval)
         }
     }
 
@@ -166,7 +196,7 @@ export default class DataFetcher {
         } catch (err) {
             console.warn('[DataFetcher] Failed to subscribe, falling back to polling:', err)
             // Fallback to polling
-            this.timer = setInterval(() => this.tick(), this.interval)
+            this.timer = setInterval(() => this._poll(), this.interval)
         }
     }
 
@@ -295,169 +325,26 @@ export default class DataFetcher {
      * @param {string | object} input 
      */
     resolve(input) {
-        const project = this.editor.project
-        if (!project) return null
-        
-        const offsets = this.editor.project?.offsets || {}
-        const getOffset = (key) => {
-             const k = key === 'memory' ? 'marker' : key
-             return (offsets[k] && offsets[k].offset) || 0
-        }
-
-        // If input is symbol object
-        let symbol = input
-        if (typeof input === 'string') {
-            // Find symbol
-            const s = (project.symbols || []).find(x => x.name === input)
-            if (s) {
-                symbol = s
-            } else {
-                const inputTrimmed = input.trim()
-                
-                // Pattern: DB<n>.<field_name_or_offset> (e.g. DB1.speed, DB1.0, DB1.position)
-                const matchDB = inputTrimmed.match(/^DB(\d+)\.(.+)$/i)
-                if (matchDB) {
-                    return this._resolveDBAddress(parseInt(matchDB[1]), matchDB[2])
-                }
-                
-                // Pattern: Letter + Number (e.g., M100, M100.2)
-                const matchLetter = inputTrimmed.match(/^([cCxXyYsSmM])([0-9]+(?:\.[0-9]+)?)$/)
-                if (matchLetter) {
-                    const code = matchLetter[1].toUpperCase()
-                    const valStr = matchLetter[2]
-                    const val = parseFloat(valStr)
-                    
-                    let key = 'marker'
-                    if (code === 'C') key = 'counter'
-                    else if (code === 'T') key = 'timer'
-                    else if (code === 'X') key = 'input'
-                    else if (code === 'Y') key = 'output'
-                    else if (code === 'S') key = 'system'
-                    else if (code === 'M') key = 'marker'
-                    
-                    const base = getOffset(key)
-                    // Timer (T) uses 9 bytes per unit, Counter (C) uses 5 bytes per unit
-                    const structSize = (code === 'T') ? 9 : (code === 'C') ? 5 : 1
-                    
-                    if (valStr.includes('.')) {
-                        const byte = Math.floor(val)
-                        const bit = Math.round((val - byte) * 10)
-                        return { address: base + (byte * structSize), size: 1, bit, type: 'bit' }
-                    } else {
-                        return { address: base + (val * structSize), size: structSize, bit: null, type: 'byte' }
-                    }
-                }
-                
-                // Pattern: Absolute Number (e.g. 100, 100.2)
-                const matchNumber = inputTrimmed.match(/^([0-9]+(?:\.[0-9]+)?)$/)
-                if (matchNumber) {
-                     const valStr = matchNumber[1]
-                     const val = parseFloat(valStr)
-                     if (valStr.includes('.')) {
-                        const byte = Math.floor(val)
-                        const bit = Math.round((val - byte) * 10)
-                        return { address: byte, size: 1, bit, type: 'bit' }
-                     } else {
-                        return { address: val, size: 1, bit: null, type: 'byte' }
-                     }
-                }
-
-                return null
-            }
-        }
-        
-        if (!symbol) return null
-        
-        const typeSizes = {
-            bit: 1, bool: 1, BOOL: 1,
-            byte: 1, u8: 1, i8: 1, SINT: 1, USINT: 1,
-            int: 2, u16: 2, i16: 2, UINT: 2, WORD: 2, word: 2,
-            dint: 4, u32: 4, i32: 4, UDINT: 4, DWORD: 4, dword: 4, REAL: 4, float: 4, f32: 4,
-            real: 4,
-            u64: 8, i64: 8, f64: 8, lword: 8, LWORD: 8,
-            // String types - header + max data (actual reading handled by caller)
-            str8: 256, str16: 260, cstr8: 256, cstr16: 260,
-            STR8: 256, STR16: 260, CSTR8: 256, CSTR16: 260
-        } // Extended types
-        
-        const baseOffset = getOffset(symbol.location)
-        const addrVal = parseFloat(symbol.address) || 0
-        
-        // Handle bits
-        let size = 1
-        let bit = null
-        const type = (symbol.type || 'byte').toLowerCase()
-        
-        if (type === 'bit' || type === 'bool') {
-             const byte = Math.floor(addrVal)
-             bit = Math.round((addrVal - byte) * 10) // 100.2 -> 2
-             return { address: baseOffset + byte, size: 1, bit, type }
-        } else {
-             size = typeSizes[type] || 1
-             return { address: baseOffset + Math.floor(addrVal), size, bit: null, type }
-        }
+        return resolveTag(this.editor.project, input)
     }
 
     /**
      * Resolve a DataBlock field reference to absolute address info.
-     * Uses compiled datablock declarations (from project.compiledDatablocks) which contain
-     * the absolute memory offsets computed by the compiler.
-     * 
      * @param {number} dbNumber - DB number (e.g. 1 for DB1)
      * @param {string} fieldRef - Field name or numeric offset (e.g. "speed", "0", "4")
-     * @returns {{ address: number, size: number, bit: number | null, type: string, dbNumber: number, fieldName: string } | null}
      */
     _resolveDBAddress(dbNumber, fieldRef) {
-        const project = this.editor.project
-        if (!project) return null
-
-        // Look up the compiled datablock declarations
-        const decls = project.compiledDatablocks
-        if (!decls || !decls.length) return null
-
-        const decl = decls.find(d => d.db_number === dbNumber)
-        if (!decl) return null
-
-        const baseAddr = decl.computedOffset
-
-        // Try to find field by name first
-        let field = decl.fields.find(f => f.name === fieldRef)
-
-        // If not found by name, try numeric offset
-        if (!field) {
-            const numOffset = parseInt(fieldRef)
-            if (!isNaN(numOffset)) {
-                // Find the field at this offset, or return raw byte access
-                field = decl.fields.find(f => f.offset === numOffset)
-                if (!field) {
-                    // Raw byte access within the DB if offset is in range
-                    if (numOffset >= 0 && numOffset < decl.totalSize) {
-                        return {
-                            address: baseAddr + numOffset,
-                            size: 1,
-                            bit: null,
-                            type: 'byte',
-                            dbNumber,
-                            fieldName: `+${numOffset}`
-                        }
-                    }
-                    return null
-                }
-            }
-        }
-
-        if (!field) return null
-
-        const typeName = (field.typeName || 'byte').toLowerCase()
-        const isBit = typeName === 'bit' || typeName === 'bool'
+        return resolveDBAddress(this.editor.project, dbNumber, fieldRef)
+    }
 
-        return {
-            address: baseAddr + field.offset,
-            size: field.typeSize || 1,
-            bit: isBit ? 0 : null,
-            type: typeName,
-            dbNumber,
-            fieldName: field.name
+    /** Polling timer callback, a tick still waiting for the device is not overlapped by the next one */
+    async _poll() {
+        if (this._polling) return
+        this._polling = true
+        try {
+            await this.tick()
+        } finally {
+            this._polling = false
         }
     }
 
@@ -500,7 +387,19 @@ export default class DataFetcher {
             }
         }
 
-        // 4. Fetch Round Robin
+        // 4. Devices with batched reads get every batch in one request
+        if (this.editor.device_manager.connection?.supportsMultiRead) {
+            try {
+                const regions = batches.map(batch => ({ address: batch.start, size: batch.end - batch.start }))
+                const data = await this.editor.device_manager.readMemoryRegions(regions)
+                batches.forEach((batch, i) => this._distributeBatch(batch, data[i]))
+            } catch (e) {
+                // console.warn('Batched fetch failed', e)
+            }
+            return
+        }
+
+        // 5. Fetch Round Robin
         // If we have batches > MAX_BATCHES_PER_TICK, we rotate.
         
         const MAX_BATCHES = 4
@@ -526,27 +425,7 @@ export default class DataFetcher {
                 
                 try {
                     const data = await this.editor.device_manager.readMemory(batch.start, size)
-                    
-                    // Distribute to items
-                    // batch.items has original ranges
-                    
-                    // data can be array or Uint8Array
-                    const bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data.buffer || data)
-                    
-                    // Update cache
-                    if (batch.start < this.last_known_memory.length) {
-                        const copyLen = Math.min(bytes.length, this.last_known_memory.length - batch.start)
-                        this.last_known_memory.set(bytes.subarray(0, copyLen), batch.start)
-                    }
-
-                    batch.items.forEach(item => {
-                        const offset = item.start - batch.start
-                        if (offset >= 0 && offset + item.size <= bytes.length) {
-                             const slice = bytes.subarray(offset, offset + item.size)
-                             item.entry.callbacks.forEach(cb => cb(slice))
-                        }
-                    })
-                    
+                    this._distributeBatch(batch, data)
                 } catch (e) {
                     // console.warn('Fetch failed', e)
                 }
@@ -556,4 +435,29 @@ export default class DataFetcher {
             console.error('Polling error', e)
         }
     }
+
+    /**
+     * Update the cache with a fetched batch and distribute it to the batch items
+     * @param {{ start: number, end: number, items: Array<{ start: number, size: number, entry: any }> }} batch
+     * @param {Uint8Array | number[]} data
+     */
+    _distributeBatch(batch, data) {
+        // data can be array or Uint8Array
+        const bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data.buffer || data)
+
+        // Update cache
+        if (batch.start < this.last_known_memory.length) {
+            const copyLen = Math.min(bytes.length, this.last_known_memory.length - batch.start)
+            this.last_known_memory.set(bytes.subarray(0, copyLen), batch.start)
+        }
+
+        // batch.items has original ranges
+        batch.items.forEach(item => {
+            const offset = item.start - batch.start
+            if (offset >= 0 && offset + item.size <= bytes.length) {
+                const slice = bytes.subarray(offset, offset + item.size)
+                item.entry.callbacks.forEach(cb => cb(slice))
+            }
+        })
+    }
 }
@@ -1,9 +1,30 @@
 import { initializeConnection, disconnectConnection, ConnectionOptions } from "../connection/index.js"
 import { PLCEditor } from "../utils/types.js"
 
+/** Connection methods that change the device and are refused until the session is authenticated */
+const GUARDED_OPERATIONS = [
+  'downloadProgram', 'run', 'stop', 'reboot', 'configureTCOffsets',
+  'writeMemory', 'writeMemoryArea', 'writeMemoryAreaMasked', 'formatMemory',
+  'declareDataBlock', 'removeDataBlock', 'compactDataBlocks', 'formatDataBlocks',
+  'writeDataBlockValue', 'writeDataBlockField', 'writeDataBlockFields',
+  'setForces',
+]
+
+/**
+ * Remembered user names are kept in the browser, never in the project file.
+ * Passwords are only remembered in memory until the page is closed.
+ */
+const CREDENTIALS_STORAGE_KEY = 'vovk_plc_device_credentials'
+
 export default class DeviceManager {
   error = ''
   connected = false
+  /** The active transport reported `requiresAuth` */
+  requiresAuth = false
+  /** The session has been authenticated on the device */
+  authenticated = false
+  /** Whether the session needs a login is known, `requiresAuth` is final */
+  sessionStarted = false
   #editor
   #intentionalDisconnect = false
   #lastSerialPortInfo = null  // Store port info instead of port reference
@@ -11,6 +32,8 @@ export default class DeviceManager {
   #reconnectInterval = null
   #reconnectListener = null
   #reconnectTimeout = null
+  /** @type {Map<string, string>} Remembered passwords of this page session, by device key */
+  #sessionPasswords = new Map()
   /** @param {PLCEditor} editor */
   constructor(editor) {
     this.#editor = editor
@@ -51,6 +74,21 @@ export default class DeviceManager {
           serverUrl: extraOptions.serverUrl,
         }
       }
+      if (device === 'socket-network') {
+        options = {
+          target: 'socket-network',
+          host: extraOptions.host,
+          port: extraOptions.port,
+          serverUrl: extraOptions.serverUrl,
+        }
+      }
+      if (device === 'replay') {
+        options = {
+          target: 'replay',
+          capture: extraOptions.capture,
+          name: extraOptions.name,
+        }
+      }
       if (!options) {
         console.error('No connection options provided')
         return false
@@ -67,7 +105,9 @@ export default class DeviceManager {
           detail: { 
             connected: this.connected, 
             info: this.deviceInfo,
-            reconnecting: this.#reconnectAttempting
+            reconnecting: this.#reconnectAttempting,
+            requiresAuth: this.requiresAuth,
+            authenticated: this.authenticated,
           } 
       })
       this.#editor.workspace.dispatchEvent(event)
@@ -97,7 +137,11 @@ export default class DeviceManager {
       this.options = options || this.options
       if (!this.options) throw new Error("Connection options required")
       
-      const targetName = this.options.target === 'serial' ? 'Serial Port' : this.options.target === 'simulation' ? 'Simulation' : this.options.target
+      const targetName = this.options.target === 'serial' ? 'Serial Port'
+        : this.options.target === 'simulation' ? 'Simulation'
+        : this.options.target === 'socket-network' ? `${this.options.host}:${this.options.port}`
+        : this.options.target === 'replay' ? `Replay of ${this.options.name || 'capture'}`
+        : this.options.target
       if (this.#editor.window_manager?.logToConsole) {
         this.#editor.window_manager.logToConsole(`Connecting to ${targetName}...`)
       }
@@ -106,6 +150,10 @@ export default class DeviceManager {
       const connectionOptions = this.options
       
       this.connection = await initializeConnection(connectionOptions, this.#editor)
+      this.requiresAuth = false
+      this.authenticated = false
+      this.sessionStarted = false
+      this.#guardOperations(this.connection)
       // Don't set connected = true yet - wait for getInfo to succeed
       // This prevents monitoring from starting before connection is fully ready
       this.#intentionalDisconnect = false
@@ -157,13 +205,24 @@ export default class DeviceManager {
         }
         if (this.#editor.window_manager?.logToConsole) {
           this.#editor.window_manager.logToConsole(`Connected to ${targetName} successfully.`, 'success')
+          if (this.connection.binaryFraming) {
+            this.#editor.window_manager.logToConsole('Device supports binary framing, memory reads use binary frames.', 'info')
+          }
+          if (this.connection.supportsMultiRead && this.options?.target !== 'simulation') {
+            this.#editor.window_manager.logToConsole('Device supports batched reads, monitoring reads all regions per request.', 'info')
+          }
         }
         this.error = ''
         
         // For physical devices, fetch and store transport info and symbols after valid PI response
-        if (this.options.target === 'serial' && this.#editor.project) {
+        let transports = null
+        if ((this.options.target === 'serial' || this.options.target === 'socket-network') && this.#editor.project) {
           await this.#fetchAndStoreDeviceDetails()
+          transports = this.#editor.project.lastPhysicalDevice?.transports || null
         }
+        await this.#startSession(transports)
+        this.sessionStarted = true
+        this.#emitUpdate()
       } catch (err) {
         this.connected = false
         const msg = `Failed to get device info: ${err?.message || err}`
@@ -265,6 +324,171 @@ export default class DeviceManager {
     }
   }
 
+  /**
+   * Wrap the write-type operations of a connection so they are refused while
+   * the device requires authentication and the session is not logged in
+   * @param {any} connection
+   */
+  #guardOperations(connection) {
+    if (!connection) return
+    for (const name of GUARDED_OPERATIONS) {
+      const original = connection[name]
+      if (typeof original !== 'function') continue
+      connection[name] = (...args) => {
+        if (this.requiresAuth && !this.authenticated) {
+          return Promise.reject(new Error(`Not authenticated: log in to the device before running ${name}()`))
+        }
+        return original.apply(connection, args)
+      }
+    }
+  }
+
+  /**
+   * Determine if the active transport requires authentication and log in,
+   * using the remembered credentials for this device or prompting the user
+   * @param {any[] | null} transports - Transport info if already fetched
+   */
+  async #startSession(transports) {
+    const target = this.options?.target
+    if (!this.connection || target === 'simulation') return
+    if (!transports && typeof this.connection.getTransportInfo === 'function') {
+      try {
+        transports = await this.connection.getTransportInfo()
+      } catch (e) {
+        console.warn('[DeviceManager] Could not fetch transport info:', e)
+      }
+    }
+    // The device reports every interface, only the one we are connected through matters
+    const isNetwork = target === 'socket-network' || target === 'rest'
+    this.requiresAuth = !!transports?.some(t => t.requiresAuth && t.isNetwork === isNetwork)
+    if (!this.requiresAuth) return
+    this.#emitUpdate()
+
+    const saved = this.#getStoredCredentials()
+    if (saved?.password !== undefined) {
+      try {
+        await this.login(saved.username, saved.password)
+        return
+      } catch {
+        // Stored credentials no longer valid, fall back to prompting
+      }
+    }
+    try {
+      await this.login()
+    } catch {
+      // Already logged, the connection stays up in read-only mode
+    }
+  }
+
+  /**
+   * Authenticate the session. Prompts for credentials when none are given.
+   * @param {string} [username]
+   * @param {string} [password]
+   * @returns {Promise<boolean>} True if authenticated, false if the prompt was cancelled
+   */
+  async login(username, password) {
+    if (!this.connection) throw new Error("Device not connected")
+    const log = this.#editor.window_manager?.logToConsole?.bind(this.#editor.window_manager)
+    let remember = false
+    if (username === undefined) {
+      const credentials = await this.#editor.window_manager?.promptDeviceCredentials?.(this.#deviceLabel(), this.#getStoredCredentials()?.username)
+      if (!credentials) {
+        if (log) log('Device login cancelled, write operations are disabled until you log in.', 'warning')
+        return false
+      }
+      ({ username, password, remember } = credentials)
+    }
+    try {
+      await this.connection.authenticate(username, password || '')
+    } catch (err) {
+      this.authenticated = false
+      if (log) log(`Device login failed: ${err?.message || err}`, 'error')
+      this.#emitUpdate()
+      throw err
+    }
+    this.authenticated = true
+    if (remember) this.#storeCredentials(username, password || '')
+    if (log) log(`Logged in to device as ${username}`, 'success')
+    this.#emitUpdate()
+    return true
+  }
+
+  /**
+   * End the authenticated session on the editor side
+   * @param {boolean} [forget=false] - Also forget the remembered credentials for this device
+   */
+  logout(forget = false) {
+    this.authenticated = false
+    if (forget) this.#storeCredentials(null)
+    this.#emitUpdate()
+  }
+
+  /** Key identifying the paired device for remembered credentials */
+  #deviceKey() {
+    const options = this.options
+    if (!options) return null
+    if (options.target === 'socket-network') return `net:${options.host}:${options.port}`
+    if (options.target === 'socket-serial') return `socket-serial:${options.portPath}`
+    if (options.target === 'rest') return `rest:${options.host || ''}`
+    if (options.target === 'serial' && this.#lastSerialPortInfo) return `serial:${this.#lastSerialPortInfo.vendorId}:${this.#lastSerialPortInfo.productId}`
+    return null
+  }
+
+  #deviceLabel() {
+    const options = this.options
+    if (options?.target === 'socket-network') return `${options.host}:${options.port}`
+    return this.deviceInfo?.device || 'The device'
+  }
+
+  /**
+   * Remembered user names by device key. Passwords stored by older versions are removed from the browser storage.
+   * @returns {Record<string, { username: string }>}
+   */
+  #readStoredUsers() {
+    const all = JSON.parse(localStorage.getItem(CREDENTIALS_STORAGE_KEY) || '{}')
+    const entries = Object.values(all).filter(entry => entry && 'password' in entry)
+    if (entries.length) {
+      for (const entry of entries) delete entry.password
+      localStorage.setItem(CREDENTIALS_STORAGE_KEY, JSON.stringify(all))
+    }
+    return all
+  }
+
+  /** @returns {{ username: string, password?: string } | null} The password only if remembered in this page session */
+  #getStoredCredentials() {
+    const key = this.#deviceKey()
+    if (!key) return null
+    try {
+      const all = this.#readStoredUsers()
+      if (!all[key]?.username) return null
+      const username = String(all[key].username)
+      return this.#sessionPasswords.has(key) ? { username, password: this.#sessionPasswords.get(key) } : { username }
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Remember (or forget when username is null) the credentials for the current device.
+   * The user name is stored in the browser, the password is kept in memory only.
+   * @param {string | null} username
+   * @param {string} [password]
+   */
+  #storeCredentials(username, password = '') {
+    const key = this.#deviceKey()
+    if (!key) return
+    if (username === null) this.#sessionPasswords.delete(key)
+    else this.#sessionPasswords.set(key, password)
+    try {
+      const all = this.#readStoredUsers()
+      if (username === null) delete all[key]
+      else all[key] = { username }
+      localStorage.setItem(CREDENTIALS_STORAGE_KEY, JSON.stringify(all))
+    } catch (e) {
+      console.warn('[DeviceManager] Could not store device credentials:', e)
+    }
+  }
+
   /**
    * Disconnect from current device
    */
@@ -336,6 +560,44 @@ export default class DeviceManager {
     return merged
   }
 
+  /**
+   * Proxy batched memory read. Regions are clamped to the device memory and split into
+   * the same chunk size as `readMemory`, then read with one `readMemoryRegions` call.
+   * @param {Array<{ address: number, size: number }>} regions
+   * @returns {Promise<Uint8Array[]>} Data for each region, in order
+   */
+  async readMemoryRegions(regions) {
+    if (!this.connection) throw new Error("Device not connected")
+    const memoryLimitValue = Number(this.deviceInfo?.memory)
+    const memoryLimit = Number.isFinite(memoryLimitValue) && memoryLimitValue > 0
+      ? memoryLimitValue
+      : null
+
+    const maxChunk = 64
+    const pieces = []
+    const sizes = regions.map((region, index) => {
+      const start = Math.max(0, Math.floor(Number(region.address) || 0))
+      const requestedSize = Math.max(0, Math.floor(Number(region.size) || 0))
+      const end = memoryLimit !== null ? Math.min(start + requestedSize, memoryLimit) : start + requestedSize
+      const finalSize = Math.max(0, end - start)
+      for (let offset = 0; offset < finalSize; offset += maxChunk) {
+        pieces.push({ index, offset, address: start + offset, size: Math.min(maxChunk, finalSize - offset) })
+      }
+      return finalSize
+    })
+    if (!pieces.length) return regions.map(() => new Uint8Array(0))
+
+    const results = await this.connection.readMemoryRegions(pieces.map(({ address, size }) => ({ address, size })))
+    const merged = sizes.map(size => new Uint8Array(size))
+    pieces.forEach((piece, i) => {
+      const data = results[i]?.data
+      if (!data) return
+      const bytes = data instanceof Uint8Array ? data : Uint8Array.from(data)
+      merged[piece.index].set(bytes.subarray(0, piece.size), piece.offset)
+    })
+    return merged
+  }
+
   async writeMemory(address, data) {
     if (!this.connection) throw new Error("Device not connected")
     return this.connection.writeMemory(address, data)
@@ -390,6 +652,20 @@ export default class DeviceManager {
     return this.connection.stop()
   }
 
+  /** Run scan cycles continuously, only the simulator has a scan loop the editor drives */
+  async startScanLoop() {
+    if (!this.connection) throw new Error("Device not connected")
+    if (typeof this.connection.startScanLoop !== 'function') throw new Error("Scan loop not supported")
+    return this.connection.startScanLoop()
+  }
+
+  /** Execute a single scan cycle of the simulator */
+  async step() {
+    if (!this.connection) throw new Error("Device not connected")
+    if (typeof this.connection.startScanLoop !== 'function') throw new Error("Single-cycle stepping not supported")
+    return this.connection.run()
+  }
+
   async reboot() {
     if (!this.connection) throw new Error("Device not connected")
     return this.connection.reboot()
@@ -403,6 +679,9 @@ export default class DeviceManager {
   async disconnect(intentional = false) {
     this.#intentionalDisconnect = intentional
     this.connected = false
+    this.requiresAuth = false
+    this.authenticated = false
+    this.sessionStarted = false
     this.#emitUpdate()
     
     // Only clear connection if we are not attempting to reconnect or if intentional
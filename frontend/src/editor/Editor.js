@@ -14,6 +14,8 @@ import ContextManager from './ContextManager.js'
 import Actions from './Actions.js'
 import EditorUI from './UI/Elements/EditorUI.js'
 import LivePatcher from './LivePatcher.js'
+import GatewayProvider from '../connection/gateway.js'
+import {renameAlarmConditionTag} from '../utils/alarms.js'
 import VOVKPLC_VERSION_BUILD from './BuildNumber.js'
 
 Actions.initialize() // Enable global actions for all instances of VovkPLCEditor
@@ -43,7 +45,7 @@ const createNavHistory = editor => ({
             return !!program?.blocks?.find(b => b.id === entry.blockId)
         }
         if (entry.type === 'window') {
-            if (entry.windowId === 'symbols' || entry.windowId === 'setup' || entry.windowId === 'memory') return true
+            if (entry.windowId === 'symbols' || entry.windowId === 'setup' || entry.windowId === 'memory' || entry.windowId === 'io' || entry.windowId === 'plant' || entry.windowId === 'historian' || entry.windowId === 'modbus' || entry.windowId === 'mqtt' || entry.windowId === 'capture' || entry.windowId === 'trace' || entry.windowId === 'forces' || entry.windowId === 'alarms') return true
             return !!editor.findProgram(entry.windowId)
         }
         return false
@@ -488,6 +490,8 @@ export class VovkPLCEditor {
         this.device_manager = new DeviceManager(this)
         this.project_manager = new ProjectManager(this)
         this.language_manager = new LanguageManager(this)
+        // Serves the backend Modbus gateway when its target is this editor session
+        this.gateway_provider = new GatewayProvider(() => this.device_manager.connected ? this.device_manager.connection : null)
 
         this.context_manager.initialize()
         this.window_manager.initialize()
@@ -903,7 +907,7 @@ export class VovkPLCEditor {
             })
         })
 
-        // 3. Replace in watch entries
+        // 3. Replace in watch entries, the other watch tables are only stored in the project
         const watchPanel = this.window_manager?.watch_panel
         if (watchPanel && Array.isArray(watchPanel.entries)) {
             watchPanel.entries.forEach(entry => {
@@ -912,9 +916,42 @@ export class VovkPLCEditor {
                     replacements++
                 }
             })
+            watchPanel.tables.forEach(table => {
+                if (table === watchPanel.table) return
+                table.entries.forEach(entry => {
+                    if (entry.name === oldName) {
+                        entry.name = newName
+                        replacements++
+                    }
+                })
+            })
             watchPanel.renderList()
         }
 
+        // Force table rows refer to symbols by name too
+        for (const force of this.project?.forces || []) {
+            if (force.name === oldName) {
+                force.name = newName
+                replacements++
+            }
+        }
+        this.window_manager?.windows?.get('forces')?.renderTable?.()
+
+        // So do alarm conditions
+        let alarmsRenamed = false
+        for (const alarm of this.project?.alarms || []) {
+            const condition = renameAlarmConditionTag(alarm.condition, oldName, newName)
+            if (condition !== alarm.condition) {
+                alarm.condition = condition
+                alarmsRenamed = true
+                replacements++
+            }
+        }
+        if (alarmsRenamed) {
+            this.alarm_monitor?.reload()
+            this.window_manager?.windows?.get('alarms')?.renderTable?.()
+        }
+
         // 4. Refresh symbol table UI
         const symbolsUI = this.window_manager?.windows?.get('symbols')
         if (symbolsUI && typeof symbolsUI.renderTable === 'function') {
@@ -0,0 +1,242 @@
+import { encodeForce } from "../utils/forces.js"
+import { mergeMaskedWrites } from "../utils/watch-tables.js"
+
+/** @typedef {import('../utils/forces.js').PLC_Force} PLC_Force */
+
+/** Rewrite period of the forced values on devices without force support */
+export const EDITOR_FORCE_INTERVAL_MS = 100
+
+/**
+ * Keeps the enabled rows of the project force table (`project.forces`) applied while forcing is on.
+ *
+ * Runtimes with force support (`connection.supportsForce`: the simulator and devices advertising
+ * `PROTOCOL_FLAGS.FORCE`) hold the values themselves on every scan cycle. On other devices the
+ * editor rewrites the values every EDITOR_FORCE_INTERVAL_MS, the program can see its own values
+ * in between.
+ *
+ * Forcing is a session state: it is off after connecting and ends when the connection is lost,
+ * only the table is saved with the project. The editor owns the force table of the device, forces
+ * left on a device by an earlier session are released when connecting.
+ * Changes are announced with a `plc-forces-update` event on the workspace.
+ */
+export default class ForceManager {
+    active = false
+    /** @type { 'runtime' | 'editor' | null } Who holds the values while forcing is on */
+    mode = null
+    /** Number of forces applied */
+    count = 0
+    /** @type { Map<PLC_Force, string> } Why a force could not be applied */
+    errors = new Map()
+    /** @type { import('../utils/watch-tables.js').MaskedWrite[] } */
+    writes = []
+    /** @type { Map<number, number> } Forced bits per byte address */
+    masks = new Map()
+
+    /** @param { import('./Editor.js').VovkPLCEditor } editor */
+    constructor(editor) {
+        this.editor = editor
+        /** @type { ReturnType<typeof setInterval> | null } */
+        this.timer = null
+        this._writing = false
+        /** Connection whose force table was last synchronized */
+        this._connection = null
+        /** The force table of `_connection` was released after connecting */
+        this._released = false
+        editor.workspace.addEventListener('plc-device-update', () => this._onDeviceUpdate())
+    }
+
+    /** @returns { PLC_Force[] } */
+    get forces() {
+        const project = this.editor.project
+        if (!project) return []
+        if (!project.forces) project.forces = []
+        return project.forces
+    }
+
+    /** Switch forcing on and apply the enabled forces */
+    async start() {
+        const device = this.editor.device_manager
+        if (!device?.connected || !device.connection) throw new Error('Connect to a device to force values')
+        this.active = true
+        await this.apply()
+    }
+
+    /** Switch forcing off and release all forces */
+    async stop() {
+        const connection = this.editor.device_manager?.connected ? this.editor.device_manager.connection : null
+        const held = this.active && this.mode === 'runtime'
+        this._reset()
+        try {
+            if (held && connection) await connection.setForces([])
+        } finally {
+            this._notify()
+        }
+    }
+
+    /** Apply the table again after it changed, does nothing while forcing is off */
+    async apply() {
+        if (!this.active) return
+        const device = this.editor.device_manager
+        const connection = device?.connection
+        if (!device?.connected || !connection) return
+        const isLittleEndian = device.deviceInfo?.isLittleEndian ?? true
+
+        this.errors.clear()
+        const encoded = []
+        for (const force of this.forces) {
+            if (!force.enabled) continue
+            try {
+                const resolved = this.editor.data_fetcher?.resolve(force.name)
+                if (!resolved) throw new Error('unknown address or symbol')
+                encoded.push(encodeForce(force, resolved, isLittleEndian))
+            } catch (e) {
+                this.errors.set(force, e.message)
+            }
+        }
+        this.writes = mergeMaskedWrites(encoded)
+        this.count = encoded.length
+        this.masks = new Map()
+        for (const write of this.writes) {
+            write.mask.forEach((mask, i) => {
+                if (mask) this.masks.set(write.address + i, mask)
+            })
+        }
+
+        try {
+            if (connection.supportsForce) {
+                this.mode = 'runtime'
+                this._stopTimer()
+                await connection.setForces(this.writes)
+            } else {
+                this.mode = 'editor'
+                await this._rewrite()
+                this._startTimer()
+            }
+        } catch (e) {
+            // The device state is unknown, forcing is reported as off
+            this._reset()
+            throw e
+        } finally {
+            this._notify()
+        }
+    }
+
+    /**
+     * Force a tag, adding it to the table or updating its row
+     * @param {string} name - Symbol or address
+     * @param {string} value
+     * @param {string} [type] - Type override, the type of the tag otherwise
+     */
+    async set(name, value, type) {
+        const force = this.forces.find(f => f.name === name)
+        if (force) {
+            force.value = value
+            force.enabled = true
+            if (type) force.type = type
+        } else {
+            this.forces.push({ name, value, enabled: true, ...(type ? { type } : {}) })
+        }
+        this._save()
+        await this.apply()
+    }
+
+    /**
+     * Remove a tag from the table
+     * @param {string} name
+     */
+    async remove(name) {
+        const index = this.forces.findIndex(f => f.name === name)
+        if (index < 0) return
+        this.forces.splice(index, 1)
+        this._save()
+        await this.apply()
+    }
+
+    /**
+     * Whether a location is forced right now
+     * @param {number} address
+     * @param {number | null} [bit] - Bit within the byte, any bit of the bytes otherwise
+     * @param {number} [size] - Bytes of the location
+     */
+    isForced(address, bit = null, size = 1) {
+        if (!this.active || !this.masks.size) return false
+        if (bit !== null && bit !== undefined) return (((this.masks.get(address) || 0) >> bit) & 1) === 1
+        for (let i = 0; i < size; i++) {
+            if (this.masks.has(address + i)) return true
+        }
+        return false
+    }
+
+    /**
+     * Forced bits of a byte
+     * @param {number} address
+     * @returns {number}
+     */
+    maskAt(address) {
+        return this.active ? this.masks.get(address) || 0 : 0
+    }
+
+    _onDeviceUpdate() {
+        const device = this.editor.device_manager
+        const connection = device?.connected ? device.connection : null
+        if (connection !== this._connection) {
+            this._connection = connection
+            this._released = false
+            if (this.active) {
+                // The connection was lost or replaced, the new one starts without forcing
+                this._reset()
+                this._notify()
+            }
+        }
+        // Forces left on the device by an earlier session are released once this session may write
+        if (!connection?.supportsForce || this._released || !device.sessionStarted) return
+        if (device.requiresAuth && !device.authenticated) return
+        this._released = true
+        connection.setForces([]).catch(e => console.warn('[ForceManager] Could not release the device forces:', e))
+    }
+
+    async _rewrite() {
+        const connection = this.editor.device_manager?.connection
+        if (this._writing || !connection) return
+        this._writing = true
+        try {
+            for (const write of this.writes) {
+                await connection.writeMemoryAreaMasked(write.address, write.data, write.mask)
+            }
+        } finally {
+            this._writing = false
+        }
+    }
+
+    _startTimer() {
+        if (this.timer) return
+        this.timer = setInterval(() => {
+            this._rewrite().catch(e => console.warn('[ForceManager] Could not rewrite the forced values:', e))
+        }, EDITOR_FORCE_INTERVAL_MS)
+    }
+
+    _stopTimer() {
+        if (this.timer) clearInterval(this.timer)
+        this.timer = null
+    }
+
+    _reset() {
+        this._stopTimer()
+        this.active = false
+        this.mode = null
+        this.count = 0
+        this.writes = []
+        this.masks = new Map()
+        this.errors.clear()
+    }
+
+    _save() {
+        this.editor.project_manager?.checkAndSave?.()
+    }
+
+    _notify() {
+        this.editor.workspace.dispatchEvent(new CustomEvent('plc-forces-update', {
+            detail: { active: this.active, count: this.count, mode: this.mode },
+        }))
+    }
+}
@@ -0,0 +1,96 @@
+import { DEFAULT_HEALTH_WINDOW_MINUTES, HEALTH_METRICS, healthSample, thresholdExceeded, formatHealthThreshold, formatHealthValue, healthHistoryToCSV } from "../utils/health.js"
+
+/**
+ * @typedef {import('../utils/health.js').HealthSample} HealthSample
+ * @typedef {import('../utils/health.js').HealthThreshold} HealthThreshold
+ * @typedef {import('../utils/health.js').HealthSettings} HealthSettings
+ */
+
+/**
+ * Device health samples of the session, kept for the window configured in the project
+ * (`project.health`) whether or not the health panel is shown.
+ *
+ * Thresholds are checked on every sample. Crossing a threshold logs a warning to the console
+ * once, the console notes when the value is back within the limit.
+ */
+export default class HealthHistory {
+    /** @type { HealthSample[] } Oldest sample first */
+    samples = []
+    /** @type { Set<string> } Thresholds exceeded by the last sample, by their text */
+    exceeded = new Set()
+
+    /** @param { import('./Editor.js').VovkPLCEditor } editor */
+    constructor(editor) {
+        this.editor = editor
+    }
+
+    /** @returns { HealthSettings } */
+    get settings() {
+        const project = this.editor.project
+        const defaults = { window_minutes: DEFAULT_HEALTH_WINDOW_MINUTES, thresholds: [] }
+        if (!project) return defaults
+        if (!project.health) project.health = defaults
+        return project.health
+    }
+
+    /**
+     * Record a health reading and check the thresholds
+     * @param {any} health - Device health counters
+     * @param {any} [link] - Link statistics of the connection
+     */
+    add(health, link = null) {
+        const sample = healthSample(health, link)
+        this.samples.push(sample)
+        this._trim(sample.t)
+        this._check(sample)
+    }
+
+    /**
+     * Change the retention window and the thresholds
+     * @param {HealthSettings} settings
+     */
+    configure(settings) {
+        const project = this.editor.project
+        if (!project) return
+        project.health = settings
+        this.exceeded.clear()
+        this._trim(Date.now())
+        this.editor.project_manager?.checkAndSave?.()
+    }
+
+    clear() {
+        this.samples = []
+        this.exceeded.clear()
+    }
+
+    /** @returns {string} */
+    exportCSV() {
+        return healthHistoryToCSV(this.samples)
+    }
+
+    /** @param {number} now */
+    _trim(now) {
+        const oldest = now - Math.max(1, this.settings.window_minutes || DEFAULT_HEALTH_WINDOW_MINUTES) * 60000
+        const index = this.samples.findIndex(sample => sample.t >= oldest)
+        if (index > 0) this.samples.splice(0, index)
+        else if (index < 0) this.samples = []
+    }
+
+    /** @param {HealthSample} sample */
+    _check(sample) {
+        const log = this.editor.window_manager?.logToConsole?.bind(this.editor.window_manager)
+        for (const threshold of this.settings.thresholds) {
+            const metric = HEALTH_METRICS[threshold.metric]
+            if (!metric || !Number.isFinite(metric.read(sample))) continue // Not reported by this device
+            const key = formatHealthThreshold(threshold)
+            const value = thresholdExceeded(threshold, sample)
+            if (value !== null && !this.exceeded.has(key)) {
+                this.exceeded.add(key)
+                log?.(`Device health: ${metric.label} is ${formatHealthValue(value, metric.unit)}, limit ${key}`, 'warning')
+            } else if (value === null && this.exceeded.has(key)) {
+                this.exceeded.delete(key)
+                log?.(`Device health: ${metric.label} is back within ${key}`, 'info')
+            }
+        }
+    }
+}
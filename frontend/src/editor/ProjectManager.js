@@ -3,181 +3,53 @@ import { PLC_Program, PLC_Project, PLC_Symbol, PLCEditor } from '../utils/types.
 import { PLC_Ladder, toGraph as ladderToGraph, smartStringify } from '../languages/ladder/language.js'
 import { PLC_STL } from '../languages/stl/language.js'
 import { PLC_Assembly } from '../languages/asm/language.js'
-
-/** @type {PLC_Symbol[]} */
-const SYSTEM_SYMBOLS = /** @type {PLC_Symbol[]} */ ([
-    { name: 'P_100ms', location: 'system', type: 'bit', address: 2.0, initial_value: 0, comment: '100ms pulse' },
-    { name: 'P_200ms', location: 'system', type: 'bit', address: 2.1, initial_value: 0, comment: '200ms pulse' },
-    { name: 'P_300ms', location: 'system', type: 'bit', address: 2.2, initial_value: 0, comment: '300ms pulse' },
-    { name: 'P_500ms', location: 'system', type: 'bit', address: 2.3, initial_value: 0, comment: '500ms pulse' },
-    { name: 'P_1s', location: 'system', type: 'bit', address: 2.4, initial_value: 0, comment: '1 second pulse' },
-    { name: 'P_2s', location: 'system', type: 'bit', address: 2.5, initial_value: 0, comment: '2 second pulse' },
-    { name: 'P_5s', location: 'system', type: 'bit', address: 2.6, initial_value: 0, comment: '5 second pulse' },
-    { name: 'P_10s', location: 'system', type: 'bit', address: 2.7, initial_value: 0, comment: '10 second pulse' },
-    { name: 'P_30s', location: 'system', type: 'bit', address: 3.0, initial_value: 0, comment: '30 second pulse' },
-    { name: 'P_1min', location: 'system', type: 'bit', address: 3.1, initial_value: 0, comment: '1 minute pulse' },
-    { name: 'P_2min', location: 'system', type: 'bit', address: 3.2, initial_value: 0, comment: '2 minute pulse' },
-    { name: 'P_5min', location: 'system', type: 'bit', address: 3.3, initial_value: 0, comment: '5 minute pulse' },
-    { name: 'P_10min', location: 'system', type: 'bit', address: 3.4, initial_value: 0, comment: '10 minute pulse' },
-    { name: 'P_15min', location: 'system', type: 'bit', address: 3.5, initial_value: 0, comment: '15 minute pulse' },
-    { name: 'P_30min', location: 'system', type: 'bit', address: 3.6, initial_value: 0, comment: '30 minute pulse' },
-    { name: 'P_1hr', location: 'system', type: 'bit', address: 3.7, initial_value: 0, comment: '1 hour pulse' },
-    { name: 'P_2hr', location: 'system', type: 'bit', address: 4.0, initial_value: 0, comment: '2 hour pulse' },
-    { name: 'P_3hr', location: 'system', type: 'bit', address: 4.1, initial_value: 0, comment: '3 hour pulse' },
-    { name: 'P_4hr', location: 'system', type: 'bit', address: 4.2, initial_value: 0, comment: '4 hour pulse' },
-    { name: 'P_5hr', location: 'system', type: 'bit', address: 4.3, initial_value: 0, comment: '5 hour pulse' },
-    { name: 'P_6hr', location: 'system', type: 'bit', address: 4.4, initial_value: 0, comment: '6 hour pulse' },
-    { name: 'P_12hr', location: 'system', type: 'bit', address: 4.5, initial_value: 0, comment: '12 hour pulse' },
-    { name: 'P_1day', location: 'system', type: 'bit', address: 4.6, initial_value: 0, comment: '1 day pulse' },
-
-    { name: 'S_100ms', location: 'system', type: 'bit', address: 5.0, initial_value: 0, comment: '100ms square wave' },
-    { name: 'S_200ms', location: 'system', type: 'bit', address: 5.1, initial_value: 0, comment: '200ms square wave' },
-    { name: 'S_300ms', location: 'system', type: 'bit', address: 5.2, initial_value: 0, comment: '300ms square wave' },
-    { name: 'S_500ms', location: 'system', type: 'bit', address: 5.3, initial_value: 0, comment: '500ms square wave' },
-    { name: 'S_1s', location: 'system', type: 'bit', address: 5.4, initial_value: 0, comment: '1 second square wave' },
-    { name: 'S_2s', location: 'system', type: 'bit', address: 5.5, initial_value: 0, comment: '2 second square wave' },
-    { name: 'S_5s', location: 'system', type: 'bit', address: 5.6, initial_value: 0, comment: '5 second square wave' },
-    { name: 'S_10s', location: 'system', type: 'bit', address: 5.7, initial_value: 0, comment: '10 second square wave' },
-    { name: 'S_30s', location: 'system', type: 'bit', address: 6.0, initial_value: 0, comment: '30 second square wave' },
-    { name: 'S_1min', location: 'system', type: 'bit', address: 6.1, initial_value: 0, comment: '1 minute square wave' },
-    { name: 'S_2min', location: 'system', type: 'bit', address: 6.2, initial_value: 0, comment: '2 minute square wave' },
-    { name: 'S_5min', location: 'system', type: 'bit', address: 6.3, initial_value: 0, comment: '5 minute square wave' },
-    { name: 'S_10min', location: 'system', type: 'bit', address: 6.4, initial_value: 0, comment: '10 minute square wave' },
-    { name: 'S_15min', location: 'system', type: 'bit', address: 6.5, initial_value: 0, comment: '15 minute square wave' },
-    { name: 'S_30min', location: 'system', type: 'bit', address: 6.6, initial_value: 0, comment: '30 minute square wave' },
-    { name: 'S_1hr', location: 'system', type: 'bit', address: 6.7, initial_value: 0, comment: '1 hour square wave' },
-
-    { name: 'elapsed_seconds', location: 'system', type: 'byte', address: 8.0, initial_value: 0, comment: 'Elapsed seconds' },
-    { name: 'elapsed_minutes', location: 'system', type: 'byte', address: 9.0, initial_value: 0, comment: 'Elapsed minutes' },
-    { name: 'elapsed_hours', location: 'system', type: 'byte', address: 10.0, initial_value: 0, comment: 'Elapsed hours' },
-    { name: 'elapsed_days', location: 'system', type: 'byte', address: 11.0, initial_value: 0, comment: 'Elapsed days' },
-
-    { name: 'system_uptime', location: 'system', type: 'dint', address: 12.0, initial_value: 0, comment: 'System uptime in seconds' },
-].map(s => ({ ...s, readonly: true })))
+import { generateID } from '../utils/tools.js'
+import { parseTrigger, formatTrigger } from './TraceRecorder.js'
+import { DEFAULT_WATCH_TABLE, formatWatchRow, parseWatchRow } from '../utils/watch-tables.js'
+import { formatForceRow, parseForceRow } from '../utils/forces.js'
+import { formatAlarmRow, parseAlarmRow } from '../utils/alarms.js'
+import { DEFAULT_HEALTH_WINDOW_MINUTES, formatHealthThreshold, parseHealthThreshold } from '../utils/health.js'
+import { SYSTEM_SYMBOLS, toDeviceSymbols, buildCompileText, parseProgramHeader, parseDBHeader, parseDBField } from '../utils/project-text.js'
 
 const LOCAL_STORAGE_KEY = 'vovk_plc_project_autosave'
 
+/** Indentation of every plant model script line in the project text, so no script line can end the section */
+const SCRIPT_INDENT = '    '
+
 /** @param {string} str */
 const _needsQuotes = (str) => str && str.includes(' ')
 /** @param {string} str */
 const _quote = (str) => _needsQuotes(str) ? `"${str}"` : str
 
 /**
- * Parse a PROGRAM header: name [PATH=path] [: comment]
- * Supports quoted names and paths.
- * @param {string} str
- * @returns {{ name: string, path: string, comment: string }}
- */
-const _parseProgramHeader = (str) => {
-    let pos = 0
-    let name = '', path = '', comment = ''
-
-    // Skip leading whitespace
-    while (pos < str.length && str[pos] === ' ') pos++
-
-    // Parse name (possibly quoted)
-    if (str[pos] === '"') {
-        const end = str.indexOf('"', pos + 1)
-        if (end !== -1) { name = str.substring(pos + 1, end); pos = end + 1 }
-    } else {
-        let end = pos
-        while (end < str.length && str[end] !== ' ' && str[end] !== ':') end++
-        name = str.substring(pos, end)
-        pos = end
-    }
-
-    // Skip whitespace
-    while (pos < str.length && str[pos] === ' ') pos++
-
-    // Parse optional PATH=
-    if (str.substring(pos).startsWith('PATH=')) {
-        pos += 5
-        if (str[pos] === '"') {
-            const end = str.indexOf('"', pos + 1)
-            if (end !== -1) { path = str.substring(pos + 1, end); pos = end + 1 }
-        } else {
-            let end = pos
-            while (end < str.length && str[end] !== ' ' && str[end] !== ':') end++
-            path = str.substring(pos, end)
-            pos = end
-        }
-    }
-
-    // Skip whitespace
-    while (pos < str.length && str[pos] === ' ') pos++
-
-    // Parse optional : comment
-    if (str[pos] === ':') {
-        comment = str.substring(pos + 1).trim()
-    }
-
-    return { name, path, comment }
-}
-
-/**
- * Parse a DB header line: DB<N> ["Alias"] [PATH=<dir>] [ADDRESS=<addr>] [{ [: comment]]
- * Supports both old format (no braces) and new format (with braces).
- * @param {string} line
- * @returns {{ id: number, name: string, path: string, address: number, comment: string, hasBrace: boolean } | null}
+ * Block content as compiled: the graph as single line JSON for ladder blocks, the code otherwise
+ * @param {any} block
+ * @returns {string}
  */
-const _parseDBHeader = (line) => {
-    const result = { id: 0, name: '', path: '/', address: 0, comment: '', hasBrace: false }
-
-    const dbMatch = line.match(/^DB(\d+)/)
-    if (!dbMatch) return null
-    result.id = parseInt(dbMatch[1], 10)
-    let pos = dbMatch[0].length
-
-    // Skip whitespace
-    while (pos < line.length && line[pos] === ' ') pos++
-
-    // Parse optional "Alias"
-    if (pos < line.length && line[pos] === '"') {
-        const end = line.indexOf('"', pos + 1)
-        if (end !== -1) {
-            result.name = line.substring(pos + 1, end)
-            pos = end + 1
-        }
+const _compileBlockContent = (block) => {
+    if (block.type !== 'ladder') {
+        /** @type {PLC_STL | PLC_Assembly} */
+        const codeBlock = block
+        return codeBlock.code || ''
     }
-    if (!result.name) result.name = `DataBlock${result.id}`
-
-    // Parse remaining: PATH=, ADDRESS=, {, : comment
-    while (pos < line.length) {
-        while (pos < line.length && line[pos] === ' ') pos++
-        if (pos >= line.length) break
-
-        const rest = line.substring(pos)
-        if (rest.startsWith('PATH=')) {
-            pos += 5
-            if (line[pos] === '"') {
-                const end = line.indexOf('"', pos + 1)
-                if (end !== -1) { result.path = line.substring(pos + 1, end); pos = end + 1 }
-            } else {
-                let end = pos
-                while (end < line.length && line[end] !== ' ' && line[end] !== '{' && line[end] !== ':') end++
-                result.path = line.substring(pos, end)
-                pos = end
-            }
-        } else if (rest.startsWith('ADDRESS=')) {
-            pos += 8
-            let end = pos
-            while (end < line.length && /\d/.test(line[end])) end++
-            result.address = parseInt(line.substring(pos, end), 10) || 0
-            pos = end
-        } else if (line[pos] === '{') {
-            result.hasBrace = true
-            pos++
-        } else if (line[pos] === ':') {
-            result.comment = line.substring(pos + 1).trim()
-            break
-        } else {
-            pos++
+    /** @type {PLC_Ladder} */
+    const ladderBlock = block
+    try {
+        return JSON.stringify(ladderToGraph(ladderBlock))
+    } catch (e) {
+        // Fallback: block itself might have the graph structure
+        if (ladderBlock.nodes || ladderBlock.blocks) {
+            return JSON.stringify({
+                comment: ladderBlock.comment || ladderBlock.name || '',
+                nodes: ladderBlock.nodes || ladderBlock.blocks || [],
+                connections: ladderBlock.connections || []
+            })
         }
+        console.warn('[ProjectManager] Could not serialize ladder block:', e)
+        return ''
     }
-    return result
 }
 
-
 export default class ProjectManager {
   #editor
   last_saved_state = ''
@@ -234,54 +106,7 @@ export default class ProjectManager {
     const project = this.#editor.project
     if (!project) return
     
-    // Map area names to location types
-    // Supports both IEC notation (I, Q) and traditional PLC notation (X, Y)
-    /** @type {Record<string, import('../utils/types.js').PLC_Symbol_Location>} */
-    const areaToLocation = {
-      'X': 'input',
-      'I': 'input',    // IEC notation for input
-      'Y': 'output',
-      'Q': 'output',   // IEC notation for output
-      'S': 'system',
-      'M': 'marker',
-      'T': 'timer',
-      'C': 'counter'
-    }
-    
-    // Map type names (including C++ type aliases from runtime)
-    // Preserve unsigned types for correct value display
-    /** @type {Record<string, import('../utils/types.js').PLC_Symbol_Type>} */
-    const typeMap = {
-      'bit': 'bit',
-      'bool': 'bit',
-      'byte': 'byte',
-      'u8': 'u8',
-      'i8': 'i8',
-      'int': 'int',
-      'i16': 'i16',
-      'u16': 'u16',
-      'dint': 'dint',
-      'i32': 'i32',
-      'u32': 'u32',
-      'real': 'real',
-      'f32': 'f32',
-      'float': 'real'
-    }
-    
-    // Convert raw symbols to PLC_Symbol format
-    /** @type {import('../utils/types.js').PLC_Symbol[]} */
-    const deviceSymbols = rawSymbols.map(raw => ({
-      name: raw.name,
-      location: areaToLocation[raw.area] || 'marker',
-      type: typeMap[raw.type] || 'byte',
-      address: raw.bit > 0 ? raw.address + (raw.bit / 10) : raw.address,
-      initial_value: 0,
-      comment: raw.comment || `Device symbol (${raw.area}${raw.address}${raw.bit > 0 ? '.' + raw.bit : ''})`,
-      readonly: true,
-      device: true
-    }))
-    
-    project.device_symbols = deviceSymbols
+    project.device_symbols = toDeviceSymbols(rawSymbols)
     // Rebuild combined symbols list
     this.ensureSystemSymbols(project)
   }
@@ -431,8 +256,8 @@ export default class ProjectManager {
             // Restore Tabs
             if (open_tabs && Array.isArray(open_tabs)) {
                 open_tabs.forEach(id => {
-                    // Special windows (symbols, setup, memory, datablocks, db:N) that don't live in the project tree
-                    const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'datablocks' || id.startsWith('db:')
+                    // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) that don't live in the project tree
+                    const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'io' || id === 'plant' || id === 'historian' || id === 'modbus' || id === 'mqtt' || id === 'capture' || id === 'trace' || id === 'forces' || id === 'alarms' || id === 'datablocks' || id.startsWith('db:')
                     
                     // Check if file still exists in project (or is a special window)
                     // The openTab method needs the file to exist in the tree/project structure
@@ -632,7 +457,7 @@ export default class ProjectManager {
 
     // Open tabs - convert IDs to full_path for portability
     const tabManager = this.#editor.window_manager?.tab_manager
-    const specialWindows = ['symbols', 'setup', 'memory', 'datablocks']
+    const specialWindows = ['symbols', 'setup', 'memory', 'io', 'plant', 'historian', 'modbus', 'mqtt', 'capture', 'trace', 'forces', 'alarms', 'datablocks']
     if (tabManager && tabManager.tabs && tabManager.tabs.size > 0) {
         const openTabIds = Array.from(tabManager.tabs.keys())
         if (openTabIds.length > 0) {
@@ -842,20 +667,111 @@ export default class ProjectManager {
         lines.push('')
     }
 
-    // Watch items
-    const watchItems = project.watch || []
-    if (watchItems.length > 0) {
-        lines.push('WATCH')
-        for (const item of watchItems) {
-            if (item.name) {
-                const format = item.format ? ` : ${item.format}` : ''
-                lines.push(`    ${item.name}${format}`)
-            }
+    // Watch tables: one `WATCH <name>` section per table, see utils/watch-tables.js for the row format
+    const watchTables = project.watch_tables || (project.watch?.length ? [{ name: DEFAULT_WATCH_TABLE, entries: project.watch }] : [])
+    for (const table of watchTables) {
+        if (!table.entries.length && table.name === DEFAULT_WATCH_TABLE) continue
+        lines.push(`WATCH ${_quote(table.name)}`)
+        for (const entry of table.entries) {
+            if (entry.name) lines.push(`    ${formatWatchRow(entry)}`)
         }
         lines.push('END_WATCH')
         lines.push('')
     }
 
+    // Force table, see utils/forces.js for the row format
+    const forces = project.forces || []
+    if (forces.length) {
+        lines.push('FORCES')
+        for (const force of forces) {
+            if (force.name) lines.push(`    ${formatForceRow(force)}`)
+        }
+        lines.push('END_FORCES')
+        lines.push('')
+    }
+
+    // Alarm table, see utils/alarms.js for the row format
+    const alarms = project.alarms || []
+    if (alarms.length) {
+        lines.push('ALARMS')
+        for (const alarm of alarms) {
+            if (alarm.name && alarm.condition) lines.push(`    ${formatAlarmRow(alarm)}`)
+        }
+        lines.push('END_ALARMS')
+        lines.push('')
+    }
+
+    // Device health history window and limits, one limit per line
+    const health = project.health
+    if (health && (health.thresholds?.length || health.window_minutes !== DEFAULT_HEALTH_WINDOW_MINUTES)) {
+        lines.push(`HEALTH WINDOW=${health.window_minutes}`)
+        for (const threshold of health.thresholds || []) {
+            lines.push(`    ${formatHealthThreshold(threshold)}`)
+        }
+        lines.push('END_HEALTH')
+        lines.push('')
+    }
+
+    // Plant models (simulator): rules are stored one JSON object per line, scripts line by line with SCRIPT_INDENT added
+    const plantModels = project.plant_models || []
+    for (const model of plantModels) {
+        const type = model.type === 'script' ? 'SCRIPT' : 'RULES'
+        lines.push(`PLANT_MODEL ${_quote(model.name || 'Plant')} TYPE=${type}`)
+        if (model.type === 'script') {
+            for (const line of (model.script || '').split('\n')) lines.push(`${SCRIPT_INDENT}${line}`)
+        } else {
+            for (const rule of model.rules || []) lines.push(`    ${JSON.stringify(rule)}`)
+        }
+        lines.push('END_PLANT_MODEL')
+        lines.push('')
+    }
+
+    // Modbus gateway register map: one `<TABLE> <register> <tag>` row per entry
+    const modbus = project.modbus
+    if (modbus?.map?.length) {
+        lines.push(`MODBUS PORT=${modbus.port || 502}${modbus.host ? ` HOST=${modbus.host}` : ''}`)
+        for (const row of modbus.map) {
+            lines.push(`    ${row.table.toUpperCase()} ${row.register} ${row.tag}`)
+        }
+        lines.push('END_MODBUS')
+        lines.push('')
+    }
+
+    // MQTT bridge symbols: one `<tag> QOS=<n> CHANGE=<deadband>|INTERVAL=<ms> [TOPIC=<topic>] [WRITABLE]` row per symbol
+    const mqtt = project.mqtt
+    if (mqtt?.symbols?.length) {
+        let header = `MQTT URL=${mqtt.url} TOPIC=${mqtt.baseTopic}`
+        if (mqtt.username) header += ` USER=${mqtt.username}`
+        if (mqtt.clientId) header += ` CLIENT=${mqtt.clientId}`
+        if (mqtt.retain === false) header += ' RETAIN=0'
+        lines.push(header)
+        for (const row of mqtt.symbols) {
+            let rowLine = `    ${row.tag} QOS=${row.qos || 0}`
+            rowLine += row.mode === 'interval' ? ` INTERVAL=${row.intervalMs || 1000}` : ` CHANGE=${row.deadband || 0}`
+            if (row.topic) rowLine += ` TOPIC=${row.topic}`
+            if (row.writable) rowLine += ' WRITABLE'
+            lines.push(rowLine)
+        }
+        lines.push('END_MQTT')
+        lines.push('')
+    }
+
+    // Traces: channels and trigger, then the last recording as `<time> <value>...` rows ('-' for no value)
+    for (const trace of project.traces || []) {
+        lines.push(`TRACE ${_quote(trace.name || 'Trace')} INTERVAL=${trace.intervalMs} PRE=${trace.pre} POST=${trace.post}`)
+        for (const channel of trace.channels) lines.push(`    CHANNEL ${channel}`)
+        if (trace.trigger) lines.push(`    TRIGGER ${formatTrigger(trace.trigger)}`)
+        const result = trace.result
+        if (result) {
+            lines.push(`    RECORDED ${result.recordedAt} TRIGGER_INDEX=${result.triggerIndex}`)
+            result.times.forEach((t, i) => {
+                lines.push(`    ${t} ${result.values.map(values => values[i] ?? '-').join(' ')}`)
+            })
+        }
+        lines.push('END_TRACE')
+        lines.push('')
+    }
+
     lines.push('END_PROJECT')
     return lines.join('\n')
   }
@@ -874,7 +790,11 @@ export default class ProjectManager {
     project.datablocks = []
     project.files = []
     project.folders = []
-    project.watch = []
+    project.watch_tables = []
+    project.forces = []
+    project.alarms = []
+    project.plant_models = []
+    project.traces = []
     
     // Type mappings (reverse of export)
     const typeMap = {
@@ -996,12 +916,12 @@ export default class ProjectManager {
 
                 // Parse DB header: DB<N> ["Alias"] [PATH=<dir>] [ADDRESS=<addr>] [{ [: comment]]
                 // Supports both old format (END_DB) and new format ({ ... })
-                const parsed = _parseDBHeader(dbLine)
+                const parsed = parseDBHeader(dbLine)
                 if (parsed) {
                     /** @type {{ id: number, name: string, path: string, address: number, fields: import('../utils/types.js').PLC_DataBlockField[], comment: string }} */
                     const db = {
                         id: parsed.id,
-                        name: parsed.name,
+                        name: parsed.name || `DataBlock${parsed.id}`,
                         path: parsed.path,
                         address: parsed.address,
                         fields: [],
@@ -1014,40 +934,11 @@ export default class ProjectManager {
                         if (fieldLine === 'END_DB' || fieldLine === '}') break
                         if (!fieldLine) continue
 
-                        // Format: name: TYPE = defaultValue : comment  (new)
-                        // Format: name : TYPE = defaultValue : comment (old)
-                        const colonIdx = fieldLine.indexOf(':')
-                        if (colonIdx === -1) continue
-
-                        const fieldName = fieldLine.substring(0, colonIdx).trim()
-                        const afterName = fieldLine.substring(colonIdx + 1).trim()
-
-                        // Split remaining by ':' for comment
-                        const parts = afterName.split(':').map(p => p.trim())
-                        let typeAndDefault = parts[0]
-                        const fieldComment = parts.length > 1 ? parts.slice(1).join(':').trim() : ''
-
-                        /** @type {number | string} */
-                        let defaultValue = 0
-                        /** @type {import('../utils/types.js').PLC_Symbol_Type} */
-                        let fieldType = 'byte'
-
-                        // Check for default value: TYPE = value
-                        const eqMatch = typeAndDefault.match(/^(\S+)\s*=\s*(.+)$/)
-                        if (eqMatch) {
-                            fieldType = (typeMap[eqMatch[1].toUpperCase()] || eqMatch[1].toLowerCase())
-                            const defStr = eqMatch[2].trim()
-                            const num = parseFloat(defStr)
-                            defaultValue = isNaN(num) ? defStr : num
-                        } else {
-                            fieldType = (typeMap[typeAndDefault.toUpperCase()] || typeAndDefault.toLowerCase())
-                        }
-
+                        const field = parseDBField(fieldLine)
+                        if (!field) continue
                         db.fields.push({
-                            name: fieldName,
-                            type: fieldType,
-                            defaultValue,
-                            comment: fieldComment,
+                            ...field,
+                            type: /** @type {import('../utils/types.js').PLC_Symbol_Type} */ (typeMap[field.type.toUpperCase()] || field.type.toLowerCase()),
                         })
                     }
 
@@ -1062,7 +953,7 @@ export default class ProjectManager {
 
             if (isProgram) {
                 // New format: PROGRAM <name> [PATH=<path>] [: comment]
-                const header = _parseProgramHeader(trimmed.substring('PROGRAM '.length))
+                const header = parseProgramHeader(trimmed.substring('PROGRAM '.length))
                 programName = header.name
                 programPath = header.path || '/'
                 fileComment = header.comment
@@ -1164,18 +1055,151 @@ export default class ProjectManager {
             }
             
             project.files.push(file)
-        } else if (trimmed === 'WATCH') {
-            // Parse watch section
+        } else if (trimmed === 'WATCH' || trimmed.startsWith('WATCH ')) {
+            // Parse watch table: WATCH [<name>], older projects have a single unnamed table
+            const name = trimmed.substring('WATCH'.length).trim().replace(/^"(.*)"$/, '$1') || DEFAULT_WATCH_TABLE
+            const table = { name, entries: [] }
             while ((line = readLine()) !== null) {
                 const watchLine = line.trim()
                 if (watchLine === 'END_WATCH') break
                 if (!watchLine) continue
-                
-                const parts = watchLine.split(':').map(p => p.trim())
-                const watchItem = { name: parts[0] }
-                if (parts.length > 1) watchItem.format = parts[1]
-                project.watch.push(watchItem)
+                const entry = parseWatchRow(watchLine)
+                if (entry) table.entries.push(entry)
+            }
+            project.watch_tables.push(table)
+        } else if (trimmed === 'FORCES') {
+            while ((line = readLine()) !== null) {
+                const forceLine = line.trim()
+                if (forceLine === 'END_FORCES') break
+                if (!forceLine) continue
+                const force = parseForceRow(forceLine)
+                if (force) project.forces.push(force)
+            }
+        } else if (trimmed === 'ALARMS') {
+            while ((line = readLine()) !== null) {
+                const alarmLine = line.trim()
+                if (alarmLine === 'END_ALARMS') break
+                if (!alarmLine) continue
+                const alarm = parseAlarmRow(alarmLine)
+                if (alarm) project.alarms.push(alarm)
+            }
+        } else if (trimmed === 'HEALTH' || trimmed.startsWith('HEALTH ')) {
+            // Parse device health settings: HEALTH WINDOW=<minutes>
+            const windowMatch = trimmed.match(/WINDOW=(\d+)/)
+            project.health = { window_minutes: windowMatch ? parseInt(windowMatch[1], 10) : DEFAULT_HEALTH_WINDOW_MINUTES, thresholds: [] }
+            while ((line = readLine()) !== null) {
+                const thresholdLine = line.trim()
+                if (thresholdLine === 'END_HEALTH') break
+                if (!thresholdLine) continue
+                try {
+                    project.health.thresholds.push(parseHealthThreshold(thresholdLine))
+                } catch (e) {
+                    console.warn(`Skipping device health limit: ${e.message}`)
+                }
+            }
+        } else if (trimmed.startsWith('PLANT_MODEL ')) {
+            // Parse plant model: PLANT_MODEL <name> TYPE=RULES|SCRIPT
+            const header = trimmed.substring('PLANT_MODEL '.length)
+            const typeMatch = header.match(/\s+TYPE=(\w+)\s*$/)
+            const name = (typeMatch ? header.substring(0, typeMatch.index) : header).trim().replace(/^"(.*)"$/, '$1')
+            const isScript = typeMatch?.[1].toUpperCase() === 'SCRIPT'
+
+            const contentLines = []
+            while ((line = readLine()) !== null) {
+                // Script lines are indented, only an unindented END_PLANT_MODEL ends a script
+                if (isScript ? line.trimEnd() === 'END_PLANT_MODEL' : line.trim() === 'END_PLANT_MODEL') break
+                contentLines.push(line)
             }
+
+            if (isScript) {
+                // Strip exactly the indentation added on export, scripts of older files have none
+                const script = contentLines.map(l => l.startsWith(SCRIPT_INDENT) ? l.substring(SCRIPT_INDENT.length) : l).join('\n')
+                project.plant_models.push({ id: generateID(), name, type: 'script', script })
+            } else {
+                const rules = []
+                for (const ruleLine of contentLines) {
+                    if (!ruleLine.trim()) continue
+                    try {
+                        rules.push(JSON.parse(ruleLine))
+                    } catch (e) {
+                        console.warn(`[ProjectManager] Invalid plant rule in '${name}':`, ruleLine)
+                    }
+                }
+                project.plant_models.push({ id: generateID(), name, type: 'rules', rules })
+            }
+        } else if (trimmed === 'MODBUS' || trimmed.startsWith('MODBUS ')) {
+            // Parse Modbus gateway map: MODBUS PORT=<port> [HOST=<host>]
+            const portMatch = trimmed.match(/PORT=(\d+)/)
+            const hostMatch = trimmed.match(/HOST=(\S+)/)
+            project.modbus = { port: portMatch ? parseInt(portMatch[1]) : 502, map: [] }
+            if (hostMatch) project.modbus.host = hostMatch[1]
+            while ((line = readLine()) !== null) {
+                const rowLine = line.trim()
+                if (rowLine === 'END_MODBUS') break
+                const match = rowLine.match(/^(COIL|DISCRETE|HOLDING|INPUT)\s+(\d+)\s+(\S+)$/i)
+                if (match) {
+                    project.modbus.map.push({ table: /** @type {any} */ (match[1].toLowerCase()), register: parseInt(match[2]), tag: match[3] })
+                } else if (rowLine) {
+                    console.warn('[ProjectManager] Invalid Modbus map row:', rowLine)
+                }
+            }
+        } else if (trimmed === 'MQTT' || trimmed.startsWith('MQTT ')) {
+            // Parse MQTT bridge: MQTT URL=<url> TOPIC=<base> [USER=<name>] [CLIENT=<id>] [RETAIN=0]
+            const option = (key) => trimmed.match(new RegExp(`\\b${key}=(\\S*)`))?.[1]
+            project.mqtt = { url: option('URL') || 'mqtt://localhost:1883', baseTopic: option('TOPIC') ?? 'vovkplc', symbols: [] }
+            if (option('USER')) project.mqtt.username = option('USER')
+            if (option('CLIENT')) project.mqtt.clientId = option('CLIENT')
+            if (option('RETAIN') === '0') project.mqtt.retain = false
+            while ((line = readLine()) !== null) {
+                const rowLine = line.trim()
+                if (rowLine === 'END_MQTT') break
+                if (!rowLine) continue
+                const [tag, ...options] = rowLine.split(/\s+/)
+                const values = Object.fromEntries(options.map(o => o.split(/=(.*)/)))
+                /** @type {import('../connection/gateway.js').MqttSymbolRow} */
+                const row = { tag, qos: /** @type {any} */ (Math.min(2, parseInt(values.QOS) || 0)), mode: 'INTERVAL' in values ? 'interval' : 'change' }
+                if (row.mode === 'interval') row.intervalMs = parseInt(values.INTERVAL) || 1000
+                else row.deadband = parseFloat(values.CHANGE) || 0
+                if (values.TOPIC) row.topic = values.TOPIC
+                if ('WRITABLE' in values) row.writable = true
+                project.mqtt.symbols.push(row)
+            }
+        } else if (trimmed.startsWith('TRACE ')) {
+            // Parse trace: TRACE <name> INTERVAL=<ms> PRE=<n> POST=<n>
+            const header = trimmed.substring('TRACE '.length)
+            const optionsMatch = header.match(/\s+INTERVAL=.*$/)
+            const name = (optionsMatch ? header.substring(0, optionsMatch.index) : header).trim().replace(/^"(.*)"$/, '$1')
+            const option = (key, fallback) => parseInt(header.match(new RegExp(`\\b${key}=(\\d+)`))?.[1] ?? '') || fallback
+            /** @type {import('./TraceRecorder.js').PLC_Trace} */
+            const trace = { id: generateID(), name, channels: [], intervalMs: option('INTERVAL', 50), pre: option('PRE', 0), post: option('POST', 1), trigger: null }
+            /** @type {import('./TraceRecorder.js').TraceResult | null} */
+            let result = null
+            while ((line = readLine()) !== null) {
+                const traceLine = line.trim()
+                if (traceLine === 'END_TRACE') break
+                if (!traceLine) continue
+                if (traceLine.startsWith('CHANNEL ')) {
+                    trace.channels.push(traceLine.substring('CHANNEL '.length).trim())
+                } else if (traceLine.startsWith('TRIGGER ')) {
+                    try {
+                        trace.trigger = parseTrigger(traceLine.substring('TRIGGER '.length))
+                    } catch (e) {
+                        console.warn(`[ProjectManager] Invalid trigger in trace '${name}':`, traceLine)
+                    }
+                } else if (traceLine.startsWith('RECORDED ')) {
+                    const [, recordedAt, triggerIndex] = traceLine.match(/^RECORDED\s+(\S+)(?:\s+TRIGGER_INDEX=(\d+))?/) || []
+                    result = { recordedAt: recordedAt || '', triggerIndex: parseInt(triggerIndex) || 0, times: [], values: trace.channels.map(() => []) }
+                } else if (result) {
+                    const [t, ...values] = traceLine.split(/\s+/)
+                    result.times.push(parseFloat(t) || 0)
+                    result.values.forEach((column, i) => {
+                        const value = parseFloat(values[i])
+                        column.push(isNaN(value) ? null : value)
+                    })
+                }
+            }
+            if (result?.times.length) trace.result = result
+            project.traces.push(trace)
         } else if (trimmed === 'DEVICE') {
             // Parse device section
             project.lastPhysicalDevice = project.lastPhysicalDevice || { deviceInfo: {}, transports: [], symbols: [], timestamp: '' }
@@ -1260,107 +1284,7 @@ export default class ProjectManager {
     const project = this.#editor.project
     if (!project) throw new Error('No project loaded')
 
-    const lines = []
-    
-    // Project header
-    const projectName = project.info?.name || 'PLCProject'
-    const projectVersion = project.info?.version || '1.0'
-    lines.push(`VOVKPLCPROJECT ${projectName}`)
-    lines.push(`VERSION ${projectVersion}`)
-    lines.push('')
-
-    // Memory configuration
     const offsets = ensureOffsets(project.offsets)
-    
-    // Calculate sizes for each area
-    const sSize = offsets.system?.size || 64
-    const xSize = offsets.input?.size || 64
-    const ySize = offsets.output?.size || 64
-    const mSize = offsets.marker?.size || 256
-    const tSize = offsets.timer?.size || 0
-    const cSize = offsets.counter?.size || 0
-    
-    // Total memory is sum of all areas
-    const totalMemory = sSize + xSize + ySize + mSize + tSize + cSize
-    
-    lines.push('MEMORY')
-    lines.push(`    OFFSET 0`)
-    lines.push(`    AVAILABLE ${totalMemory}`)
-    lines.push(`    S ${sSize}`)
-    lines.push(`    X ${xSize}`)
-    lines.push(`    Y ${ySize}`)
-    lines.push(`    M ${mSize}`)
-    lines.push(`    T ${tSize}`)
-    lines.push(`    C ${cSize}`)
-    lines.push('END_MEMORY')
-    lines.push('')
-
-    // Symbols section
-    const symbols = project.symbols || []
-    // Include all symbols for compilation (User, System, Device)
-    const compileSymbols = symbols 
-    if (compileSymbols.length > 0) {
-        lines.push('SYMBOLS')
-        
-        // Map PLC symbol types to project compiler types
-        const typeMap = {
-            'bit': 'BOOL',
-            'bool': 'BOOL',
-            'byte': 'BYTE',
-            'int': 'INT',
-            'dint': 'DINT',
-            'real': 'REAL',
-            'word': 'WORD',
-            'dword': 'DWORD',
-        }
-        
-        // Map location to prefix
-        const locationPrefix = {
-            'system': 'S',
-            'input': 'X',
-            'output': 'Y',
-            'marker': 'M',
-            'timer': 'T',
-            'counter': 'C'
-        }
-        
-        for (const sym of compileSymbols) {
-            if (sym.name && sym.type && sym.address !== undefined) {
-                const prefix = locationPrefix[sym.location] || 'M'
-                const mappedType = typeMap[sym.type] || sym.type.toUpperCase()
-                let addrStr = String(sym.address)
-                // Ensure bit addresses have the .bit portion
-                if ((mappedType === 'BOOL' || sym.type === 'bit') && !addrStr.includes('.')) {
-                    addrStr += '.0'
-                }
-                const fullAddress = `${prefix}${addrStr}`
-                const comment = sym.comment ? ` : ${sym.comment}` : ''
-                lines.push(`    ${sym.name} : ${mappedType} : ${fullAddress}${comment}`)
-            }
-        }
-        lines.push('END_SYMBOLS')
-        lines.push('')
-    }
-
-    // Data Blocks section
-    const datablocks = project.datablocks || []
-    if (datablocks.length > 0) {
-        lines.push('DATABLOCKS')
-        for (const db of datablocks) {
-            const nameStr = db.name ? ` ${_quote(db.name)}` : ''
-            const dbPath = db.path || '/'
-            const pathStr = dbPath !== '/' ? ` PATH=${_quote(dbPath)}` : ''
-            lines.push(`    DB${db.id}${nameStr}${pathStr} {`)
-            for (const field of (db.fields || [])) {
-                const typeStr = (field.type || 'byte').toUpperCase()
-                const defStr = field.defaultValue !== undefined && field.defaultValue !== null && field.defaultValue !== 0 ? ` = ${field.defaultValue}` : ''
-                lines.push(`        ${field.name}: ${typeStr}${defStr}`)
-            }
-            lines.push(`    }`)
-        }
-        lines.push('END_DATABLOCKS')
-        lines.push('')
-    }
 
     // Program files - get from tree manager for up-to-date block references
     const treeRoot = this.#editor.window_manager?.tree_manager?.root
@@ -1371,77 +1295,41 @@ export default class ProjectManager {
     if (!files.length) {
         files = (project.files || []).filter(file => file.type === 'program')
     }
-    for (const file of files) {
-        const name = file.name || 'main'
-        const programPath = file.path || '/'
 
-        if (name === 'main') {
-            lines.push(`PROGRAM ${_quote(name)}`)
-        } else {
-            lines.push(`PROGRAM ${_quote(name)} PATH=${_quote(programPath)}`)
-        }
-        
-        const blocks = file.blocks || []
-        for (const block of blocks) {
-            const blockName = block.name || 'Code'
-            const blockType = block.type || 'asm'
-            
-            // Map block type to language
-            const langMap = {
-                'asm': 'PLCASM',
-                'plcasm': 'PLCASM',
-                'stl': 'STL',
-                'ladder': 'LADDER',
-                'plcscript': 'PLCSCRIPT',
-                'st': 'ST'
-            }
-            const lang = langMap[blockType.toLowerCase()] || 'PLCASM'
-            
-            lines.push(`    BLOCK LANG=${lang} ${blockName}`)
-            
-            // Get block content
-            let content = ''
-            if (blockType === 'ladder') {
-                // For ladder blocks, export the graph as JSON using the imported function
-                /** @type {PLC_Ladder} */
-                const ladderBlock = /** @type {any} */ (block)
-                try {
-                    const graph = ladderToGraph(ladderBlock)
-                    content = JSON.stringify(graph)
-                } catch (e) {
-                    // Fallback: block itself might have the graph structure
-                    if (ladderBlock.nodes || ladderBlock.blocks) {
-                        const graph = {
-                            comment: ladderBlock.comment || ladderBlock.name || '',
-                            nodes: ladderBlock.nodes || ladderBlock.blocks || [],
-                            connections: ladderBlock.connections || []
-                        }
-                        content = JSON.stringify(graph)
-                    } else {
-                        console.warn('[ProjectManager] Could not serialize ladder block:', e)
-                    }
-                }
-            } else {
-                // For STL and PLCASM, use the code directly
-                /** @type {PLC_STL | PLC_Assembly} */
-                const codeBlock = /** @type {any} */ (block)
-                content = codeBlock.code || ''
-            }
-            
-            // Output content lines without indentation
-            const contentLines = content.split('\n')
-            for (const line of contentLines) {
-                lines.push(line)
-            }
-            
-            lines.push(`    END_BLOCK`)
-        }
-        
-        lines.push(`END_PROGRAM`)
-        lines.push('')
+    // Map block type to language
+    const langMap = {
+        'asm': 'PLCASM',
+        'plcasm': 'PLCASM',
+        'stl': 'STL',
+        'ladder': 'LADDER',
+        'plcscript': 'PLCSCRIPT',
+        'st': 'ST'
     }
 
-    return lines.join('\n')
+    return buildCompileText({
+        name: project.info?.name || 'PLCProject',
+        version: project.info?.version || '1.0',
+        sizes: {
+            S: offsets.system?.size || 64,
+            X: offsets.input?.size || 64,
+            Y: offsets.output?.size || 64,
+            M: offsets.marker?.size || 256,
+            T: offsets.timer?.size || 0,
+            C: offsets.counter?.size || 0,
+        },
+        // Include all symbols for compilation (User, System, Device)
+        symbols: project.symbols || [],
+        datablocks: project.datablocks || [],
+        programs: files.map(file => ({
+            name: file.name || 'main',
+            path: file.path || '/',
+            blocks: (file.blocks || []).map(block => ({
+                name: block.name || 'Code',
+                lang: langMap[(block.type || 'asm').toLowerCase()] || 'PLCASM',
+                content: _compileBlockContent(block),
+            })),
+        })),
+    })
   }
 
   /** Create a new empty project structure */
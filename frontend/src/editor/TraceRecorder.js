@@ -0,0 +1,249 @@
+import { decodeTagValue } from "../utils/tools.js"
+
+/**
+ * @typedef {'rising' | 'falling' | '>' | '<' | '>=' | '<=' | '==' | '!='} TraceCondition
+ * @typedef {{ channel: string, condition: TraceCondition, value?: number }} TraceTrigger
+ * @typedef {{
+ *     recordedAt: string, triggerIndex: number,
+ *     times: number[], values: (number | null)[][],
+ * }} TraceResult Sample times in ms since the first sample (when the data arrived), values per channel
+ * @typedef {{
+ *     id: string, name: string, channels: string[], intervalMs: number,
+ *     pre: number, post: number, trigger: TraceTrigger | null, result?: TraceResult,
+ * }} PLC_Trace
+ */
+
+/** Most channels of one trace */
+export const MAX_TRACE_CHANNELS = 8
+
+/** Most samples (pre + post trigger) of one trace, traces are stored in the project */
+export const MAX_TRACE_SAMPLES = 20000
+
+/** Trigger conditions, edges for bits and comparisons for values */
+export const TRACE_CONDITIONS = ['rising', 'falling', '>=', '<=', '==', '!=', '>', '<']
+
+/**
+ * Parse a trigger like `X0.3 rising` or `DB1.speed > 100`
+ * @param {string} text
+ * @returns {TraceTrigger | null} null for an empty text
+ */
+export const parseTrigger = (text) => {
+    const trimmed = (text || '').trim()
+    if (!trimmed) return null
+    const edge = trimmed.match(/^(\S+)\s+(rising|falling)$/i)
+    if (edge) return { channel: edge[1], condition: /** @type {TraceCondition} */ (edge[2].toLowerCase()) }
+    const compare = trimmed.match(/^(\S+?)\s*(>=|<=|==|!=|>|<)\s*(-?[\d.]+(?:e-?\d+)?)$/i)
+    if (compare && !isNaN(parseFloat(compare[3]))) {
+        return { channel: compare[1], condition: /** @type {TraceCondition} */ (compare[2]), value: parseFloat(compare[3]) }
+    }
+    throw new Error(`Invalid trigger '${trimmed}', use '<tag> rising', '<tag> falling' or '<tag> > <value>'`)
+}
+
+/**
+ * @param {TraceTrigger | null | undefined} trigger
+ * @returns {string}
+ */
+export const formatTrigger = (trigger) => {
+    if (!trigger) return ''
+    if (trigger.condition === 'rising' || trigger.condition === 'falling') return `${trigger.channel} ${trigger.condition}`
+    return `${trigger.channel} ${trigger.condition} ${trigger.value ?? 0}`
+}
+
+/**
+ * Check a trigger between two consecutive values, comparisons fire when they become true
+ * @param {TraceTrigger} trigger
+ * @param {number | null} previous
+ * @param {number | null} current
+ */
+export const triggerFires = (trigger, previous, current) => {
+    if (current === null || previous === null) return false
+    if (trigger.condition === 'rising') return !previous && !!current
+    if (trigger.condition === 'falling') return !!previous && !current
+    const value = trigger.value ?? 0
+    const test = (v) => {
+        switch (trigger.condition) {
+            case '>': return v > value
+            case '<': return v < value
+            case '>=': return v >= value
+            case '<=': return v <= value
+            case '==': return v === value
+            case '!=': return v !== value
+        }
+        return false
+    }
+    return !test(previous) && test(current)
+}
+
+/**
+ * Records the channels of a trace through the DataFetcher.
+ * The fetcher is asked to read the channels every `intervalMs`, a sample is recorded whenever a read
+ * arrives and is stamped with its arrival time, so a slow or failing link leaves gaps instead of
+ * repeated values. Channels not read with the others (a device without batched reads may fetch
+ * them in turns) keep their last value. Until the trigger fires the last `pre` samples are kept
+ * in a ring buffer, after it `post` more samples are recorded and the trace completes. Traces
+ * without a trigger start recording right away.
+ */
+export default class TraceRecorder {
+    /** @type { 'idle' | 'armed' | 'triggered' } */
+    state = 'idle'
+    /** @type { ((result: TraceResult | null) => void) | null } Called with the result once the trace completes */
+    onComplete = null
+
+    /**
+     * @param {import('./Editor.js').VovkPLCEditor} editor
+     */
+    constructor(editor) {
+        this.editor = editor
+        this.fetcher_id = `trace-${Math.random().toString(36).slice(2, 8)}`
+        /** @type {PLC_Trace | null} */
+        this.trace = null
+        /** @type {Array<{ name: string, resolved: any, callback: (data: Uint8Array) => void, value: number | null }>} */
+        this.channels = []
+        /** @type {{ t: number, values: (number | null)[] }[]} */
+        this.samples = []
+        this.triggerIndex = -1
+        this.remaining = 0
+        /** @type {number | null} */
+        this.lastTriggerValue = null
+        this.startTime = 0
+        /** True while a sample of the data delivered in the current task is pending */
+        this.sampling = false
+    }
+
+    /**
+     * Resolve the channels and start sampling
+     * @param {PLC_Trace} trace
+     */
+    start(trace) {
+        this.stop()
+        const fetcher = this.editor.data_fetcher
+        if (!fetcher) throw new Error('Monitoring is not available')
+        if (!trace.channels.length) throw new Error('Add at least one channel')
+        if (trace.channels.length > MAX_TRACE_CHANNELS) throw new Error(`A trace records at most ${MAX_TRACE_CHANNELS} channels`)
+        if (trace.pre + trace.post > MAX_TRACE_SAMPLES) throw new Error(`A trace records at most ${MAX_TRACE_SAMPLES} samples`)
+        if (trace.post < 1) throw new Error('Record at least one sample after the trigger')
+
+        const names = [...trace.channels]
+        if (trace.trigger && !names.includes(trace.trigger.channel)) names.push(trace.trigger.channel)
+        this.channels = names.map(name => {
+            const resolved = fetcher.resolve(name)
+            if (!resolved) throw new Error(`Unknown address or symbol '${name}'`)
+            const channel = { name, resolved, value: null, callback: null }
+            channel.callback = (data) => this._receive(channel, data)
+            return channel
+        })
+        for (const channel of this.channels) {
+            fetcher.register(this.fetcher_id, channel.resolved.address, channel.resolved.size || 1, channel.callback)
+        }
+        fetcher.requestInterval(this.fetcher_id, trace.intervalMs)
+
+        this.trace = trace
+        this.samples = []
+        this.triggerIndex = trace.trigger ? -1 : 0
+        this.remaining = trace.post
+        this.lastTriggerValue = null
+        this.startTime = performance.now()
+        this.sampling = false
+        this.state = trace.trigger ? 'armed' : 'triggered'
+    }
+
+    /** Fire the trigger now, regardless of its condition */
+    forceTrigger() {
+        if (this.state !== 'armed') return
+        this.triggerIndex = this.samples.length
+        this.state = 'triggered'
+    }
+
+    /**
+     * Stop sampling. A trace stopped after its trigger keeps the samples recorded so far.
+     * @returns {TraceResult | null}
+     */
+    stop() {
+        const fetcher = this.editor.data_fetcher
+        if (fetcher && this.channels.length) {
+            fetcher.unregisterAll(this.fetcher_id)
+            fetcher.requestInterval(this.fetcher_id, null)
+        }
+        const result = this.state === 'triggered' ? this._result() : null
+        this.state = 'idle'
+        this.channels = []
+        return result
+    }
+
+    /** Samples recorded so far, for the live view */
+    get progress() {
+        return { samples: this.samples.length, remaining: this.remaining, state: this.state }
+    }
+
+    /**
+     * Update a channel with fetched data. The channels delivered together by one read make one sample.
+     * @param {{ resolved: any, value: number | null }} channel
+     * @param {Uint8Array} data
+     */
+    _receive(channel, data) {
+        const value = decodeTagValue(channel.resolved, data, this.editor.device_manager?.deviceInfo?.isLittleEndian ?? true)
+        channel.value = value === null ? null : Number(value)
+        if (this.sampling) return
+        this.sampling = true
+        const t = performance.now() - this.startTime
+        queueMicrotask(() => {
+            this.sampling = false
+            this._sample(t)
+        })
+    }
+
+    /** @param {number} t - Arrival time of the data in ms since the start */
+    _sample(t) {
+        const trace = this.trace
+        if (!trace || this.state === 'idle') return
+        const values = this.channels.map(c => c.value)
+        this.samples.push({ t, values: values.slice(0, trace.channels.length) })
+
+        if (this.state === 'armed') {
+            const trigger = /** @type {TraceTrigger} */ (trace.trigger)
+            const current = values[this.channels.findIndex(c => c.name === trigger.channel)]
+            if (triggerFires(trigger, this.lastTriggerValue, current)) {
+                this.triggerIndex = this.samples.length - 1
+                this.state = 'triggered'
+            } else if (this.samples.length > trace.pre) {
+                this.samples.shift() // Ring buffer of the pre-trigger samples
+            }
+            this.lastTriggerValue = current
+            if (this.state === 'armed') return
+        }
+
+        this.remaining--
+        if (this.remaining <= 0) {
+            const result = this.stop()
+            this.onComplete?.(result)
+        }
+    }
+
+    /** @returns {TraceResult} */
+    _result() {
+        const trace = /** @type {PLC_Trace} */ (this.trace)
+        const t0 = this.samples[0]?.t || 0
+        return {
+            recordedAt: new Date().toISOString(),
+            triggerIndex: Math.max(0, this.triggerIndex),
+            times: this.samples.map(s => Math.round((s.t - t0) * 10) / 10),
+            values: trace.channels.map((_, i) => this.samples.map(s => s.values[i])),
+        }
+    }
+}
+
+/**
+ * Trace samples as CSV, one row per sample with the time relative to the trigger
+ * @param {PLC_Trace} trace
+ * @returns {string}
+ */
+export const traceToCSV = (trace) => {
+    const result = trace.result
+    if (!result) return ''
+    const t0 = result.times[result.triggerIndex] || 0
+    const rows = [['time_ms', ...trace.channels].join(',')]
+    result.times.forEach((t, i) => {
+        rows.push([Math.round((t - t0) * 10) / 10, ...result.values.map(v => v[i] ?? '')].join(','))
+    })
+    return rows.join('\n') + '\n'
+}
@@ -0,0 +1,104 @@
+import { CSSimporter } from "../../../utils/tools.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./AlarmLogPanel.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/** @param {number | null} t */
+const formatTime = (t) => t ? new Date(t).toLocaleTimeString() : ''
+
+/** @typedef {import('../../../utils/alarms.js').AlarmLogEntry} AlarmLogEntry */
+
+/**
+ * Alarm log in the console, newest entries first. Pending entries (active or not acknowledged)
+ * are highlighted until they are acknowledged and cleared.
+ */
+export default class AlarmLogPanel {
+    /**
+     * @param { import("../../Editor.js").VovkPLCEditor } editor
+     * @param { HTMLElement } container - Console body of the Alarms tab
+     */
+    constructor(editor, container) {
+        this.editor = editor
+        this.container = container
+        this.pendingOnly = false
+        this.render()
+        editor.workspace.addEventListener('plc-alarms-update', () => this.renderLog())
+    }
+
+    get monitor() {
+        return this.editor.alarm_monitor
+    }
+
+    render() {
+        this.container.innerHTML = /*HTML*/`
+            <div class="plc-alarm-log-toolbar">
+                <button class="plc-btn" data-ack-all title="Acknowledge all alarms">Acknowledge All</button>
+                <label class="plc-alarm-log-filter"><input type="checkbox" data-pending-only> Pending only</label>
+                <div style="flex: 1;"></div>
+                <button class="plc-btn" data-export title="Save the alarm log as CSV">Export</button>
+                <button class="plc-btn" data-clear title="Remove cleared and acknowledged alarms">Clear</button>
+                <button class="plc-btn" data-edit title="Edit the alarm definitions">Alarms...</button>
+            </div>
+            <table class="plc-alarm-log">
+                <thead><tr><th>Raised</th><th>Severity</th><th>Class</th><th>Alarm</th><th>Message</th><th>Cleared</th><th>Acknowledged</th></tr></thead>
+                <tbody></tbody>
+            </table>
+        `
+        this.tbody = this.container.querySelector('tbody')
+        this.container.querySelector('[data-ack-all]').addEventListener('click', () => this.monitor?.acknowledgeAll())
+        this.container.querySelector('[data-export]').addEventListener('click', () => this.exportLog())
+        this.container.querySelector('[data-clear]').addEventListener('click', () => this.monitor?.clearLog())
+        this.container.querySelector('[data-edit]').addEventListener('click', () => this.editor.window_manager?.openProgram('alarms'))
+        const filter = /** @type {HTMLInputElement} */ (this.container.querySelector('[data-pending-only]'))
+        filter.addEventListener('change', () => {
+            this.pendingOnly = filter.checked
+            this.renderLog()
+        })
+        this.renderLog()
+    }
+
+    renderLog() {
+        if (!this.tbody) return
+        const monitor = this.monitor
+        /** @type {AlarmLogEntry[]} */
+        const entries = (this.pendingOnly ? monitor?.pending : monitor?.log) || []
+        if (!entries.length) {
+            const hint = monitor?.alarms.length ? 'No alarms raised' : 'No alarms defined, open Alarms... to add some'
+            this.tbody.innerHTML = `<tr><td colspan="7" class="plc-alarm-log-empty">${hint}</td></tr>`
+            return
+        }
+        const rows = entries.slice().reverse()
+        this.tbody.innerHTML = rows.map((entry, index) => /*HTML*/`
+            <tr data-index="${index}" class="${entry.severity}${!entry.cleared ? ' active' : ''}${!entry.acknowledged ? ' unacknowledged' : ''}">
+                <td title="${new Date(entry.raised).toISOString()}">${formatTime(entry.raised)}</td>
+                <td><span class="plc-alarm-log-severity"></span>${entry.severity}</td>
+                <td>${escapeHTML(entry.class)}</td>
+                <td>${escapeHTML(entry.alarm)}</td>
+                <td>${escapeHTML(entry.message)}</td>
+                <td>${entry.cleared ? formatTime(entry.cleared) : 'active'}</td>
+                <td>${entry.acknowledged ? formatTime(entry.acknowledged) : '<button class="plc-alarm-log-ack" title="Acknowledge">Ack</button>'}</td>
+            </tr>
+        `).join('')
+        this.tbody.querySelectorAll('.plc-alarm-log-ack').forEach(button => {
+            const row = button.closest('tr')
+            const entry = rows[Number(row?.getAttribute('data-index'))]
+            button.addEventListener('click', () => entry && monitor?.acknowledge(entry))
+        })
+    }
+
+    exportLog() {
+        const monitor = this.monitor
+        if (!monitor?.log.length) return
+        const blob = new Blob([monitor.exportCSV()], { type: 'text/csv' })
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `alarms_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        URL.revokeObjectURL(url)
+    }
+}
@@ -0,0 +1,256 @@
+import { CSSimporter } from "../../../utils/tools.js"
+import { ALARM_SEVERITIES } from "../../../utils/alarms.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./AlarmsUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Editor for the alarm definitions stored in `project.alarms`.
+ * The alarms are evaluated by the editor's AlarmMonitor, the log is shown in the Alarms console tab.
+ */
+export default class AlarmsUI {
+    id = 'alarms'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'alarms-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleAlarmsUpdate = () => {
+            this.renderStatus()
+            this.renderRowStates()
+        }
+        this.master.workspace.addEventListener('plc-alarms-update', this._handleAlarmsUpdate)
+    }
+
+    close() {
+        if (this.div) this.div.remove()
+        this.master.workspace.removeEventListener('plc-alarms-update', this._handleAlarmsUpdate)
+    }
+
+    get monitor() {
+        return this.master.alarm_monitor
+    }
+
+    /** @returns { import('../../../utils/alarms.js').PLC_Alarm[] } */
+    get alarms() {
+        return this.monitor?.alarms || []
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Alarms</h2>
+                    <p>Raise a message while a fault bit is set or a value is out of range</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body alarms-body">
+                <div class="alarms-toolbar">
+                    <button class="plc-btn alarms-add" title="Add an alarm">+ Add</button>
+                    <button class="plc-btn alarms-log" title="Show the alarm log">Alarm Log</button>
+                    <span class="alarms-status"></span>
+                </div>
+                <div class="alarms-table-wrap">
+                    <table class="alarms-table">
+                        <thead><tr><th>Name</th><th title="'&lt;tag&gt;', 'NOT &lt;tag&gt;' or '&lt;tag&gt; &gt; &lt;value&gt;'">Condition</th><th>Severity</th><th>Class</th><th>Message</th><th>State</th><th></th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.alarms-status')
+        this.add_button = this.div.querySelector('.alarms-add')
+        this.tbody = this.div.querySelector('tbody')
+
+        this.add_button.addEventListener('click', () => this.addAlarm())
+        this.div.querySelector('.alarms-log').addEventListener('click', () => this.master.window_manager?.openAlarmLog?.())
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.renderTable()
+        this.renderStatus()
+    }
+
+    renderStatus() {
+        if (!this.status) return
+        const monitor = this.monitor
+        const invalid = monitor?.errors.size || 0
+        const parts = [`${this.alarms.length} alarm${this.alarms.length === 1 ? '' : 's'}`]
+        if (monitor?.active.size) parts.push(`${monitor.active.size} active`)
+        if (invalid) parts.push(`${invalid} can not be evaluated`)
+        if (!this.monitoringActive) parts.push('alarms are evaluated while monitoring is on')
+        this.status.textContent = parts.join(', ')
+        this.status.classList.toggle('error', invalid > 0)
+    }
+
+    renderTable() {
+        if (!this.tbody) return
+        const disabled = this.locked ? 'disabled' : ''
+        const alarms = this.alarms
+        if (!alarms.length) {
+            this.tbody.innerHTML = `<tr><td colspan="7" class="alarms-empty">No alarms, add one to watch a fault bit or a value</td></tr>`
+            return
+        }
+        this.tbody.innerHTML = alarms.map((alarm, index) => /*HTML*/`
+            <tr data-index="${index}">
+                <td><input type="text" data-field="name" value="${escapeHTML(alarm.name)}" spellcheck="false" ${disabled}></td>
+                <td><input type="text" data-field="condition" value="${escapeHTML(alarm.condition)}" placeholder="M10.0" spellcheck="false" ${disabled}></td>
+                <td><select data-field="severity" ${disabled}>
+                    ${ALARM_SEVERITIES.map(s => `<option value="${s}" ${alarm.severity === s ? 'selected' : ''}>${s}</option>`).join('')}
+                </select></td>
+                <td><input type="text" data-field="class" value="${escapeHTML(alarm.class || '')}" placeholder="Machine" ${disabled}></td>
+                <td class="alarms-message"><input type="text" data-field="message" value="${escapeHTML(alarm.message)}" ${disabled}></td>
+                <td class="alarms-state"></td>
+                <td><button class="alarms-remove" title="Remove alarm" ${disabled}>✕</button></td>
+            </tr>
+        `).join('')
+
+        this.tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const alarm = alarms[Number(row.getAttribute('data-index'))]
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.getAttribute('data-field')
+                    const value = /** @type {HTMLInputElement} */ (input).value.trim()
+                    if (field === 'name') {
+                        // Names are single words in the project text format
+                        const name = value.replace(/\s+/g, '_')
+                        if (!name) {
+                            /** @type {HTMLInputElement} */ (input).value = alarm.name
+                            return
+                        }
+                        alarm.name = this._uniqueName(name, alarm)
+                        /** @type {HTMLInputElement} */ (input).value = alarm.name
+                    } else if (field === 'class') {
+                        if (value) alarm.class = value
+                        else delete alarm.class
+                    } else alarm[field] = value
+                    this._onAlarmsChanged()
+                })
+            })
+            row.querySelector('.alarms-remove').addEventListener('click', () => {
+                alarms.splice(alarms.indexOf(alarm), 1)
+                this._onAlarmsChanged()
+                this.renderTable()
+            })
+        })
+        this.renderRowStates()
+    }
+
+    /** Show which alarms are active and which can not be evaluated */
+    renderRowStates() {
+        const monitor = this.monitor
+        this.tbody?.querySelectorAll('tr[data-index]').forEach(row => {
+            const alarm = this.alarms[Number(row.getAttribute('data-index'))]
+            if (!alarm) return
+            const error = monitor?.errors.get(alarm)
+            const active = !!monitor?.active.has(alarm.name)
+            row.classList.toggle('failed', !!error)
+            row.classList.toggle('active', active)
+            ALARM_SEVERITIES.forEach(s => row.classList.toggle(s, active && (alarm.severity || 'error') === s))
+            const state = row.querySelector('.alarms-state')
+            if (state) {
+                state.textContent = error ? 'invalid' : active ? 'ACTIVE' : ''
+                state.setAttribute('title', error || '')
+            }
+        })
+    }
+
+    addAlarm() {
+        if (this.locked || !this.master.project) return
+        this.alarms.push({ name: this._uniqueName('Alarm'), condition: '', message: '', severity: 'error' })
+        this.renderTable()
+        const inputs = this.tbody.querySelectorAll('[data-field="condition"]')
+        /** @type {HTMLInputElement} */ (inputs[inputs.length - 1])?.focus()
+    }
+
+    /**
+     * @param {string} base
+     * @param {object} [self] - Alarm being renamed
+     */
+    _uniqueName(base, self) {
+        const taken = new Set(this.alarms.filter(a => a !== self).map(a => a.name))
+        if (!taken.has(base)) return base
+        let i = 2
+        while (taken.has(`${base}_${i}`)) i++
+        return `${base}_${i}`
+    }
+
+    _onAlarmsChanged() {
+        this.master.project_manager?.checkAndSave?.()
+        this.monitor?.reload()
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+        this.renderStatus()
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.renderStatus()
+        this.renderRowStates()
+    }
+
+    reloadProgram() {
+        this.renderTable()
+        this.renderStatus()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        if (this.add_button) {
+            if (this.locked) this.add_button.setAttribute('disabled', 'disabled')
+            else this.add_button.removeAttribute('disabled')
+        }
+        this.renderTable()
+    }
+}
@@ -0,0 +1,470 @@
+import { CSSimporter } from "../../../utils/tools.js"
+import { parseCapture, toExchanges, describeExchange, COMMAND_NAMES } from "../../../connection/capture.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./CaptureUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+// The table stays responsive on long captures, the filter narrows it down
+const MAX_ROWS = 2000
+
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`
+
+const hexDump = (bytes) => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ')
+
+/**
+ * @typedef {{ id: string, port: string, startedAt: number, size: number, active: boolean }} CaptureEntry
+ */
+
+/**
+ * Serial traffic captures recorded by the backend, decoded per command.
+ * Captures are started per port on the server, so traffic of every client using the port is recorded.
+ * A capture (stored or opened from a file) can be replayed, the editor then goes online against the
+ * recorded replies instead of a device.
+ */
+export default class CaptureUI {
+    id = 'capture'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type { CaptureEntry[] } */
+    captures = []
+    /** @type { string[] } */
+    ports = []
+    /** @type { string | null } */
+    selectedId = null
+    /** @type { { name: string, capture: import('../../../connection/capture.js').Capture, exchanges: import('../../../connection/capture.js').CaptureExchange[] } | null } */
+    opened = null
+    filter = ''
+    /** @type { number | null } */
+    selectedRow = null
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'capture-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+    }
+
+    close() {
+        this._stopRefresh()
+        if (this.div) this.div.remove()
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Serial Capture</h2>
+                    <p>Record serial traffic on the server, inspect it per command and replay it offline</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body capture-body">
+                <div class="capture-status"></div>
+                <div class="capture-layout">
+                    <div class="capture-sidebar">
+                        <div class="capture-record">
+                            <select class="capture-port" title="Serial port to record"></select>
+                            <button class="plc-btn" data-record title="Record all traffic of the port">Record</button>
+                        </div>
+                        <div class="capture-list"></div>
+                        <div class="capture-actions">
+                            <button class="plc-btn" data-open-file title="Open a capture file from this computer">Open File</button>
+                            <button class="plc-btn" data-refresh title="Reload captures from the server">Refresh</button>
+                        </div>
+                    </div>
+                    <div class="capture-main">
+                        <div class="capture-toolbar">
+                            <span class="capture-title"></span>
+                            <select class="capture-filter" title="Show one command type"></select>
+                            <button class="plc-btn" data-replay title="Go online against the recorded replies">Replay</button>
+                            <button class="plc-btn" data-download title="Save the capture file">Download</button>
+                            <button class="plc-btn" data-delete title="Delete the capture from the server">Delete</button>
+                        </div>
+                        <div class="capture-table-wrap">
+                            <table class="capture-table">
+                                <thead><tr><th>Time</th><th>Type</th><th>Request</th><th>Reply</th><th>Latency</th></tr></thead>
+                                <tbody></tbody>
+                            </table>
+                        </div>
+                        <div class="capture-detail"></div>
+                    </div>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.capture-status')
+        this.list = this.div.querySelector('.capture-list')
+        this.port_select = /** @type {HTMLSelectElement} */ (this.div.querySelector('.capture-port'))
+        this.filter_select = /** @type {HTMLSelectElement} */ (this.div.querySelector('.capture-filter'))
+        this.title = this.div.querySelector('.capture-title')
+        this.rows = this.div.querySelector('.capture-table tbody')
+        this.detail = this.div.querySelector('.capture-detail')
+        this.record_button = this.div.querySelector('[data-record]')
+        this.record_button.addEventListener('click', () => this.toggleRecording())
+        this.port_select.addEventListener('change', () => this._updateButtons())
+        this.div.querySelector('[data-open-file]').addEventListener('click', () => this.openFile())
+        this.div.querySelector('[data-refresh]').addEventListener('click', () => this.loadCaptures())
+        this.div.querySelector('[data-replay]').addEventListener('click', () => this.replay())
+        this.div.querySelector('[data-download]').addEventListener('click', () => this.download())
+        this.div.querySelector('[data-delete]').addEventListener('click', () => this.deleteCapture())
+        this.filter_select.addEventListener('change', () => {
+            this.filter = this.filter_select.value
+            this.selectedRow = null
+            this.renderTable()
+        })
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.setLocked(this.locked)
+        this.loadCaptures()
+        this.loadPorts()
+        this.renderTable()
+        this._startRefresh()
+    }
+
+    // ─── Server API ──────────────────────────────────────────────────────
+
+    /**
+     * @param {string} path
+     * @param {RequestInit} [init]
+     */
+    async _request(path, init) {
+        const response = await fetch(`/api/captures${path}`, init)
+        let data = null
+        try {
+            data = await response.json()
+        } catch {
+            throw new Error(response.status === 404 ? 'Capture API not available' : `HTTP ${response.status}`)
+        }
+        if (!data.ok) throw new Error(data.error || `HTTP ${response.status}`)
+        return data
+    }
+
+    async loadCaptures() {
+        try {
+            const data = await this._request('')
+            this.captures = data.captures
+            this._setStatus('')
+        } catch (err) {
+            this.captures = []
+            this._setStatus(`${err.message}. Recording needs the backend server, capture files can still be opened.`, true)
+        }
+        this.renderList()
+    }
+
+    async loadPorts() {
+        try {
+            const response = await fetch('/api/serial/ports')
+            const data = await response.json()
+            this.ports = data.ok ? data.ports.map(p => p.path) : []
+        } catch {
+            this.ports = []
+        }
+        // The port the editor is connected through comes first
+        const options = this.master.device_manager?.options
+        const current = options?.target === 'socket-serial' ? options.portPath : null
+        if (current) this.ports = [current, ...this.ports.filter(p => p !== current)]
+        this.port_select.innerHTML = this.ports.length
+            ? this.ports.map(p => `<option value="${escapeHTML(p)}">${escapeHTML(p)}</option>`).join('')
+            : '<option value="">No serial ports</option>'
+        this._updateButtons()
+    }
+
+    async toggleRecording() {
+        if (this.locked) return
+        const path = this.port_select.value
+        if (!path) return
+        const recording = this.captures.some(c => c.active && c.port === path)
+        try {
+            const data = await this._request(recording ? '/stop' : '/start', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ path }),
+            })
+            this.selectedId = data.id
+            this._setStatus(recording ? `Stopped recording ${path}` : `Recording ${path}, all traffic on the port is captured until stopped`)
+            await this.loadCaptures()
+            if (recording) await this.openCapture(data.id)
+        } catch (err) {
+            this._setStatus(`Failed to ${recording ? 'stop' : 'start'} recording: ${err.message}`, true)
+        }
+    }
+
+    /** @param {string} id */
+    async openCapture(id) {
+        this.selectedId = id
+        this.renderList()
+        try {
+            const response = await fetch(`/api/captures/${encodeURIComponent(id)}`)
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}))
+                throw new Error(data.error || `HTTP ${response.status}`)
+            }
+            this._show(id, await response.text())
+        } catch (err) {
+            this._setStatus(`Failed to open capture: ${err.message}`, true)
+        }
+    }
+
+    openFile() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = '.jsonl,.json,.txt'
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0]
+            if (!file) return
+            this.selectedId = null
+            this.renderList()
+            try {
+                this._show(file.name.replace(/\.[^.]+$/, ''), await file.text())
+            } catch (err) {
+                this._setStatus(`Failed to open ${file.name}: ${err.message}`, true)
+            }
+        })
+        input.click()
+    }
+
+    async deleteCapture() {
+        const id = this.selectedId
+        if (this.locked || !id || !this.opened) return
+        if (!confirm(`Delete capture '${id}' from the server?`)) return
+        try {
+            await this._request(`/${encodeURIComponent(id)}`, { method: 'DELETE' })
+            this.selectedId = null
+            this.opened = null
+            this._setStatus(`Deleted capture '${id}'`)
+            this.renderTable()
+            await this.loadCaptures()
+        } catch (err) {
+            this._setStatus(`Failed to delete capture: ${err.message}`, true)
+        }
+    }
+
+    download() {
+        if (!this.opened) return
+        const { capture, name } = this.opened
+        const lines = [
+            JSON.stringify({ port: capture.port, startedAt: capture.startedAt }),
+            ...capture.records.map(r => JSON.stringify({ t: r.t, dir: r.dir, data: r.data.map(b => b.toString(16).padStart(2, '0')).join('') })),
+        ]
+        const blob = new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' })
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${name}.jsonl`
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        URL.revokeObjectURL(url)
+    }
+
+    async replay() {
+        if (!this.opened) return
+        const window_manager = this.master.window_manager
+        if (typeof window_manager?.replayCapture !== 'function') return
+        await window_manager.replayCapture(this.opened.capture, this.opened.name)
+    }
+
+    // ─── Capture list and table ──────────────────────────────────────────
+
+    /**
+     * @param {string} name
+     * @param {string} text - Capture file contents
+     */
+    _show(name, text) {
+        const capture = parseCapture(text)
+        this.opened = { name, capture, exchanges: toExchanges(capture.records) }
+        this.filter = ''
+        this.selectedRow = null
+        this._setStatus('')
+        this.renderTable()
+    }
+
+    renderList() {
+        if (!this.list) return
+        if (!this.captures.length) {
+            this.list.innerHTML = `<div class="capture-empty">No captures on the server</div>`
+        } else {
+            this.list.innerHTML = this.captures.map(c => /*HTML*/`
+                <div class="capture-item${c.id === this.selectedId ? ' selected' : ''}" data-id="${escapeHTML(c.id)}" title="${escapeHTML(c.id)}">
+                    <span class="capture-state${c.active ? ' recording' : ''}"></span>
+                    <span class="capture-name">${escapeHTML(c.port)}<small>${new Date(c.startedAt).toLocaleString()}</small></span>
+                    <span class="capture-size">${c.active ? 'recording' : formatSize(c.size)}</span>
+                </div>
+            `).join('')
+        }
+        this.list.querySelectorAll('.capture-item').forEach(item => {
+            item.addEventListener('click', () => this.openCapture(item.getAttribute('data-id') || ''))
+        })
+        this._updateButtons()
+    }
+
+    renderTable() {
+        if (!this.rows) return
+        const opened = this.opened
+        if (!opened) {
+            this.title.textContent = 'No capture open'
+            this.filter_select.innerHTML = ''
+            this.rows.innerHTML = `<tr><td colspan="5" class="capture-empty">Select a capture or open a capture file</td></tr>`
+            this.detail.innerHTML = ''
+            this._updateButtons()
+            return
+        }
+
+        const counts = {}
+        for (const e of opened.exchanges) counts[e.type] = (counts[e.type] || 0) + 1
+        this.title.textContent = `${opened.capture.port || opened.name} · ${opened.exchanges.length} commands`
+        this.filter_select.innerHTML = [
+            `<option value="">All commands</option>`,
+            ...Object.keys(counts).sort().map(type => `<option value="${escapeHTML(type)}">${escapeHTML(type)} ${escapeHTML(COMMAND_NAMES[type] || '')} (${counts[type]})</option>`),
+        ].join('')
+        this.filter_select.value = this.filter
+
+        const shown = opened.exchanges
+            .map((exchange, index) => ({ exchange, index }))
+            .filter(({ exchange }) => !this.filter || exchange.type === this.filter)
+        const rows = shown.slice(0, MAX_ROWS).map(({ exchange, index }) => {
+            const { request, reply, error } = describeExchange(exchange)
+            const latency = exchange.replyAt === null ? '' : `${exchange.replyAt - exchange.t} ms`
+            return /*HTML*/`
+                <tr data-index="${index}" class="${error ? 'error' : ''}${index === this.selectedRow ? ' selected' : ''}">
+                    <td>${(exchange.t / 1000).toFixed(3)} s</td>
+                    <td title="${escapeHTML(COMMAND_NAMES[exchange.type] || '')}">${escapeHTML(exchange.type)}</td>
+                    <td>${escapeHTML(request)}</td>
+                    <td>${escapeHTML(reply)}</td>
+                    <td>${latency}</td>
+                </tr>
+            `
+        })
+        if (shown.length > MAX_ROWS) rows.push(`<tr><td colspan="5" class="capture-empty">${shown.length - MAX_ROWS} more, filter by command type to see them</td></tr>`)
+        this.rows.innerHTML = rows.join('') || `<tr><td colspan="5" class="capture-empty">No traffic recorded</td></tr>`
+        this.rows.querySelectorAll('tr[data-index]').forEach(row => {
+            row.addEventListener('click', () => {
+                this.selectedRow = Number(row.getAttribute('data-index'))
+                this.rows.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'))
+                row.classList.add('selected')
+                this.renderDetail()
+            })
+        })
+        this.renderDetail()
+        this._updateButtons()
+    }
+
+    renderDetail() {
+        const exchange = this.selectedRow === null ? null : this.opened?.exchanges[this.selectedRow]
+        if (!exchange) {
+            this.detail.innerHTML = ''
+            return
+        }
+        const text = (bytes) => escapeHTML(new TextDecoder().decode(new Uint8Array(bytes)))
+        this.detail.innerHTML = /*HTML*/`
+            <div><b>Request</b> ${exchange.request.length} bytes</div>
+            <pre>${text(exchange.request)}</pre>
+            <pre class="capture-hex">${hexDump(exchange.request)}</pre>
+            <div><b>Reply</b> ${exchange.reply.length} bytes</div>
+            <pre>${text(exchange.reply)}</pre>
+            <pre class="capture-hex">${hexDump(exchange.reply)}</pre>
+        `
+    }
+
+    _updateButtons() {
+        const toggle = (selector, enabled) => {
+            const button = this.div.querySelector(selector)
+            if (!button) return
+            if (enabled) button.removeAttribute('disabled')
+            else button.setAttribute('disabled', 'disabled')
+        }
+        const path = this.port_select?.value
+        const recording = this.captures.some(c => c.active && c.port === path)
+        if (this.record_button) this.record_button.textContent = recording ? 'Stop' : 'Record'
+        toggle('[data-record]', !this.locked && !!path)
+        toggle('[data-replay]', !!this.opened?.exchanges.length)
+        toggle('[data-download]', !!this.opened)
+        const stored = this.captures.find(c => c.id === this.selectedId)
+        toggle('[data-delete]', !this.locked && !!this.opened && !!stored && !stored.active)
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [error]
+     */
+    _setStatus(text, error = false) {
+        if (!this.status) return
+        this.status.textContent = text || 'Recording runs on the server for every client using the port, credentials of AU commands are masked.'
+        this.status.classList.toggle('error', !!(text && error))
+    }
+
+    _startRefresh() {
+        this._stopRefresh()
+        // Sizes of running captures follow the server while the window is visible
+        this._refreshTimer = setInterval(() => {
+            if (!this.hidden && this.captures.some(c => c.active)) this.loadCaptures()
+        }, 5000)
+    }
+
+    _stopRefresh() {
+        if (this._refreshTimer) clearInterval(this._refreshTimer)
+        this._refreshTimer = null
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.loadCaptures()
+    }
+
+    reloadProgram() {
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        this._updateButtons()
+    }
+}
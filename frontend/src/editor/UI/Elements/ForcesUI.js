@@ -0,0 +1,307 @@
+import { CSSimporter, decodeTagValue } from "../../../utils/tools.js"
+import { FORCE_TYPES } from "../../../utils/forces.js"
+import { WATCH_TYPE_SIZES } from "../../../utils/watch-tables.js"
+import { EDITOR_FORCE_INTERVAL_MS } from "../../ForceManager.js"
+import { Popup } from "./components/popup.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./ForcesUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Editor for the force table stored in `project.forces`, applied by the editor's ForceManager.
+ * The table is saved with the project, forcing itself is switched on per session.
+ */
+export default class ForcesUI {
+    id = 'forces'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    fetcher_id = 'forces-ui'
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'forces-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.renderStatus()
+        this._handleForcesUpdate = () => {
+            this.renderStatus()
+            this.renderRowStates()
+        }
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+        this.master.workspace.addEventListener('plc-forces-update', this._handleForcesUpdate)
+    }
+
+    close() {
+        this.master.data_fetcher?.unregisterAll(this.fetcher_id)
+        if (this.div) this.div.remove()
+        this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        this.master.workspace.removeEventListener('plc-forces-update', this._handleForcesUpdate)
+    }
+
+    get manager() {
+        return this.master.force_manager
+    }
+
+    /** @returns { import('../../../utils/forces.js').PLC_Force[] } */
+    get forces() {
+        return this.manager?.forces || []
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Force Table</h2>
+                    <p>Hold inputs and outputs at a value while the program and the I/O scan run</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body forces-body">
+                <div class="forces-toolbar">
+                    <button class="plc-btn forces-toggle"></button>
+                    <button class="plc-btn forces-add" title="Add a force">+ Add</button>
+                    <span class="forces-status"></span>
+                </div>
+                <div class="forces-table-wrap">
+                    <table class="forces-table">
+                        <thead><tr><th title="Apply this force">On</th><th>Address / Symbol</th><th>Type</th><th>Force Value</th><th>Live</th><th>Comment</th><th></th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.forces-status')
+        this.toggle_button = this.div.querySelector('.forces-toggle')
+        this.add_button = this.div.querySelector('.forces-add')
+        this.tbody = this.div.querySelector('tbody')
+
+        this.toggle_button.addEventListener('click', () => this.toggleForcing())
+        this.add_button.addEventListener('click', () => this.addForce())
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.renderTable()
+        this.renderStatus()
+    }
+
+    renderStatus(message = '', isError = false) {
+        if (!this.status) return
+        const manager = this.manager
+        const connected = !!this.master.device_manager?.connected
+        const active = !!manager?.active
+        this.toggle_button.textContent = active ? 'Stop Forcing' : 'Start Forcing'
+        this.toggle_button.classList.toggle('active', active)
+        if (connected || active) this.toggle_button.removeAttribute('disabled')
+        else this.toggle_button.setAttribute('disabled', 'disabled')
+
+        this.status.classList.toggle('error', isError)
+        if (message) {
+            this.status.textContent = message
+        } else if (active) {
+            this.status.textContent = manager.mode === 'editor'
+                ? `${manager.count} forced. The device has no force support, the editor rewrites the values every ${EDITOR_FORCE_INTERVAL_MS} ms.`
+                : `${manager.count} forced. The runtime holds the values on every scan cycle.`
+        } else {
+            this.status.textContent = connected
+                ? 'Forcing is off. Enabled rows are applied when forcing starts.'
+                : 'Connect to a device to force values.'
+        }
+        this.div.classList.toggle('forcing', active)
+    }
+
+    renderTable() {
+        if (!this.tbody) return
+        const disabled = this.locked ? 'disabled' : ''
+        const forces = this.forces
+        if (!forces.length) {
+            this.tbody.innerHTML = `<tr><td colspan="7" class="forces-empty">No forces, add an address or symbol to hold it at a value</td></tr>`
+            this._registerLive()
+            return
+        }
+        this.tbody.innerHTML = forces.map((force, index) => /*HTML*/`
+            <tr data-index="${index}">
+                <td><input type="checkbox" data-field="enabled" ${force.enabled ? 'checked' : ''} ${disabled}></td>
+                <td><input type="text" data-field="name" value="${escapeHTML(force.name)}" placeholder="X0.0" spellcheck="false" ${disabled}></td>
+                <td><select data-field="type" ${disabled}>
+                    <option value="" ${!force.type ? 'selected' : ''}>auto</option>
+                    ${FORCE_TYPES.map(t => `<option value="${t}" ${force.type === t ? 'selected' : ''}>${t}</option>`).join('')}
+                </select></td>
+                <td><input type="text" data-field="value" value="${escapeHTML(force.value)}" placeholder="1" spellcheck="false" ${disabled}></td>
+                <td class="forces-live">-</td>
+                <td><input type="text" data-field="comment" value="${escapeHTML(force.comment || '')}" ${disabled}></td>
+                <td><button class="forces-remove" title="Remove force" ${disabled}>✕</button></td>
+            </tr>
+        `).join('')
+
+        this.tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const force = forces[Number(row.getAttribute('data-index'))]
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.getAttribute('data-field')
+                    const value = /** @type {HTMLInputElement} */ (input)
+                    if (field === 'enabled') force.enabled = value.checked
+                    else if (field === 'type') {
+                        if (value.value) force.type = value.value
+                        else delete force.type
+                    } else if (field === 'comment') {
+                        if (value.value.trim()) force.comment = value.value.trim()
+                        else delete force.comment
+                    } else force[field] = value.value.trim()
+                    this._onForcesChanged(field === 'name')
+                })
+            })
+            row.querySelector('.forces-remove').addEventListener('click', () => {
+                forces.splice(forces.indexOf(force), 1)
+                this._onForcesChanged(true)
+            })
+        })
+        this.renderRowStates()
+        this._registerLive()
+    }
+
+    /** Mark the rows that are forced right now and the ones that could not be applied */
+    renderRowStates() {
+        const manager = this.manager
+        this.tbody?.querySelectorAll('tr[data-index]').forEach(row => {
+            const force = this.forces[Number(row.getAttribute('data-index'))]
+            if (!force) return
+            const error = manager?.errors.get(force)
+            row.classList.toggle('failed', !!error)
+            row.classList.toggle('forced', !!manager?.active && force.enabled && !error)
+            row.setAttribute('title', error ? `Not forced: ${error}` : '')
+        })
+    }
+
+    async addForce() {
+        if (this.locked || !this.master.project) return
+        this.forces.push({ name: '', value: '', enabled: true })
+        this.renderTable()
+        const inputs = this.tbody.querySelectorAll('[data-field="name"]')
+        /** @type {HTMLInputElement} */ (inputs[inputs.length - 1])?.focus()
+    }
+
+    async toggleForcing() {
+        const manager = this.manager
+        if (!manager) return
+        try {
+            if (manager.active) {
+                await manager.stop()
+                return
+            }
+            const enabled = this.forces.filter(f => f.enabled && f.name)
+            const confirmed = await Popup.confirm({
+                title: 'Start Forcing',
+                description: `Hold ${enabled.length} value${enabled.length === 1 ? '' : 's'} on the device regardless of the program and the I/O scan?\nForced outputs switch real equipment.`,
+                confirm_text: 'Force',
+                confirm_button_color: '#e8a317',
+                confirm_text_color: 'black',
+                cancel_text: 'Cancel',
+            })
+            if (!confirmed) return
+            await manager.start()
+        } catch (e) {
+            this.renderStatus(`Forcing failed: ${e.message || e}`, true)
+        }
+    }
+
+    /** @param {boolean} [addressesChanged] - Re-register the live values */
+    _onForcesChanged(addressesChanged = false) {
+        this.master.project_manager?.checkAndSave?.()
+        if (addressesChanged) this.renderTable()
+        this.manager?.apply().catch(e => this.renderStatus(`Forcing stopped: ${e.message || e}`, true))
+    }
+
+    /** Read the current values of the forced tags through the DataFetcher */
+    _registerLive() {
+        const fetcher = this.master.data_fetcher
+        if (!fetcher) return
+        fetcher.unregisterAll(this.fetcher_id)
+        if (this.hidden) return
+        const isLittleEndian = () => this.master.device_manager?.deviceInfo?.isLittleEndian ?? true
+        this.tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            const force = this.forces[Number(row.getAttribute('data-index'))]
+            const cell = row.querySelector('.forces-live')
+            const resolved = force?.name ? fetcher.resolve(force.name) : null
+            if (!resolved || !cell) return
+            const size = (force.type && WATCH_TYPE_SIZES[force.type]) || resolved.size || 1
+            // Bits without a bit number are forced on bit 0, see utils/forces.js
+            const tag = { type: force.type || resolved.type, bit: resolved.bit ?? 0 }
+            fetcher.register(this.fetcher_id, resolved.address, size, (data) => {
+                if (!data.length) return
+                const value = decodeTagValue(tag, data, isLittleEndian())
+                if (tag.type === 'bit' || tag.type === 'bool') cell.textContent = value ? 'ON' : 'OFF'
+                else cell.textContent = value === null ? '-' : String(value)
+            })
+        })
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+        this.master.data_fetcher?.unregisterAll(this.fetcher_id)
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.renderStatus()
+        this._registerLive()
+    }
+
+    reloadProgram() {
+        this.renderTable()
+        this.renderStatus()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        if (this.add_button) {
+            if (this.locked) this.add_button.setAttribute('disabled', 'disabled')
+            else this.add_button.removeAttribute('disabled')
+        }
+        this.renderTable()
+    }
+}
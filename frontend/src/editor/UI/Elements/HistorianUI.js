@@ -0,0 +1,530 @@
+import { CSSimporter, generateID } from "../../../utils/tools.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./HistorianUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const RANGES = [
+    { label: '15m', ms: 15 * 60 * 1000 },
+    { label: '1h', ms: 60 * 60 * 1000 },
+    { label: '6h', ms: 6 * 60 * 60 * 1000 },
+    { label: '24h', ms: 24 * 60 * 60 * 1000 },
+    { label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+]
+
+const SERIES_COLORS = ['#4fc1ff', '#f0a04b', '#89d185', '#c586c0', '#f48771', '#dcdcaa', '#9cdcfe', '#ce9178']
+
+/**
+ * @typedef {{ type: 'serial', path: string, baudRate: number } | { type: 'network', host: string, port: number }} HistorianTarget
+ * @typedef {{ name: string, address: number, size: number, type: string, bit?: number | null }} HistorianTag
+ * @typedef {{
+ *     id: string, name: string, enabled: boolean, target: HistorianTarget, tags: HistorianTag[],
+ *     intervalMs: number, retentionDays: number, littleEndian?: boolean, binary?: boolean, multi?: boolean,
+ *     status?: { running: boolean, samples: number, lastSample: number | null, error: string | null }
+ * }} HistorianJob
+ */
+
+/**
+ * Logging jobs of the backend historian and a plot of their logged samples.
+ * Jobs live on the server (not in the project) so they keep running without an open editor,
+ * new jobs take their target and device flags from the current connection.
+ */
+export default class HistorianUI {
+    id = 'historian'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type { HistorianJob[] } */
+    jobs = []
+    /** @type { string | null } */
+    selectedId = null
+    rangeMs = RANGES[1].ms
+    /** @type { Record<string, [number, number][]> } */
+    series = {}
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'historian-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.renderEditor()
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+    }
+
+    close() {
+        this._stopRefresh()
+        if (this.div) this.div.remove()
+        if (this._handleDeviceUpdate) {
+            this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        }
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Historian</h2>
+                    <p>Log tags to disk on the server and browse their history</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body historian-body">
+                <div class="historian-status"></div>
+                <div class="historian-layout">
+                    <div class="historian-sidebar">
+                        <div class="historian-list"></div>
+                        <div class="historian-actions">
+                            <button class="plc-btn" data-add-job title="Log tags of the connected device">+ Job</button>
+                            <button class="plc-btn" data-refresh title="Reload jobs from the server">Refresh</button>
+                        </div>
+                    </div>
+                    <div class="historian-main">
+                        <div class="historian-job"></div>
+                        <div class="historian-chart">
+                            <div class="historian-chart-toolbar">
+                                ${RANGES.map(r => `<button class="plc-btn${r.ms === this.rangeMs ? ' active' : ''}" data-range="${r.ms}">${r.label}</button>`).join('')}
+                                <span class="historian-legend"></span>
+                            </div>
+                            <canvas class="historian-canvas"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.historian-status')
+        this.list = this.div.querySelector('.historian-list')
+        this.editor = this.div.querySelector('.historian-job')
+        this.legend = this.div.querySelector('.historian-legend')
+        this.canvas = /** @type {HTMLCanvasElement} */ (this.div.querySelector('.historian-canvas'))
+        this.add_button = this.div.querySelector('[data-add-job]')
+        this.add_button.addEventListener('click', () => this.addJob())
+        this.div.querySelector('[data-refresh]').addEventListener('click', () => this.loadJobs())
+        this.div.querySelectorAll('[data-range]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.rangeMs = Number(btn.getAttribute('data-range'))
+                this.div.querySelectorAll('[data-range]').forEach(b => b.classList.toggle('active', b === btn))
+                this.loadSamples()
+            })
+        })
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.setLocked(this.locked)
+        this.loadJobs()
+        this._startRefresh()
+    }
+
+    // ─── Server API ──────────────────────────────────────────────────────
+
+    /**
+     * @param {string} path
+     * @param {RequestInit} [init]
+     */
+    async _request(path, init) {
+        const response = await fetch(`/api/historian${path}`, init)
+        let data = null
+        try {
+            data = await response.json()
+        } catch {
+            throw new Error(response.status === 404 ? 'Historian API not available' : `HTTP ${response.status}`)
+        }
+        if (!data.ok) throw new Error(data.error || `HTTP ${response.status}`)
+        return data
+    }
+
+    async loadJobs() {
+        try {
+            const data = await this._request('/jobs')
+            // Keep unsaved local jobs selected while the list refreshes
+            const drafts = this.jobs.filter(j => !j.status && !data.jobs.some(s => s.id === j.id))
+            this.jobs = [...data.jobs, ...drafts]
+            this._setStatus('')
+        } catch (err) {
+            this._setStatus(`${err.message}. The historian needs the backend server.`, true)
+        }
+        if (!this.jobs.find(j => j.id === this.selectedId)) this.selectedId = this.jobs[0]?.id || null
+        this.renderList()
+        this.loadSamples()
+    }
+
+    async loadSamples() {
+        const job = this._selected()
+        if (!job?.status) {
+            this.series = {}
+            this.drawChart()
+            return
+        }
+        const to = Date.now()
+        const from = to - this.rangeMs
+        const maxPoints = Math.max(200, Math.round(this.canvas.clientWidth || 800))
+        try {
+            const data = await this._request(`/jobs/${encodeURIComponent(job.id)}/samples?from=${from}&to=${to}&maxPoints=${maxPoints}`)
+            this.series = data.series || {}
+            this._range = { from, to }
+        } catch (err) {
+            this.series = {}
+            this._setStatus(err.message, true)
+        }
+        this.drawChart()
+    }
+
+    /** @param {HistorianJob} job */
+    async saveJob(job) {
+        const { status, ...body } = job
+        try {
+            await this._request(`/jobs/${encodeURIComponent(job.id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            })
+            this._setStatus(`Saved job '${job.name}'`)
+            this._renderedId = null
+            await this.loadJobs()
+        } catch (err) {
+            this._setStatus(`Failed to save job: ${err.message}`, true)
+        }
+    }
+
+    /** @param {HistorianJob} job */
+    async deleteJob(job) {
+        if (this.locked) return
+        if (job.status) {
+            const purge = confirm(`Delete job '${job.name}'?\n\nOK also deletes its logged samples, Cancel keeps them on the server.`)
+            try {
+                await this._request(`/jobs/${encodeURIComponent(job.id)}${purge ? '?purge=1' : ''}`, { method: 'DELETE' })
+            } catch (err) {
+                this._setStatus(`Failed to delete job: ${err.message}`, true)
+                return
+            }
+        }
+        this.jobs = this.jobs.filter(j => j !== job)
+        this.selectedId = this.jobs[0]?.id || null
+        this._renderedId = null
+        await this.loadJobs()
+    }
+
+    // ─── Job list and editor ─────────────────────────────────────────────
+
+    /** Historian target and device flags of the current connection, null when it is not a backend link */
+    _currentTarget() {
+        const device_manager = this.master.device_manager
+        const options = device_manager?.options
+        if (!device_manager?.connected || !options) return null
+        /** @type {HistorianTarget | null} */
+        let target = null
+        if (options.target === 'socket-serial' && options.portPath) {
+            target = { type: 'serial', path: options.portPath, baudRate: options.baudrate || 115200 }
+        } else if (options.target === 'socket-network') {
+            target = { type: 'network', host: options.host, port: options.port }
+        }
+        if (!target) return null
+        const connection = /** @type {any} */ (device_manager.connection)
+        return {
+            target,
+            littleEndian: device_manager.deviceInfo?.isLittleEndian ?? true,
+            binary: !!connection?.binaryFraming,
+            multi: !!connection?.supportsMultiRead,
+        }
+    }
+
+    addJob() {
+        if (this.locked) return
+        const current = this._currentTarget()
+        if (!current) {
+            this._setStatus('Connect to a device through the backend (serial or network) to add a job.', true)
+            return
+        }
+        /** @type {HistorianJob} */
+        const job = {
+            id: generateID(),
+            name: `Job ${this.jobs.length + 1}`,
+            enabled: true,
+            tags: [],
+            intervalMs: 1000,
+            retentionDays: 7,
+            ...current,
+        }
+        this.jobs.push(job)
+        this.selectedId = job.id
+        this._renderedId = null
+        this.renderList()
+        this.loadSamples()
+    }
+
+    _selected() {
+        return this.jobs.find(j => j.id === this.selectedId) || null
+    }
+
+    /** @param {HistorianTarget} target */
+    _targetLabel(target) {
+        return target.type === 'serial' ? `${target.path} @ ${target.baudRate}` : `${target.host}:${target.port}`
+    }
+
+    renderList() {
+        if (!this.list) return
+        if (!this.jobs.length) {
+            this.list.innerHTML = `<div class="historian-empty">No logging jobs</div>`
+        } else {
+            this.list.innerHTML = this.jobs.map(job => {
+                const status = job.status
+                const state = !status ? 'draft' : status.error ? 'error' : status.running ? 'running' : 'stopped'
+                return /*HTML*/`
+                    <div class="historian-item${job.id === this.selectedId ? ' selected' : ''}" data-id="${escapeHTML(job.id)}" title="${escapeHTML(status?.error || this._targetLabel(job.target))}">
+                        <span class="historian-state ${state}"></span>
+                        <span class="historian-name">${escapeHTML(job.name)}</span>
+                        <span class="historian-count">${status ? status.samples : 'unsaved'}</span>
+                    </div>
+                `
+            }).join('')
+        }
+        this.list.querySelectorAll('.historian-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.selectedId === item.getAttribute('data-id')) return
+                this.selectedId = item.getAttribute('data-id')
+                this._renderedId = null
+                this.renderList()
+                this.loadSamples()
+            })
+        })
+        this.renderEditor()
+    }
+
+    renderEditor() {
+        if (!this.editor) return
+        const job = this._selected()
+        if (!job) {
+            this._renderedId = null
+            this.editor.innerHTML = `<div class="historian-empty">Add a job to log tags of the connected device on the server</div>`
+            return
+        }
+        if (this._renderedId === job.id && this.editor.contains(document.activeElement)) return
+        this._renderedId = job.id
+        const disabled = this.locked ? 'disabled' : ''
+        const current = this._currentTarget()
+
+        this.editor.innerHTML = /*HTML*/`
+            <div class="historian-form">
+                <label>Name <input type="text" data-field="name" value="${escapeHTML(job.name)}" ${disabled}></label>
+                <label>Interval (ms) <input type="number" data-field="intervalMs" min="100" step="100" value="${job.intervalMs}" ${disabled}></label>
+                <label>Retention (days) <input type="number" data-field="retentionDays" min="1" value="${job.retentionDays}" ${disabled}></label>
+                <label class="historian-enabled"><input type="checkbox" data-field="enabled" ${job.enabled ? 'checked' : ''} ${disabled}> Enabled</label>
+            </div>
+            <div class="historian-target">
+                Target: <code>${escapeHTML(this._targetLabel(job.target))}</code>
+                <button class="plc-btn" data-use-current ${current && !this.locked ? '' : 'disabled'} title="Log from the device the editor is connected to">Use current connection</button>
+            </div>
+            ${job.status?.error ? `<div class="historian-error">${escapeHTML(job.status.error)}</div>` : ''}
+            <textarea class="historian-tags" spellcheck="false" placeholder="One symbol or address per line, e.g. X2, Y0.0, DB1.speed" ${disabled}>${escapeHTML(job.tags.map(t => t.name).join('\n'))}</textarea>
+            <div class="historian-job-actions">
+                <button class="plc-btn" data-save ${disabled}>Save</button>
+                <button class="plc-btn" data-delete ${disabled}>Delete</button>
+            </div>
+        `
+
+        const textarea = /** @type {HTMLTextAreaElement} */ (this.editor.querySelector('.historian-tags'))
+        this.editor.querySelector('[data-use-current]').addEventListener('click', () => {
+            const latest = this._currentTarget()
+            if (!latest) return
+            Object.assign(job, latest)
+            this._renderedId = null
+            this.renderEditor()
+        })
+        this.editor.querySelector('[data-save]').addEventListener('click', () => {
+            const form = {}
+            this.editor.querySelectorAll('[data-field]').forEach(input => {
+                const el = /** @type {HTMLInputElement} */ (input)
+                const field = el.getAttribute('data-field')
+                form[field] = el.type === 'checkbox' ? el.checked : el.type === 'number' ? Number(el.value) : el.value.trim()
+            })
+            const tags = this._resolveTags(textarea.value)
+            if (!tags) return
+            this.saveJob({ ...job, ...form, name: form.name || job.name, tags })
+        })
+        this.editor.querySelector('[data-delete]').addEventListener('click', () => this.deleteJob(job))
+    }
+
+    /**
+     * Resolve the tag lines against the open project, the server only knows addresses
+     * @param {string} text
+     * @returns {HistorianTag[] | null}
+     */
+    _resolveTags(text) {
+        const names = [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))]
+        /** @type {HistorianTag[]} */
+        const tags = []
+        for (const name of names) {
+            const resolved = this.master.data_fetcher?.resolve(name)
+            if (!resolved) {
+                this._setStatus(`Unknown address or symbol '${name}'`, true)
+                return null
+            }
+            tags.push({ name, address: resolved.address, size: resolved.size, type: resolved.type, bit: resolved.bit ?? null })
+        }
+        if (!tags.length) {
+            this._setStatus('Add at least one tag to log', true)
+            return null
+        }
+        return tags
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [error]
+     */
+    _setStatus(text, error = false) {
+        if (!this.status) return
+        this.status.textContent = text || 'Jobs run on the server and keep logging while the editor is closed.'
+        this.status.classList.toggle('error', !!(text && error))
+    }
+
+    // ─── Chart ───────────────────────────────────────────────────────────
+
+    drawChart() {
+        const canvas = this.canvas
+        if (!canvas || this.hidden) return
+        const width = canvas.clientWidth
+        const height = canvas.clientHeight
+        if (!width || !height) return
+        const scale = window.devicePixelRatio || 1
+        canvas.width = Math.round(width * scale)
+        canvas.height = Math.round(height * scale)
+        const ctx = canvas.getContext('2d')
+        if (!ctx) return
+        ctx.setTransform(scale, 0, 0, scale, 0, 0)
+        ctx.clearRect(0, 0, width, height)
+        ctx.font = '10px consolas, monospace'
+
+        const names = Object.keys(this.series)
+        this.legend.innerHTML = names.map((name, i) => `<span style="color:${SERIES_COLORS[i % SERIES_COLORS.length]}">■ ${escapeHTML(name)}</span>`).join('')
+        const points = names.flatMap(name => this.series[name])
+        if (!points.length || !this._range) {
+            ctx.fillStyle = '#666'
+            ctx.fillText('No samples in this range', 10, 20)
+            return
+        }
+
+        let min = Math.min(...points.map(p => p[1]))
+        let max = Math.max(...points.map(p => p[1]))
+        if (min === max) {
+            min -= 1
+            max += 1
+        }
+        const { from, to } = this._range
+        const pad = { left: 50, right: 10, top: 10, bottom: 20 }
+        const plotW = width - pad.left - pad.right
+        const plotH = height - pad.top - pad.bottom
+        const x = (t) => pad.left + ((t - from) / (to - from)) * plotW
+        const y = (v) => pad.top + (1 - (v - min) / (max - min)) * plotH
+
+        // Axes and labels
+        ctx.strokeStyle = '#333'
+        ctx.fillStyle = '#888'
+        for (let i = 0; i <= 4; i++) {
+            const v = min + ((max - min) * i) / 4
+            ctx.beginPath()
+            ctx.moveTo(pad.left, y(v))
+            ctx.lineTo(width - pad.right, y(v))
+            ctx.stroke()
+            ctx.fillText(Number(v.toPrecision(4)).toString(), 4, y(v) + 3)
+        }
+        const timeFormat = this.rangeMs > 24 * 60 * 60 * 1000
+            ? (t) => new Date(t).toLocaleDateString()
+            : (t) => new Date(t).toLocaleTimeString()
+        for (let i = 0; i <= 4; i++) {
+            const t = from + ((to - from) * i) / 4
+            const label = timeFormat(t)
+            const labelX = Math.min(width - pad.right - ctx.measureText(label).width, Math.max(pad.left, x(t) - ctx.measureText(label).width / 2))
+            ctx.fillText(label, labelX, height - 6)
+        }
+
+        names.forEach((name, i) => {
+            ctx.strokeStyle = SERIES_COLORS[i % SERIES_COLORS.length]
+            ctx.beginPath()
+            this.series[name].forEach(([t, v], index) => {
+                if (index === 0) ctx.moveTo(x(t), y(v))
+                else ctx.lineTo(x(t), y(v))
+            })
+            ctx.stroke()
+        })
+    }
+
+    _startRefresh() {
+        this._stopRefresh()
+        // Job status and the plot follow the server while the window is visible
+        this._refreshTimer = setInterval(() => {
+            if (!this.hidden) this.loadJobs()
+        }, 5000)
+    }
+
+    _stopRefresh() {
+        if (this._refreshTimer) clearInterval(this._refreshTimer)
+        this._refreshTimer = null
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.loadJobs()
+    }
+
+    reloadProgram() {
+        this._renderedId = null
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        if (this.add_button) {
+            if (this.locked) this.add_button.setAttribute('disabled', 'disabled')
+            else this.add_button.removeAttribute('disabled')
+        }
+        this._renderedId = null
+        this.renderList()
+    }
+}
@@ -60,6 +60,12 @@ export default class MemoryUI {
             }
         }
         this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+
+        // Redraw so forced bytes get or lose their highlight
+        this._handleForcesUpdate = () => {
+            if (!this.hidden) this._scheduleDraw()
+        }
+        this.master.workspace.addEventListener('plc-forces-update', this._handleForcesUpdate)
     }
 
     close() {
@@ -76,6 +82,9 @@ export default class MemoryUI {
         if (this._handleDeviceUpdate) {
             this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
         }
+        if (this._handleForcesUpdate) {
+            this.master.workspace.removeEventListener('plc-forces-update', this._handleForcesUpdate)
+        }
     }
 
     render() {
@@ -576,6 +585,8 @@ export default class MemoryUI {
         const endRow = Math.min(totalRows, startRow + visibleRows)
         const offsetX = -scrollLeft
         const placeholderColor = '#666'
+        const forcedColor = '#e8a317'
+        const forces = this.master?.force_manager
 
         this.ctx.clearRect(0, 0, width, height)
         this.ctx.font = layout.font
@@ -651,13 +662,14 @@ export default class MemoryUI {
                     const rawVal = snapshotBytes ? snapshotBytes[byteIndex] : undefined
                     const hasByte = !placeholder && typeof rawVal === 'number' && Number.isFinite(rawVal)
                     const byteVal = hasByte ? rawVal : 0
+                    const forcedMask = forces?.maskAt(addr) || 0
                     
                     for (let bit = 0; bit < 8; bit++) {
                         const bitVal = hasByte ? ((byteVal >> bit) & 1) : 0
                         const text = placeholder || !hasByte ? '-' : String(bitVal)
                         const color = placeholder || !hasByte
                             ? placeholderColor
-                            : (bitVal === 0 ? '#000' : '#fff')
+                            : ((forcedMask >> bit) & 1) ? forcedColor : (bitVal === 0 ? '#000' : '#fff')
                         
                         const bitX = bx + layout.addrWidthPx + layout.gap + bit * layout.cellWidth
                         this.ctx.fillStyle = color
@@ -683,7 +695,7 @@ export default class MemoryUI {
                         : val.toString(16).padStart(2, '0').toUpperCase())
                 const color = placeholder || !hasByte
                     ? placeholderColor
-                    : (val === 0 ? '#000' : '#fff')
+                    : forces?.maskAt(addr) ? forcedColor : (val === 0 ? '#000' : '#fff')
                 const x = headerX + col * layout.cellWidth
                 this.ctx.fillStyle = color
                 this.ctx.fillText(text, x, y)
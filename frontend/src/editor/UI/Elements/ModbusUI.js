@@ -0,0 +1,460 @@
+import { CSSimporter, generateID } from "../../../utils/tools.js"
+import { deviceTarget } from "../../../connection/gateway.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./ModbusUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const TABLES = [
+    { key: 'coil', label: 'Coil (0x)' },
+    { key: 'discrete', label: 'Discrete Input (1x)' },
+    { key: 'input', label: 'Input Register (3x)' },
+    { key: 'holding', label: 'Holding Register (4x)' },
+]
+
+const MAX_REGISTER_BYTES = 8
+
+/**
+ * @typedef {import('../../../connection/gateway.js').ModbusMapRow} ModbusMapRow
+ * @typedef {{ address: number, size: number, bit: number | null, type: string }} ResolvedTag
+ */
+
+/** Coils or registers a resolved tag occupies, same layout as the backend gateway */
+const registerCount = (table, resolved) => {
+    const isBit = resolved.bit !== null && resolved.bit !== undefined
+    if (table === 'coil' || table === 'discrete' || isBit || resolved.size === 1) return 1
+    return Math.ceil(resolved.size / 2)
+}
+
+/**
+ * Register map and server settings of the backend Modbus TCP gateway.
+ * The map is kept in `project.modbus` as symbol names or addresses, it is resolved and sent
+ * to the server on apply. Devices reachable only from the browser (simulator, Web Serial, REST)
+ * are served through this editor session.
+ */
+export default class ModbusUI {
+    id = 'modbus'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type {{ config: any, status: any } | null} */
+    server = null
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'modbus-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.renderStatus()
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+    }
+
+    close() {
+        this._stopRefresh()
+        if (this.div) this.div.remove()
+        if (this._handleDeviceUpdate) {
+            this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        }
+    }
+
+    /** @returns { import('../../../connection/gateway.js').ModbusSettings } */
+    get settings() {
+        const project = this.master.project
+        if (!project) return { port: 502, map: [] }
+        if (!project.modbus) project.modbus = { port: 502, map: [] }
+        return project.modbus
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Modbus Gateway</h2>
+                    <p>Expose PLC memory to SCADA clients over Modbus TCP</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body modbus-body">
+                <div class="modbus-status"></div>
+                <div class="modbus-settings">
+                    <label><input type="checkbox" data-setting="enabled"> Enabled</label>
+                    <label>Host <input type="text" data-setting="host" placeholder="0.0.0.0"></label>
+                    <label>Port <input type="number" data-setting="port" min="1" max="65535"></label>
+                    <span class="modbus-target"></span>
+                    <button class="plc-btn" data-apply title="Send the map to the server and serve it from the current connection">Apply</button>
+                </div>
+                <div class="modbus-map">
+                    <table class="modbus-table">
+                        <thead><tr><th>Table</th><th>Register</th><th>Tag</th><th>Resolved</th><th></th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                    <datalist id="modbus-tags-${generateID()}"></datalist>
+                </div>
+                <div class="modbus-actions">
+                    <button class="plc-btn" data-add-row>+ Entry</button>
+                    <button class="plc-btn" data-map-symbols title="Add every symbol and data block field that is not mapped yet">Map All Symbols</button>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.modbus-status')
+        this.target = this.div.querySelector('.modbus-target')
+        this.tbody = this.div.querySelector('.modbus-table tbody')
+        this.datalist = this.div.querySelector('datalist')
+        this.enabledInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="enabled"]'))
+        this.hostInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="host"]'))
+        this.portInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="port"]'))
+        // The checkbox shows the server state until it is changed here
+        this.enabledInput.addEventListener('change', () => {
+            this._enabledTouched = true
+        })
+        this.hostInput.value = this.settings.host || ''
+        this.portInput.value = String(this.settings.port || 502)
+        this.hostInput.addEventListener('change', () => {
+            this.settings.host = this.hostInput.value.trim() || undefined
+            this._save()
+        })
+        this.portInput.addEventListener('change', () => {
+            this.settings.port = Number(this.portInput.value) || 502
+            this._save()
+        })
+        this.div.querySelector('[data-apply]').addEventListener('click', () => this.apply())
+        this.div.querySelector('[data-add-row]').addEventListener('click', () => this.addRow())
+        this.div.querySelector('[data-map-symbols]').addEventListener('click', () => this.mapAllSymbols())
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.setLocked(this.locked)
+        this.loadServer()
+        this._startRefresh()
+    }
+
+    // ─── Server ──────────────────────────────────────────────────────────
+
+    /** @param {RequestInit} [init] */
+    async _request(init) {
+        const response = await fetch('/api/modbus', init)
+        let data = null
+        try {
+            data = await response.json()
+        } catch {
+            throw new Error(response.status === 404 ? 'Modbus gateway API not available' : `HTTP ${response.status}`)
+        }
+        if (!data.ok) throw new Error(data.error || `HTTP ${response.status}`)
+        return data
+    }
+
+    async loadServer() {
+        try {
+            const data = await this._request()
+            this.server = { config: data.config, status: data.status }
+            this._error = null
+            if (!this._enabledTouched) this.enabledInput.checked = !!data.config.enabled
+        } catch (err) {
+            this.server = null
+            this._error = `${err.message}. The gateway needs the backend server.`
+        }
+        this.renderStatus()
+    }
+
+    /** Gateway target for the current connection, backend links are used directly, anything else goes through this editor */
+    _currentTarget() {
+        return deviceTarget(this.master.device_manager)
+    }
+
+    _targetLabel(target) {
+        if (!target) return 'none'
+        if (target.type === 'serial') return `${target.path} @ ${target.baudRate}`
+        if (target.type === 'network') return `${target.host}:${target.port}`
+        return 'editor session'
+    }
+
+    async apply() {
+        if (this.locked) return
+        const target = this._currentTarget()
+        const enabled = this.enabledInput.checked
+        if (enabled && !target) {
+            this._error = 'Connect to a device before enabling the gateway.'
+            this.renderStatus()
+            return
+        }
+        const map = this._resolveMap()
+        if (!map) return
+        try {
+            const data = await this._request({
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    enabled,
+                    host: this.settings.host || undefined,
+                    port: this.settings.port || 502,
+                    target,
+                    littleEndian: this.master.device_manager?.deviceInfo?.isLittleEndian ?? true,
+                    map,
+                }),
+            })
+            this.server = { config: data.config, status: data.status }
+            this._error = null
+            this._enabledTouched = false
+        } catch (err) {
+            this._error = `Failed to apply: ${err.message}`
+            this.renderStatus()
+            return
+        }
+
+        const provider = this.master.gateway_provider
+        if (enabled && target?.type === 'editor') await provider.start('modbus')
+        else provider.stop('modbus')
+        this.master.window_manager?.logToConsole?.(`Modbus gateway ${enabled ? `serving ${map.length} tags on port ${this.settings.port || 502}` : 'disabled'}.`, 'info')
+        this.renderStatus()
+    }
+
+    /** Resolve the map rows against the open project, the server only knows addresses */
+    _resolveMap() {
+        const map = []
+        for (const row of this.settings.map) {
+            const resolved = this._resolve(row.tag)
+            if (!resolved) {
+                this._error = `Unknown address or symbol '${row.tag}'`
+                this.renderStatus()
+                return null
+            }
+            map.push({ table: row.table, register: row.register, name: row.tag, address: resolved.address, size: resolved.size, type: resolved.type, bit: resolved.bit ?? null })
+        }
+        return map
+    }
+
+    /**
+     * @param {string} tag
+     * @returns {ResolvedTag | null}
+     */
+    _resolve(tag) {
+        if (!tag) return null
+        return this.master.data_fetcher?.resolve(tag) || null
+    }
+
+    renderStatus() {
+        if (!this.status) return
+        const status = this.server?.status
+        const config = this.server?.config
+        const provider = this.master.gateway_provider
+        let text = ''
+        if (this._error) {
+            text = this._error
+        } else if (!this.server) {
+            text = 'Loading gateway status...'
+        } else if (!status.listening) {
+            text = 'Gateway stopped.'
+        } else {
+            text = `Listening on ${config.host}:${config.port}, ${config.map.length} tags, ${status.clients} client(s), ${status.requests} requests, ${status.exceptions} exceptions`
+            if (status.lastError) text += `. Last error: ${status.lastError}`
+            if (config.target?.type === 'editor' && !provider.active) text += '. The target is an editor session, press Apply to serve it from this editor.'
+        }
+        this.status.textContent = text
+        this.status.classList.toggle('error', !!this._error)
+        if (this.target) {
+            const current = this._currentTarget()
+            this.target.textContent = `Target: ${this._targetLabel(current)}${config?.target ? ` (server: ${this._targetLabel(config.target)})` : ''}`
+        }
+    }
+
+    // ─── Register map ────────────────────────────────────────────────────
+
+    renderMap() {
+        if (!this.tbody) return
+        const disabled = this.locked ? 'disabled' : ''
+        const rows = this.settings.map
+        const project = this.master.project
+        this.datalist.innerHTML = (project?.symbols || []).map(s => `<option value="${escapeHTML(s.name)}">`).join('')
+
+        // Registers used more than once in a table are flagged, the server rejects them
+        const used = new Map()
+        const overlaps = new Set()
+        for (const row of rows) {
+            const resolved = this._resolve(row.tag)
+            const count = resolved ? registerCount(row.table, resolved) : 1
+            for (let r = row.register; r < row.register + count; r++) {
+                const key = `${row.table}:${r}`
+                if (used.has(key)) {
+                    overlaps.add(row)
+                    overlaps.add(used.get(key))
+                }
+                used.set(key, row)
+            }
+        }
+
+        if (!rows.length) {
+            this.tbody.innerHTML = `<tr><td colspan="5" class="modbus-empty">No mapped tags. Add entries or map all symbols.</td></tr>`
+            return
+        }
+        this.tbody.innerHTML = ''
+        rows.forEach((row, index) => {
+            const resolved = this._resolve(row.tag)
+            const count = resolved ? registerCount(row.table, resolved) : 1
+            const info = !resolved ? 'Unknown tag'
+                : resolved.bit !== null && resolved.bit !== undefined ? `${resolved.address}.${resolved.bit} (bit)`
+                : `${resolved.address} (${resolved.type}${count > 1 ? `, ${count} registers` : ''})`
+            const tr = document.createElement('tr')
+            if (!resolved || overlaps.has(row)) tr.classList.add('invalid')
+            tr.innerHTML = /*HTML*/`
+                <td><select data-field="table" ${disabled}>
+                    ${TABLES.map(t => `<option value="${t.key}" ${t.key === row.table ? 'selected' : ''}>${t.label}</option>`).join('')}
+                </select></td>
+                <td><input type="number" data-field="register" min="0" max="65535" value="${row.register}" ${disabled}></td>
+                <td><input type="text" data-field="tag" list="${this.datalist.id}" value="${escapeHTML(row.tag)}" spellcheck="false" ${disabled}></td>
+                <td class="modbus-resolved" title="${overlaps.has(row) ? 'Overlaps another entry' : ''}">${escapeHTML(info)}</td>
+                <td><button class="modbus-remove" title="Remove entry" ${disabled}>✕</button></td>
+            `
+            tr.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.getAttribute('data-field')
+                    const value = /** @type {HTMLInputElement} */ (input).value
+                    if (field === 'register') row.register = Math.max(0, Math.min(0xffff, parseInt(value) || 0))
+                    else if (field === 'table') row.table = /** @type {any} */ (value)
+                    else row.tag = value.trim()
+                    this._onMapChanged()
+                })
+            })
+            tr.querySelector('.modbus-remove').addEventListener('click', () => {
+                rows.splice(index, 1)
+                this._onMapChanged()
+            })
+            this.tbody.appendChild(tr)
+        })
+    }
+
+    /** First free register after the entries of a table */
+    _nextRegister(table) {
+        let next = 0
+        for (const row of this.settings.map) {
+            if (row.table !== table) continue
+            const resolved = this._resolve(row.tag)
+            next = Math.max(next, row.register + (resolved ? registerCount(table, resolved) : 1))
+        }
+        return next
+    }
+
+    addRow() {
+        if (this.locked || !this.master.project) return
+        this.settings.map.push({ table: 'holding', register: this._nextRegister('holding'), tag: '' })
+        this._onMapChanged()
+    }
+
+    /** Map every symbol and DB field not mapped yet: inputs read-only, outputs and markers writable */
+    mapAllSymbols() {
+        const project = this.master.project
+        if (this.locked || !project) return
+        const mapped = new Set(this.settings.map.map(row => row.tag))
+        const tags = []
+        for (const symbol of project.symbols || []) {
+            if (!['input', 'output', 'marker'].includes(symbol.location)) continue
+            tags.push({ tag: symbol.name, readOnly: symbol.location === 'input' })
+        }
+        for (const db of project.compiledDatablocks || []) {
+            for (const field of db.fields || []) tags.push({ tag: `DB${db.db_number}.${field.name}`, readOnly: false })
+        }
+
+        let added = 0
+        for (const { tag, readOnly } of tags) {
+            if (mapped.has(tag)) continue
+            const resolved = this._resolve(tag)
+            if (!resolved || resolved.size > MAX_REGISTER_BYTES) continue
+            const isBit = resolved.bit !== null && resolved.bit !== undefined
+            const table = isBit ? (readOnly ? 'discrete' : 'coil') : (readOnly ? 'input' : 'holding')
+            this.settings.map.push({ table, register: this._nextRegister(table), tag })
+            mapped.add(tag)
+            added++
+        }
+        this.master.window_manager?.logToConsole?.(`Mapped ${added} tag(s) to Modbus.`, 'info')
+        this._onMapChanged()
+    }
+
+    _onMapChanged() {
+        this._save()
+        this.renderMap()
+    }
+
+    _save() {
+        if (this.master?.project_manager?.checkAndSave) {
+            this.master.project_manager.checkAndSave()
+        }
+    }
+
+    _startRefresh() {
+        this._stopRefresh()
+        // Client and request counters follow the server while the window is visible
+        this._refreshTimer = setInterval(() => {
+            if (!this.hidden) this.loadServer()
+        }, 3000)
+    }
+
+    _stopRefresh() {
+        if (this._refreshTimer) clearInterval(this._refreshTimer)
+        this._refreshTimer = null
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.loadServer()
+        this.renderMap()
+    }
+
+    reloadProgram() {
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        this.div.querySelectorAll('[data-apply], [data-add-row], [data-map-symbols], [data-setting]').forEach(el => {
+            if (this.locked) el.setAttribute('disabled', 'disabled')
+            else el.removeAttribute('disabled')
+        })
+        this.renderMap()
+    }
+}
@@ -0,0 +1,460 @@
+import { CSSimporter, generateID } from "../../../utils/tools.js"
+import { deviceTarget } from "../../../connection/gateway.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./MqttUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const MAX_VALUE_BYTES = 8
+
+/** @returns { import('../../../connection/gateway.js').MqttSettings } */
+const defaultSettings = () => ({ url: 'mqtt://localhost:1883', baseTopic: 'vovkplc', symbols: [] })
+
+/**
+ * Broker settings and published symbols of the backend MQTT bridge.
+ * The symbols are kept in `project.mqtt` by name, they are resolved and sent to the server on
+ * apply. The broker password is only sent to the server, it is not stored in the project.
+ * Devices reachable only from the browser are served through this editor session.
+ */
+export default class MqttUI {
+    id = 'mqtt'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type {{ config: any, status: any } | null} */
+    server = null
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'mqtt-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.renderStatus()
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+    }
+
+    close() {
+        this._stopRefresh()
+        if (this.div) this.div.remove()
+        if (this._handleDeviceUpdate) {
+            this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        }
+    }
+
+    /** @returns { import('../../../connection/gateway.js').MqttSettings } */
+    get settings() {
+        const project = this.master.project
+        if (!project) return defaultSettings()
+        if (!project.mqtt) project.mqtt = defaultSettings()
+        return project.mqtt
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">MQTT Bridge</h2>
+                    <p>Publish PLC symbols to an MQTT broker and accept writes on &lt;topic&gt;/set</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body mqtt-body">
+                <div class="mqtt-status"></div>
+                <div class="mqtt-settings">
+                    <label><input type="checkbox" data-setting="enabled"> Enabled</label>
+                    <label>Broker <input type="text" data-setting="url" class="mqtt-url" placeholder="mqtt://localhost:1883" spellcheck="false"></label>
+                    <label>Base topic <input type="text" data-setting="baseTopic" placeholder="vovkplc" spellcheck="false"></label>
+                    <label>User <input type="text" data-setting="username" spellcheck="false"></label>
+                    <label>Password <input type="password" data-setting="password" placeholder="unchanged" autocomplete="off"></label>
+                    <label title="Publish values as retained messages"><input type="checkbox" data-setting="retain"> Retain</label>
+                    <span class="mqtt-target"></span>
+                    <button class="plc-btn" data-apply title="Send the symbols to the server and publish them from the current connection">Apply</button>
+                </div>
+                <div class="mqtt-map">
+                    <table class="mqtt-table">
+                        <thead><tr><th>Tag</th><th>Topic</th><th>QoS</th><th>Publish</th><th>Deadband / Interval</th><th>Writable</th><th>Value</th><th></th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                    <datalist id="mqtt-tags-${generateID()}"></datalist>
+                </div>
+                <div class="mqtt-actions">
+                    <button class="plc-btn" data-add-row>+ Symbol</button>
+                    <button class="plc-btn" data-map-symbols title="Add every symbol that is not published yet">Add All Symbols</button>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.mqtt-status')
+        this.target = this.div.querySelector('.mqtt-target')
+        this.tbody = this.div.querySelector('.mqtt-table tbody')
+        this.datalist = this.div.querySelector('datalist')
+        this.enabledInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="enabled"]'))
+        this.passwordInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="password"]'))
+        // The checkbox shows the server state until it is changed here
+        this.enabledInput.addEventListener('change', () => {
+            this._enabledTouched = true
+        })
+
+        const settings = this.settings
+        for (const key of ['url', 'baseTopic', 'username']) {
+            const input = /** @type {HTMLInputElement} */ (this.div.querySelector(`[data-setting="${key}"]`))
+            input.value = settings[key] || ''
+            input.addEventListener('change', () => {
+                const value = input.value.trim()
+                if (key === 'url') this.settings.url = value || 'mqtt://localhost:1883'
+                else if (key === 'baseTopic') this.settings.baseTopic = value.replace(/^\/+|\/+$/g, '')
+                else this.settings.username = value || undefined
+                this._save()
+            })
+        }
+        const retainInput = /** @type {HTMLInputElement} */ (this.div.querySelector('[data-setting="retain"]'))
+        retainInput.checked = settings.retain !== false
+        retainInput.addEventListener('change', () => {
+            this.settings.retain = retainInput.checked ? undefined : false
+            this._save()
+        })
+        this.div.querySelector('[data-apply]').addEventListener('click', () => this.apply())
+        this.div.querySelector('[data-add-row]').addEventListener('click', () => this.addRow())
+        this.div.querySelector('[data-map-symbols]').addEventListener('click', () => this.addAllSymbols())
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this.setLocked(this.locked)
+        this.loadServer()
+        this._startRefresh()
+    }
+
+    // ─── Server ──────────────────────────────────────────────────────────
+
+    /** @param {RequestInit} [init] */
+    async _request(init) {
+        const response = await fetch('/api/mqtt', init)
+        let data = null
+        try {
+            data = await response.json()
+        } catch {
+            throw new Error(response.status === 404 ? 'MQTT bridge API not available' : `HTTP ${response.status}`)
+        }
+        if (!data.ok) throw new Error(data.error || `HTTP ${response.status}`)
+        return data
+    }
+
+    async loadServer() {
+        try {
+            const data = await this._request()
+            this.server = { config: data.config, status: data.status }
+            this._error = null
+            if (!this._enabledTouched) this.enabledInput.checked = !!data.config.enabled
+        } catch (err) {
+            this.server = null
+            this._error = `${err.message}. The bridge needs the backend server.`
+        }
+        this.renderStatus()
+    }
+
+    /** Bridge target for the current connection, backend links are used directly, anything else goes through this editor */
+    _currentTarget() {
+        return deviceTarget(this.master.device_manager)
+    }
+
+    _targetLabel(target) {
+        if (!target) return 'none'
+        if (target.type === 'serial') return `${target.path} @ ${target.baudRate}`
+        if (target.type === 'network') return `${target.host}:${target.port}`
+        return 'editor session'
+    }
+
+    async apply() {
+        if (this.locked) return
+        const target = this._currentTarget()
+        const enabled = this.enabledInput.checked
+        if (enabled && !target) {
+            this._error = 'Connect to a device before enabling the bridge.'
+            this.renderStatus()
+            return
+        }
+        const symbols = this._resolveSymbols()
+        if (!symbols) return
+        const settings = this.settings
+        try {
+            const data = await this._request({
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    enabled,
+                    url: settings.url,
+                    baseTopic: settings.baseTopic,
+                    username: settings.username,
+                    // An empty field keeps the password saved on the server
+                    password: this.passwordInput.value || (settings.username ? '********' : undefined),
+                    clientId: settings.clientId,
+                    retain: settings.retain !== false,
+                    target,
+                    littleEndian: this.master.device_manager?.deviceInfo?.isLittleEndian ?? true,
+                    symbols,
+                }),
+            })
+            this.server = { config: data.config, status: data.status }
+            this._error = null
+            this._enabledTouched = false
+            this.passwordInput.value = ''
+        } catch (err) {
+            this._error = `Failed to apply: ${err.message}`
+            this.renderStatus()
+            return
+        }
+
+        const provider = this.master.gateway_provider
+        if (enabled && target?.type === 'editor') await provider.start('mqtt')
+        else provider.stop('mqtt')
+        this.master.window_manager?.logToConsole?.(`MQTT bridge ${enabled ? `publishing ${symbols.length} symbols to ${settings.url}` : 'disabled'}.`, 'info')
+        this.renderStatus()
+    }
+
+    /** Resolve the symbol rows against the open project, the server only knows addresses */
+    _resolveSymbols() {
+        const symbols = []
+        for (const row of this.settings.symbols) {
+            const resolved = this._resolve(row.tag)
+            if (!resolved) {
+                this._error = `Unknown address or symbol '${row.tag}'`
+                this.renderStatus()
+                return null
+            }
+            symbols.push({
+                name: row.tag,
+                topic: row.topic || this._defaultTopic(row.tag),
+                address: resolved.address,
+                size: resolved.size,
+                type: resolved.type,
+                bit: resolved.bit ?? null,
+                qos: row.qos || 0,
+                mode: row.mode,
+                intervalMs: row.intervalMs || 1000,
+                deadband: row.deadband || 0,
+                writable: !!row.writable,
+            })
+        }
+        return symbols
+    }
+
+    /** Symbol names become topic levels, e.g. `DB1.speed` publishes on `<base>/DB1/speed` */
+    _defaultTopic(tag) {
+        return tag.replace(/[#+]/g, '_').replace(/\./g, '/')
+    }
+
+    /**
+     * @param {string} tag
+     * @returns {{ address: number, size: number, bit: number | null, type: string } | null}
+     */
+    _resolve(tag) {
+        if (!tag) return null
+        return this.master.data_fetcher?.resolve(tag) || null
+    }
+
+    renderStatus() {
+        if (!this.status) return
+        const status = this.server?.status
+        const config = this.server?.config
+        const provider = this.master.gateway_provider
+        let text = ''
+        if (this._error) {
+            text = this._error
+        } else if (!this.server) {
+            text = 'Loading bridge status...'
+        } else if (!status.running) {
+            text = 'Bridge stopped.'
+        } else {
+            text = `${status.connected ? 'Connected to' : 'Connecting to'} ${config.url}, ${config.symbols.length} symbols, ${status.published} published, ${status.received} writes received`
+            if (status.lastError) text += `. Last error: ${status.lastError}`
+            if (config.target?.type === 'editor' && !provider.active) text += '. The target is an editor session, press Apply to serve it from this editor.'
+        }
+        this.status.textContent = text
+        this.status.classList.toggle('error', !!this._error)
+        if (this.target) {
+            const current = this._currentTarget()
+            this.target.textContent = `Target: ${this._targetLabel(current)}${config?.target ? ` (server: ${this._targetLabel(config.target)})` : ''}`
+        }
+
+        // Values are updated in place so that edits in the table are not interrupted
+        const values = new Map((status?.symbols || []).map(s => [s.name, s]))
+        this.tbody?.querySelectorAll('[data-value]').forEach(cell => {
+            const symbol = values.get(cell.getAttribute('data-value'))
+            cell.textContent = symbol?.value ?? '-'
+            cell.setAttribute('title', symbol?.publishedAt ? `Published ${new Date(symbol.publishedAt).toLocaleTimeString()} on ${symbol.topic}` : '')
+        })
+    }
+
+    // ─── Symbols ─────────────────────────────────────────────────────────
+
+    renderMap() {
+        if (!this.tbody) return
+        const disabled = this.locked ? 'disabled' : ''
+        const rows = this.settings.symbols
+        const project = this.master.project
+        this.datalist.innerHTML = (project?.symbols || []).map(s => `<option value="${escapeHTML(s.name)}">`).join('')
+
+        if (!rows.length) {
+            this.tbody.innerHTML = `<tr><td colspan="8" class="mqtt-empty">No published symbols. Add symbols to publish them.</td></tr>`
+            return
+        }
+        // Topics used more than once are flagged, the server rejects them
+        const topics = rows.map(row => row.topic || this._defaultTopic(row.tag))
+        this.tbody.innerHTML = ''
+        rows.forEach((row, index) => {
+            const resolved = this._resolve(row.tag)
+            const duplicate = topics.indexOf(topics[index]) !== index || topics.lastIndexOf(topics[index]) !== index
+            const interval = row.mode === 'interval'
+            const tr = document.createElement('tr')
+            if (!resolved || duplicate) tr.classList.add('invalid')
+            tr.innerHTML = /*HTML*/`
+                <td><input type="text" data-field="tag" list="${this.datalist.id}" value="${escapeHTML(row.tag)}" title="${resolved ? '' : 'Unknown tag'}" spellcheck="false" ${disabled}></td>
+                <td><input type="text" data-field="topic" value="${escapeHTML(row.topic || '')}" placeholder="${escapeHTML(this._defaultTopic(row.tag))}" title="${duplicate ? 'Topic used more than once' : ''}" spellcheck="false" ${disabled}></td>
+                <td><select data-field="qos" ${disabled}>
+                    ${[0, 1, 2].map(q => `<option value="${q}" ${q === (row.qos || 0) ? 'selected' : ''}>${q}</option>`).join('')}
+                </select></td>
+                <td><select data-field="mode" ${disabled}>
+                    <option value="change" ${interval ? '' : 'selected'}>On change</option>
+                    <option value="interval" ${interval ? 'selected' : ''}>Interval</option>
+                </select></td>
+                <td><input type="number" data-field="${interval ? 'intervalMs' : 'deadband'}" min="0" step="${interval ? 100 : 'any'}" value="${interval ? row.intervalMs || 1000 : row.deadband || 0}" title="${interval ? 'Publish period in ms' : 'Minimum change to publish'}" ${disabled}></td>
+                <td class="mqtt-center"><input type="checkbox" data-field="writable" ${row.writable ? 'checked' : ''} title="Accept writes on ${escapeHTML(row.topic || this._defaultTopic(row.tag))}/set" ${disabled}></td>
+                <td class="mqtt-value" data-value="${escapeHTML(row.tag)}">-</td>
+                <td><button class="mqtt-remove" title="Remove symbol" ${disabled}>✕</button></td>
+            `
+            tr.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.getAttribute('data-field')
+                    const el = /** @type {HTMLInputElement} */ (input)
+                    if (field === 'tag') row.tag = el.value.trim()
+                    else if (field === 'topic') row.topic = el.value.trim().replace(/^\/+|\/+$/g, '') || undefined
+                    else if (field === 'qos') row.qos = /** @type {any} */ (Number(el.value))
+                    else if (field === 'mode') row.mode = /** @type {any} */ (el.value)
+                    else if (field === 'intervalMs') row.intervalMs = Math.max(50, parseInt(el.value) || 1000)
+                    else if (field === 'deadband') row.deadband = Math.max(0, parseFloat(el.value) || 0)
+                    else if (field === 'writable') row.writable = el.checked || undefined
+                    this._onMapChanged()
+                })
+            })
+            tr.querySelector('.mqtt-remove').addEventListener('click', () => {
+                rows.splice(index, 1)
+                this._onMapChanged()
+            })
+            this.tbody.appendChild(tr)
+        })
+        this.renderStatus()
+    }
+
+    addRow() {
+        if (this.locked || !this.master.project) return
+        this.settings.symbols.push({ tag: '', qos: 0, mode: 'change' })
+        this._onMapChanged()
+    }
+
+    /** Add every symbol not published yet, outputs and markers accept writes */
+    addAllSymbols() {
+        const project = this.master.project
+        if (this.locked || !project) return
+        const published = new Set(this.settings.symbols.map(row => row.tag))
+        let added = 0
+        for (const symbol of project.symbols || []) {
+            if (!['input', 'output', 'marker'].includes(symbol.location) || published.has(symbol.name)) continue
+            const resolved = this._resolve(symbol.name)
+            if (!resolved || resolved.size > MAX_VALUE_BYTES) continue
+            this.settings.symbols.push({ tag: symbol.name, qos: 0, mode: 'change', writable: symbol.location !== 'input' || undefined })
+            published.add(symbol.name)
+            added++
+        }
+        this.master.window_manager?.logToConsole?.(`Added ${added} symbol(s) to the MQTT bridge.`, 'info')
+        this._onMapChanged()
+    }
+
+    _onMapChanged() {
+        this._save()
+        this.renderMap()
+    }
+
+    _save() {
+        if (this.master?.project_manager?.checkAndSave) {
+            this.master.project_manager.checkAndSave()
+        }
+    }
+
+    _startRefresh() {
+        this._stopRefresh()
+        // Values and counters follow the server while the window is visible
+        this._refreshTimer = setInterval(() => {
+            if (!this.hidden) this.loadServer()
+        }, 1000)
+    }
+
+    _stopRefresh() {
+        if (this._refreshTimer) clearInterval(this._refreshTimer)
+        this._refreshTimer = null
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.loadServer()
+        this.renderMap()
+    }
+
+    reloadProgram() {
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        this.div.querySelectorAll('[data-apply], [data-add-row], [data-map-symbols], [data-setting]').forEach(el => {
+            if (this.locked) el.setAttribute('disabled', 'disabled')
+            else el.removeAttribute('disabled')
+        })
+        this.renderMap()
+    }
+}
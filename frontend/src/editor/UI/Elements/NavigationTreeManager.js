@@ -1028,8 +1028,8 @@ export default class NavigationTreeManager {
     }
 
     highlightItem = (filter) => {
-        // Special windows (symbols, setup, memory, datablocks, db:N) may not be in the tree
-        const isSpecialWindow = filter === 'symbols' || filter === 'setup' || filter === 'memory' || filter === 'datablocks' || (typeof filter === 'string' && filter.startsWith('db:'))
+        // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) may not be in the tree
+        const isSpecialWindow = filter === 'symbols' || filter === 'setup' || filter === 'memory' || filter === 'io' || filter === 'plant' || filter === 'historian' || filter === 'modbus' || filter === 'mqtt' || filter === 'capture' || filter === 'trace' || filter === 'forces' || filter === 'alarms' || filter === 'datablocks' || (typeof filter === 'string' && filter.startsWith('db:'))
         const rootItem = this.findItem(filter)
         if (!rootItem) {
             // Don't log error for special windows that aren't in tree (like setup)
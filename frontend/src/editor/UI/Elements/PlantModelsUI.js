@@ -0,0 +1,346 @@
+import { CSSimporter, generateID } from "../../../utils/tools.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./PlantModelsUI.css')
+
+const SCRIPT_TEMPLATE = `// Called before every scan cycle: io.read(ref), io.write(ref, value), io.state, io.time, dt (seconds)
+const level = io.read('X2')
+io.write('X2', io.read('Y0.0') ? level + 5 * dt : Math.max(0, level - 2 * dt))
+`
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * Editor for the simulator plant models stored in `project.plant_models`.
+ * Edits are saved with the project and applied to the running simulation right away,
+ * the enable checkboxes only affect the current simulation session.
+ */
+export default class PlantModelsUI {
+    id = 'plant'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type { string | null } */
+    selectedId = null
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'plant-models-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.updateConnectionState()
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+    }
+
+    close() {
+        const plant = this._plant()
+        if (plant) plant.onStateChange = null
+        if (this.div) this.div.remove()
+        if (this._handleDeviceUpdate) {
+            this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        }
+    }
+
+    /** @returns { import('../../../connection/plant.js').PlantModel[] } */
+    get models() {
+        const project = this.master.project
+        if (!project) return []
+        if (!project.plant_models) project.plant_models = []
+        return project.plant_models
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Plant Models</h2>
+                    <p>Simulate the process around the PLC between scan cycles</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body plant-models-body">
+                <div class="plant-models-status"></div>
+                <div class="plant-models-layout">
+                    <div class="plant-models-sidebar">
+                        <div class="plant-models-list"></div>
+                        <div class="plant-models-actions">
+                            <button class="plc-btn" data-add="rules" title="Add a rule table model">+ Rules</button>
+                            <button class="plc-btn" data-add="script" title="Add a JavaScript model">+ Script</button>
+                        </div>
+                    </div>
+                    <div class="plant-model-editor"></div>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.plant-models-status')
+        this.list = this.div.querySelector('.plant-models-list')
+        this.editor = this.div.querySelector('.plant-model-editor')
+        this.add_buttons = Array.from(this.div.querySelectorAll('[data-add]'))
+        this.add_buttons.forEach(btn => {
+            btn.addEventListener('click', () => this.addModel(/** @type {'rules' | 'script'} */ (btn.getAttribute('data-add'))))
+        })
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        if (!this.models.find(m => m.id === this.selectedId)) this.selectedId = this.models[0]?.id || null
+        this.setLocked(this.locked)
+        this.updateConnectionState()
+    }
+
+    /** Plant runtime of the active simulator connection */
+    _plant() {
+        const device_manager = this.master.device_manager
+        if (!device_manager?.connected || device_manager.options?.target !== 'simulation') return null
+        return device_manager.connection?.plant || null
+    }
+
+    updateConnectionState() {
+        if (!this.status) return
+        const plant = this._plant()
+        if (plant) plant.onStateChange = () => this.renderList()
+        this.status.textContent = plant
+            ? 'Models run before every scan cycle. Unchecking a model pauses it for this session only, script models run once you allow them.'
+            : 'Connect to the simulator to run the plant models.'
+        this.renderList()
+    }
+
+    renderList() {
+        if (!this.list) return
+        const plant = this._plant()
+        const models = this.models
+        if (!models.length) {
+            this.list.innerHTML = `<div class="plant-models-empty">No plant models</div>`
+        } else {
+            this.list.innerHTML = models.map(model => {
+                const error = plant?.errors.get(model.id)
+                const enabled = plant ? plant.isEnabled(model.id) : true
+                return /*HTML*/`
+                    <div class="plant-models-item${model.id === this.selectedId ? ' selected' : ''}${error ? ' failed' : ''}" data-id="${model.id}" title="${escapeHTML(error || '')}">
+                        <input type="checkbox" ${enabled ? 'checked' : ''} ${plant ? '' : 'disabled'} title="Run in this session">
+                        <span class="plant-models-name">${escapeHTML(model.name)}</span>
+                        <span class="plant-models-type">${model.type === 'script' ? 'JS' : 'RULES'}</span>
+                    </div>
+                `
+            }).join('')
+        }
+
+        this.list.querySelectorAll('.plant-models-item').forEach(item => {
+            const id = item.getAttribute('data-id')
+            const checkbox = /** @type {HTMLInputElement} */ (item.querySelector('input'))
+            checkbox.addEventListener('click', e => e.stopPropagation())
+            checkbox.addEventListener('change', () => this._setEnabled(id, checkbox))
+            item.addEventListener('click', () => {
+                this.selectedId = id
+                this.renderList()
+            })
+        })
+        this.renderEditor()
+    }
+
+    /**
+     * Switch a model on or off, the first script model switched on asks whether the project scripts may run
+     * @param {string | null} id
+     * @param {HTMLInputElement} checkbox
+     */
+    async _setEnabled(id, checkbox) {
+        const plant = this._plant()
+        if (!plant || !id) return
+        const model = this.models.find(m => m.id === id)
+        if (checkbox.checked && model?.type === 'script' && !plant.scriptsAllowed) {
+            if (!await this.master.window_manager.confirmPlantScripts()) {
+                checkbox.checked = false
+                return
+            }
+            plant.allowScripts()
+        }
+        plant.setEnabled(id, checkbox.checked)
+    }
+
+    renderEditor() {
+        const model = this.models.find(m => m.id === this.selectedId)
+        if (!model) {
+            this.editor.innerHTML = `<div class="plant-models-empty">Add a rule table or script model to simulate inputs from the outputs</div>`
+            return
+        }
+        if (this._renderedId === model.id && this.editor.contains(document.activeElement)) return
+        this._renderedId = model.id
+        const disabled = this.locked ? 'disabled' : ''
+
+        this.editor.innerHTML = /*HTML*/`
+            <div class="plant-model-toolbar">
+                <input class="plant-model-name" type="text" value="${escapeHTML(model.name)}" ${disabled}>
+                <button class="plc-btn plant-model-delete" ${disabled}>Delete</button>
+            </div>
+            ${model.type === 'script' ? /*HTML*/`
+                <div class="plant-model-help">Function body called as <code>(io, dt)</code>: <code>io.read(ref)</code>, <code>io.write(ref, value)</code>, <code>io.state</code> (kept between cycles), <code>io.time</code> and <code>dt</code> in seconds</div>
+                <textarea class="plant-model-script" spellcheck="false" ${disabled}>${escapeHTML(model.script || '')}</textarea>
+            ` : /*HTML*/`
+                <div class="plant-model-help">Rules run top to bottom. Condition: empty (always), <code>Y0.0</code>, <code>!Y0.0</code> or <code>X2 &gt;= 100</code>. Ramp changes the target by value per second within min/max.</div>
+                <table class="plant-model-rules">
+                    <thead><tr><th>When</th><th>Action</th><th>Target</th><th>Value</th><th>Min</th><th>Max</th><th></th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <button class="plc-btn plant-model-add-rule" ${disabled}>+ Add Rule</button>
+            `}
+        `
+
+        const nameInput = /** @type {HTMLInputElement} */ (this.editor.querySelector('.plant-model-name'))
+        nameInput.addEventListener('change', () => {
+            model.name = nameInput.value.trim() || model.name
+            this._onModelsChanged()
+        })
+        this.editor.querySelector('.plant-model-delete').addEventListener('click', () => this.deleteModel(model.id))
+
+        if (model.type === 'script') {
+            const textarea = /** @type {HTMLTextAreaElement} */ (this.editor.querySelector('.plant-model-script'))
+            textarea.addEventListener('keydown', e => {
+                if (e.key !== 'Tab') return
+                e.preventDefault()
+                textarea.setRangeText('    ', textarea.selectionStart, textarea.selectionEnd, 'end')
+            })
+            textarea.addEventListener('change', () => {
+                model.script = textarea.value
+                this._onModelsChanged()
+            })
+            return
+        }
+
+        const tbody = this.editor.querySelector('tbody')
+        const rules = model.rules || (model.rules = [])
+        rules.forEach((rule, index) => {
+            const row = document.createElement('tr')
+            row.innerHTML = /*HTML*/`
+                <td><input type="text" data-field="when" value="${escapeHTML(rule.when || '')}" placeholder="always" ${disabled}></td>
+                <td><select data-field="action" ${disabled}>
+                    <option value="set" ${rule.action !== 'ramp' ? 'selected' : ''}>Set</option>
+                    <option value="ramp" ${rule.action === 'ramp' ? 'selected' : ''}>Ramp</option>
+                </select></td>
+                <td><input type="text" data-field="target" value="${escapeHTML(rule.target || '')}" ${disabled}></td>
+                <td><input type="number" data-field="value" value="${rule.value ?? 0}" ${disabled}></td>
+                <td><input type="number" data-field="min" value="${rule.min ?? ''}" ${disabled}></td>
+                <td><input type="number" data-field="max" value="${rule.max ?? ''}" ${disabled}></td>
+                <td><button class="plant-model-remove-rule" title="Remove rule" ${disabled}>✕</button></td>
+            `
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.getAttribute('data-field')
+                    const value = /** @type {HTMLInputElement} */ (input).value
+                    if (field === 'value') rule.value = Number(value) || 0
+                    else if (field === 'min' || field === 'max') {
+                        if (value === '') delete rule[field]
+                        else rule[field] = Number(value)
+                    } else rule[field] = value.trim()
+                    this._onModelsChanged()
+                })
+            })
+            row.querySelector('.plant-model-remove-rule').addEventListener('click', () => {
+                rules.splice(index, 1)
+                this._renderedId = null
+                this._onModelsChanged()
+            })
+            tbody.appendChild(row)
+        })
+        this.editor.querySelector('.plant-model-add-rule').addEventListener('click', () => {
+            rules.push({ when: '', action: 'set', target: '', value: 0 })
+            this._renderedId = null
+            this._onModelsChanged()
+        })
+    }
+
+    /** @param {'rules' | 'script'} type */
+    addModel(type) {
+        if (this.locked || !this.master.project) return
+        const model = type === 'script'
+            ? { id: generateID(), name: `Plant ${this.models.length + 1}`, type, script: SCRIPT_TEMPLATE }
+            : { id: generateID(), name: `Plant ${this.models.length + 1}`, type, rules: [{ when: '', action: 'set', target: '', value: 0 }] }
+        this.models.push(/** @type {any} */ (model))
+        this.selectedId = model.id
+        this._onModelsChanged()
+    }
+
+    /** @param {string} id */
+    deleteModel(id) {
+        if (this.locked) return
+        const models = this.models
+        const index = models.findIndex(m => m.id === id)
+        if (index < 0) return
+        models.splice(index, 1)
+        this.selectedId = models[Math.min(index, models.length - 1)]?.id || null
+        this._onModelsChanged()
+    }
+
+    _onModelsChanged() {
+        // Apply to the running simulation and trigger auto-save
+        this._plant()?.load(this.models)
+        if (this.master?.project_manager?.checkAndSave) {
+            this.master.project_manager.checkAndSave()
+        }
+        this.renderList()
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.updateConnectionState()
+    }
+
+    reloadProgram() {
+        this._renderedId = null
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        this.add_buttons?.forEach(btn => {
+            if (this.locked) btn.setAttribute('disabled', 'disabled')
+            else btn.removeAttribute('disabled')
+        })
+        this._renderedId = null
+        this.renderList()
+    }
+}
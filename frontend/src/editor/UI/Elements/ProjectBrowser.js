@@ -0,0 +1,542 @@
+import { CSSimporter } from "../../../utils/tools.js"
+import { diffLines } from "../../../utils/diff.js"
+import { Popup } from "./components/popup.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./ProjectBrowser.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const formatTime = (ms) => ms ? new Date(ms).toLocaleString() : ''
+const formatSize = (bytes) => bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`
+
+// Workspace project the editor was opened from, saves go back to it
+const LINK_STORAGE_KEY = 'vovk_plc_workspace_project'
+
+// Unchanged lines shown around each change in comparisons
+const DIFF_CONTEXT = 3
+
+/**
+ * @typedef {{ name: string, projectName: string, size: number, modifiedAt: number, revision: number | null, revisions: number }} WorkspaceProject
+ * @typedef {{ id: number, savedAt: number, size: number, user: string | null, note?: string }} WorkspaceRevision
+ * @typedef {{ name: string, revision: number | null }} WorkspaceLink
+ */
+
+/**
+ * Browser for the projects stored in the server workspace (/api/projects).
+ * Opens and saves projects in the VOVKPLCPROJECT format, and lists, compares and restores
+ * their revisions. Saves are based on the revision that was opened, so a project saved by
+ * someone else in the meantime is not overwritten without asking.
+ */
+export default class ProjectBrowser {
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+    }
+
+    /** @returns { WorkspaceLink | null } */
+    get link() {
+        try {
+            return JSON.parse(localStorage.getItem(LINK_STORAGE_KEY) || 'null')
+        } catch {
+            return null
+        }
+    }
+
+    /** @param { WorkspaceLink | null } link */
+    set link(link) {
+        if (link) localStorage.setItem(LINK_STORAGE_KEY, JSON.stringify(link))
+        else localStorage.removeItem(LINK_STORAGE_KEY)
+    }
+
+    // ─── Server API ──────────────────────────────────────────────────────
+
+    /**
+     * @param {string} path
+     * @param {RequestInit} [init]
+     */
+    async _request(path, init) {
+        const response = await fetch(`/api/projects${path}`, init)
+        let data = null
+        try {
+            data = await response.json()
+        } catch {
+            throw new Error(response.status === 404 ? 'Project workspace not available' : `HTTP ${response.status}`)
+        }
+        if (!data.ok) throw Object.assign(new Error(data.error || `HTTP ${response.status}`), { status: response.status })
+        return data
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} path
+     * @param {any} body
+     */
+    _send(method, path, body) {
+        return this._request(path, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    }
+
+    /** @param {string} name */
+    _path(name) {
+        return `/${encodeURIComponent(name)}`
+    }
+
+    _log(message, type = 'info') {
+        this.master.window_manager?.logToConsole?.(message, type)
+    }
+
+    /** The current project in the VOVKPLCPROJECT format */
+    _currentText() {
+        this.master.project_manager.collectProjectState()
+        return this.master.project_manager.buildExportText()
+    }
+
+    // ─── Open ────────────────────────────────────────────────────────────
+
+    /** Show the workspace projects */
+    async show() {
+        const content = document.createElement('div')
+        content.classList.add('project-browser')
+        /** @type {(value?: string) => void} */
+        let close = () => {}
+
+        const render = async () => {
+            content.innerHTML = `<div class="project-browser-empty">Loading projects...</div>`
+            /** @type {WorkspaceProject[]} */
+            let projects = []
+            try {
+                projects = (await this._request('')).projects
+            } catch (err) {
+                content.innerHTML = `<div class="project-browser-error">${escapeHTML(err.message)}</div>`
+                return
+            }
+            const linked = this.link?.name
+            content.innerHTML = projects.length ? /*HTML*/`
+                <table class="project-browser-table">
+                    <thead>
+                        <tr><th>File</th><th>Project</th><th>Modified</th><th>Rev.</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${projects.map(p => /*HTML*/`
+                            <tr data-name="${escapeHTML(p.name)}" class="${p.name === linked ? 'linked' : ''}">
+                                <td title="${escapeHTML(p.name)}.vovkplc">${escapeHTML(p.name)}</td>
+                                <td>${escapeHTML(p.projectName)}</td>
+                                <td>${formatTime(p.modifiedAt)}</td>
+                                <td>${p.revision ?? '-'}</td>
+                                <td class="project-browser-actions">
+                                    <button data-open>Open</button>
+                                    <button data-history>History</button>
+                                    <button data-rename>Rename</button>
+                                    <button data-delete>Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : `<div class="project-browser-empty">The workspace has no projects yet</div>`
+
+            content.querySelectorAll('tr[data-name]').forEach(row => {
+                const name = row.getAttribute('data-name') || ''
+                const on = (selector, handler) => row.querySelector(selector)?.addEventListener('click', handler)
+                on('[data-open]', async () => {
+                    if (await this.open(name)) close('opened')
+                })
+                on('[data-history]', () => this.history(name))
+                on('[data-rename]', async () => {
+                    if (await this.rename(name)) render()
+                })
+                on('[data-delete]', async () => {
+                    if (await this.delete(name)) render()
+                })
+            })
+        }
+
+        const popup = Popup.promise({
+            title: 'Workspace Projects',
+            description: 'Projects stored in the shared workspace folder of the server',
+            width: '720px',
+            content,
+            buttons: [
+                {text: 'Save Current Project...', value: 'save', background: '#007acc', color: 'white'},
+                {text: 'Close', value: 'cancel'},
+            ],
+            closeHandler: callback => (close = callback),
+        })
+        render()
+        if (await popup === 'save') await this.save({ saveAs: true })
+    }
+
+    /**
+     * Open the latest revision of a project
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async open(name) {
+        try {
+            const data = await this._request(this._path(name))
+            this._load(data.text, name, data.revision)
+            this._log(`Opened project ${name} (revision ${data.revision ?? '-'}) from the workspace`, 'success')
+            return true
+        } catch (err) {
+            this._log(`Failed to open project ${name}: ${err.message}`, 'error')
+            alert(`Failed to open project: ${err.message}`)
+            return false
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} name
+     * @param {number | null} revision The revision later saves are based on
+     */
+    _load(text, name, revision) {
+        this.master.window_manager.loadProjectText(text)
+        this.link = { name, revision }
+    }
+
+    // ─── Save ────────────────────────────────────────────────────────────
+
+    /**
+     * Save the current project to the workspace. Without `saveAs` it goes back to the project
+     * it was opened from.
+     * @param {{ saveAs?: boolean }} [options]
+     * @returns {Promise<boolean>}
+     */
+    async save(options = {}) {
+        let text
+        try {
+            text = this._currentText()
+        } catch (err) {
+            this._log(`Failed to save project: ${err.message}`, 'error')
+            return false
+        }
+
+        let link = options.saveAs ? null : this.link
+        /** @type {number | null | undefined} */
+        let baseRevision = link?.revision ?? undefined
+        if (!link) {
+            const defaultName = (this.master.project?.info?.name || 'project').replace(/[\\/:*?"<>|]+/g, '_')
+            const result = await Popup.form({
+                title: 'Save to Workspace',
+                width: '400px',
+                buttons: [
+                    {text: 'Save', value: 'confirm', background: '#007acc', color: 'white'},
+                    {text: 'Cancel', value: 'cancel'},
+                ],
+                inputs: [
+                    {name: 'name', label: 'File name', type: 'text', value: defaultName},
+                ],
+                verify: states => {
+                    const value = String(states.name.value || '').trim()
+                    if (!value || value.startsWith('.') || /[\\/:*?"<>|]/.test(value)) return states.name.setError()
+                    states.name.clearError()
+                    return true
+                },
+            })
+            if (!result) return false
+            link = { name: String(result.name).trim().replace(/\.vovkplc$/i, ''), revision: null }
+            baseRevision = null
+        }
+
+        while (true) {
+            try {
+                const data = await this._send('PUT', this._path(link.name), { text, baseRevision })
+                this.link = { name: data.name, revision: data.revision }
+                this._log(data.unchanged
+                    ? `Project ${data.name} is unchanged (revision ${data.revision})`
+                    : `Saved project ${data.name} to the workspace as revision ${data.revision}`, 'success')
+                return true
+            } catch (err) {
+                if (err.status !== 409) {
+                    this._log(`Failed to save project ${link.name}: ${err.message}`, 'error')
+                    alert(`Failed to save project: ${err.message}`)
+                    return false
+                }
+                const choice = await Popup.promise({
+                    title: 'Save Conflict',
+                    description: `${escapeHTML(err.message)}.\nOverwrite it with the current project? The other version stays in the revision history.`,
+                    width: '460px',
+                    buttons: [
+                        {text: 'Overwrite', value: 'overwrite', background: '#c72e2e', color: 'white'},
+                        ...(baseRevision !== null ? [{text: 'Compare', value: 'compare'}] : []),
+                        {text: 'Cancel', value: 'cancel'},
+                    ],
+                })
+                if (choice === 'compare') {
+                    await this._compareWithLatest(link.name, text)
+                    continue
+                }
+                if (choice !== 'overwrite') return false
+                baseRevision = undefined
+            }
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} text
+     */
+    async _compareWithLatest(name, text) {
+        try {
+            const latest = await this._request(this._path(name))
+            await this._showDiff(`${name}: revision ${latest.revision} → current project`, latest.text, text)
+        } catch (err) {
+            alert(`Failed to compare: ${err.message}`)
+        }
+    }
+
+    // ─── Manage ──────────────────────────────────────────────────────────
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async rename(name) {
+        const result = await Popup.form({
+            title: 'Rename Project',
+            width: '400px',
+            buttons: [
+                {text: 'Rename', value: 'confirm', background: '#007acc', color: 'white'},
+                {text: 'Cancel', value: 'cancel'},
+            ],
+            inputs: [
+                {name: 'name', label: 'File name', type: 'text', value: name},
+            ],
+        })
+        if (!result || String(result.name).trim() === name) return false
+        try {
+            const data = await this._send('POST', `${this._path(name)}/rename`, { name: String(result.name).trim() })
+            const link = this.link
+            if (link?.name === name) this.link = { ...link, name: data.name }
+            this._log(`Renamed project ${name} to ${data.name}`, 'success')
+            return true
+        } catch (err) {
+            alert(`Failed to rename project: ${err.message}`)
+            return false
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async delete(name) {
+        const confirmed = await Popup.confirm({
+            title: 'Delete Project',
+            description: `Delete ${escapeHTML(name)} and all of its revisions from the workspace?`,
+            confirm_text: 'Delete',
+            confirm_button_color: '#c72e2e',
+            confirm_text_color: 'white',
+            cancel_text: 'Cancel',
+        })
+        if (!confirmed) return false
+        try {
+            await this._request(this._path(name), { method: 'DELETE' })
+            if (this.link?.name === name) this.link = null
+            this._log(`Deleted project ${name} from the workspace`, 'info')
+            return true
+        } catch (err) {
+            alert(`Failed to delete project: ${err.message}`)
+            return false
+        }
+    }
+
+    // ─── Revisions ───────────────────────────────────────────────────────
+
+    /**
+     * Show the revisions of a project
+     * @param {string} name
+     */
+    async history(name) {
+        const content = document.createElement('div')
+        content.classList.add('project-browser')
+        /** @type {(value?: string) => void} */
+        let close = () => {}
+
+        const render = async () => {
+            content.innerHTML = `<div class="project-browser-empty">Loading revisions...</div>`
+            /** @type {WorkspaceRevision[]} */
+            let revisions = []
+            try {
+                revisions = (await this._request(`${this._path(name)}/revisions`)).revisions
+            } catch (err) {
+                content.innerHTML = `<div class="project-browser-error">${escapeHTML(err.message)}</div>`
+                return
+            }
+            const latest = revisions[0]?.id
+            content.innerHTML = revisions.length ? /*HTML*/`
+                <table class="project-browser-table">
+                    <thead>
+                        <tr><th>Rev.</th><th>Saved</th><th>By</th><th>Size</th><th>Note</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${revisions.map((r, i) => /*HTML*/`
+                            <tr data-id="${r.id}">
+                                <td>${r.id}${r.id === latest ? ' (latest)' : ''}</td>
+                                <td>${formatTime(r.savedAt)}</td>
+                                <td>${escapeHTML(r.user || '-')}</td>
+                                <td>${formatSize(r.size)}</td>
+                                <td>${escapeHTML(r.note || '')}</td>
+                                <td class="project-browser-actions">
+                                    <button data-open title="Open this revision in the editor">Open</button>
+                                    ${r.id !== latest ? `<button data-restore title="Make this revision the latest again">Restore</button>` : ''}
+                                    ${revisions[i + 1] ? `<button data-previous title="Compare with revision ${revisions[i + 1].id}">Diff prev.</button>` : ''}
+                                    <button data-current title="Compare with the project open in the editor">Diff editor</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : `<div class="project-browser-empty">No revisions</div>`
+
+            content.querySelectorAll('tr[data-id]').forEach(row => {
+                const id = Number(row.getAttribute('data-id'))
+                const index = revisions.findIndex(r => r.id === id)
+                const on = (selector, handler) => row.querySelector(selector)?.addEventListener('click', handler)
+                on('[data-open]', async () => {
+                    if (await this.openRevision(name, id, latest ?? null)) close('opened')
+                })
+                on('[data-restore]', async () => {
+                    if (await this.restore(name, id)) close('restored')
+                })
+                on('[data-previous]', () => this.compareRevisions(name, revisions[index + 1].id, id))
+                on('[data-current]', () => this.compareWithEditor(name, id))
+            })
+        }
+
+        const popup = Popup.promise({
+            title: `Revisions of ${escapeHTML(name)}`,
+            width: '760px',
+            content,
+            buttons: [{text: 'Close', value: 'cancel'}],
+            closeHandler: callback => (close = callback),
+        })
+        render()
+        await popup
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} id
+     * @returns {Promise<string>}
+     */
+    async _revisionText(name, id) {
+        return (await this._request(`${this._path(name)}/revisions/${id}`)).text
+    }
+
+    /**
+     * Load an older revision into the editor, saving it makes it the latest revision
+     * @param {string} name
+     * @param {number} id
+     * @param {number | null} latest
+     * @returns {Promise<boolean>}
+     */
+    async openRevision(name, id, latest) {
+        try {
+            this._load(await this._revisionText(name, id), name, latest)
+            this._log(`Opened revision ${id} of project ${name}`, 'success')
+            return true
+        } catch (err) {
+            alert(`Failed to open revision: ${err.message}`)
+            return false
+        }
+    }
+
+    /**
+     * Make a revision the latest again on the server and open it
+     * @param {string} name
+     * @param {number} id
+     * @returns {Promise<boolean>}
+     */
+    async restore(name, id) {
+        const confirmed = await Popup.confirm({
+            title: 'Restore Revision',
+            description: `Save revision ${id} of ${escapeHTML(name)} as its latest revision and open it?`,
+            confirm_text: 'Restore',
+            confirm_button_color: '#007acc',
+            confirm_text_color: 'white',
+            cancel_text: 'Cancel',
+        })
+        if (!confirmed) return false
+        try {
+            const data = await this._send('POST', `${this._path(name)}/revisions/${id}/restore`, {})
+            this._load(await this._revisionText(name, data.revision), name, data.revision)
+            this._log(`Restored revision ${id} of project ${name} as revision ${data.revision}`, 'success')
+            return true
+        } catch (err) {
+            alert(`Failed to restore revision: ${err.message}`)
+            return false
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} fromId
+     * @param {number} toId
+     */
+    async compareRevisions(name, fromId, toId) {
+        try {
+            const [before, after] = await Promise.all([this._revisionText(name, fromId), this._revisionText(name, toId)])
+            await this._showDiff(`${name}: revision ${fromId} → ${toId}`, before, after)
+        } catch (err) {
+            alert(`Failed to compare revisions: ${err.message}`)
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} id
+     */
+    async compareWithEditor(name, id) {
+        try {
+            await this._showDiff(`${name}: revision ${id} → current project`, await this._revisionText(name, id), this._currentText())
+        } catch (err) {
+            alert(`Failed to compare revision: ${err.message}`)
+        }
+    }
+
+    /**
+     * Show a line diff, long unchanged runs are folded
+     * @param {string} title
+     * @param {string} before
+     * @param {string} after
+     */
+    async _showDiff(title, before, after) {
+        const lines = diffLines(before, after)
+        const added = lines.filter(l => l.type === 'add').length
+        const removed = lines.filter(l => l.type === 'remove').length
+
+        // Keep the unchanged lines near a change
+        const keep = lines.map(() => false)
+        lines.forEach((line, i) => {
+            if (line.type === 'same') return
+            for (let j = Math.max(0, i - DIFF_CONTEXT); j <= Math.min(lines.length - 1, i + DIFF_CONTEXT); j++) keep[j] = true
+        })
+        const rows = []
+        for (let i = 0; i < lines.length; i++) {
+            if (!keep[i]) {
+                let end = i
+                while (end < lines.length && !keep[end]) end++
+                rows.push(`<div class="project-diff-fold">⋯ ${end - i} unchanged line${end - i === 1 ? '' : 's'}</div>`)
+                i = end - 1
+                continue
+            }
+            const line = lines[i]
+            const sign = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' '
+            rows.push(/*HTML*/`<div class="project-diff-line ${line.type}"><span class="project-diff-number">${line.oldLine ?? ''}</span><span class="project-diff-number">${line.newLine ?? ''}</span><span class="project-diff-text">${sign} ${escapeHTML(line.text)}</span></div>`)
+        }
+
+        const content = document.createElement('div')
+        content.classList.add('project-diff')
+        content.innerHTML = /*HTML*/`
+            <div class="project-diff-summary"><span class="add">+${added}</span> <span class="remove">-${removed}</span></div>
+            <div class="project-diff-lines">${added || removed ? rows.join('') : '<div class="project-browser-empty">No differences</div>'}</div>
+        `
+        await Popup.promise({
+            title: escapeHTML(title),
+            width: '900px',
+            content,
+            buttons: [{text: 'Close', value: 'cancel'}],
+        })
+    }
+}
@@ -768,6 +768,10 @@ export default class SymbolsUI {
         // Transparency when monitoring is off
         cell.style.opacity = this.monitoringActive ? '' : '0.5'
         
+        const forced = !!live?.forced
+        cell.classList.toggle('forced', forced)
+        cell.title = forced ? 'Forced' : ''
+
         if (!live || typeof live.text !== 'string') {
             cell.textContent = '-'
             cell.style.color = ''
@@ -20,8 +20,8 @@ export default class TabManager {
     }
 
     _createTabElement(id) {
-        // Special windows (symbols, setup, memory, datablocks, db:N) that don't live in the project tree
-        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'datablocks' || id.startsWith('db:')
+        // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) that don't live in the project tree
+        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'io' || id === 'plant' || id === 'historian' || id === 'modbus' || id === 'mqtt' || id === 'capture' || id === 'trace' || id === 'forces' || id === 'alarms' || id === 'datablocks' || id.startsWith('db:')
         let program = this.#editor.findProgram(id);
         
         // For special windows not in tree, create a virtual program entry
@@ -32,6 +32,15 @@ export default class TabManager {
             if (id === 'setup') { comment = 'Device Configuration' }
             else if (id === 'symbols') { comment = 'Symbols Table' }
             else if (id === 'datablocks') { comment = 'Data Blocks' }
+            else if (id === 'io') { comment = 'Virtual I/O' }
+            else if (id === 'plant') { comment = 'Plant Models' }
+            else if (id === 'historian') { comment = 'Historian' }
+            else if (id === 'modbus') { comment = 'Modbus Gateway' }
+            else if (id === 'mqtt') { comment = 'MQTT Bridge' }
+            else if (id === 'capture') { comment = 'Serial Capture' }
+            else if (id === 'trace') { comment = 'Trace' }
+            else if (id === 'forces') { comment = 'Force Table' }
+            else if (id === 'alarms') { comment = 'Alarms' }
             else if (id.startsWith('db:')) {
                 const dbNum = parseInt(id.split(':')[1])
                 const db = (this.#editor.project?.datablocks || []).find(d => d.id === dbNum)
@@ -112,8 +121,8 @@ export default class TabManager {
             return
         }
 
-        // Special windows (symbols, setup, memory, datablocks, db:N) that don't live in the project tree
-        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'datablocks' || id.startsWith('db:')
+        // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) that don't live in the project tree
+        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'io' || id === 'plant' || id === 'historian' || id === 'modbus' || id === 'mqtt' || id === 'capture' || id === 'trace' || id === 'forces' || id === 'alarms' || id === 'datablocks' || id.startsWith('db:')
         let program = this.#editor.findProgram(id);
         
         // For special windows not in tree, create a virtual program entry
@@ -123,6 +132,15 @@ export default class TabManager {
             if (id === 'setup') { comment = 'Device Configuration' }
             else if (id === 'symbols') { comment = 'Symbols Table' }
             else if (id === 'datablocks') { comment = 'Data Blocks' }
+            else if (id === 'io') { comment = 'Virtual I/O' }
+            else if (id === 'plant') { comment = 'Plant Models' }
+            else if (id === 'historian') { comment = 'Historian' }
+            else if (id === 'modbus') { comment = 'Modbus Gateway' }
+            else if (id === 'mqtt') { comment = 'MQTT Bridge' }
+            else if (id === 'capture') { comment = 'Serial Capture' }
+            else if (id === 'trace') { comment = 'Trace' }
+            else if (id === 'forces') { comment = 'Force Table' }
+            else if (id === 'alarms') { comment = 'Alarms' }
             else if (id.startsWith('db:')) {
                 const dbNum = parseInt(id.split(':')[1])
                 const db = (this.#editor.project?.datablocks || []).find(d => d.id === dbNum)
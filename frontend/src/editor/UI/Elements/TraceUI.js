@@ -0,0 +1,692 @@
+import { CSSimporter, generateID } from "../../../utils/tools.js"
+import TraceRecorder, { MAX_TRACE_CHANNELS, MAX_TRACE_SAMPLES, parseTrigger, formatTrigger, traceToCSV } from "../../TraceRecorder.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./TraceUI.css')
+
+const escapeHTML = (str) => String(str ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const CHANNEL_COLORS = ['#4fc1ff', '#f0a04b', '#89d185', '#c586c0', '#f48771', '#dcdcaa', '#9cdcfe', '#ce9178']
+
+const PAD = { left: 110, right: 12, top: 8, bottom: 22 }
+
+/** @typedef {import('../../TraceRecorder.js').PLC_Trace} PLC_Trace */
+
+/**
+ * Trace recorder for commissioning, an oscilloscope over PLC memory.
+ * Traces are stored in `project.traces` together with their last recording so runs can be
+ * compared later. Times on the plot are relative to the trigger sample.
+ */
+export default class TraceUI {
+    id = 'trace'
+    hidden = false
+    locked = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type { string | null } */
+    selectedId = null
+    /** @type { string | null } Trace drawn dashed behind the selected one */
+    compareId = null
+    /** @type { { from: number, to: number } | null } Visible time range, null shows the whole trace */
+    view = null
+    /** @type { { a: number | null, b: number | null } } Cursor times */
+    cursors = { a: null, b: null }
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+        this.recorder = new TraceRecorder(master)
+        this.recorder.onComplete = (result) => this._onRecorded(result)
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'trace-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleResize = () => this.drawChart()
+        window.addEventListener('resize', this._handleResize)
+    }
+
+    close() {
+        this.recorder.stop()
+        this._stopProgress()
+        if (this.div) this.div.remove()
+        window.removeEventListener('resize', this._handleResize)
+    }
+
+    /** @returns { PLC_Trace[] } */
+    get traces() {
+        const project = this.master.project
+        if (!project) return []
+        if (!project.traces) project.traces = []
+        return project.traces
+    }
+
+    render() {
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Trace</h2>
+                    <p>Record tags on a trigger and compare the recordings</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body trace-body">
+                <div class="trace-status"></div>
+                <div class="trace-layout">
+                    <div class="trace-sidebar">
+                        <div class="trace-list"></div>
+                        <div class="trace-actions">
+                            <button class="plc-btn" data-add-trace>+ Trace</button>
+                        </div>
+                    </div>
+                    <div class="trace-main">
+                        <div class="trace-config"></div>
+                        <div class="trace-chart">
+                            <div class="trace-chart-toolbar">
+                                <button class="plc-btn" data-arm title="Wait for the trigger and record">Arm</button>
+                                <button class="plc-btn" data-force title="Trigger now">Trigger</button>
+                                <button class="plc-btn" data-stop title="Stop recording, keeps the samples after the trigger">Stop</button>
+                                <span class="trace-separator"></span>
+                                <label>Compare <select data-compare></select></label>
+                                <button class="plc-btn" data-zoom-reset title="Show the whole trace">Reset zoom</button>
+                                <button class="plc-btn" data-export-csv>CSV</button>
+                                <button class="plc-btn" data-export-json>JSON</button>
+                            </div>
+                            <canvas class="trace-canvas"></canvas>
+                            <div class="trace-readout"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.trace-status')
+        this.list = this.div.querySelector('.trace-list')
+        this.config = this.div.querySelector('.trace-config')
+        this.readout = this.div.querySelector('.trace-readout')
+        this.compare_select = /** @type {HTMLSelectElement} */ (this.div.querySelector('[data-compare]'))
+        this.canvas = /** @type {HTMLCanvasElement} */ (this.div.querySelector('.trace-canvas'))
+        this.add_button = this.div.querySelector('[data-add-trace]')
+
+        this.add_button.addEventListener('click', () => this.addTrace())
+        this.div.querySelector('[data-arm]').addEventListener('click', () => this.arm())
+        this.div.querySelector('[data-force]').addEventListener('click', () => this.recorder.forceTrigger())
+        this.div.querySelector('[data-stop]').addEventListener('click', () => this._onRecorded(this.recorder.stop()))
+        this.div.querySelector('[data-zoom-reset]').addEventListener('click', () => {
+            this.view = null
+            this.drawChart()
+        })
+        this.div.querySelector('[data-export-csv]').addEventListener('click', () => this.exportTrace('csv'))
+        this.div.querySelector('[data-export-json]').addEventListener('click', () => this.exportTrace('json'))
+        this.compare_select.addEventListener('change', () => {
+            this.compareId = this.compare_select.value || null
+            this.drawChart()
+        })
+        this._bindCanvas()
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        if (!this.traces.find(t => t.id === this.selectedId)) this.selectedId = this.traces[0]?.id || null
+        this.setLocked(this.locked)
+        this._setStatus('')
+    }
+
+    // ─── Trace list and configuration ────────────────────────────────────
+
+    _selected() {
+        return this.traces.find(t => t.id === this.selectedId) || null
+    }
+
+    _recording() {
+        return this.recorder.state !== 'idle'
+    }
+
+    addTrace() {
+        if (this.locked || !this.master.project) return
+        /** @type {PLC_Trace} */
+        const trace = {
+            id: generateID(),
+            name: `Trace ${this.traces.length + 1}`,
+            channels: [],
+            intervalMs: 50,
+            pre: 100,
+            post: 400,
+            trigger: null,
+        }
+        this.traces.push(trace)
+        this._select(trace.id)
+        this._onTracesChanged()
+    }
+
+    /** @param {PLC_Trace} trace */
+    deleteTrace(trace) {
+        if (this.locked || this._recording()) return
+        if (trace.result && !confirm(`Delete trace '${trace.name}' and its recording?`)) return
+        const traces = this.traces
+        const index = traces.indexOf(trace)
+        if (index < 0) return
+        traces.splice(index, 1)
+        if (this.compareId === trace.id) this.compareId = null
+        this._select(traces[Math.min(index, traces.length - 1)]?.id || null)
+        this._onTracesChanged()
+    }
+
+    /** @param {string | null} id */
+    _select(id) {
+        this.selectedId = id
+        this.view = null
+        this.cursors = { a: null, b: null }
+        if (this.compareId === id) this.compareId = null
+    }
+
+    _onTracesChanged() {
+        // Trigger auto-save
+        if (this.master?.project_manager?.checkAndSave) {
+            this.master.project_manager.checkAndSave()
+        }
+        this.renderList()
+    }
+
+    renderList() {
+        if (!this.list) return
+        const traces = this.traces
+        if (!traces.length) {
+            this.list.innerHTML = `<div class="trace-empty">No traces</div>`
+        } else {
+            this.list.innerHTML = traces.map(trace => /*HTML*/`
+                <div class="trace-item${trace.id === this.selectedId ? ' selected' : ''}" data-id="${escapeHTML(trace.id)}">
+                    <span class="trace-name">${escapeHTML(trace.name)}</span>
+                    <span class="trace-count">${trace.result ? `${trace.result.times.length} samples` : 'empty'}</span>
+                </div>
+            `).join('')
+        }
+        this.list.querySelectorAll('.trace-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.selectedId === item.getAttribute('data-id') || this._recording()) return
+                this._select(item.getAttribute('data-id'))
+                this.renderList()
+            })
+        })
+        this.renderConfig()
+        this.renderCompare()
+        this._updateButtons()
+        this.drawChart()
+    }
+
+    renderConfig() {
+        if (!this.config) return
+        const trace = this._selected()
+        if (!trace) {
+            this.config.innerHTML = `<div class="trace-empty">Add a trace to record tags of the connected device</div>`
+            return
+        }
+        const disabled = this.locked || this._recording() ? 'disabled' : ''
+        this.config.innerHTML = /*HTML*/`
+            <div class="trace-form">
+                <label>Name <input type="text" data-field="name" value="${escapeHTML(trace.name)}" ${disabled}></label>
+                <label>Interval (ms) <input type="number" data-field="intervalMs" min="10" step="10" value="${trace.intervalMs}" ${disabled}></label>
+                <label>Pre-trigger <input type="number" data-field="pre" min="0" value="${trace.pre}" ${disabled}></label>
+                <label>Post-trigger <input type="number" data-field="post" min="1" value="${trace.post}" ${disabled}></label>
+                <label class="trace-trigger">Trigger <input type="text" data-field="trigger" value="${escapeHTML(formatTrigger(trace.trigger))}" placeholder="e.g. X0.3 rising, DB1.speed > 100 (empty records right away)" ${disabled}></label>
+                <button class="plc-btn" data-delete ${disabled}>Delete</button>
+            </div>
+            <textarea class="trace-channels" spellcheck="false" placeholder="Up to ${MAX_TRACE_CHANNELS} symbols or addresses, one per line, e.g. X0.3, MW10, DB1.speed" ${disabled}>${escapeHTML(trace.channels.join('\n'))}</textarea>
+        `
+        this.config.querySelectorAll('[data-field], .trace-channels').forEach(input => {
+            input.addEventListener('change', () => this._applyConfig(trace))
+        })
+        this.config.querySelector('[data-delete]').addEventListener('click', () => this.deleteTrace(trace))
+    }
+
+    /**
+     * Read the configuration form into the trace
+     * @param {PLC_Trace} trace
+     * @returns {boolean} false when the form has an error
+     */
+    _applyConfig(trace) {
+        if (!this.config || this.locked) return false
+        const field = (name) => /** @type {HTMLInputElement} */ (this.config.querySelector(`[data-field="${name}"]`)).value.trim()
+        const textarea = /** @type {HTMLTextAreaElement} */ (this.config.querySelector('.trace-channels'))
+        const channels = [...new Set(textarea.value.split('\n').map(line => line.trim()).filter(Boolean))]
+        const intervalMs = Math.max(10, Math.round(Number(field('intervalMs')) || 50))
+        const pre = Math.max(0, Math.round(Number(field('pre')) || 0))
+        const post = Math.max(1, Math.round(Number(field('post')) || 1))
+        let trigger
+        try {
+            trigger = parseTrigger(field('trigger'))
+        } catch (err) {
+            this._setStatus(err.message, true)
+            return false
+        }
+        if (channels.length > MAX_TRACE_CHANNELS) {
+            this._setStatus(`A trace records at most ${MAX_TRACE_CHANNELS} channels`, true)
+            return false
+        }
+        if (pre + post > MAX_TRACE_SAMPLES) {
+            this._setStatus(`A trace records at most ${MAX_TRACE_SAMPLES} samples`, true)
+            return false
+        }
+        const changedSetup = channels.join('\n') !== trace.channels.join('\n')
+        Object.assign(trace, { name: field('name') || trace.name, channels, intervalMs, pre, post, trigger })
+        // A recording no longer matches a trace with other channels
+        if (changedSetup && trace.result) delete trace.result
+        this._setStatus('')
+        this._onTracesChanged()
+        return true
+    }
+
+    renderCompare() {
+        if (!this.compare_select) return
+        const options = this.traces.filter(t => t.id !== this.selectedId && t.result)
+        if (!options.some(t => t.id === this.compareId)) this.compareId = null
+        this.compare_select.innerHTML = `<option value="">None</option>` + options.map(t =>
+            `<option value="${escapeHTML(t.id)}"${t.id === this.compareId ? ' selected' : ''}>${escapeHTML(t.name)}</option>`
+        ).join('')
+    }
+
+    // ─── Recording ───────────────────────────────────────────────────────
+
+    arm() {
+        const trace = this._selected()
+        if (!trace || this.locked || this._recording()) return
+        if (!this._applyConfig(trace)) return
+        if (!this.master.device_manager?.connected) {
+            this._setStatus('Connect to a device to record a trace', true)
+            return
+        }
+        const window_manager = this.master.window_manager
+        if (!window_manager.isMonitoringActive()) {
+            if (!window_manager.isMonitoringAvailable()) {
+                this._setStatus('Monitoring is not available for the current program', true)
+                return
+            }
+            window_manager.setMonitoringActive(true)
+        }
+        try {
+            this.recorder.start(trace)
+        } catch (err) {
+            this._setStatus(err.message, true)
+            return
+        }
+        this._startProgress()
+        this.renderConfig()
+        this._updateButtons()
+    }
+
+    /** @param {import('../../TraceRecorder.js').TraceResult | null} result */
+    _onRecorded(result) {
+        this._stopProgress()
+        const trace = this.recorder.trace
+        if (result && trace) {
+            trace.result = result
+            this.view = null
+            this.cursors = { a: null, b: null }
+            this._setStatus(`Recorded ${result.times.length} samples`)
+        } else {
+            this._setStatus('Recording stopped before the trigger')
+        }
+        this._onTracesChanged()
+    }
+
+    _startProgress() {
+        this._stopProgress()
+        const update = () => {
+            const { state, samples, remaining } = this.recorder.progress
+            if (state === 'armed') this._setStatus(`Armed, waiting for the trigger (${samples} pre-trigger samples)`)
+            else if (state === 'triggered') this._setStatus(`Triggered, ${remaining} samples to go`)
+            this._updateButtons()
+        }
+        update()
+        this._progressTimer = setInterval(update, 250)
+    }
+
+    _stopProgress() {
+        if (this._progressTimer) clearInterval(this._progressTimer)
+        this._progressTimer = null
+    }
+
+    _updateButtons() {
+        const recording = this._recording()
+        const trace = this._selected()
+        const toggle = (selector, enabled) => {
+            const el = this.div.querySelector(selector)
+            if (!el) return
+            if (enabled) el.removeAttribute('disabled')
+            else el.setAttribute('disabled', 'disabled')
+        }
+        toggle('[data-arm]', !!trace && !recording && !this.locked)
+        toggle('[data-force]', this.recorder.state === 'armed')
+        toggle('[data-stop]', recording)
+        toggle('[data-export-csv]', !!trace?.result)
+        toggle('[data-export-json]', !!trace?.result)
+        toggle('[data-add-trace]', !recording && !this.locked)
+    }
+
+    /** @param {'csv' | 'json'} format */
+    exportTrace(format) {
+        const trace = this._selected()
+        if (!trace?.result) return
+        const text = format === 'csv' ? traceToCSV(trace) : JSON.stringify(trace, null, 2)
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' })
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${trace.name.replace(/[^\w.-]+/g, '_')}.${format}`
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        URL.revokeObjectURL(url)
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [error]
+     */
+    _setStatus(text, error = false) {
+        if (!this.status) return
+        this.status.textContent = text || 'Click the plot to place cursor A, shift-click for cursor B. Scroll to zoom, drag to pan.'
+        this.status.classList.toggle('error', !!(text && error))
+    }
+
+    // ─── Plot ────────────────────────────────────────────────────────────
+
+    /**
+     * Samples of a trace with times relative to its trigger
+     * @param {PLC_Trace | null | undefined} trace
+     */
+    _series(trace) {
+        const result = trace?.result
+        if (!result?.times.length) return null
+        const t0 = result.times[result.triggerIndex] || 0
+        return { times: result.times.map(t => t - t0), values: result.values }
+    }
+
+    /** Time range of the whole selected trace */
+    _extent() {
+        const series = this._series(this._selected())
+        if (!series) return null
+        const from = series.times[0]
+        const to = series.times[series.times.length - 1]
+        return to > from ? { from, to } : { from: from - 1, to: from + 1 }
+    }
+
+    _plotWidth() {
+        return Math.max(1, this.canvas.clientWidth - PAD.left - PAD.right)
+    }
+
+    /** @param {number} clientX */
+    _timeAt(clientX) {
+        const range = this.view || this._extent()
+        if (!range) return null
+        const x = clientX - this.canvas.getBoundingClientRect().left - PAD.left
+        return range.from + (x / this._plotWidth()) * (range.to - range.from)
+    }
+
+    _bindCanvas() {
+        const canvas = this.canvas
+        let drag = null
+        canvas.addEventListener('wheel', (e) => {
+            const range = this.view || this._extent()
+            const at = this._timeAt(e.clientX)
+            if (!range || at === null) return
+            e.preventDefault()
+            const factor = e.deltaY > 0 ? 1.25 : 0.8
+            this.view = { from: at - (at - range.from) * factor, to: at + (range.to - at) * factor }
+            this.drawChart()
+        }, { passive: false })
+        canvas.addEventListener('mousedown', (e) => {
+            const range = this.view || this._extent()
+            if (range) drag = { x: e.clientX, range, moved: false }
+        })
+        canvas.addEventListener('mousemove', (e) => {
+            if (!drag) return
+            const dx = e.clientX - drag.x
+            if (Math.abs(dx) > 3) drag.moved = true
+            if (!drag.moved) return
+            const shift = (dx / this._plotWidth()) * (drag.range.to - drag.range.from)
+            this.view = { from: drag.range.from - shift, to: drag.range.to - shift }
+            this.drawChart()
+        })
+        canvas.addEventListener('mouseup', (e) => {
+            const moved = drag?.moved
+            drag = null
+            if (moved) return
+            const at = this._timeAt(e.clientX)
+            if (at === null) return
+            if (e.shiftKey) this.cursors.b = at
+            else this.cursors.a = at
+            this.drawChart()
+        })
+        canvas.addEventListener('mouseleave', () => { drag = null })
+    }
+
+    drawChart() {
+        const canvas = this.canvas
+        if (!canvas || this.hidden) return
+        const width = canvas.clientWidth
+        const height = canvas.clientHeight
+        if (!width || !height) return
+        const scale = window.devicePixelRatio || 1
+        canvas.width = Math.round(width * scale)
+        canvas.height = Math.round(height * scale)
+        const ctx = canvas.getContext('2d')
+        if (!ctx) return
+        ctx.setTransform(scale, 0, 0, scale, 0, 0)
+        ctx.clearRect(0, 0, width, height)
+        ctx.font = '10px consolas, monospace'
+
+        const trace = this._selected()
+        const series = this._series(trace)
+        const range = this.view || this._extent()
+        if (!trace || !series || !range) {
+            ctx.fillStyle = '#666'
+            ctx.fillText(trace ? 'Not recorded yet, arm the trace to record it' : 'No trace selected', 10, 20)
+            this.readout.textContent = ''
+            return
+        }
+        const compareTrace = this.traces.find(t => t.id === this.compareId)
+        const compare = this._series(compareTrace)
+
+        const plotW = this._plotWidth()
+        const laneH = (height - PAD.top - PAD.bottom) / trace.channels.length
+        const x = (t) => PAD.left + ((t - range.from) / (range.to - range.from)) * plotW
+
+        // Time grid, 0 is the trigger
+        ctx.strokeStyle = '#2b2b2b'
+        ctx.fillStyle = '#888'
+        for (let i = 0; i <= 8; i++) {
+            const t = range.from + ((range.to - range.from) * i) / 8
+            ctx.beginPath()
+            ctx.moveTo(x(t), PAD.top)
+            ctx.lineTo(x(t), height - PAD.bottom)
+            ctx.stroke()
+            const label = `${Number(t.toPrecision(4))} ms`
+            const labelX = Math.min(width - PAD.right - ctx.measureText(label).width, Math.max(PAD.left, x(t) - ctx.measureText(label).width / 2))
+            ctx.fillText(label, labelX, height - 6)
+        }
+
+        ctx.save()
+        ctx.beginPath()
+        ctx.rect(PAD.left, 0, plotW, height)
+        ctx.clip()
+        trace.channels.forEach((name, i) => {
+            const top = PAD.top + i * laneH
+            const values = series.values[i] || []
+            const compareIndex = compareTrace ? compareTrace.channels.indexOf(name) : -1
+            const compareValues = compare && compareIndex >= 0 ? compare.values[compareIndex] || [] : []
+            const all = [...values, ...compareValues].filter(v => v !== null)
+            const digital = all.every(v => v === 0 || v === 1)
+            let min = digital ? 0 : Math.min(...all)
+            let max = digital ? 1 : Math.max(...all)
+            if (!all.length || min === max) {
+                min = (all[0] || 0) - 1
+                max = (all[0] || 0) + 1
+            }
+            const inner = laneH * (digital ? 0.5 : 0.8)
+            const y = (v) => top + (laneH - inner) / 2 + (1 - (v - min) / (max - min)) * inner
+            const color = CHANNEL_COLORS[i % CHANNEL_COLORS.length]
+
+            if (compareValues.length) {
+                ctx.setLineDash([4, 3])
+                ctx.globalAlpha = 0.5
+                this._drawLine(ctx, compare.times, compareValues, x, y, color, digital)
+                ctx.setLineDash([])
+                ctx.globalAlpha = 1
+            }
+            this._drawLine(ctx, series.times, values, x, y, color, digital)
+
+            ctx.strokeStyle = '#333'
+            ctx.beginPath()
+            ctx.moveTo(0, top + laneH)
+            ctx.lineTo(width, top + laneH)
+            ctx.stroke()
+        })
+
+        // Trigger and cursors
+        const marker = (t, color, label) => {
+            ctx.strokeStyle = color
+            ctx.fillStyle = color
+            ctx.beginPath()
+            ctx.moveTo(x(t), PAD.top)
+            ctx.lineTo(x(t), height - PAD.bottom)
+            ctx.stroke()
+            ctx.fillText(label, x(t) + 3, PAD.top + 10)
+        }
+        ctx.setLineDash([2, 2])
+        marker(0, '#f48771', 'T')
+        ctx.setLineDash([])
+        if (this.cursors.a !== null) marker(this.cursors.a, '#ffffff', 'A')
+        if (this.cursors.b !== null) marker(this.cursors.b, '#dcdcaa', 'B')
+        ctx.restore()
+
+        // Channel labels over the plot margin
+        trace.channels.forEach((name, i) => {
+            ctx.fillStyle = CHANNEL_COLORS[i % CHANNEL_COLORS.length]
+            const label = name.length > 16 ? name.slice(0, 15) + '…' : name
+            ctx.fillText(label, 6, PAD.top + i * laneH + laneH / 2 + 3)
+        })
+
+        this._renderReadout(trace, series)
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number[]} times
+     * @param {(number | null)[]} values
+     * @param {(t: number) => number} x
+     * @param {(v: number) => number} y
+     * @param {string} color
+     * @param {boolean} digital - Draw as steps
+     */
+    _drawLine(ctx, times, values, x, y, color, digital) {
+        ctx.strokeStyle = color
+        ctx.beginPath()
+        let drawing = false
+        let lastY = 0
+        times.forEach((t, index) => {
+            const v = values[index]
+            if (v === null || v === undefined) {
+                drawing = false
+                return
+            }
+            if (!drawing) ctx.moveTo(x(t), y(v))
+            else {
+                if (digital) ctx.lineTo(x(t), lastY)
+                ctx.lineTo(x(t), y(v))
+            }
+            lastY = y(v)
+            drawing = true
+        })
+        ctx.stroke()
+    }
+
+    /**
+     * Channel values at the cursors
+     * @param {PLC_Trace} trace
+     * @param {{ times: number[], values: (number | null)[][] }} series
+     */
+    _renderReadout(trace, series) {
+        const { a, b } = this.cursors
+        if (a === null && b === null) {
+            this.readout.textContent = ''
+            return
+        }
+        // Nearest sample at or before a time
+        const sampleAt = (t) => {
+            let index = 0
+            while (index + 1 < series.times.length && series.times[index + 1] <= t) index++
+            return index
+        }
+        const format = (v) => v === null || v === undefined ? '-' : Number(v.toPrecision(6)).toString()
+        const ia = a !== null ? sampleAt(a) : -1
+        const ib = b !== null ? sampleAt(b) : -1
+        const rows = trace.channels.map((name, i) => {
+            const values = series.values[i] || []
+            const va = ia >= 0 ? values[ia] : null
+            const vb = ib >= 0 ? values[ib] : null
+            const delta = va !== null && vb !== null && va !== undefined && vb !== undefined ? ` Δ ${format(vb - va)}` : ''
+            return `<span style="color:${CHANNEL_COLORS[i % CHANNEL_COLORS.length]}">${escapeHTML(name)}: ${ia >= 0 ? `A ${format(va)}` : ''} ${ib >= 0 ? `B ${format(vb)}` : ''}${delta}</span>`
+        })
+        const times = [
+            a !== null ? `A ${format(a)} ms` : '',
+            b !== null ? `B ${format(b)} ms` : '',
+            a !== null && b !== null ? `Δt ${format(b - a)} ms` : '',
+        ].filter(Boolean).join(' · ')
+        this.readout.innerHTML = `<span>${times}</span>${rows.join('')}`
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        this.drawChart()
+    }
+
+    reloadProgram() {
+        this.render()
+    }
+
+    setLocked(locked = true) {
+        this.locked = !!locked
+        this.renderList()
+    }
+}
@@ -0,0 +1,341 @@
+import { CSSimporter, readTypedValue, writeTypedValue, evaluateNumericInput } from "../../../utils/tools.js"
+
+const importCSS = CSSimporter(import.meta.url)
+await importCSS('./EditorUI.css')
+await importCSS('./VirtualIOUI.css')
+
+/** Slider range per value type, 32-bit and float ranges are a practical default for analog values */
+const VALUE_RANGES = {
+    byte: [0, 255], u8: [0, 255], i8: [-128, 127],
+    int: [-32768, 32767], i16: [-32768, 32767], u16: [0, 65535], word: [0, 65535],
+    dint: [-100000, 100000], i32: [-100000, 100000], u32: [0, 100000], dword: [0, 100000],
+    real: [0, 100], f32: [0, 100], float: [0, 100], f64: [0, 100],
+}
+
+const STRING_TYPES = ['str8', 'str16', 'cstr8', 'cstr16']
+
+const isFloatType = (type) => type === 'real' || type === 'f32' || type === 'float' || type === 'f64'
+
+/**
+ * Virtual I/O panel for commissioning logic against the simulator.
+ * Input symbols get switches, push buttons and sliders that write the simulated memory,
+ * output symbols get lamps and gauges. Values are read through the DataFetcher.
+ */
+export default class VirtualIOUI {
+    id = 'io'
+    hidden = false
+    div
+    header
+    body
+    master
+    monitoringActive = false
+    monitoringAvailable = false
+    monitor_buttons = []
+    /** @type { Array<{ symbol: any, resolved: { address: number, size: number, bit: number | null, type: string }, direction: 'input' | 'output', row: HTMLElement, update: (data: Uint8Array) => void }> } */
+    _items = []
+
+    /** @param { import("../../Editor.js").VovkPLCEditor } master */
+    constructor(master) {
+        this.master = master
+
+        const div = document.createElement('div')
+        div.classList.add('plc-editor', 'virtual-io-editor')
+        this.div = div
+
+        const frame = master.workspace.querySelector('.plc-window-frame')
+        if (!frame) throw new Error('Frame not found')
+        this.frame = frame
+        this.frame.appendChild(div)
+
+        this.render()
+
+        this._handleDeviceUpdate = () => this.updateConnectionState()
+        this.master.workspace.addEventListener('plc-device-update', this._handleDeviceUpdate)
+    }
+
+    close() {
+        this._unregisterAll()
+        if (this.div) this.div.remove()
+        if (this._handleDeviceUpdate) {
+            this.master.workspace.removeEventListener('plc-device-update', this._handleDeviceUpdate)
+        }
+    }
+
+    render() {
+        this._unregisterAll()
+        this.div.innerHTML = /*HTML*/`
+            <div class="plc-editor-top">
+                <div class="plc-editor-header">
+                    <h2 style="margin-top: 0px; margin-bottom: 3px;">Virtual I/O</h2>
+                    <p>Drive simulated inputs and observe outputs</p>
+                    <button class="plc-btn monitor-btn" data-monitor-toggle="true" title="Toggle Live Monitoring">
+                        <span class="plc-icon plc-icon-monitor"></span>
+                    </button>
+                </div>
+            </div>
+            <div class="plc-editor-body virtual-io-body">
+                <div class="virtual-io-status"></div>
+                <div class="virtual-io-columns">
+                    <div class="virtual-io-column">
+                        <div class="virtual-io-column-title">Inputs (X)</div>
+                        <div class="virtual-io-list" data-direction="input"></div>
+                    </div>
+                    <div class="virtual-io-column">
+                        <div class="virtual-io-column-title">Outputs (Y)</div>
+                        <div class="virtual-io-list" data-direction="output"></div>
+                    </div>
+                </div>
+            </div>
+        `
+
+        this.header = this.div.querySelector('.plc-editor-header')
+        this.body = this.div.querySelector('.plc-editor-body')
+        this.status = this.div.querySelector('.virtual-io-status')
+
+        this.monitor_buttons = Array.from(this.div.querySelectorAll('[data-monitor-toggle="true"]'))
+        this.monitor_buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.master?.window_manager?.toggleMonitoringActive?.()
+            })
+        })
+        this.updateMonitoringState(this.master?.window_manager?.isMonitoringActive?.() || false)
+        this.updateMonitoringAvailability(this.master?.window_manager?.isMonitoringAvailable?.() || false)
+
+        this._buildItems()
+        this.updateConnectionState()
+        if (!this.hidden) this._registerAll()
+    }
+
+    _buildItems() {
+        const project = this.master.project
+        const data_fetcher = this.master.data_fetcher
+        const symbols = (project?.symbols || []).filter(s => (s.location === 'input' || s.location === 'output') && !STRING_TYPES.includes(s.type))
+
+        for (const direction of ['input', 'output']) {
+            const list = this.div.querySelector(`.virtual-io-list[data-direction="${direction}"]`)
+            const entries = symbols.filter(s => s.location === direction)
+            if (!entries.length) {
+                list.innerHTML = `<div class="virtual-io-empty">No ${direction} symbols in the project</div>`
+                continue
+            }
+            for (const symbol of entries) {
+                const resolved = data_fetcher?.resolve(symbol)
+                if (!resolved) continue
+                const isBit = resolved.bit !== null
+                const row = document.createElement('div')
+                row.classList.add('virtual-io-row')
+                const address = isBit ? `${direction === 'input' ? 'X' : 'Y'}${Math.floor(symbol.address)}.${resolved.bit}` : `${direction === 'input' ? 'X' : 'Y'}${Math.floor(symbol.address)}`
+                row.innerHTML = /*HTML*/`
+                    <div class="virtual-io-name" title="${symbol.comment || ''}">${symbol.name}<span class="virtual-io-address">${address} ${isBit ? '' : symbol.type}</span></div>
+                    <div class="virtual-io-control"></div>
+                `
+                const control = row.querySelector('.virtual-io-control')
+                const item = { symbol, resolved, direction, row, update: null }
+                if (direction === 'input') {
+                    item.update = isBit ? this._createBitInput(control, resolved) : this._createValueInput(control, resolved)
+                } else {
+                    item.update = isBit ? this._createLamp(control, resolved) : this._createGauge(control, resolved)
+                }
+                list.appendChild(row)
+                this._items.push(item)
+            }
+        }
+    }
+
+    /** Toggle switch for latching inputs and a push button for momentary inputs */
+    _createBitInput(control, resolved) {
+        control.innerHTML = /*HTML*/`
+            <label class="virtual-io-switch" title="Toggle"><input type="checkbox"><span></span></label>
+            <button class="virtual-io-push" title="Hold to set">PUSH</button>
+        `
+        const checkbox = control.querySelector('input')
+        const push = control.querySelector('.virtual-io-push')
+        checkbox.addEventListener('change', () => this._writeBit(resolved, checkbox.checked))
+        let pressed = false
+        const release = () => {
+            if (!pressed) return
+            pressed = false
+            push.classList.remove('active')
+            this._writeBit(resolved, checkbox.checked)
+        }
+        push.addEventListener('pointerdown', (e) => {
+            e.preventDefault()
+            pressed = true
+            push.classList.add('active')
+            this._writeBit(resolved, true)
+        })
+        push.addEventListener('pointerup', release)
+        push.addEventListener('pointerleave', release)
+        return (data) => {
+            const on = ((data[0] >> resolved.bit) & 1) === 1
+            // Keep the switch in sync with the memory unless the push button is holding the bit
+            if (!pressed) checkbox.checked = on
+        }
+    }
+
+    /** Slider and numeric input for analog input words */
+    _createValueInput(control, resolved) {
+        const [min, max] = VALUE_RANGES[resolved.type] || VALUE_RANGES.byte
+        const step = isFloatType(resolved.type) ? 0.1 : 1
+        control.innerHTML = /*HTML*/`
+            <input class="virtual-io-slider" type="range" min="${min}" max="${max}" step="${step}" value="0">
+            <input class="virtual-io-number" type="text" value="0">
+        `
+        const slider = control.querySelector('.virtual-io-slider')
+        const number = control.querySelector('.virtual-io-number')
+        let editing = false
+        slider.addEventListener('input', () => {
+            number.value = slider.value
+            this._writeValue(resolved, Number(slider.value))
+        })
+        number.addEventListener('focus', () => { editing = true })
+        number.addEventListener('blur', () => { editing = false })
+        number.addEventListener('change', () => {
+            const value = evaluateNumericInput(number.value, isFloatType(resolved.type) ? 'float' : 'int')
+            if (Number.isNaN(value)) return
+            slider.value = String(value)
+            this._writeValue(resolved, value)
+        })
+        return (data) => {
+            const value = this._decodeValue(resolved, data)
+            if (value === null) return
+            if (document.activeElement !== slider) slider.value = String(value)
+            if (!editing) number.value = this._formatValue(resolved, value)
+        }
+    }
+
+    _createLamp(control, resolved) {
+        control.innerHTML = `<div class="virtual-io-lamp"></div>`
+        const lamp = control.querySelector('.virtual-io-lamp')
+        return (data) => {
+            lamp.classList.toggle('on', ((data[0] >> resolved.bit) & 1) === 1)
+        }
+    }
+
+    _createGauge(control, resolved) {
+        const [min, max] = VALUE_RANGES[resolved.type] || VALUE_RANGES.byte
+        control.innerHTML = /*HTML*/`
+            <div class="virtual-io-gauge"><div class="virtual-io-gauge-fill"></div></div>
+            <div class="virtual-io-gauge-value">-</div>
+        `
+        const fill = control.querySelector('.virtual-io-gauge-fill')
+        const text = control.querySelector('.virtual-io-gauge-value')
+        return (data) => {
+            const value = this._decodeValue(resolved, data)
+            if (value === null) return
+            const ratio = Math.min(1, Math.max(0, (value - min) / (max - min)))
+            fill.style.width = `${(ratio * 100).toFixed(1)}%`
+            text.textContent = this._formatValue(resolved, value)
+        }
+    }
+
+    _littleEndian() {
+        return this.master.device_manager?.deviceInfo?.isLittleEndian ?? true
+    }
+
+    _decodeValue(resolved, data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+        const value = readTypedValue(view, 0, resolved.type, this._littleEndian())
+        return value === null ? null : Number(value)
+    }
+
+    _formatValue(resolved, value) {
+        return isFloatType(resolved.type) ? value.toFixed(2) : String(value)
+    }
+
+    /** Connection to write through, only while connected to the simulator */
+    _simulationConnection() {
+        const device_manager = this.master.device_manager
+        if (!device_manager?.connected || device_manager.options?.target !== 'simulation') return null
+        return device_manager.connection
+    }
+
+    async _writeBit(resolved, on) {
+        const connection = this._simulationConnection()
+        if (!connection) return
+        const mask = 1 << resolved.bit
+        try {
+            await connection.writeMemoryAreaMasked(resolved.address, [on ? mask : 0], [mask])
+        } catch (e) {
+            console.error('Failed to write virtual input:', e)
+        }
+    }
+
+    async _writeValue(resolved, value) {
+        const connection = this._simulationConnection()
+        if (!connection) return
+        const data = new Uint8Array(resolved.size)
+        if (!writeTypedValue(new DataView(data.buffer), 0, resolved.type, value, this._littleEndian())) return
+        try {
+            await connection.writeMemoryArea(resolved.address, Array.from(data))
+        } catch (e) {
+            console.error('Failed to write virtual input:', e)
+        }
+    }
+
+    updateConnectionState() {
+        if (!this.status) return
+        const simulation = !!this._simulationConnection()
+        this.div.classList.toggle('virtual-io-disabled', !simulation)
+        if (!simulation) this.status.textContent = 'Connect to the simulator to drive inputs.'
+        else if (!this.monitoringActive) this.status.textContent = 'Enable live monitoring to follow input and output values.'
+        else this.status.textContent = ''
+        this.status.style.display = this.status.textContent ? '' : 'none'
+    }
+
+    _registerAll() {
+        const data_fetcher = this.master.data_fetcher
+        if (!data_fetcher) return
+        for (const item of this._items) {
+            data_fetcher.register('io', item.resolved.address, item.resolved.size, item.update)
+        }
+    }
+
+    _unregisterAll() {
+        const data_fetcher = this.master.data_fetcher
+        if (data_fetcher) {
+            for (const item of this._items) {
+                data_fetcher.unregister('io', item.resolved.address, item.resolved.size, item.update)
+            }
+        }
+        this._items = []
+    }
+
+    updateMonitoringState(active = false) {
+        this.monitoringActive = !!active
+        this.monitor_buttons.forEach(btn => {
+            btn.classList.toggle('active', this.monitoringActive)
+        })
+        this.updateConnectionState()
+    }
+
+    updateMonitoringAvailability(available = false) {
+        this.monitoringAvailable = !!available
+    }
+
+    hide() {
+        this.hidden = true
+        this.div.classList.add('hidden')
+        const data_fetcher = this.master.data_fetcher
+        if (data_fetcher) {
+            for (const item of this._items) {
+                data_fetcher.unregister('io', item.resolved.address, item.resolved.size, item.update)
+            }
+        }
+    }
+
+    show() {
+        this.hidden = false
+        this.div.classList.remove('hidden')
+        // Symbols or offsets may have changed while hidden
+        this.render()
+    }
+
+    reloadProgram() {
+        this.render()
+    }
+
+    setLocked() {
+        // Inputs stay usable while the project is locked, they only touch simulated memory
+    }
+}
@@ -1,5 +1,6 @@
 import { ElementSynthesis, CSSimporter, readTypedValue, evaluateNumericInput } from "../../../utils/tools.js"
 import { Popup } from "./components/popup.js"
+import { WATCH_FORMATS, DEFAULT_WATCH_TABLE, parseBitValue, mergeMaskedWrites } from "../../../utils/watch-tables.js"
 
 const importCSS = CSSimporter(import.meta.url)
 await importCSS('./WatchPanel.css')
@@ -22,9 +23,60 @@ const WATCH_TYPES = {
     'cstr16':{ size: 0, label: 'CSTR16', isString: true, headerSize: 4, isConst: true },
 }
 
+const INTEGER_TYPES = ['byte', 'u8', 'i8', 'int', 'u16', 'dint', 'u32']
+
+/**
+ * Integer value in a display format, negative values show their two's complement
+ * @param {number} value
+ * @param {number} size - Size in bytes
+ * @param {import('../../../utils/watch-tables.js').WatchFormat} format
+ */
+const formatInteger = (value, size, format) => {
+    const unsigned = size >= 4 ? value >>> 0 : value & ((1 << (size * 8)) - 1)
+    if (format === 'hex') return '0x' + unsigned.toString(16).toUpperCase().padStart(size * 2, '0')
+    if (format === 'bin') return '0b' + unsigned.toString(2).padStart(size * 8, '0')
+    return value
+}
+
+/**
+ * Bytes of a numeric value in the device's byte order
+ * @param {string} type - Watch type
+ * @param {number} num
+ * @param {boolean} isLittleEndian
+ * @returns {number[]}
+ */
+const encodeNumber = (type, num, isLittleEndian) => {
+    const size = WATCH_TYPES[type]?.size || 1
+    const buffer = new ArrayBuffer(size)
+    const view = new DataView(buffer)
+
+    if (type === 'real' || type === 'float' || type === 'f32') {
+        view.setFloat32(0, num, isLittleEndian)
+    } else if (type === 'f64') {
+        view.setFloat64(0, num, isLittleEndian)
+    } else if (type === 'int' || type === 'i16') {
+        view.setInt16(0, num, isLittleEndian)
+    } else if (type === 'u16') {
+        view.setUint16(0, num, isLittleEndian)
+    } else if (type === 'dint' || type === 'i32') {
+        view.setInt32(0, num, isLittleEndian)
+    } else if (type === 'u32') {
+        view.setUint32(0, num, isLittleEndian)
+    } else if (type === 'i8') {
+        view.setInt8(0, num)
+    } else {
+        // byte/u8 - single byte, no endianness
+        view.setUint8(0, num & 0xFF)
+    }
+    return Array.from(new Uint8Array(buffer))
+}
+
 export default class WatchPanel {
     active_device = 'simulation'
     entries = []
+    /** @type { import('../../../utils/watch-tables.js').PLC_WatchTable[] } */
+    tables = [{ name: DEFAULT_WATCH_TABLE, entries: [] }]
+    tableIndex = 0
     STORAGE_KEY = 'vovk_plc_watch_values'
     _saveTimeout = null
 
@@ -43,15 +95,41 @@ export default class WatchPanel {
         this.restoreValues()
     }
 
-    /** @type { (entries: any[]) => void } */
+    /** @type { (tables: import('../../../utils/watch-tables.js').PLC_WatchTable[]) => void } */
     onListChange = null
 
+    /** Table shown in the panel */
+    get table() {
+        return this.tables[this.tableIndex]
+    }
+
+    /**
+     * Show the watch tables of a project
+     * @param {import('../../../utils/watch-tables.js').PLC_WatchTable[]} tables
+     */
+    setTables(tables) {
+        const current = this.table?.name
+        this.tables = tables.length ? tables : [{ name: DEFAULT_WATCH_TABLE, entries: [] }]
+        this.tableIndex = Math.max(0, this.tables.findIndex(t => t.name === current))
+        this.setEntries(this.table.entries)
+        this.renderTables()
+    }
+
+    /** @param {number} index */
+    selectTable(index) {
+        if (index < 0 || index >= this.tables.length || index === this.tableIndex) return
+        this.tableIndex = index
+        this.selectedIndex = -1
+        this.setEntries(this.table.entries)
+        this.renderTables()
+    }
+
     setEntries(items) {
         // Clear existing monitoring
         this.entries.forEach(e => this.stopMonitoring(e))
         this.entries = items.map(item => {
             if (typeof item === 'string') return { name: item, value: '-', type: '' }
-            return { name: item.name, type: item.type || '', value: '-' }
+            return { name: item.name, type: item.type || '', format: item.format, comment: item.comment, modify: item.modify, value: '-' }
         })
         
         // Restore last values from localStorage
@@ -62,12 +140,81 @@ export default class WatchPanel {
     }
 
     getEntries() {
-        return this.entries.map(e => ({ name: e.name, type: e.type }))
+        return this.entries.map(e => {
+            /** @type { import('../../../utils/watch-tables.js').PLC_WatchEntry } */
+            const entry = { name: e.name, type: e.type }
+            if (e.format && e.format !== 'dec') entry.format = e.format
+            if (e.comment) entry.comment = e.comment
+            if (e.modify) entry.modify = e.modify
+            return entry
+        })
     }
 
     _notifyChange() {
+        this.table.entries = this.getEntries()
         if (this.onListChange) {
-            this.onListChange(this.getEntries())
+            this.onListChange(this.tables)
+        }
+    }
+
+    renderTables() {
+        if (!this.tableSelectEl) return
+        this.tableSelectEl.innerHTML = ''
+        this.tables.forEach((table, index) => {
+            const opt = document.createElement('option')
+            opt.value = String(index)
+            opt.textContent = table.name
+            opt.selected = index === this.tableIndex
+            this.tableSelectEl.appendChild(opt)
+        })
+        this.titleEl.textContent = this.tables.length > 1 ? `Watch Table: ${this.table.name}` : 'Watch Table'
+    }
+
+    /** @param {string} action */
+    async onTableAction(action) {
+        if (action === 'add' || action === 'rename') {
+            const renaming = action === 'rename'
+            const result = await Popup.form({
+                title: renaming ? 'Rename Watch Table' : 'New Watch Table',
+                inputs: [{ type: 'text', name: 'name', label: 'Name', value: renaming ? this.table.name : `Watch ${this.tables.length + 1}` }],
+                buttons: [{ text: renaming ? 'Rename' : 'Create', value: 'confirm' }, { text: 'Cancel', value: 'cancel' }],
+            })
+            const name = result?.name?.trim()
+            if (!name || (renaming && name === this.table.name)) return
+            if (this.tables.some(t => t.name === name)) {
+                await this._alert('Watch Table Exists', `A watch table named "${name}" already exists.`)
+                return
+            }
+            if (renaming) {
+                this.table.name = name
+            } else {
+                this.tables.push({ name, entries: [] })
+                this.selectTable(this.tables.length - 1)
+            }
+            this.renderTables()
+            this._notifyChange()
+        } else if (action === 'delete') {
+            if (this.tables.length === 1) {
+                this.setEntries([])
+                this._notifyChange()
+                return
+            }
+            const confirmed = await Popup.confirm({
+                title: 'Delete Watch Table',
+                description: `Delete the watch table "${this.table.name}"?`,
+                confirm_text: 'Delete',
+                cancel_text: 'Cancel',
+            })
+            if (!confirmed) return
+            this.entries.forEach(e => this.stopMonitoring(e))
+            this.entries = []
+            this.tables.splice(this.tableIndex, 1)
+            this.tableIndex = Math.min(this.tableIndex, this.tables.length - 1)
+            this.setEntries(this.table.entries)
+            this.renderTables()
+            if (this.onListChange) this.onListChange(this.tables)
+        } else if (action === 'write') {
+            await this.writeModifyValues()
         }
     }
 
@@ -83,6 +230,13 @@ export default class WatchPanel {
                     <span class="plc-device-watch-title">Watch Table</span>
                 </div>
                 <div class="plc-device-watch-content">
+                    <div class="plc-device-watch-tables">
+                        <select class="plc-device-watch-table-select" title="Watch table"></select>
+                        <button class="plc-device-watch-tool" data-table-action="add" title="New watch table"><span class="codicon codicon-add"></span></button>
+                        <button class="plc-device-watch-tool" data-table-action="rename" title="Rename watch table"><span class="codicon codicon-edit"></span></button>
+                        <button class="plc-device-watch-tool" data-table-action="delete" title="Delete watch table"><span class="codicon codicon-trash"></span></button>
+                        <button class="plc-device-watch-write" data-table-action="write" title="Write all modify values of this table to the device"><span class="codicon codicon-run-all"></span>Write</button>
+                    </div>
                     <div class="plc-device-watch-input-container">
                         <div class="plc-device-watch-input-row">
                             <input class="plc-device-watch-input" type="text" placeholder="Add symbol..." autocomplete="off"/>
@@ -94,7 +248,9 @@ export default class WatchPanel {
                         <div class="plc-device-watch-row plc-device-watch-row-head">
                             <span style="flex:2">Name</span>
                             <span style="flex:1">Type</span>
+                            <span style="flex:1">Format</span>
                             <span style="flex:2; text-align: right; padding-right: 4px;">Value</span>
+                            <span style="flex:1.5">Modify</span>
                         </div>
                         <div class="plc-device-watch-list" tabindex="0"></div>
                         <div class="plc-device-watch-empty">Add symbols to monitor their values. Right-click to remove.</div>
@@ -117,6 +273,14 @@ export default class WatchPanel {
         })
         */
 
+        this.titleEl = element.querySelector('.plc-device-watch-title')
+        this.tableSelectEl = element.querySelector('.plc-device-watch-table-select')
+        this.tableSelectEl.addEventListener('change', () => this.selectTable(+this.tableSelectEl.value))
+        element.querySelectorAll('[data-table-action]').forEach(btn => {
+            btn.addEventListener('click', () => this.onTableAction(btn.getAttribute('data-table-action')))
+        })
+        this.renderTables()
+
         this.listEl = element.querySelector('.plc-device-watch-list')
         this.emptyEl = element.querySelector('.plc-device-watch-empty')
         this.inputEl = element.querySelector('.plc-device-watch-input')
@@ -172,6 +336,7 @@ export default class WatchPanel {
                         const idx = +row.dataset.index
                         this.activeActionIndex = idx
                         items.push({ type: 'item', label: 'Edit Watch', name: 'edit' })
+                        items.push({ type: 'item', label: 'Edit Comment', name: 'comment' })
                         items.push({ type: 'item', label: 'Remove Watch', name: 'remove' })
                         // Check if this watch entry matches a project symbol
                         const entry = this.entries[idx]
@@ -186,6 +351,8 @@ export default class WatchPanel {
                         items.push({ type: 'separator' })
                     }
 
+                    items.push({ type: 'item', label: 'Write Modify Values', name: 'write', disabled: !this.entries.some(e => e.modify) })
+                    items.push({ type: 'item', label: 'Clear Modify Values', name: 'clear-modify', disabled: !this.entries.some(e => e.modify) })
                     items.push({ type: 'item', label: 'Clear All', name: 'clear', disabled: this.entries.length === 0 })
                     
                     return items
@@ -209,6 +376,29 @@ export default class WatchPanel {
                         this._notifyChange()
                         this.renderList()
                     }
+                    if (key === 'comment' && this.activeActionIndex !== undefined) {
+                        const entry = this.entries[this.activeActionIndex]
+                        if (entry) {
+                            Popup.form({
+                                title: `Comment for ${entry.name}`,
+                                inputs: [{ type: 'text', name: 'comment', label: 'Comment', value: entry.comment || '' }],
+                                buttons: [{ text: 'Save', value: 'confirm' }, { text: 'Cancel', value: 'cancel' }],
+                            }).then(result => {
+                                if (!result || typeof result.comment === 'undefined') return
+                                entry.comment = String(result.comment).trim()
+                                this._notifyChange()
+                                this.renderList()
+                            })
+                        }
+                    }
+                    if (key === 'write') {
+                        this.writeModifyValues()
+                    }
+                    if (key === 'clear-modify') {
+                        this.entries.forEach(e => { e.modify = '' })
+                        this._notifyChange()
+                        this.renderList()
+                    }
                     if (key === 'rename' && this.activeActionIndex !== undefined) {
                         const entry = this.entries[this.activeActionIndex]
                         if (entry) {
@@ -419,7 +609,7 @@ export default class WatchPanel {
             return
         }
 
-        const entry = { name: value, value: '-', type: '' }
+        const entry = { name: value, value: '-', type: '', format: 'dec', comment: '', modify: '' }
         
         // Start monitoring
         this.startMonitoring(entry)
@@ -436,7 +626,7 @@ export default class WatchPanel {
         
         if (this.entries.some(e => e.name === value)) return
 
-        const entry = { name: value, value: '-', type: type }
+        const entry = { name: value, value: '-', type: type, format: 'dec', comment: '', modify: '' }
         this.startMonitoring(entry)
         this.entries.push(entry)
         this._notifyChange()
@@ -480,7 +670,7 @@ export default class WatchPanel {
             if (this.selectedIndex === idx) row.classList.add('selected')
 
             row.onclick = (e) => {
-                if (e.target.closest('.plc-device-watch-type-select')) return
+                if (e.target.closest('.plc-device-watch-type-select, .plc-device-watch-modify')) return
                 this.selectedIndex = idx
                 this.updateSelectionVisuals()
                 this.listEl.focus()
@@ -533,14 +723,23 @@ export default class WatchPanel {
                 if (fromIdx !== toIdx && Number.isFinite(fromIdx) && Number.isFinite(toIdx)) {
                     const item = this.entries.splice(fromIdx, 1)[0]
                     this.entries.splice(toIdx, 0, item)
+                    this._notifyChange()
                     this.renderList()
                     this.updateValues()
                 }
             })
 
             const nameSpan = document.createElement('span')
+            nameSpan.className = 'plc-device-watch-name'
             nameSpan.style.flex = '2'
             nameSpan.textContent = entry.name
+            if (entry.comment) {
+                const commentSpan = document.createElement('span')
+                commentSpan.className = 'plc-device-watch-comment'
+                commentSpan.textContent = `// ${entry.comment}`
+                nameSpan.appendChild(commentSpan)
+                nameSpan.title = entry.comment
+            }
             
             const typeSelect = document.createElement('select')
             typeSelect.className = 'plc-device-watch-type-select'
@@ -560,6 +759,23 @@ export default class WatchPanel {
                 this._notifyChange()
             }
 
+            const formatSelect = document.createElement('select')
+            formatSelect.className = 'plc-device-watch-type-select'
+            formatSelect.style.flex = '1'
+            formatSelect.title = 'Display format of integer values'
+            WATCH_FORMATS.forEach(f => {
+                const opt = document.createElement('option')
+                opt.value = f
+                opt.textContent = f.toUpperCase()
+                if (f === (entry.format || 'dec')) opt.selected = true
+                formatSelect.appendChild(opt)
+            })
+            formatSelect.onchange = () => {
+                entry.format = formatSelect.value
+                if (entry.lastData && entry.update) entry.update(entry.lastData)
+                this._notifyChange()
+            }
+
             const valueSpan = document.createElement('span')
             valueSpan.className = 'plc-device-watch-value'
             valueSpan.style.flex = '2'
@@ -569,7 +785,23 @@ export default class WatchPanel {
             valueSpan.textContent = typeof entry.value !== 'undefined' ? entry.value : '-'
             entry.valueEl = valueSpan
             
-            row.append(nameSpan, typeSelect, valueSpan)
+            const modifyInput = document.createElement('input')
+            modifyInput.className = 'plc-device-watch-modify'
+            modifyInput.style.flex = '1.5'
+            modifyInput.type = 'text'
+            modifyInput.placeholder = '-'
+            modifyInput.title = 'Modify value, written with "Write" (bits take 1/0 or ON/OFF)'
+            modifyInput.value = entry.modify || ''
+            modifyInput.onkeydown = (e) => {
+                e.stopPropagation() // Keep list shortcuts (0/1/Enter) out of the input
+                if (e.key === 'Enter' || e.key === 'Escape') modifyInput.blur()
+            }
+            modifyInput.onchange = () => {
+                entry.modify = modifyInput.value.trim()
+                this._notifyChange()
+            }
+
+            row.append(nameSpan, typeSelect, formatSelect, valueSpan, modifyInput)
             this.listEl.appendChild(row)
         })
         
@@ -674,7 +906,7 @@ export default class WatchPanel {
                     
                     // Check if this is a const string (not writable)
                     if (typeInfo?.isConst) {
-                        await Popup.alert({ title: 'Cannot Edit', description: 'Constant strings are read-only.' })
+                        await this._alert('Cannot Edit', 'Constant strings are read-only.')
                         return
                     }
                     
@@ -738,34 +970,9 @@ export default class WatchPanel {
                             const isFloatType = entry.type === 'real' || entry.type === 'float' || entry.type === 'f32' || entry.type === 'f64'
                             let num = evaluateNumericInput(input, isFloatType ? 'float' : 'int')
                             if (!Number.isNaN(num)) {
-                                const size = typeInfo?.size || 1
-                                const type = entry.type
-                                
                                 // Use device endianness for writes
                                 const isLittleEndian = this.editor.device_manager?.deviceInfo?.isLittleEndian ?? true
-                                const buffer = new ArrayBuffer(size)
-                                const view = new DataView(buffer)
-                                
-                                if (type === 'real' || type === 'float' || type === 'f32') {
-                                    view.setFloat32(0, num, isLittleEndian)
-                                } else if (type === 'f64') {
-                                    view.setFloat64(0, num, isLittleEndian)
-                                } else if (type === 'int' || type === 'i16') {
-                                    view.setInt16(0, num, isLittleEndian)
-                                } else if (type === 'u16') {
-                                    view.setUint16(0, num, isLittleEndian)
-                                } else if (type === 'dint' || type === 'i32') {
-                                    view.setInt32(0, num, isLittleEndian)
-                                } else if (type === 'u32') {
-                                    view.setUint32(0, num, isLittleEndian)
-                                } else if (type === 'i8') {
-                                    view.setInt8(0, num)
-                                } else {
-                                    // byte/u8 - single byte, no endianness
-                                    view.setUint8(0, num & 0xFF)
-                                }
-                                
-                                const data = Array.from(new Uint8Array(buffer))
+                                const data = encodeNumber(entry.type, num, isLittleEndian)
                                 await connection.writeMemoryArea(absAddress, data)
                             }
                         }
@@ -782,6 +989,103 @@ export default class WatchPanel {
         // Handled by callbacks or renderList re-population
     }
 
+    /**
+     * @param {string} title
+     * @param {string} description
+     */
+    async _alert(title, description) {
+        await Popup.promise({ title, description, buttons: [{ text: 'OK', value: 'ok' }] })
+    }
+
+    /**
+     * Write the modify values of the current table to the device in one burst.
+     * All values are encoded before anything is written, so a table with an invalid value writes
+     * nothing. The writes are then merged into as few masked writes as possible, bits of the same
+     * byte go out in a single write.
+     */
+    async writeModifyValues() {
+        const connection = this.editor.device_manager?.connection
+        if (!connection || !this.editor.device_manager?.connected) {
+            await this._alert('Not Connected', 'Connect to a device to write the modify values.')
+            return
+        }
+        const pending = this.entries.filter(e => e.modify)
+        if (!pending.length) {
+            await this._alert('No Modify Values', `The watch table "${this.table.name}" has no modify values.`)
+            return
+        }
+        const isLittleEndian = this.editor.device_manager?.deviceInfo?.isLittleEndian ?? true
+        /** @type { import('../../../utils/watch-tables.js').MaskedWrite[] } */
+        const writes = []
+        const problems = []
+        for (const entry of pending) {
+            try {
+                writes.push(await this._encodeModifyValue(entry, connection, isLittleEndian))
+            } catch (e) {
+                problems.push(`${entry.name}: ${e.message}`)
+            }
+        }
+        if (problems.length) {
+            await this._alert('Modify Values Not Written', problems.join('\n'))
+            return
+        }
+        try {
+            for (const write of mergeMaskedWrites(writes)) {
+                await connection.writeMemoryAreaMasked(write.address, write.data, write.mask)
+            }
+            if (this.editor.window_manager.updateLiveMonitorState) this.editor.window_manager.updateLiveMonitorState()
+        } catch (e) {
+            console.error('Failed to write modify values:', e)
+            await this._alert('Write Failed', e.message || String(e))
+        }
+    }
+
+    /**
+     * Encode the modify value of an entry as a masked write
+     * @param {any} entry
+     * @param {any} connection - Reads the capacity of string values
+     * @param {boolean} isLittleEndian
+     * @returns {Promise<import('../../../utils/watch-tables.js').MaskedWrite>}
+     */
+    async _encodeModifyValue(entry, connection, isLittleEndian) {
+        const resolved = entry.resolved
+        if (!resolved) throw new Error('unknown address or symbol')
+        const address = resolved.address
+        const typeInfo = WATCH_TYPES[entry.type]
+
+        if (entry.type === 'bit') {
+            const bit = parseBitValue(entry.modify)
+            if (bit === null) throw new Error(`'${entry.modify}' is not a bit value, use 1/0 or ON/OFF`)
+            const mask = resolved.bit !== null ? (1 << resolved.bit) : 1
+            return { address, data: [bit ? mask : 0], mask: [mask] }
+        }
+        if (typeInfo?.isConst) throw new Error('constant strings are read-only')
+        if (typeInfo?.isString) {
+            const is16Bit = entry.type === 'str16'
+            const headerSize = typeInfo.headerSize
+            const headerData = await connection.readMemoryArea(address, headerSize)
+            const headerView = new DataView(new Uint8Array(headerData).buffer)
+            const capacity = is16Bit ? headerView.getUint16(0, isLittleEndian) : headerData[0]
+            const strBytes = new TextEncoder().encode(entry.modify.replace(/^"|"$/g, '')).slice(0, capacity)
+            const bytes = new Uint8Array(headerSize + strBytes.length)
+            const view = new DataView(bytes.buffer)
+            if (is16Bit) {
+                view.setUint16(0, capacity, isLittleEndian)
+                view.setUint16(2, strBytes.length, isLittleEndian)
+            } else {
+                bytes[0] = capacity
+                bytes[1] = strBytes.length
+            }
+            bytes.set(strBytes, headerSize)
+            return { address, data: Array.from(bytes), mask: new Array(bytes.length).fill(0xFF) }
+        }
+        const isFloatType = entry.type === 'real' || entry.type === 'f64'
+        const num = evaluateNumericInput(entry.modify, isFloatType ? 'float' : 'int')
+        if (Number.isNaN(num)) throw new Error(`'${entry.modify}' is not a number`)
+        const data = encodeNumber(entry.type, num, isLittleEndian)
+        return { address, data, mask: new Array(data.length).fill(0xFF) }
+    }
+
     enterEditMode(index) {
         if (index < 0 || index >= this.entries.length) return
         const entry = this.entries[index]
@@ -871,6 +1175,7 @@ export default class WatchPanel {
         
         entry.resolved = { ...resolved, type: entry.type, size }
         entry.update = (data) => {
+            entry.lastData = data
             // Format value
             let val = '-'
             const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
@@ -941,6 +1246,10 @@ export default class WatchPanel {
                  // Hex fallback or similar?
                  val = Array.from(data).map(b => b.toString(16).padStart(2,'0')).join(' ')
             }
+
+            if (typeof val === 'number' && INTEGER_TYPES.includes(type) && entry.format && entry.format !== 'dec') {
+                 val = formatInteger(val, WATCH_TYPES[type].size, entry.format)
+            }
             
             if (entry.valueEl) {
                 entry.valueEl.textContent = val
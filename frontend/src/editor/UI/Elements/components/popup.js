@@ -331,11 +331,12 @@ export class Popup {
      * @typedef {{ value: string, label?: string }} AutocompleteItem
      * @typedef {{ name: string, label?: string, readonly?: boolean, margin?: string, onChange?: (data: any) => void, autocomplete?: () => AutocompleteItem[] }} InputCommon
      * @typedef {InputCommon & { type: 'text', value?: string, placeholder?: string }} TextInput
+     * @typedef {InputCommon & { type: 'password', value?: string, placeholder?: string }} PasswordInput
      * @typedef {InputCommon & { type: 'textarea', value?: string, placeholder?: string, rows?: number }} TextareaInput
      * @typedef {InputCommon & { type: 'number', value?: number }} NumberInput
      * @typedef {InputCommon & { type: 'integer', value?: number }} IntegerInput
      * @typedef {InputCommon & { type: 'select', value?: string, options: { value: string, label: string }[] }} SelectInput
-     * @typedef { TextInput | TextareaInput | NumberInput | IntegerInput | SelectInput } InputField
+     * @typedef { TextInput | PasswordInput | TextareaInput | NumberInput | IntegerInput | SelectInput } InputField
      *
      * @typedef { PopupOptions & { inputs: InputField[] }} FormOptions
      */
@@ -362,14 +363,14 @@ export class Popup {
 
         inputs.forEach(input => {
             const {type, label, name, value, margin, readonly, onChange} = input
-            if (!['text', 'textarea', 'number', 'integer', 'select', 'checkbox'].includes(type)) throw new Error(`Invalid input type: ${type}`)
+            if (!['text', 'password', 'textarea', 'number', 'integer', 'select', 'checkbox'].includes(type)) throw new Error(`Invalid input type: ${type}`)
             if (!input.name) throw new Error(`Input name is required`)
-            if (input.value && typeof input.value !== 'string' && type === 'text') throw new Error(`Invalid input value: ${input.value}`)
+            if (input.value && typeof input.value !== 'string' && (type === 'text' || type === 'password')) throw new Error(`Invalid input value: ${input.value}`)
             if (input.value && typeof input.value !== 'string' && type === 'textarea') throw new Error(`Invalid input value: ${input.value}`)
             if (input.value && typeof input.value !== 'string' && type === 'select') throw new Error(`Invalid input value: ${input.value}`)
             if (input.value && typeof input.value !== 'number' && (type === 'number' || type === 'integer')) throw new Error(`Invalid input value: ${input.value}`)
             if (type === 'checkbox' && input.value !== undefined && typeof input.value !== 'boolean') throw new Error(`Invalid checkbox value: ${input.value}`)
-            const placeholder = (type === 'text' || type === 'textarea') ? input.placeholder || '' : ''
+            const placeholder = (type === 'text' || type === 'password' || type === 'textarea') ? input.placeholder || '' : ''
 
             let typeName = type
             if (type === 'integer') typeName = 'number'
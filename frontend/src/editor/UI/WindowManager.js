@@ -2,18 +2,37 @@ import {PLC_Project, PLCEditor} from '../../utils/types.js'
 import VOVKPLCEDITOR_VERSION_BUILD, {VOVKPLCEDITOR_VERSION} from '../BuildNumber.js'
 import {ElementSynthesisMany, getEventPath, isVisible, readTypedValue, evaluateNumericInput} from '../../utils/tools.js'
 import {ensureOffsets} from '../../utils/offsets.js'
+import {watchTables} from '../../utils/watch-tables.js'
+import {HEALTH_METRICS, parseHealthThreshold, formatHealthThreshold} from '../../utils/health.js'
+import {plantScriptsAllowed, allowPlantScripts} from '../../connection/plant.js'
 import {Popup} from './Elements/components/popup.js'
 import NavigationTreeManager from './Elements/NavigationTreeManager.js'
 import WatchPanel from './Elements/WatchPanel.js'
 import DataFetcher from '../DataFetcher.js'
+import ForceManager from '../ForceManager.js'
+import AlarmMonitor from '../AlarmMonitor.js'
+import HealthHistory from '../HealthHistory.js'
 import TabManager from './Elements/TabManager.js'
 import EditorUI from './Elements/EditorUI.js'
 import SymbolsUI from './Elements/SymbolsUI.js'
 import SetupUI from './Elements/SetupUI.js'
 import MemoryUI from './Elements/MemoryUI.js'
+import VirtualIOUI from './Elements/VirtualIOUI.js'
+import PlantModelsUI from './Elements/PlantModelsUI.js'
+import HistorianUI from './Elements/HistorianUI.js'
+import ModbusUI from './Elements/ModbusUI.js'
+import MqttUI from './Elements/MqttUI.js'
+import CaptureUI from './Elements/CaptureUI.js'
+import TraceUI from './Elements/TraceUI.js'
+import ForcesUI from './Elements/ForcesUI.js'
+import AlarmsUI from './Elements/AlarmsUI.js'
+import AlarmLogPanel from './Elements/AlarmLogPanel.js'
 import DataBlocksUI from './Elements/DataBlocksUI.js'
 import DataBlockUI from './Elements/DataBlockUI.js'
+import ProjectBrowser from './Elements/ProjectBrowser.js'
 import {CustomDropdown} from './Elements/CustomDropdown.js'
+import {scanNetwork, probeNetworkDevice, loadSimulationScanPeriod, saveSimulationScanPeriod} from '../../connection/index.js'
+import {deviceTarget} from '../../connection/gateway.js'
 
 /** @typedef { EditorUI | SymbolsUI | SetupUI | DataBlocksUI | DataBlockUI } WindowType */
 
@@ -168,6 +187,20 @@ export default class WindowManager {
                 return
             }
             this.serverCapabilities = await response.json()
+
+            // Access control: sign in before using the server, the editor still works without it if cancelled
+            const auth = this.serverCapabilities?.auth
+            if (auth?.required && !auth.user && await this._signInToServer()) {
+                return this._fetchServerCapabilities()
+            }
+            const signOutOption = /** @type {HTMLElement | null} */ (this.#editor.workspace.querySelector('[data-action="sign-out"]'))
+            if (signOutOption) {
+                signOutOption.style.display = auth?.required && auth.user ? '' : 'none'
+                signOutOption.title = auth?.user ? `Signed in as ${auth.user.name} (${auth.user.role})` : ''
+            }
+            this.#editor.workspace.querySelectorAll('[data-workspace]').forEach(option => {
+                /** @type {HTMLElement} */ (option).style.display = this.serverCapabilities?.projects ? '' : 'none'
+            })
             
             // Show/hide server serial option based on capabilities
             if (this._serverSerialOption) {
@@ -180,6 +213,17 @@ export default class WindowManager {
                 }
             }
             
+            // Show/hide server network option based on capabilities
+            if (this._serverNetworkOption) {
+                if (this.serverCapabilities?.network) {
+                    this._serverNetworkOption.style.display = ''
+                    this._serverNetworkOption.disabled = false
+                } else {
+                    this._serverNetworkOption.style.display = 'none'
+                    this._serverNetworkOption.disabled = true
+                }
+            }
+            
             // If server serial is available and we're in socket-serial mode, start polling
             if (this.serverCapabilities?.serial && this.connectionMode === 'socket-serial') {
                 this._startSocketSerialPolling()
@@ -207,7 +251,10 @@ export default class WindowManager {
                         <div class="plc-menu-dropdown">
                             <div class="plc-menu-option" data-action="new-project"><span class="plc-icon plc-icon-add" style="margin-right:8px;"></span>New Project</div>
                             <div class="plc-menu-option" data-action="open-project"><span class="plc-icon plc-icon-folder" style="margin-right:8px;"></span>Open Project...</div>
+                            <div class="plc-menu-option" data-action="open-workspace" data-workspace style="display:none"><span class="codicon codicon-server" style="margin-right:8px;"></span>Open from Workspace...</div>
                             <div class="plc-menu-separator"></div>
+                            <div class="plc-menu-option" data-action="save-workspace" data-workspace style="display:none"><span class="codicon codicon-save" style="margin-right:8px;"></span>Save to Workspace</div>
+                            <div class="plc-menu-option" data-action="save-workspace-as" data-workspace style="display:none"><span class="codicon codicon-save-as" style="margin-right:8px;"></span>Save to Workspace As...</div>
                             <div class="plc-menu-option" data-action="export-project"><span class="plc-icon plc-icon-download" style="margin-right:8px;"></span>Export Project...</div>
                             <div class="plc-menu-separator"></div>
                             <div class="plc-menu-option" data-action="project-properties"><span class="plc-icon plc-icon-project-properties" style="margin-right:8px;"></span>Project Properties...</div>
@@ -218,6 +265,17 @@ export default class WindowManager {
                         <div class="plc-menu-dropdown">
                             <div class="plc-menu-option" data-action="setup"><span class="plc-icon plc-icon-setup" style="margin-right:8px;"></span>Device Setup</div>
                             <div class="plc-menu-option" data-action="memory"><span class="plc-icon plc-icon-memory" style="margin-right:8px;"></span>Memory Map</div>
+                            <div class="plc-menu-option" data-action="io"><span class="codicon codicon-plug" style="margin-right:8px;"></span>Virtual I/O</div>
+                            <div class="plc-menu-option" data-action="plant"><span class="codicon codicon-beaker" style="margin-right:8px;"></span>Plant Models</div>
+                            <div class="plc-menu-option" data-action="historian"><span class="codicon codicon-history" style="margin-right:8px;"></span>Historian</div>
+                            <div class="plc-menu-option" data-action="trace"><span class="codicon codicon-pulse" style="margin-right:8px;"></span>Trace</div>
+                            <div class="plc-menu-option" data-action="forces"><span class="codicon codicon-pinned" style="margin-right:8px;"></span>Force Table</div>
+                            <div class="plc-menu-option" data-action="alarms"><span class="codicon codicon-bell" style="margin-right:8px;"></span>Alarms</div>
+                            <div class="plc-menu-option" data-action="modbus"><span class="codicon codicon-radio-tower" style="margin-right:8px;"></span>Modbus Gateway</div>
+                            <div class="plc-menu-option" data-action="mqtt"><span class="codicon codicon-broadcast" style="margin-right:8px;"></span>MQTT Bridge</div>
+                            <div class="plc-menu-option" data-action="capture"><span class="codicon codicon-record" style="margin-right:8px;"></span>Serial Capture</div>
+                            <div class="plc-menu-option" data-action="publish-tags"><span class="codicon codicon-symbol-field" style="margin-right:8px;"></span>Publish Tags to Server</div>
+                            <div class="plc-menu-option" data-action="sign-out" style="display:none"><span class="codicon codicon-sign-out" style="margin-right:8px;"></span>Sign Out of Server</div>
                             <div class="plc-menu-separator"></div>
                             <div class="plc-menu-option" data-action="load-plc-config"><span class="plc-icon plc-icon-upload" style="margin-right:8px;"></span>Load PLC Configuration</div>
                         </div>
@@ -255,6 +313,7 @@ export default class WindowManager {
                                             <option value="simulation">Simulation</option>
                                             <option value="serial">USB/Serial Web</option>
                                             <option value="socket-serial" class="plc-server-serial-option" style="display: none;">USB/Serial Server</option>
+                                            <option value="socket-network" class="plc-server-network-option" style="display: none;">Network Server</option>
                                         </select>
                                     </div>
                                     
@@ -264,7 +323,13 @@ export default class WindowManager {
                                     <!-- Device selector and connect button -->
                                     <div class="plc-device-row" style="display: flex; gap: 4px; margin-bottom: 4px; justify-content: flex-end;">
                                         <div class="plc-device-select-container" style="flex: 1;"></div>
-                                        <div class="plc-simulation-label" style="flex: 1; display: none; align-items: center; color: #888; font-size: 11px; padding-left: 2px;">WASM PLC Simulator</div>
+                                        <div class="plc-simulation-label" style="flex: 1; display: none; align-items: center; gap: 4px; color: #888; font-size: 11px; padding-left: 2px;">
+                                            <span style="flex: 1;">WASM PLC Simulator</span>
+                                            <input class="plc-sim-scan-period" type="number" min="1" max="10000" title="Scan cycle period (ms)" style="width: 46px; height: 26px; font-size: 11px; background: #3c3c3c; border: 1px solid #3c3c3c; color: #f0f0f0;">
+                                            <span>ms</span>
+                                            <button class="plc-sim-run-toggle" title="Pause scan cycle" disabled style="width: 26px; height: 26px; background: #3c3c3c; border: 1px solid #3c3c3c; color: #ccc; cursor: pointer;">⏸</button>
+                                            <button class="plc-sim-step" title="Execute a single scan cycle" disabled style="height: 26px; font-size: 11px; background: #3c3c3c; border: 1px solid #3c3c3c; color: #ccc; cursor: pointer;">Step</button>
+                                        </div>
                                         <div class="plc-device-online green" tabindex="0" title="Connect" style="width: 30px; height: 30px; font-size: 14px; font-weight: bold; display: flex; align-items: center; justify-content: center; border: 1px solid transparent; cursor: pointer; background: #1fba5f;">○</div>
                                     </div>
                                     
@@ -291,6 +356,7 @@ export default class WindowManager {
                                         <span class="plc-icon plc-icon-sidebar-health" style="margin-right: 4px; transform: scale(0.8);"></span>
                                         <span class="plc-device-health-title" style="font-weight: bold; color: #bbb;">DEVICE HEALTH</span>
                                         <div style="flex:1"></div>
+                                        <button class="plc-device-health-export" title="Export the health history of this session as CSV" style="background:none; border:none; color: #ccc; cursor: pointer;">Export</button>
                                         <button class="plc-device-health-reset" title="Reset max values" style="background:none; border:none; color: #ccc; cursor: pointer;">Reset</button>
                                     </div>
                                     <div class="plc-device-health-body plc-health-charts">
@@ -334,6 +400,16 @@ export default class WindowManager {
                                             </div>
                                             <div class="health-value">-</div>
                                         </div>
+                                        <div class="plc-health-chart" data-metric="link">
+                                            <div class="health-label">LINK</div>
+                                            <div class="health-bar-container">
+                                                <div class="health-value-max"></div>
+                                                <div class="health-bar-fill"></div>
+                                                <div class="health-range-indicator"></div>
+                                                <div class="health-value-min"></div>
+                                            </div>
+                                            <div class="health-value">-</div>
+                                        </div>
                                     </div>
                                 </div>
                             </div>
@@ -369,6 +445,10 @@ export default class WindowManager {
                                     <span class="plc-console-tab-count" style="display:none;">0</span>
                                 </button>
                                 <button class="plc-console-tab" data-tab="references">References</button>
+                                <button class="plc-console-tab plc-console-tab-alarms" data-tab="alarms">
+                                    <span class="plc-console-tab-label">Alarms</span>
+                                    <span class="plc-console-tab-count" style="display:none;">0</span>
+                                </button>
                             </div>
                             <div style="flex: 1;"></div>
                             <div class="plc-console-actions">
@@ -386,6 +466,9 @@ export default class WindowManager {
                         <div class="plc-console-body references" style="flex: 1; overflow: auto; padding: 5px 10px; font-family: inherit; color: #ddd; display: none;">
                             <!-- Cross References -->
                         </div>
+                        <div class="plc-console-body alarms" style="flex: 1; overflow: auto; padding: 5px 10px; font-family: inherit; color: #ddd; display: none;">
+                            <!-- Alarm Log -->
+                        </div>
                     </div>
                 </div>
 
@@ -412,6 +495,8 @@ export default class WindowManager {
                 </div>
 
                 <div style="display: flex; gap: 15px; margin-right: 15px">
+                     <span id="footer-alarms" title="Open the alarm log" style="display: none; align-items: center; gap: 4px; cursor: pointer;"></span>
+                     <span id="footer-forces" title="Open the force table" style="display: none; align-items: center; gap: 6px; height: 100%; padding: 0 10px; font-weight: 700; background: #e8a317; color: #000; cursor: pointer;"></span>
                      <span id="footer-device-status"></span>
                 </div>
             </div>
@@ -466,6 +551,7 @@ export default class WindowManager {
         const outputBody = workspace.querySelector('.plc-console-body.output')
         const problemsBody = workspace.querySelector('.plc-console-body.problems')
         const referencesBody = workspace.querySelector('.plc-console-body.references')
+        const alarmsBody = workspace.querySelector('.plc-console-body.alarms')
 
         const consoleHeaderHeight = Math.max(1, Math.round(consoleHeader.getBoundingClientRect().height || 25))
         consoleBody.style.height = `${consoleHeaderHeight}px` // Start minimized (header visible)
@@ -475,7 +561,7 @@ export default class WindowManager {
         this._consoleState = this._consoleState || {activeTab: 'output', lastHeight: 150, minimized: true}
         const consoleState = this._consoleState
         consoleState.lastHeight = typeof consoleState.lastHeight === 'number' ? consoleState.lastHeight : 150
-        consoleState.activeTab = ['output', 'problems', 'references'].includes(consoleState.activeTab) ? consoleState.activeTab : 'output'
+        consoleState.activeTab = ['output', 'problems', 'references', 'alarms'].includes(consoleState.activeTab) ? consoleState.activeTab : 'output'
         consoleState.minimized = typeof consoleState.minimized === 'boolean' ? consoleState.minimized : true
         let activeConsoleTab = consoleState.activeTab
         this._problemsFlat = []
@@ -489,11 +575,12 @@ export default class WindowManager {
         this._hoveredProblemKey = null
 
         const setActiveConsoleTab = tab => {
-            activeConsoleTab = ['output', 'problems', 'references'].includes(tab) ? tab : 'output'
+            activeConsoleTab = ['output', 'problems', 'references', 'alarms'].includes(tab) ? tab : 'output'
             consoleState.activeTab = activeConsoleTab
             if (outputBody) outputBody.style.display = activeConsoleTab === 'output' ? 'block' : 'none'
             if (problemsBody) problemsBody.style.display = activeConsoleTab === 'problems' ? 'block' : 'none'
             if (referencesBody) referencesBody.style.display = activeConsoleTab === 'references' ? 'block' : 'none'
+            if (alarmsBody) alarmsBody.style.display = activeConsoleTab === 'alarms' ? 'block' : 'none'
             if (consoleBody) consoleBody.classList.toggle('tab-problems', activeConsoleTab === 'problems')
             consoleTabs.forEach(btn => {
                 btn.classList.toggle('active', btn.dataset.tab === activeConsoleTab)
@@ -1110,6 +1197,9 @@ export default class WindowManager {
         // Initialize Cross References panel
         this._initCrossReferencesPanel(referencesBody, setActiveConsoleTab, openConsole)
 
+        // Alarm log, the alarms themselves are evaluated by the AlarmMonitor
+        if (alarmsBody) this.alarm_log = new AlarmLogPanel(this.#editor, alarmsBody)
+
         consoleHeader.style.touchAction = 'none'
         consoleHeader.addEventListener('pointerdown', e => {
             if (e.button !== 0) return
@@ -1250,7 +1340,7 @@ export default class WindowManager {
         */
 
         this.device_health_charts = {}
-        const metrics = ['cycle', 'period', 'jitter', 'ram']
+        const metrics = ['cycle', 'period', 'jitter', 'ram', 'link']
 
         // Create shared tooltip element
         let tooltip = document.getElementById('plc-health-tooltip')
@@ -1295,6 +1385,7 @@ export default class WindowManager {
         if (!device_health_reset) throw new Error('Device health reset button not found')
         device_health_reset.addEventListener('click', () => this.#on_device_health_reset_click())
         this.device_health_reset = device_health_reset
+        device_health.querySelector('.plc-device-health-export')?.addEventListener('click', () => this.exportHealthHistory())
         this._renderDeviceHealth(null)
         this._setHealthConnected(false)
 
@@ -1321,9 +1412,9 @@ export default class WindowManager {
         }
 
         // Save on change
-        this.watch_panel.onListChange = items => {
+        this.watch_panel.onListChange = tables => {
             if (editor.project) {
-                editor.project.watch = items
+                editor.project.watch_tables = tables
                 if (editor.project_manager?.forceSave) {
                     editor.project_manager.forceSave()
                 }
@@ -1343,10 +1434,12 @@ export default class WindowManager {
         this.deviceSelectContainer = deviceSelectContainer
         this.simulationLabel = simulationLabel
         this.newDeviceBtn = newDeviceBtn
+        this._bindSimulationControls()
 
         // Server capabilities (fetched asynchronously)
         this.serverCapabilities = null
         this._serverSerialOption = modeSelect.querySelector('.plc-server-serial-option')
+        this._serverNetworkOption = modeSelect.querySelector('.plc-server-network-option')
         
         // Fetch server capabilities to enable/disable server serial option
         this._fetchServerCapabilities()
@@ -1362,13 +1455,15 @@ export default class WindowManager {
                 this.active_device = 'serial'
             } else if (this.connectionMode === 'socket-serial') {
                 this.active_device = 'socket-serial'
+            } else if (this.connectionMode === 'socket-network') {
+                this.active_device = 'socket-network'
             }
             // Show/hide new device button based on mode
             if (newDeviceBtn) {
                 newDeviceBtn.style.display = 'none' // button moved to dropdown
             }
             if (this.deviceSelectContainer) {
-                this.deviceSelectContainer.style.display = (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial') ? 'block' : 'none'
+                this.deviceSelectContainer.style.display = (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial' || this.connectionMode === 'socket-network') ? 'block' : 'none'
             }
             if (this.simulationLabel) {
                 this.simulationLabel.style.display = this.connectionMode === 'simulation' ? 'flex' : 'none'
@@ -1398,6 +1493,11 @@ export default class WindowManager {
                     return
                 }
 
+                if (value === '_action_find_network_devices') {
+                    await this._findNetworkDevices()
+                    return
+                }
+
                 // Store selected value for connect button
                 this.selectedDeviceValue = value
 
@@ -1443,6 +1543,8 @@ export default class WindowManager {
                 this.active_device = 'serial'
             } else if (this.connectionMode === 'socket-serial') {
                 this.active_device = 'socket-serial'
+            } else if (this.connectionMode === 'socket-network') {
+                this.active_device = 'socket-network'
             }
             // Save to project
             if (editor.project) {
@@ -1459,7 +1561,7 @@ export default class WindowManager {
             }
 
             // Show/hide device dropdown container based on mode
-            const showDeviceDropdown = modeSelect.value === 'serial' || modeSelect.value === 'socket-serial'
+            const showDeviceDropdown = modeSelect.value === 'serial' || modeSelect.value === 'socket-serial' || modeSelect.value === 'socket-network'
             if (this.deviceSelectContainer) {
                 this.deviceSelectContainer.style.display = showDeviceDropdown ? 'block' : 'none'
             }
@@ -1568,6 +1670,10 @@ export default class WindowManager {
                     // Server-side serial port via Socket.IO
                     this.active_device = 'socket-serial'
                     await this.#on_device_online_click()
+                } else if (selectedValue && selectedValue.toString().startsWith('_net_')) {
+                    // Paired network device via the server's /network namespace
+                    this.active_device = 'socket-network'
+                    await this.#on_device_online_click()
                 } else if (selectedValue === '_none' || selectedValue === '_error') {
                     // Do nothing for disabled options
                     return
@@ -1719,6 +1825,7 @@ export default class WindowManager {
                     this.deviceDropdown.enable()
                 }
             }
+            this._updateSimulationControls()
 
             // Update Setup Window if active/exists
             const setupWin = this.windows.get('setup')
@@ -1839,6 +1946,44 @@ export default class WindowManager {
         // Initial status update
         updateConnectionStatus()
 
+        // Forces banner, shown for as long as forcing is on
+        const forcesBanner = workspace.querySelector('#footer-forces')
+        if (forcesBanner) {
+            forcesBanner.addEventListener('click', () => this.openProgram('forces'))
+            workspace.addEventListener('plc-forces-update', () => {
+                const forces = this.#editor.force_manager
+                const active = !!forces?.active
+                forcesBanner.style.display = active ? 'flex' : 'none'
+                if (!active) return
+                const label = forces.count ? `${forces.count} FORCE${forces.count === 1 ? '' : 'S'} ACTIVE` : 'FORCING ON'
+                forcesBanner.innerHTML = `<span class="codicon codicon-pinned"></span>${label}`
+                forcesBanner.title = forces.mode === 'editor'
+                    ? 'The editor keeps rewriting the forced values, click to open the force table'
+                    : 'The runtime holds the forced values every scan cycle, click to open the force table'
+            })
+        }
+
+        // Alarm badge, counts the active alarms and the ones waiting to be acknowledged
+        const alarmsBadge = workspace.querySelector('#footer-alarms')
+        const alarmsTabCount = workspace.querySelector('.plc-console-tab-alarms .plc-console-tab-count')
+        if (alarmsBadge) {
+            alarmsBadge.addEventListener('click', () => this.openAlarmLog())
+            workspace.addEventListener('plc-alarms-update', () => {
+                const pending = this.#editor.alarm_monitor?.pending || []
+                const active = pending.filter(entry => !entry.cleared)
+                if (alarmsTabCount) {
+                    alarmsTabCount.style.display = pending.length ? '' : 'none'
+                    alarmsTabCount.textContent = String(pending.length)
+                }
+                alarmsBadge.style.display = pending.length ? 'flex' : 'none'
+                if (!pending.length) return
+                const worst = ['error', 'warning', 'info'].find(severity => active.some(entry => entry.severity === severity))
+                alarmsBadge.style.color = worst === 'error' ? '#ffb4a8' : worst === 'warning' ? '#ffe27a' : '#fff'
+                alarmsBadge.innerHTML = `<span class="codicon codicon-bell"></span>${pending.length}`
+                alarmsBadge.title = `${active.length} active, ${pending.length - active.length} cleared but not acknowledged, click to open the alarm log`
+            })
+        }
+
         const navigation = this.workspace.querySelector('.plc-navigation')
         if (!navigation) throw new Error('Navigation not found')
         this.div_navigation = navigation
@@ -1859,6 +2004,17 @@ export default class WindowManager {
         this.data_fetcher = new DataFetcher(editor)
         editor.data_fetcher = this.data_fetcher
 
+        this.force_manager = new ForceManager(editor)
+        editor.force_manager = this.force_manager
+
+        this.alarm_monitor = new AlarmMonitor(editor)
+        editor.alarm_monitor = this.alarm_monitor
+
+        this.health_history = new HealthHistory(editor)
+        editor.health_history = this.health_history
+
+        this.project_browser = new ProjectBrowser(editor)
+
         // Horizontal scrolling for tabs
         const tabs_element = workspace.querySelector('.plc-window-tabs')
         if (tabs_element) {
@@ -1935,9 +2091,17 @@ export default class WindowManager {
         if (healthHeader) {
             this.#editor.context_manager.addListener({
                 target: healthHeader,
-                onOpen: () => [{type: 'item', label: 'Reset Max Values', name: 'reset'}],
+                onOpen: () => [
+                    {type: 'item', label: 'Reset Max Values', name: 'reset'},
+                    {type: 'item', label: 'Health Limits...', name: 'limits'},
+                    {type: 'item', label: 'Export History (CSV)', name: 'export'},
+                    {type: 'item', label: 'Clear History', name: 'clear'},
+                ],
                 onClose: key => {
                     if (key === 'reset') this.#on_device_health_reset_click()
+                    if (key === 'limits') this.editHealthLimits()
+                    if (key === 'export') this.exportHealthHistory()
+                    if (key === 'clear') this.health_history?.clear()
                 },
             })
         }
@@ -2131,6 +2295,7 @@ export default class WindowManager {
         if (!editor?.device_manager?.connected) return
         this._healthResetInFlight = true
         try {
+            editor.device_manager.connection?.resetLinkStats?.()
             await editor.device_manager.resetHealth()
         } catch (err) {
             console.error('Failed to reset device health:', err)
@@ -2140,6 +2305,71 @@ export default class WindowManager {
         this._pollDeviceHealth()
     }
 
+    // ========== Simulation Controls ==========
+
+    /** Active simulation connection, or null when not connected to the simulator */
+    _simulationConnection() {
+        const device_manager = this.#editor.device_manager
+        if (!device_manager?.connected || device_manager.options?.target !== 'simulation') return null
+        return device_manager.connection
+    }
+
+    _bindSimulationControls() {
+        const label = this.simulationLabel
+        if (!label) return
+        const periodInput = label.querySelector('.plc-sim-scan-period')
+        const runToggle = label.querySelector('.plc-sim-run-toggle')
+        const stepButton = label.querySelector('.plc-sim-step')
+
+        periodInput.value = String(loadSimulationScanPeriod())
+        periodInput.addEventListener('change', () => {
+            const connection = this._simulationConnection()
+            let period
+            if (connection) {
+                connection.setScanPeriod(periodInput.value)
+                period = connection.scanPeriodMs
+            } else {
+                period = saveSimulationScanPeriod(periodInput.value)
+            }
+            periodInput.value = String(period)
+        })
+
+        runToggle.addEventListener('click', async () => {
+            const connection = this._simulationConnection()
+            if (!connection) return
+            try {
+                if (connection.running) await this.#editor.device_manager.stop()
+                else await this.#editor.device_manager.startScanLoop()
+            } catch (err) {
+                this.logToConsole(`Simulation: ${err.message || err}`, 'error')
+            }
+            this._updateSimulationControls()
+        })
+
+        stepButton.addEventListener('click', async () => {
+            try {
+                await this.#editor.device_manager.step()
+            } catch (err) {
+                this.logToConsole(`Simulation: ${err.message || err}`, 'error')
+            }
+        })
+    }
+
+    _updateSimulationControls() {
+        const label = this.simulationLabel
+        if (!label) return
+        const runToggle = label.querySelector('.plc-sim-run-toggle')
+        const stepButton = label.querySelector('.plc-sim-step')
+        const connection = this._simulationConnection()
+        const running = !!connection?.running
+        if (connection) runToggle.removeAttribute('disabled')
+        else runToggle.setAttribute('disabled', 'disabled')
+        if (connection && !running) stepButton.removeAttribute('disabled')
+        else stepButton.setAttribute('disabled', 'disabled')
+        runToggle.textContent = connection && !running ? '▶' : '⏸'
+        runToggle.title = connection && !running ? 'Resume scan cycle' : 'Pause scan cycle'
+    }
+
     _setHealthConnected(connected = false) {
         const isConnected = !!connected
         if (this.device_health_reset) {
@@ -2407,6 +2637,7 @@ export default class WindowManager {
             updateChart('period')
             updateChart('jitter')
             updateChart('ram')
+            updateChart('link')
             return
         }
 
@@ -2415,6 +2646,17 @@ export default class WindowManager {
         updateChart('jitter', health.last_jitter_us, health.min_jitter_us, health.max_jitter_us, 'us')
         updateChart('ram', health.ram_free, health.min_ram_free, health.max_ram_free, '', true)
 
+        // Editor side memory read round trip, to compare ASCII and binary framing
+        const link = this.#editor.device_manager?.connection?.linkStats
+        if (link?.reads) {
+            updateChart('link', link.last_read_us, link.min_read_us, link.max_read_us, 'us')
+            const overhead = link.payload_bytes ? (link.wire_bytes / link.payload_bytes).toFixed(2) : '-'
+            this.device_health_charts.link?.container.setAttribute('data-tooltip',
+                `LINK (memory read round trip)\nFraming: ${link.framing.toUpperCase()}\nLast: ${link.last_read_us}us\nMin: ${link.min_read_us}us\nMax: ${link.max_read_us}us\n\nReads: ${link.reads}\nWire bytes per data byte: ${overhead}`)
+        } else {
+            updateChart('link')
+        }
+
         if (this._last_known_health_dimmed) {
             Object.values(this.device_health_charts).forEach(c => (c.container.style.opacity = '0.5'))
         } else {
@@ -2460,6 +2702,7 @@ export default class WindowManager {
             const health = await editor.device_manager.getHealth()
             if (health) {
                 this._healthSnapshot = health
+                this.health_history?.add(health, editor.device_manager.connection?.linkStats)
                 this._renderDeviceHealth(health)
             } else if (!this._healthSnapshot) {
                 this._renderDeviceHealth(null)
@@ -2473,6 +2716,76 @@ export default class WindowManager {
         }
     }
 
+    exportHealthHistory() {
+        const history = this.health_history
+        if (!history?.samples.length) {
+            this.logToConsole('No device health history yet, it is recorded while monitoring a connected device', 'warning')
+            return
+        }
+        const blob = new Blob([history.exportCSV()], {type: 'text/csv'})
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `device_health_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        URL.revokeObjectURL(url)
+        this.logToConsole(`Exported ${history.samples.length} device health samples`, 'success')
+    }
+
+    async editHealthLimits() {
+        const history = this.health_history
+        if (!history || !this.#editor.project) return
+        const settings = history.settings
+        const parseLines = text => String(text || '').split('\n').map(line => line.trim()).filter(Boolean).map(parseHealthThreshold)
+        const result = await Popup.form({
+            title: 'Device Health Limits',
+            description: `One limit per line, e.g. 'cycle_max > 5ms' or 'ram_used > 90%'.\nMetrics: ${Object.keys(HEALTH_METRICS).join(', ')}`,
+            inputs: [
+                {type: 'integer', name: 'window', label: 'Keep history for (minutes)', value: settings.window_minutes},
+                {type: 'textarea', name: 'thresholds', label: 'Limits', value: settings.thresholds.map(formatHealthThreshold).join('\n'), rows: 5},
+            ],
+            buttons: [{text: 'Save', value: 'confirm'}, {text: 'Cancel', value: 'cancel'}],
+            verify: states => {
+                if (!(states.window.value >= 1)) return states.window.setError()
+                states.window.clearError()
+                try {
+                    parseLines(states.thresholds.value)
+                } catch {
+                    return states.thresholds.setError()
+                }
+                states.thresholds.clearError()
+                return true
+            },
+        })
+        if (!result) return
+        history.configure({window_minutes: Number(result.window), thresholds: parseLines(result.thresholds)})
+    }
+
+    /**
+     * Ask before the plant model scripts of the open project run in the editor, once per project until the page is closed
+     * @returns {Promise<boolean>} True when the scripts may run
+     */
+    async confirmPlantScripts() {
+        const project = this.#editor.project
+        if (!project) return false
+        if (plantScriptsAllowed(project)) return true
+        const escape = str => String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        const names = (project.plant_models || []).filter(m => m.type === 'script').map(m => `<b>${escape(m.name)}</b>`)
+        const confirmed = await Popup.confirm({
+            title: 'Run Plant Model Scripts',
+            description: `This project contains script plant models: ${names.join(', ')}.\nScripts are JavaScript that runs in this editor. Only run them if you trust the author of the project.`,
+            confirm_text: 'Run Scripts',
+            cancel_text: 'Keep Off',
+            confirm_button_color: '#d1852e',
+            confirm_text_color: '#FFF',
+        })
+        if (confirmed) allowPlantScripts(project)
+        else this.logToConsole('Plant model scripts are off, turn them on in the plant models editor', 'warning')
+        return confirmed
+    }
+
     focusSymbolByName(name) {
         if (!name) return false
         this.openProgram('symbols')
@@ -2912,7 +3225,9 @@ export default class WindowManager {
 
             // Reset data fetcher to clear stale memory cache
             if (this.#editor.data_fetcher) {
+                this.alarm_monitor?.unsubscribe()
                 this.#editor.data_fetcher.reset()
+                this.alarm_monitor?.reload()
             }
         } catch (e) {
             this.hideLoading()
@@ -3165,6 +3480,8 @@ export default class WindowManager {
                     this.active_device = 'serial'
                 } else if (this.connectionMode === 'socket-serial') {
                     this.active_device = 'socket-serial'
+                } else if (this.connectionMode === 'socket-network') {
+                    this.active_device = 'socket-network'
                 }
             }
         }
@@ -3182,6 +3499,15 @@ export default class WindowManager {
                 const portPath = this.selectedDeviceValue.substring('_socket_'.length)
                 extraOptions = { portPath }
             }
+            if (this.connectionMode === 'socket-network' && this.selectedDeviceValue?.startsWith('_net_')) {
+                const netKey = this.selectedDeviceValue.substring('_net_'.length)
+                const stored = editor.project?.networkDeviceNames?.[netKey]
+                const [host, portStr] = netKey.split(':')
+                extraOptions = { host: stored?.host || host, port: stored?.port || parseInt(portStr, 10) }
+            }
+            if (this.active_device === 'replay') {
+                extraOptions = this._replayOptions || {}
+            }
             
             // Setup ESC cancellation for connection
             let connectionCancelled = false
@@ -3239,7 +3565,7 @@ export default class WindowManager {
                 this._stopHealthPolling()
                 this._setHealthConnected(false)
                 // Update paired devices list to refresh connection status
-                if (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial') {
+                if (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial' || this.connectionMode === 'socket-network') {
                     this.updateDeviceDropdown()
                 }
                 return
@@ -3298,6 +3624,12 @@ export default class WindowManager {
                         this.updateDeviceDropdown()
                     }
                 }
+
+                // Refresh paired network device entry with the latest info
+                if (this.connectionMode === 'socket-network' && extraOptions.host) {
+                    this._storeNetworkDevice(extraOptions.host, extraOptions.port, info)
+                    this.updateDeviceDropdown()
+                }
             } else {
                 device_info.innerHTML = `
                     <div style="display: flex; align-items: flex-start; gap: 8px;">
@@ -3343,7 +3675,9 @@ export default class WindowManager {
 
                     // Reset data fetcher after program download
                     if (this.#editor.data_fetcher) {
+                        this.alarm_monitor?.unsubscribe()
                         this.#editor.data_fetcher.reset()
+                        this.alarm_monitor?.reload()
                     }
 
                     // Delay 3: After Download, Before Monitoring
@@ -3393,6 +3727,18 @@ export default class WindowManager {
         }
     }
 
+    /**
+     * Go online against a recorded serial capture instead of a device, see connection/capture.js
+     * @param {import('../../connection/capture.js').Capture} capture
+     * @param {string} name - Shown as the connection target
+     */
+    async replayCapture(capture, name) {
+        if (this.active_mode === 'online') await this.#on_device_online_click()
+        this.active_device = 'replay'
+        this._replayOptions = { capture, name }
+        await this.#on_device_online_click()
+    }
+
     #on_navigation_minimize_toggle = () => {
         const navigation = this.div_navigation
         const [container] = Array.from(navigation.children)
@@ -3521,6 +3867,15 @@ export default class WindowManager {
                 case 'open-project':
                     this._menuOpenProject()
                     break
+                case 'open-workspace':
+                    this.project_browser.show()
+                    break
+                case 'save-workspace':
+                    this.project_browser.save()
+                    break
+                case 'save-workspace-as':
+                    this.project_browser.save({ saveAs: true })
+                    break
                 case 'export-project':
                     this._menuExportProject()
                     break
@@ -3533,6 +3888,39 @@ export default class WindowManager {
                 case 'memory':
                     this.openProgram('memory')
                     break
+                case 'io':
+                    this.openProgram('io')
+                    break
+                case 'plant':
+                    this.openProgram('plant')
+                    break
+                case 'historian':
+                    this.openProgram('historian')
+                    break
+                case 'trace':
+                    this.openProgram('trace')
+                    break
+                case 'forces':
+                    this.openProgram('forces')
+                    break
+                case 'alarms':
+                    this.openProgram('alarms')
+                    break
+                case 'modbus':
+                    this.openProgram('modbus')
+                    break
+                case 'mqtt':
+                    this.openProgram('mqtt')
+                    break
+                case 'capture':
+                    this.openProgram('capture')
+                    break
+                case 'publish-tags':
+                    this._menuPublishTags()
+                    break
+                case 'sign-out':
+                    this._menuSignOut()
+                    break
                 case 'load-plc-config':
                     this._menuLoadPLCConfig()
                     break
@@ -3555,6 +3943,95 @@ export default class WindowManager {
         })
     }
 
+    /**
+     * Ask for server credentials until the login succeeds or is cancelled
+     * @returns {Promise<boolean>} true when signed in
+     */
+    async _signInToServer() {
+        let description = 'The server requires you to sign in'
+        while (true) {
+            const result = await Popup.form({
+                title: 'Server Login',
+                description,
+                width: '360px',
+                buttons: [
+                    {text: 'Sign In', value: 'confirm', background: '#007acc', color: 'white'},
+                    {text: 'Cancel', value: 'cancel'},
+                ],
+                inputs: [
+                    {name: 'username', label: 'Username', type: 'text', value: ''},
+                    {name: 'password', label: 'Password', type: 'password', value: ''},
+                ],
+                verify: states => {
+                    if (!String(states.username.value || '').trim()) return states.username.setError()
+                    states.username.clearError()
+                    return true
+                },
+            })
+            if (!result) return false
+            try {
+                const response = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username: String(result.username).trim(), password: String(result.password || '') }),
+                })
+                const data = await response.json().catch(() => ({ ok: false, error: `HTTP ${response.status}` }))
+                if (data.ok) {
+                    this.logToConsole?.(`Signed in to the server as ${data.user.name} (${data.user.role})`, 'success')
+                    return true
+                }
+                description = data.error || 'Sign in failed'
+            } catch (e) {
+                description = `Sign in failed: ${e.message}`
+            }
+        }
+    }
+
+    async _menuSignOut() {
+        try {
+            await fetch('/api/logout', { method: 'POST' })
+            this.logToConsole?.('Signed out of the server', 'info')
+        } catch (e) {
+            this.logToConsole?.(`Failed to sign out: ${e.message}`, 'error')
+        }
+        await this._fetchServerCapabilities()
+    }
+
+    /** Send the project's symbols and data block layout to the backend tag API used by external HMIs */
+    async _menuPublishTags() {
+        const editor = this.#editor
+        const project = editor.project
+        if (!project) return
+        const target = deviceTarget(editor.device_manager)
+        if (!target) {
+            await Popup.confirm({
+                title: 'Publish Tags to Server',
+                description: 'No device is connected. Please connect to a device first, the tag API reads and writes through it.',
+            })
+            return
+        }
+        try {
+            const response = await fetch('/api/tags', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    target,
+                    littleEndian: editor.device_manager?.deviceInfo?.isLittleEndian ?? true,
+                    offsets: project.offsets,
+                    symbols: project.symbols || [],
+                    compiledDatablocks: project.compiledDatablocks || [],
+                }),
+            })
+            const data = await response.json().catch(() => ({ ok: false, error: `HTTP ${response.status}` }))
+            if (!data.ok) throw new Error(data.error || `HTTP ${response.status}`)
+            if (target.type === 'editor') await editor.gateway_provider.start('tags')
+            else editor.gateway_provider.stop('tags')
+            this.logToConsole?.(`Published ${data.tags} tags to the server tag API.`, 'success')
+        } catch (e) {
+            this.logToConsole?.(`Failed to publish tags: ${e.message}`, 'error')
+        }
+    }
+
     async _menuLoadPLCConfig() {
         const editor = this.#editor
         if (!editor.device_manager.connected) {
@@ -3716,6 +4193,7 @@ export default class WindowManager {
     }
 
     async _showDeviceDetails() {
+        const deviceManager = this.#editor.device_manager
         const isConnected = this.#editor.device_manager?.connected
         const liveDeviceInfo = this.#editor.device_manager?.deviceInfo
         const storedDevice = this.#editor.project?.lastPhysicalDevice
@@ -3852,7 +4330,7 @@ export default class WindowManager {
             const activeRowHtml = `
                 <tr style="background: #1e2a1e;">
                     <td style="padding: 3px 8px; color: #4ec9b0;">${activeConnectionLabel}</td>
-                    <td style="padding: 3px 8px; color: #888;">Active connection</td>
+                    <td style="padding: 3px 8px; color: #888;">Active connection ${deviceManager?.requiresAuth ? (deviceManager.authenticated ? '🔓' : '🔒') : ''}</td>
                     <td style="padding: 3px 8px; text-align: center;">${isConnected ? '🟢' : '⚪'}</td>
                     <td style="padding: 3px 8px; color: #aaa; font-family: monospace; font-size: 10px;">Editor ↔ Device</td>
                 </tr>`
@@ -4064,12 +4542,24 @@ export default class WindowManager {
             buttons: isStoredData ? [
                 {text: 'Clear Stored Data', value: 'clear', style: 'background: #5a2a2a; color: #dc3545;'},
                 {text: 'Close', value: 'close'}
-            ] : [{text: 'Close', value: 'close'}]
+            ] : [
+                ...(deviceManager?.requiresAuth ? [deviceManager.authenticated ? {text: 'Log Out', value: 'logout'} : {text: 'Log In', value: 'login'}] : []),
+                {text: 'Close', value: 'close'}
+            ]
         })
         
         // Clean up tab switch function
         delete window[tabSwitchId]
 
+        if (result === 'login') {
+            await deviceManager.login()
+            return
+        }
+        if (result === 'logout') {
+            deviceManager.logout(true)
+            return
+        }
+
         // Handle clear stored data action
         if (isStoredData && result === 'clear') {
             // Clear stored device data from project
@@ -4451,7 +4941,7 @@ export default class WindowManager {
             
             if (saveChoice === 'save') {
                 // Trigger save
-                this._menuSaveProject()
+                await this._menuSaveProject()
             }
             
             // Step 2: Ask for project name
@@ -4546,6 +5036,7 @@ export default class WindowManager {
         localStorage.removeItem('vovk_plc_project_autosave')
         localStorage.removeItem('vovk_plc_symbols_collapsed')
         localStorage.removeItem('vovk_plc_watch_values')
+        this.project_browser.link = null
         // Keep these as they are user preferences, not project-specific:
         // - vovk_plc_layout
         // - vovk_plc_outer_layout
@@ -4616,71 +5107,9 @@ export default class WindowManager {
 
             try {
                 const text = await file.text()
-                
-                // Close all existing tabs and windows before loading new project
-                this.tab_manager?.closeAllTabs()
-                
-                // Detect format based on content
-                const trimmed = text.trim()
-                
-                if (trimmed.startsWith('VOVKPLCPROJECT')) {
-                    // New portable text format
-                    const project = this.#editor.project_manager.parseProjectText(text)
-                    this.#editor.project_manager.ensureSystemSymbols(project)
-                    this.#editor.project_manager.load(project)
-                    this.#editor.project_manager.last_saved_state = ''
-                    this.#editor.project_manager.checkAndSave()
-                    
-                    // Restore open tabs and active tab
-                    // Tabs are stored as full_path (e.g. "main") or special window names (e.g. "symbols")
-                    const specialWindows = ['symbols', 'setup', 'memory', 'datablocks']
-                    const resolveTabId = (tabPath) => {
-                        if (specialWindows.includes(tabPath) || tabPath.startsWith('db:')) return tabPath
-                        // Find program by full_path
-                        const fullPath = tabPath.startsWith('/') ? tabPath : '/' + tabPath
-                        const program = project.files?.find(f => f.full_path === fullPath)
-                        return program?.id || null
-                    }
-                    
-                    if (project._ui_state?.openTabs?.length > 0) {
-                        for (const tabPath of project._ui_state.openTabs) {
-                            try {
-                                const tabId = resolveTabId(tabPath)
-                                if (tabId) {
-                                    this.tab_manager?.addLazyTab(tabId)
-                                }
-                            } catch (e) {
-                                console.warn('Could not restore tab:', tabPath, e)
-                            }
-                        }
-                        // Switch to active tab if specified
-                        if (project._ui_state.activeTab) {
-                            try {
-                                const activeId = resolveTabId(project._ui_state.activeTab)
-                                if (activeId) {
-                                    this.tab_manager?.switchTo(activeId)
-                                }
-                            } catch (e) {
-                                console.warn('Could not switch to active tab:', project._ui_state.activeTab, e)
-                            }
-                        }
-                    }
-                    
-                    this.logToConsole?.(`Imported project "${project.info?.name || 'Untitled'}" from ${file.name}`, 'success')
-                } else if (trimmed.startsWith('{')) {
-                    // Legacy JSON format
-                    const project = JSON.parse(text)
-                    if (!project || typeof project !== 'object') {
-                        throw new Error('Invalid project file format')
-                    }
-                    this.#editor.project_manager.ensureSystemSymbols(project)
-                    this.#editor.project_manager.load(project)
-                    this.#editor.project_manager.last_saved_state = ''
-                    this.#editor.project_manager.checkAndSave()
-                    this.logToConsole?.(`Opened project from ${file.name}`, 'success')
-                } else {
-                    throw new Error('Unknown project file format')
-                }
+                const project = this.loadProjectText(text)
+                if (text.trim().startsWith('{')) this.logToConsole?.(`Opened project from ${file.name}`, 'success')
+                else this.logToConsole?.(`Imported project "${project.info?.name || 'Untitled'}" from ${file.name}`, 'success')
             } catch (err) {
                 console.error('Failed to open project:', err)
                 this.logToConsole?.(`Failed to open project: ${err.message}`, 'error')
@@ -4694,6 +5123,86 @@ export default class WindowManager {
         input.click()
     }
 
+    /**
+     * Replace the open project with a VOVKPLCPROJECT text (or a legacy JSON project) and restore its tabs.
+     * The project is no longer linked to a workspace project, see ProjectBrowser.
+     * @param {string} text
+     * @returns {PLC_Project}
+     */
+    loadProjectText(text) {
+        // Detect format based on content
+        const trimmed = text.trim()
+        if (!trimmed.startsWith('VOVKPLCPROJECT') && !trimmed.startsWith('{')) {
+            throw new Error('Unknown project file format')
+        }
+
+        // Close all existing tabs and windows before loading new project
+        this.tab_manager?.closeAllTabs()
+        this.project_browser.link = null
+
+        if (trimmed.startsWith('{')) {
+            // Legacy JSON format
+            const project = JSON.parse(text)
+            if (!project || typeof project !== 'object') {
+                throw new Error('Invalid project file format')
+            }
+            this.#editor.project_manager.ensureSystemSymbols(project)
+            this.#editor.project_manager.load(project)
+            this.#editor.project_manager.last_saved_state = ''
+            this.#editor.project_manager.checkAndSave()
+            return project
+        }
+
+        // New portable text format
+        const project = this.#editor.project_manager.parseProjectText(text)
+        this.#editor.project_manager.ensureSystemSymbols(project)
+        this.#editor.project_manager.load(project)
+        this.#editor.project_manager.last_saved_state = ''
+        this.#editor.project_manager.checkAndSave()
+
+        // Restore open tabs and active tab
+        // Tabs are stored as full_path (e.g. "main") or special window names (e.g. "symbols")
+        const specialWindows = ['symbols', 'setup', 'memory', 'io', 'plant', 'historian', 'modbus', 'mqtt', 'capture', 'trace', 'forces', 'alarms', 'datablocks']
+        const resolveTabId = (tabPath) => {
+            if (specialWindows.includes(tabPath) || tabPath.startsWith('db:')) return tabPath
+            // Find program by full_path
+            const fullPath = tabPath.startsWith('/') ? tabPath : '/' + tabPath
+            const program = project.files?.find(f => f.full_path === fullPath)
+            return program?.id || null
+        }
+
+        if (project._ui_state?.openTabs?.length > 0) {
+            for (const tabPath of project._ui_state.openTabs) {
+                try {
+                    const tabId = resolveTabId(tabPath)
+                    if (tabId) {
+                        this.tab_manager?.addLazyTab(tabId)
+                    }
+                } catch (e) {
+                    console.warn('Could not restore tab:', tabPath, e)
+                }
+            }
+            // Switch to active tab if specified
+            if (project._ui_state.activeTab) {
+                try {
+                    const activeId = resolveTabId(project._ui_state.activeTab)
+                    if (activeId) {
+                        this.tab_manager?.switchTo(activeId)
+                    }
+                } catch (e) {
+                    console.warn('Could not switch to active tab:', project._ui_state.activeTab, e)
+                }
+            }
+        }
+        return project
+    }
+
+    /** Save the project to the server workspace when available, otherwise export it as a file */
+    async _menuSaveProject() {
+        if (this.serverCapabilities?.projects) await this.project_browser.save()
+        else this._menuExportProject()
+    }
+
     _menuExportProject() {
         try {
             // Force save current state
@@ -5021,6 +5530,8 @@ export default class WindowManager {
                 this.active_device = 'serial'
             } else if (this.connectionMode === 'socket-serial') {
                 this.active_device = 'socket-serial'
+            } else if (this.connectionMode === 'socket-network') {
+                this.active_device = 'socket-network'
             }
             if (this.modeSelect) {
                 this.modeSelect.value = this.connectionMode
@@ -5029,7 +5540,7 @@ export default class WindowManager {
                 this.newDeviceBtn.style.display = 'none' // Moved to dropdown
             }
             if (this.deviceSelectContainer) {
-                this.deviceSelectContainer.style.display = (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial') ? 'block' : 'none'
+                this.deviceSelectContainer.style.display = (this.connectionMode === 'serial' || this.connectionMode === 'socket-serial' || this.connectionMode === 'socket-network') ? 'block' : 'none'
             }
             if (this.simulationLabel) {
                 this.simulationLabel.style.display = this.connectionMode === 'simulation' ? 'flex' : 'none'
@@ -5064,17 +5575,21 @@ export default class WindowManager {
         this.refreshDeviceOptions()
         // this.#editor.draw()
 
-        // Load Watch Items from project
+        // Forcing belongs to the project it was started from
+        if (this.force_manager?.active) {
+            this.force_manager.stop().catch(e => console.warn('Failed to release the forces', e))
+        }
+
+        // The alarm log starts over with the alarms of the new project
+        this.alarm_monitor?.reset()
+
+        // Load watch tables from project
         if (this.watch_panel) {
             try {
-                const items = project?.watch || []
-                if (Array.isArray(items) && items.length > 0) {
-                    this.watch_panel.setEntries(items)
-                } else if (typeof this.watch_panel.refresh === 'function') {
-                    this.watch_panel.refresh()
-                }
+                if (project) this.watch_panel.setTables(watchTables(project))
+                else if (typeof this.watch_panel.refresh === 'function') this.watch_panel.refresh()
             } catch (e) {
-                console.warn('Failed to load watch items', e)
+                console.warn('Failed to load watch tables', e)
             }
         }
 
@@ -5153,6 +5668,24 @@ export default class WindowManager {
             editorUI = new SetupUI(this.#editor)
         } else if (id === 'memory') {
             editorUI = new MemoryUI(this.#editor)
+        } else if (id === 'io') {
+            editorUI = new VirtualIOUI(this.#editor)
+        } else if (id === 'plant') {
+            editorUI = new PlantModelsUI(this.#editor)
+        } else if (id === 'historian') {
+            editorUI = new HistorianUI(this.#editor)
+        } else if (id === 'modbus') {
+            editorUI = new ModbusUI(this.#editor)
+        } else if (id === 'mqtt') {
+            editorUI = new MqttUI(this.#editor)
+        } else if (id === 'capture') {
+            editorUI = new CaptureUI(this.#editor)
+        } else if (id === 'trace') {
+            editorUI = new TraceUI(this.#editor)
+        } else if (id === 'forces') {
+            editorUI = new ForcesUI(this.#editor)
+        } else if (id === 'alarms') {
+            editorUI = new AlarmsUI(this.#editor)
         } else if (id === 'datablocks') {
             editorUI = new DataBlocksUI(this.#editor)
         } else if (id.startsWith('db:')) {
@@ -5209,6 +5742,12 @@ export default class WindowManager {
         return !!this._monitoringActive
     }
 
+    /** Show the Alarms tab of the console */
+    openAlarmLog() {
+        this.setConsoleTab?.('alarms')
+        this.openConsole?.()
+    }
+
     async _updateFooterVersionTooltip(el, show = false) {
         if (!el) return
 
@@ -5710,6 +6249,7 @@ export default class WindowManager {
                 text,
                 type,
                 absoluteAddress: layout.absolute,
+                forced: !!editor.force_manager?.isForced(layout.absolute, type === 'bit' ? layout.bit || 0 : null, size),
                 timestamp: Date.now(),
             })
         })
@@ -5849,8 +6389,8 @@ export default class WindowManager {
 
     /** @param {string} id */
     restoreLazyTab(id) {
-        // Special windows (symbols, setup, memory, datablocks, db:N) that don't live in the project tree
-        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'datablocks' || id.startsWith('db:')
+        // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) that don't live in the project tree
+        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'io' || id === 'plant' || id === 'historian' || id === 'modbus' || id === 'mqtt' || id === 'capture' || id === 'trace' || id === 'forces' || id === 'alarms' || id === 'datablocks' || id.startsWith('db:')
         const prog = this.#editor.findProgram(id)
         if (!prog && !isSpecialWindow) return
         this.tab_manager.addLazyTab(id)
@@ -5861,8 +6401,8 @@ export default class WindowManager {
         const editor = this.#editor
         if (!id) throw new Error('Program ID not found')
 
-        // Special windows (symbols, setup, memory, datablocks, db:N) that don't live in the project tree
-        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'datablocks' || id.startsWith('db:')
+        // Special windows (symbols, setup, memory, io, plant, datablocks, db:N) that don't live in the project tree
+        const isSpecialWindow = id === 'symbols' || id === 'setup' || id === 'memory' || id === 'io' || id === 'plant' || id === 'historian' || id === 'modbus' || id === 'mqtt' || id === 'capture' || id === 'trace' || id === 'forces' || id === 'alarms' || id === 'datablocks' || id.startsWith('db:')
 
         if (isSpecialWindow) {
             if (typeof editor._pushWindowHistory === 'function') {
@@ -5880,6 +6420,15 @@ export default class WindowManager {
             if (id === 'setup') { name = 'setup'; comment = 'Device Configuration' }
             else if (id === 'symbols') { name = 'symbols'; comment = 'Symbols Table' }
             else if (id === 'datablocks') { name = 'datablocks'; comment = 'Data Blocks' }
+            else if (id === 'io') { name = 'io'; comment = 'Virtual I/O' }
+            else if (id === 'plant') { name = 'plant'; comment = 'Plant Models' }
+            else if (id === 'historian') { name = 'historian'; comment = 'Historian' }
+            else if (id === 'modbus') { name = 'modbus'; comment = 'Modbus Gateway' }
+            else if (id === 'mqtt') { name = 'mqtt'; comment = 'MQTT Bridge' }
+            else if (id === 'capture') { name = 'capture'; comment = 'Serial Capture' }
+            else if (id === 'trace') { name = 'trace'; comment = 'Trace' }
+            else if (id === 'forces') { name = 'forces'; comment = 'Force Table' }
+            else if (id === 'alarms') { name = 'alarms'; comment = 'Alarms' }
             else if (id.startsWith('db:')) {
                 const dbNum = parseInt(id.split(':')[1])
                 const db = (editor.project?.datablocks || []).find(d => d.id === dbNum)
@@ -6355,6 +6904,66 @@ export default class WindowManager {
                     selectedValueToSet = newOptions[0].value
                 }
             }
+        } else if (mode === 'socket-network') {
+            // Paired network devices via the server's /network namespace
+            const networkDeviceNames = this.#editor.project?.networkDeviceNames || {}
+            const isReconnecting = this.device_online_button && this.device_online_button.title === 'Cancel reconnect'
+            const dm = this.#editor.device_manager
+
+            const allDevices = Object.entries(networkDeviceNames).map(([netKey, entry]) => {
+                const value = `_net_${netKey}`
+                const isConnected = !!(dm?.connected && dm?.options?.target === 'socket-network' && `${dm.options.host}:${dm.options.port}` === netKey)
+                const meta = [entry.arch, entry.version ? `v${entry.version}` : ''].filter(Boolean).join(' ')
+                return {
+                    type: 'option',
+                    value,
+                    label: entry.name || netKey,
+                    subtitle: meta ? `${netKey} · ${meta}` : netKey,
+                    disabled: isReconnecting,
+                    isConnected,
+                    isOffline: false,
+                    isAvailable: true,
+                    lastConnected: entry.lastConnected || 0,
+                }
+            })
+
+            // Sort: (1) Connected first, (2) Last connected DESC
+            allDevices.sort((a, b) => {
+                if (a.isConnected !== b.isConnected) return a.isConnected ? -1 : 1
+                return b.lastConnected - a.lastConnected
+            })
+
+            for (const opt of allDevices) {
+                if (opt.isConnected) selectedValueToSet = opt.value
+                else if (this.selectedDeviceValue === opt.value && !selectedValueToSet) selectedValueToSet = opt.value
+            }
+
+            newOptions = [...allDevices]
+
+            if (newOptions.length === 0) {
+                newOptions.push({
+                    type: 'option',
+                    value: '_none',
+                    label: 'No paired devices',
+                    subtitle: null,
+                    disabled: true,
+                })
+                selectedValueToSet = '_none'
+            } else if (!selectedValueToSet) {
+                selectedValueToSet = newOptions[0].value
+            }
+
+            // Add "Find devices on network" action
+            newOptions.push({type: 'separator', text: ''})
+            newOptions.push({
+                type: 'option',
+                value: '_action_find_network_devices',
+                label: '+ Find devices on network',
+                subtitle: null,
+                disabled: isReconnecting,
+                isConnected: false,
+                isOffline: false,
+            })
         }
 
         // Cache Check
@@ -6420,6 +7029,188 @@ export default class WindowManager {
         }
     }
 
+    /**
+     * Store or refresh a paired network device in the project
+     * @param {string} host
+     * @param {number} port
+     * @param {any} info - Device info from the PI command
+     */
+    _storeNetworkDevice(host, port, info) {
+        const project = this.#editor.project
+        if (!project) return
+        if (!project.networkDeviceNames) project.networkDeviceNames = {}
+        const netKey = `${host}:${port}`
+        const existing = project.networkDeviceNames[netKey]
+        const now = Date.now()
+        project.networkDeviceNames[netKey] = {
+            name: info?.device || existing?.name || 'Unnamed',
+            host,
+            port,
+            arch: info?.arch || existing?.arch || '',
+            version: info?.version || existing?.version || '',
+            created: existing?.created || now,
+            lastConnected: existing?.lastConnected || 0,
+        }
+        const dm = this.#editor.device_manager
+        if (dm?.connected && dm?.options?.target === 'socket-network' && dm.options.host === host && dm.options.port === port) {
+            project.networkDeviceNames[netKey].lastConnected = now
+        }
+        if (this.#editor.project_manager?.forceSave) {
+            this.#editor.project_manager.forceSave()
+        }
+    }
+
+    /**
+     * Ask the user for device credentials
+     * @param {string} deviceName - Device label shown in the prompt
+     * @param {string} [username] - Prefilled username
+     * @returns {Promise<{ username: string, password: string, remember: boolean } | null>} null if cancelled
+     */
+    async promptDeviceCredentials(deviceName, username = '') {
+        const result = await Popup.form({
+            title: 'Device Login',
+            description: `${deviceName} requires authentication before changes can be made`,
+            width: '360px',
+            buttons: [
+                {text: 'Log In', value: 'confirm', background: '#007acc', color: 'white'},
+                {text: 'Cancel', value: 'cancel'},
+            ],
+            inputs: [
+                {name: 'username', label: 'Username', type: 'text', value: username},
+                {name: 'password', label: 'Password', type: 'password', value: ''},
+                {name: 'remember', label: 'Remember the user name, and the password until the page is closed', type: 'checkbox', value: true},
+            ],
+            verify: states => {
+                if (!String(states.username.value || '').trim()) return states.username.setError()
+                states.username.clearError()
+                return true
+            },
+        })
+        if (!result) return null
+        return {username: String(result.username).trim(), password: String(result.password || ''), remember: !!result.remember}
+    }
+
+    /**
+     * "Find devices on network" flow: scan a subnet from the server, probe every
+     * responding host with the info command and let the user pair the VovkPLC devices found
+     */
+    async _findNetworkDevices() {
+        const project = this.#editor.project
+        const lastScan = project?.lastNetworkScan || {}
+
+        const params = await Popup.form({
+            title: 'Find devices on network',
+            description: 'Scan a subnet from the server for VovkPLCRuntime devices',
+            width: '400px',
+            buttons: [
+                {text: 'Scan', value: 'confirm', background: '#007acc', color: 'white'},
+                {text: 'Cancel', value: 'cancel'},
+            ],
+            inputs: [
+                {name: 'baseIp', label: 'Subnet (x.x.x.0)', type: 'text', value: lastScan.baseIp || '192.168.1.0', placeholder: '192.168.1.0'},
+                {name: 'port', label: 'TCP Port', type: 'integer', value: lastScan.port || undefined},
+                {name: 'startHost', label: 'First host', type: 'integer', value: lastScan.startHost || 1},
+                {name: 'endHost', label: 'Last host', type: 'integer', value: lastScan.endHost || 254},
+                {name: 'timeoutMs', label: 'Probe timeout (ms)', type: 'integer', value: lastScan.timeoutMs || 500},
+            ],
+            verify: states => {
+                let ok = true
+                const ipParts = String(states.baseIp.value || '').trim().split('.')
+                if (ipParts.length !== 4 || ipParts.some(p => !/^\d{1,3}$/.test(p) || +p > 255)) ok = states.baseIp.setError()
+                else states.baseIp.clearError()
+                const port = +states.port.value
+                if (!Number.isInteger(port) || port < 1 || port > 65535) ok = states.port.setError()
+                else states.port.clearError()
+                const start = +states.startHost.value
+                const end = +states.endHost.value
+                if (!Number.isInteger(start) || start < 1 || start > 254) ok = states.startHost.setError()
+                else states.startHost.clearError()
+                if (!Number.isInteger(end) || end < start || end > 254) ok = states.endHost.setError()
+                else states.endHost.clearError()
+                return ok
+            },
+        })
+        if (!params) return
+
+        const scanOptions = {
+            baseIp: params.baseIp.trim(),
+            port: +params.port,
+            startHost: +params.startHost,
+            endHost: +params.endHost,
+            timeoutMs: +params.timeoutMs || 500,
+        }
+        if (project) {
+            project.lastNetworkScan = scanOptions
+        }
+
+        const subnet = scanOptions.baseIp.split('.').slice(0, 3).join('.')
+        this.logToConsole(`Scanning ${subnet}.${scanOptions.startHost}-${scanOptions.endHost} on port ${scanOptions.port}...`, 'info')
+        this.showLoading(`Scanning ${subnet}.x ...`, 0, 0)
+
+        /** @type {Array<{ host: string, port: number, info: any }>} */
+        const found = []
+        try {
+            const reachable = await scanNetwork(scanOptions, (scanned, total) => {
+                this.updateLoading(`Scanning ${subnet}.x ... (${scanned}/${total})`, Math.round((scanned / total) * 50))
+            })
+
+            const dm = this.#editor.device_manager
+            for (let i = 0; i < reachable.length; i++) {
+                const {host, port} = reachable[i]
+                this.updateLoading(`Probing ${host}:${port} ...`, 50 + Math.round(((i + 1) / reachable.length) * 50))
+                // The backend allows one connection per host:port, reuse info from the active session
+                const isActive = dm?.connected && dm?.options?.target === 'socket-network' && dm.options.host === host && dm.options.port === port
+                const info = isActive ? dm.deviceInfo : await probeNetworkDevice({host, port})
+                if (info) found.push({host, port, info})
+            }
+        } catch (err) {
+            this.forceHideLoading()
+            this.logToConsole(`Network scan failed: ${err.message || err}`, 'error')
+            return
+        }
+        this.forceHideLoading()
+
+        if (!found.length) {
+            this.logToConsole('No VovkPLC devices found on the network', 'warning')
+            return
+        }
+        this.logToConsole(`Found ${found.length} VovkPLC device(s) on the network`, 'success')
+
+        const paired = project?.networkDeviceNames || {}
+        const selection = await Popup.form({
+            title: 'Devices found',
+            description: 'Select the devices to save as paired devices',
+            width: '480px',
+            buttons: [
+                {text: 'Save', value: 'confirm', background: '#007acc', color: 'white'},
+                {text: 'Cancel', value: 'cancel'},
+            ],
+            inputs: found.map((dev, i) => ({
+                name: `device_${i}`,
+                label: `${dev.info.device || 'Unnamed'} [${dev.info.arch || '?'}] v${dev.info.version || '?'} - ${dev.host}:${dev.port}${paired[`${dev.host}:${dev.port}`] ? ' (paired)' : ''}`,
+                type: 'checkbox',
+                value: true,
+            })),
+        })
+        if (!selection) return
+
+        let saved = 0
+        found.forEach((dev, i) => {
+            if (!selection[`device_${i}`]) return
+            this._storeNetworkDevice(dev.host, dev.port, dev.info)
+            saved++
+        })
+        if (saved) {
+            this.logToConsole(`Saved ${saved} network device(s)`, 'info')
+            const first = found.find((_, i) => selection[`device_${i}`])
+            if (first && !this.#editor.device_manager?.connected) {
+                this.selectedDeviceValue = `_net_${first.host}:${first.port}`
+                if (project) project.selectedDevice = this.selectedDeviceValue
+            }
+        }
+        this.updateDeviceDropdown()
+    }
+
     async connectToPairedDevice(portIndex) {
         if (!('serial' in navigator)) return
 
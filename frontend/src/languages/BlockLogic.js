@@ -23,6 +23,23 @@ export function getSymbolValue(editor, symbol) {
   return type === 'bit' ? ((memoryByte >> bit) & 1) : memoryByte
 }
 
+/**
+ * Check if the value of a symbol is forced (see editor/ForceManager.js)
+ * @param {PLCEditor} editor
+ * @param {PLC_Symbol | undefined} symbol
+ * @returns {boolean}
+ */
+export function isSymbolForced(editor, symbol) {
+  const forces = editor.force_manager
+  if (!symbol || !forces?.active) return false
+  const offsets = ensureOffsets(editor.project.offsets || {})
+  const key = symbol.location === 'memory' ? 'marker' : symbol.location
+  const offset = offsets[key]?.offset || 0
+  const index = Math.floor(symbol.address)
+  const bit = Math.round((symbol.address % 1) * 10) % 8
+  return forces.isForced(offset + index, symbol.type === 'bit' ? bit : null)
+}
+
 /**
  * Set bit value into memory for a symbol - also writes to device if connected
  * @param {PLCEditor} editor
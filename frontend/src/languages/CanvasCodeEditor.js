@@ -68,6 +68,7 @@ const DEFAULT_OPTIONS = {
         pillOn: '#1fba5f',
         pillOff: 'rgba(200, 200, 200, 0.5)',
         pillSelected: 'rgba(0, 122, 204, 0.5)',
+        pillForced: '#e8a317',
     },
     tokenColors: {
         keyword: '#c586c0',
@@ -4395,6 +4396,9 @@ export class CanvasCodeEditor {
                 borderColor = '#555'
                 bgColor = '#3a3a3a'
             }
+            // Forced values keep their state colors with an amber border
+            const isForced = pillClass.split(' ').includes('forced')
+            if (isForced) borderColor = colors.pillForced
             
             // Draw pill background
             ctx.fillStyle = bgColor
@@ -4424,6 +4428,17 @@ export class CanvasCodeEditor {
                 ctx.stroke()
             }
             
+            if (isForced) {
+                // Corner flag so forced values stand out even without color
+                ctx.fillStyle = colors.pillForced
+                ctx.beginPath()
+                ctx.moveTo(pillX + 1, pillY + 1)
+                ctx.lineTo(pillX + 6, pillY + 1)
+                ctx.lineTo(pillX + 1, pillY + 6)
+                ctx.closePath()
+                ctx.fill()
+            }
+
             // Draw pill text
             ctx.fillStyle = textColor
             ctx.textAlign = 'center'
@@ -88,6 +88,7 @@ export class MiniCodeEditor {
 .mce-preview-pill.dint, .mce-preview-pill.u32, .mce-preview-pill.i32, .mce-preview-pill.dword, .mce-preview-pill.real, .mce-preview-pill.float, .mce-preview-pill.f32, .mce-preview-pill.timer { min-width:6em; }
 .mce-preview-pill.u64, .mce-preview-pill.i64, .mce-preview-pill.f64, .mce-preview-pill.lword { min-width:8em; }
 .mce-preview-pill.editable-constant { border-style: dashed; border-color: #d7ba7d; }
+.mce-preview-pill.forced { border-color: #e8a317; box-shadow: inset 3px 0 0 #e8a317; }
 .mce-marker:hover::after {
     content: attr(data-msg);
     position: absolute; bottom: 100%; left: 0;
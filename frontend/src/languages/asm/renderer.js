@@ -605,6 +605,7 @@ export const ladderRenderer = {
                     return {text, className}
                 })()
 
+                if (result && live?.forced) result.className += ' forced'
                 return result
             }
 
@@ -3,7 +3,7 @@ import { PLC_Symbol } from "../../utils/types.js"
 import { RendererModule } from "../types.js"
 import { resolveBlockState } from "./evaluator.js"
 import { PLC_Ladder, PLC_LadderBlock, PLC_LadderNode, PLC_LadderConnection, toGraph, isFunctionBlock, isMathBlock, isCompareBlock, isMoveBlock, isUnaryMathBlock, isIncDecBlock, getFunctionBlockLabel, migrateLadderBlock } from "./language.js"
-import { getSymbolValue, setSymbolBit } from "../BlockLogic.js"
+import { getSymbolValue, setSymbolBit, isSymbolForced } from "../BlockLogic.js"
 import { ensureOffsets } from "../../utils/offsets.js"
 import { readTypedValue } from "../../utils/tools.js"
 import { Popup } from "../../editor/UI/Elements/components/popup.js"
@@ -1510,6 +1510,25 @@ const getBlockState = (editor, block) => {
 }
 
 
+/** Border color of forced value pills, matches the code editor pills */
+const FORCED_COLOR = '#e8a317'
+
+/**
+ * Corner flag of a forced value pill
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x - Pill left
+ * @param {number} y - Pill top
+ */
+const drawForceFlag = (ctx, x, y) => {
+  ctx.fillStyle = FORCED_COLOR
+  ctx.beginPath()
+  ctx.moveTo(x + 1, y + 1)
+  ctx.lineTo(x + 6, y + 1)
+  ctx.lineTo(x + 1, y + 6)
+  ctx.closePath()
+  ctx.fill()
+}
+
 /** @type {(editor: VovkPLCEditor, like: 'symbol' | 'highlight', ctx: CanvasRenderingContext2D , block: PLC_LadderBlock) => void} */
 const draw_contact = (editor, like, ctx, block) => {
   // input state: the left side of the contact (green when true)
@@ -1648,6 +1667,7 @@ const draw_contact = (editor, like, ctx, block) => {
 
     if (editor.device_manager.connected && symbol && (symbol.type === 'bit' || symbol.type === 'bool')) {
       const val = !!getSymbolValue(editor, symbol)
+      const forced = isSymbolForced(editor, symbol)
 
       const symWidth = ctx.measureText(block.symbol).width
       const pillGap = 5
@@ -1677,9 +1697,10 @@ const draw_contact = (editor, like, ctx, block) => {
       }
       ctx.fillStyle = '#3a3a3a'
       ctx.fill()
-      ctx.strokeStyle = val ? '#1fba5f' : '#555'
+      ctx.strokeStyle = forced ? FORCED_COLOR : val ? '#1fba5f' : '#555'
       ctx.lineWidth = 1
       ctx.stroke()
+      if (forced) drawForceFlag(ctx, px, py)
 
       ctx.fillStyle = val ? '#1fba5f' : 'rgba(200, 200, 200, 0.5)'
       ctx.textAlign = 'center'
@@ -1805,6 +1826,7 @@ const draw_coil = (editor, like, ctx, block) => {
 
     if (editor.device_manager.connected && symbol && (symbol.type === 'bit' || symbol.type === 'bool')) {
       const val = !!getSymbolValue(editor, symbol)
+      const forced = isSymbolForced(editor, symbol)
 
       const symWidth = ctx.measureText(block.symbol).width
       const pillGap = 5
@@ -1834,9 +1856,10 @@ const draw_coil = (editor, like, ctx, block) => {
       }
       ctx.fillStyle = '#3a3a3a'
       ctx.fill()
-      ctx.strokeStyle = val ? '#1fba5f' : '#555'
+      ctx.strokeStyle = forced ? FORCED_COLOR : val ? '#1fba5f' : '#555'
       ctx.lineWidth = 1
       ctx.stroke()
+      if (forced) drawForceFlag(ctx, px, py)
 
       ctx.fillStyle = val ? '#1fba5f' : 'rgba(200, 200, 200, 0.5)'
       ctx.textAlign = 'center'
@@ -476,6 +476,7 @@ export const plcscriptRenderer = {
                     } else if (live.type) {
                         className = live.type
                     }
+                    if (live.forced) className += ' forced'
                     return {text, className}
                 },
                 blockId: block.id,
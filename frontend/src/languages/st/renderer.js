@@ -487,6 +487,7 @@ export const stRenderer = {
                     } else if (live.type) {
                         className = live.type
                     }
+                    if (live.forced) className += ' forced'
                     return {text, className}
                 },
                 blockId: block.id,
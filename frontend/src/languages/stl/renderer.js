@@ -875,6 +875,7 @@ export const stlRenderer = {
                         // Default number style
                          if (!className) className = 'u32'
                     }
+                    if (liveEntry.forced) className += ' forced'
 
                     return {
                         text: previewText,
@@ -0,0 +1,146 @@
+/**
+ * @file alarms.js
+ * @description Alarm table of a project. An alarm binds a condition on a tag (usually a fault
+ * marker bit) to a message, severity and class, see editor/AlarmMonitor.js for the evaluation.
+ * Shared by the editor and the project text format, so it has no browser dependencies.
+ */
+
+/**
+ * @typedef {'error' | 'warning' | 'info'} AlarmSeverity
+ * @typedef {'==' | '!=' | '>' | '<' | '>=' | '<='} AlarmOperator
+ * @typedef {{ name: string, condition: string, message: string, severity: AlarmSeverity, class?: string }} PLC_Alarm
+ * @typedef {{ tag: string, negate?: boolean, operator?: AlarmOperator, value?: number }} AlarmCondition
+ * @typedef {{
+ *     alarm: string,
+ *     message: string,
+ *     severity: AlarmSeverity,
+ *     class: string,
+ *     raised: number,
+ *     cleared: number | null,
+ *     acknowledged: number | null,
+ * }} AlarmLogEntry - Times are epoch milliseconds
+ */
+
+export const ALARM_SEVERITIES = ['error', 'warning', 'info']
+
+/**
+ * Parse an alarm condition: `<tag>` is active while the tag is non-zero, `NOT <tag>` while it
+ * is zero and `<tag> <op> <number>` while the comparison holds
+ * @param {string} text
+ * @returns {AlarmCondition}
+ */
+export const parseAlarmCondition = (text) => {
+    const trimmed = String(text || '').trim()
+    if (!trimmed) throw new Error('The condition is empty')
+    const negated = trimmed.match(/^NOT\s+(\S+)$/i)
+    if (negated) return { tag: negated[1], negate: true }
+    const compare = trimmed.match(/^(\S+?)\s*(>=|<=|==|!=|>|<)\s*(-?[\d.]+(?:e-?\d+)?)$/i)
+    if (compare && !isNaN(parseFloat(compare[3]))) {
+        return { tag: compare[1], operator: /** @type {AlarmOperator} */ (compare[2]), value: parseFloat(compare[3]) }
+    }
+    if (/^\S+$/.test(trimmed)) return { tag: trimmed }
+    throw new Error(`Invalid condition '${trimmed}', use '<tag>', 'NOT <tag>' or '<tag> > <value>'`)
+}
+
+/**
+ * @param {AlarmCondition} condition
+ * @param {number} value - Current value of the tag
+ * @returns {boolean} Whether the alarm is active
+ */
+export const alarmConditionActive = (condition, value) => {
+    if (!condition.operator) return condition.negate ? !value : !!value
+    const limit = condition.value ?? 0
+    switch (condition.operator) {
+        case '>': return value > limit
+        case '<': return value < limit
+        case '>=': return value >= limit
+        case '<=': return value <= limit
+        case '==': return value === limit
+        case '!=': return value !== limit
+    }
+    return false
+}
+
+/**
+ * Replace the tag of a condition, used when a symbol is renamed
+ * @param {string} condition
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {string} The condition, unchanged when it refers to another tag
+ */
+export const renameAlarmConditionTag = (condition, oldName, newName) => {
+    try {
+        const parsed = parseAlarmCondition(condition)
+        if (parsed.tag !== oldName) return condition
+        if (parsed.negate) return `NOT ${newName}`
+        if (parsed.operator) return `${newName} ${parsed.operator} ${parsed.value}`
+        return newName
+    } catch {
+        return condition
+    }
+}
+
+/**
+ * Text format row of an alarm: `<name> WHEN <condition> SEVERITY=<severity> [CLASS=<json string>] MESSAGE=<json string>`
+ * @param {PLC_Alarm} alarm
+ * @returns {string}
+ */
+export const formatAlarmRow = (alarm) => {
+    let line = `${alarm.name} WHEN ${alarm.condition} SEVERITY=${alarm.severity || 'error'}`
+    if (alarm.class) line += ` CLASS=${JSON.stringify(alarm.class)}`
+    line += ` MESSAGE=${JSON.stringify(alarm.message || '')}`
+    return line
+}
+
+/**
+ * @param {string} line
+ * @returns {PLC_Alarm | null}
+ */
+export const parseAlarmRow = (line) => {
+    let rest = line.trim()
+    /** @param {string} key */
+    const takeString = (key) => {
+        const match = rest.match(new RegExp(`\\s+${key}=("(?:[^"\\\\]|\\\\.)*")`))
+        if (!match) return ''
+        rest = rest.substring(0, match.index) + rest.substring(/** @type {number} */ (match.index) + match[0].length)
+        try {
+            return String(JSON.parse(match[1]))
+        } catch {
+            return ''
+        }
+    }
+    const message = takeString('MESSAGE')
+    const alarmClass = takeString('CLASS')
+    /** @type {AlarmSeverity} */
+    let severity = 'error'
+    const severityMatch = rest.match(/\s+SEVERITY=(\w+)/)
+    if (severityMatch) {
+        const value = severityMatch[1].toLowerCase()
+        if (ALARM_SEVERITIES.includes(value)) severity = /** @type {AlarmSeverity} */ (value)
+        rest = rest.substring(0, severityMatch.index) + rest.substring(/** @type {number} */ (severityMatch.index) + severityMatch[0].length)
+    }
+    const match = rest.match(/^(\S+)\s+WHEN\s+(.+)$/)
+    if (!match) return null
+    return {
+        name: match[1],
+        condition: match[2].trim(),
+        message,
+        severity,
+        ...(alarmClass ? { class: alarmClass } : {}),
+    }
+}
+
+/**
+ * Alarm log as CSV, one row per raised alarm
+ * @param {AlarmLogEntry[]} log
+ * @returns {string}
+ */
+export const alarmLogToCSV = (log) => {
+    const time = (t) => t ? new Date(t).toISOString() : ''
+    const quote = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    const rows = ['raised,cleared,acknowledged,severity,class,alarm,message']
+    for (const entry of log) {
+        rows.push([time(entry.raised), time(entry.cleared), time(entry.acknowledged), entry.severity, quote(entry.class), quote(entry.alarm), quote(entry.message)].join(','))
+    }
+    return rows.join('\n') + '\n'
+}
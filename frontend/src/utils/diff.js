@@ -0,0 +1,120 @@
+/**
+ * @file diff.js
+ * @description Line based text diff (Myers' O(ND) algorithm), used to compare project revisions.
+ */
+
+/**
+ * @typedef {{ type: 'same' | 'add' | 'remove', text: string, oldLine: number | null, newLine: number | null }} DiffLine
+ */
+
+// Texts that differ in more lines than this are shown as replaced rather than searched
+const MAX_EDIT_DISTANCE = 2000
+
+/**
+ * Shortest edit script between two line arrays, without their common head and tail
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {('same' | 'add' | 'remove')[] | null} Null when the texts differ too much
+ */
+const editScript = (a, b) => {
+    const n = a.length
+    const m = b.length
+    const limit = Math.min(n + m, MAX_EDIT_DISTANCE)
+    const offset = limit + 1
+    const v = new Int32Array(2 * limit + 3)
+    /** @type {Int32Array[]} */
+    const trace = [] // v before each step d, for diagonals -d..d
+
+    let found = false
+    for (let d = 0; d <= limit && !found; d++) {
+        trace.push(v.slice(offset - d, offset + d + 1))
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1
+            let y = x - k
+            while (x < n && y < m && a[x] === b[y]) {
+                x++
+                y++
+            }
+            v[offset + k] = x
+            if (x >= n && y >= m) {
+                found = true
+                break
+            }
+        }
+    }
+    if (!found) return null
+
+    // Walk back from the end through the recorded steps
+    /** @type {('same' | 'add' | 'remove')[]} */
+    const script = []
+    let x = n
+    let y = m
+    for (let d = trace.length - 1; d > 0; d--) {
+        const t = trace[d]
+        const k = x - y
+        const prevK = k === -d || (k !== d && t[k - 1 + d] < t[k + 1 + d]) ? k + 1 : k - 1
+        const prevX = t[prevK + d]
+        const prevY = prevX - prevK
+        while (x > prevX && y > prevY) {
+            script.push('same')
+            x--
+            y--
+        }
+        if (x === prevX) {
+            script.push('add')
+            y--
+        } else {
+            script.push('remove')
+            x--
+        }
+    }
+    while (x > 0 && y > 0) {
+        script.push('same')
+        x--
+        y--
+    }
+    return script.reverse()
+}
+
+/**
+ * Compare two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffLine[]}
+ */
+export const diffLines = (before, after) => {
+    const a = before.split(/\r?\n/)
+    const b = after.split(/\r?\n/)
+
+    // The common head and tail are not part of the search
+    let head = 0
+    while (head < a.length && head < b.length && a[head] === b[head]) head++
+    let tail = 0
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++
+    const middleA = a.slice(head, a.length - tail)
+    const middleB = b.slice(head, b.length - tail)
+    const script = editScript(middleA, middleB) || [...middleA.map(() => 'remove'), ...middleB.map(() => 'add')]
+
+    /** @type {DiffLine[]} */
+    const lines = []
+    let i = 0
+    let j = 0
+    const same = () => {
+        lines.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 })
+        i++
+        j++
+    }
+    while (i < head) same()
+    for (const op of script) {
+        if (op === 'same') same()
+        else if (op === 'remove') {
+            lines.push({ type: 'remove', text: a[i], oldLine: i + 1, newLine: null })
+            i++
+        } else {
+            lines.push({ type: 'add', text: b[j], oldLine: null, newLine: j + 1 })
+            j++
+        }
+    }
+    while (i < a.length) same()
+    return lines
+}
@@ -0,0 +1,87 @@
+/**
+ * @file forces.js
+ * @description Force table of a project. A force holds an address at a value even though the
+ * program or the I/O scan writes it, see editor/ForceManager.js for how the table is applied.
+ * Shared by the editor and the project text format, so it has no browser dependencies.
+ */
+
+import { parseBitValue } from "./watch-tables.js"
+
+/**
+ * @typedef {{ name: string, type?: string, value: string, enabled: boolean, comment?: string }} PLC_Force
+ * @typedef {import('./watch-tables.js').MaskedWrite} MaskedWrite
+ */
+
+/** DataView setter and size of the numeric types that can be forced */
+const NUMERIC_TYPES = {
+    byte: ['setUint8', 1], u8: ['setUint8', 1], i8: ['setInt8', 1],
+    int: ['setInt16', 2], i16: ['setInt16', 2], u16: ['setUint16', 2], word: ['setUint16', 2],
+    dint: ['setInt32', 4], i32: ['setInt32', 4], u32: ['setUint32', 4], dword: ['setUint32', 4],
+    real: ['setFloat32', 4], f32: ['setFloat32', 4], float: ['setFloat32', 4], f64: ['setFloat64', 8],
+}
+
+/** Types offered for a force, the type of the tag is used when none is picked */
+export const FORCE_TYPES = ['bit', 'byte', 'i8', 'int', 'u16', 'dint', 'u32', 'real', 'f64']
+
+/**
+ * Text format row of a force: `<name> [: <type>] = <value> [DISABLED] [// <comment>]`
+ * @param {PLC_Force} force
+ * @returns {string}
+ */
+export const formatForceRow = (force) => {
+    let line = force.name
+    if (force.type) line += ` : ${force.type}`
+    line += ` = ${force.value}`
+    if (!force.enabled) line += ' DISABLED'
+    if (force.comment) line += ` // ${force.comment}`
+    return line
+}
+
+/**
+ * @param {string} line
+ * @returns {PLC_Force | null}
+ */
+export const parseForceRow = (line) => {
+    let rest = line.trim()
+    let comment = ''
+    const commentIndex = rest.indexOf('//')
+    if (commentIndex >= 0) {
+        comment = rest.substring(commentIndex + 2).trim()
+        rest = rest.substring(0, commentIndex).trim()
+    }
+    const match = rest.match(/^([^:=]+?)\s*(?::\s*(\w+)\s*)?=\s*(\S+)(\s+DISABLED)?$/)
+    if (!match) return null
+    return {
+        name: match[1],
+        ...(match[2] ? { type: match[2] } : {}),
+        value: match[3],
+        enabled: !match[4],
+        ...(comment ? { comment } : {}),
+    }
+}
+
+/**
+ * Encode a force as a masked write
+ * @param {PLC_Force} force
+ * @param {{ address: number, bit: number | null, type: string }} resolved - Location of the forced tag
+ * @param {boolean} isLittleEndian
+ * @returns {MaskedWrite}
+ */
+export const encodeForce = (force, resolved, isLittleEndian) => {
+    const type = force.type || (resolved.type === 'bool' ? 'bit' : resolved.type)
+    if (type === 'bit') {
+        const bit = parseBitValue(force.value)
+        if (bit === null) throw new Error(`'${force.value}' is not a bit value, use 1/0 or ON/OFF`)
+        const mask = 1 << (resolved.bit ?? 0)
+        return { address: resolved.address, data: [bit ? mask : 0], mask: [mask] }
+    }
+    const numeric = NUMERIC_TYPES[type]
+    if (!numeric) throw new Error(`values of type '${type}' can not be forced`)
+    const text = String(force.value).trim()
+    const num = Number(text)
+    if (!text || Number.isNaN(num)) throw new Error(`'${force.value}' is not a number`)
+    const [setter, size] = numeric
+    const view = new DataView(new ArrayBuffer(size))
+    view[setter](0, num, isLittleEndian)
+    return { address: resolved.address, data: Array.from(new Uint8Array(view.buffer)), mask: new Array(size).fill(0xFF) }
+}
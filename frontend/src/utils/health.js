@@ -0,0 +1,131 @@
+/**
+ * @file health.js
+ * @description Device health history: samples of the health counters, user thresholds on them
+ * and the CSV export attached to commissioning reports. See editor/HealthHistory.js for the
+ * session history. Shared by the editor and the project text format, so it has no browser dependencies.
+ */
+
+/**
+ * @typedef {{
+ *     t: number,
+ *     cycle: number, cycle_min: number, cycle_max: number,
+ *     period: number, period_min: number, period_max: number,
+ *     jitter: number, jitter_min: number, jitter_max: number,
+ *     ram_free: number, ram_min_free: number, ram_total: number,
+ *     link: number | null,
+ * }} HealthSample - Times in microseconds, memory in bytes, `t` in epoch milliseconds
+ * @typedef {'>' | '<'} HealthOperator
+ * @typedef {{ metric: string, operator: HealthOperator, value: number }} HealthThreshold - Value in the unit of the metric
+ * @typedef {{ window_minutes: number, thresholds: HealthThreshold[] }} HealthSettings
+ */
+
+export const DEFAULT_HEALTH_WINDOW_MINUTES = 60
+
+/** Metrics a threshold can watch, with the base unit of their values */
+export const HEALTH_METRICS = {
+    cycle: { label: 'Cycle time', unit: 'us', read: (s) => s.cycle },
+    cycle_max: { label: 'Max cycle time', unit: 'us', read: (s) => s.cycle_max },
+    period: { label: 'Period', unit: 'us', read: (s) => s.period },
+    period_max: { label: 'Max period', unit: 'us', read: (s) => s.period_max },
+    jitter: { label: 'Jitter', unit: 'us', read: (s) => s.jitter },
+    jitter_max: { label: 'Max jitter', unit: 'us', read: (s) => s.jitter_max },
+    ram_free: { label: 'Free RAM', unit: 'B', read: (s) => s.ram_free },
+    ram_used: { label: 'RAM usage', unit: '%', read: (s) => s.ram_total ? (s.ram_total - s.ram_free) / s.ram_total * 100 : null },
+    link: { label: 'Link round trip', unit: 'us', read: (s) => s.link },
+}
+
+/** Factors of the units accepted in thresholds, relative to the base unit of the metric */
+const UNITS = {
+    us: { us: 1, ms: 1000, s: 1000000 },
+    B: { b: 1, kb: 1024, mb: 1024 * 1024 },
+    '%': { '%': 1 },
+}
+
+/**
+ * Sample of a health reading
+ * @param {any} health - Device health counters as returned by `getHealth()`
+ * @param {{ last_read_us?: number, reads?: number } | null} [link] - Link statistics of the connection
+ * @param {number} [t]
+ * @returns {HealthSample}
+ */
+export const healthSample = (health, link = null, t = Date.now()) => ({
+    t,
+    cycle: health.last_cycle_time_us, cycle_min: health.min_cycle_time_us, cycle_max: health.max_cycle_time_us,
+    period: health.last_period_us, period_min: health.min_period_us, period_max: health.max_period_us,
+    jitter: health.last_jitter_us, jitter_min: health.min_jitter_us, jitter_max: health.max_jitter_us,
+    ram_free: health.ram_free, ram_min_free: health.min_ram_free, ram_total: health.total_ram_size || 0,
+    link: link?.reads ? link.last_read_us ?? null : null,
+})
+
+/**
+ * Parse a threshold like `cycle_max > 5ms` or `ram_used > 90%`
+ * @param {string} text
+ * @returns {HealthThreshold}
+ */
+export const parseHealthThreshold = (text) => {
+    const trimmed = String(text || '').trim()
+    const match = trimmed.match(/^(\w+)\s*([<>])\s*(-?[\d.]+)\s*([a-zA-Z%]*)$/)
+    if (!match) throw new Error(`Invalid threshold '${trimmed}', use '<metric> > <value>[unit]'`)
+    const metric = HEALTH_METRICS[match[1]]
+    if (!metric) throw new Error(`Unknown metric '${match[1]}', use one of ${Object.keys(HEALTH_METRICS).join(', ')}`)
+    const units = UNITS[metric.unit]
+    const unit = (match[4] || metric.unit).toLowerCase()
+    if (!(unit in units)) throw new Error(`'${match[4]}' is not a unit of ${match[1]}, use ${Object.keys(units).join(', ')}`)
+    const value = parseFloat(match[3])
+    if (isNaN(value)) throw new Error(`'${match[3]}' is not a number`)
+    return { metric: match[1], operator: /** @type {HealthOperator} */ (match[2]), value: value * units[unit] }
+}
+
+/**
+ * @param {HealthThreshold} threshold
+ * @returns {string}
+ */
+export const formatHealthThreshold = (threshold) => {
+    const unit = HEALTH_METRICS[threshold.metric]?.unit || ''
+    return `${threshold.metric} ${threshold.operator} ${formatHealthValue(threshold.value, unit)}`
+}
+
+/**
+ * Value in the largest unit that keeps it readable, e.g. 5000us as 5ms
+ * @param {number} value
+ * @param {string} unit - Base unit
+ * @returns {string}
+ */
+export const formatHealthValue = (value, unit) => {
+    const round = (v) => String(Math.round(v * 100) / 100)
+    if (unit === 'us') {
+        if (Math.abs(value) >= 1000000) return `${round(value / 1000000)}s`
+        if (Math.abs(value) >= 1000) return `${round(value / 1000)}ms`
+    } else if (unit === 'B') {
+        if (Math.abs(value) >= 1024 * 1024) return `${round(value / (1024 * 1024))}MB`
+        if (Math.abs(value) >= 1024) return `${round(value / 1024)}kB`
+    }
+    return `${round(value)}${unit}`
+}
+
+/**
+ * @param {HealthThreshold} threshold
+ * @param {HealthSample} sample
+ * @returns {number | null} The value of the metric when it is beyond the threshold, null otherwise
+ */
+export const thresholdExceeded = (threshold, sample) => {
+    const value = HEALTH_METRICS[threshold.metric]?.read(sample)
+    if (value === null || value === undefined || !Number.isFinite(value)) return null
+    const exceeded = threshold.operator === '>' ? value > threshold.value : value < threshold.value
+    return exceeded ? value : null
+}
+
+const CSV_COLUMNS = ['cycle', 'cycle_min', 'cycle_max', 'period', 'period_min', 'period_max', 'jitter', 'jitter_min', 'jitter_max', 'ram_free', 'ram_min_free', 'ram_total', 'link']
+
+/**
+ * Health history as CSV, one row per sample. Times are in microseconds and memory in bytes.
+ * @param {HealthSample[]} samples
+ * @returns {string}
+ */
+export const healthHistoryToCSV = (samples) => {
+    const rows = [['time', ...CSV_COLUMNS.map(c => c === 'link' ? 'link_us' : c.startsWith('ram') ? `${c}_bytes` : `${c}_us`)].join(',')]
+    for (const sample of samples) {
+        rows.push([new Date(sample.t).toISOString(), ...CSV_COLUMNS.map(c => sample[c] ?? '')].join(','))
+    }
+    return rows.join('\n') + '\n'
+}
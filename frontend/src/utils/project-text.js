@@ -0,0 +1,555 @@
+/**
+ * @file project-text.js
+ * @description Helpers for the VOVKPLCPROJECT text format without editor dependencies.
+ * Shared by the editor (ProjectManager) and the command-line tool (backend/cli.ts), which
+ * compiles exported project files without loading the editor.
+ */
+
+/**
+ * @typedef {import('./types.js').PLC_Symbol} PLC_Symbol
+ * @typedef {'system' | 'input' | 'output' | 'marker' | 'timer' | 'counter'} AreaKey
+ * @typedef {{ name: string, type: string, defaultValue?: number | string, comment?: string }} DataBlockFieldSource
+ * @typedef {{
+ *     name: string, version: string,
+ *     sizes: Record<'S' | 'X' | 'Y' | 'M' | 'T' | 'C', number>,
+ *     symbols: PLC_Symbol[],
+ *     datablocks: Array<{ id: number, name?: string, path?: string, fields?: DataBlockFieldSource[] }>,
+ *     programs: Array<{ name: string, path: string, blocks: Array<{ name: string, lang: string, content: string }> }>,
+ * }} CompileSource - What the runtime compiles, block content in the compiled form (ladder graphs as single line JSON)
+ */
+
+/** Readonly runtime symbols in the system area, part of every project */
+export const SYSTEM_SYMBOLS = /** @type {PLC_Symbol[]} */ ([
+    { name: 'P_100ms', location: 'system', type: 'bit', address: 2.0, initial_value: 0, comment: '100ms pulse' },
+    { name: 'P_200ms', location: 'system', type: 'bit', address: 2.1, initial_value: 0, comment: '200ms pulse' },
+    { name: 'P_300ms', location: 'system', type: 'bit', address: 2.2, initial_value: 0, comment: '300ms pulse' },
+    { name: 'P_500ms', location: 'system', type: 'bit', address: 2.3, initial_value: 0, comment: '500ms pulse' },
+    { name: 'P_1s', location: 'system', type: 'bit', address: 2.4, initial_value: 0, comment: '1 second pulse' },
+    { name: 'P_2s', location: 'system', type: 'bit', address: 2.5, initial_value: 0, comment: '2 second pulse' },
+    { name: 'P_5s', location: 'system', type: 'bit', address: 2.6, initial_value: 0, comment: '5 second pulse' },
+    { name: 'P_10s', location: 'system', type: 'bit', address: 2.7, initial_value: 0, comment: '10 second pulse' },
+    { name: 'P_30s', location: 'system', type: 'bit', address: 3.0, initial_value: 0, comment: '30 second pulse' },
+    { name: 'P_1min', location: 'system', type: 'bit', address: 3.1, initial_value: 0, comment: '1 minute pulse' },
+    { name: 'P_2min', location: 'system', type: 'bit', address: 3.2, initial_value: 0, comment: '2 minute pulse' },
+    { name: 'P_5min', location: 'system', type: 'bit', address: 3.3, initial_value: 0, comment: '5 minute pulse' },
+    { name: 'P_10min', location: 'system', type: 'bit', address: 3.4, initial_value: 0, comment: '10 minute pulse' },
+    { name: 'P_15min', location: 'system', type: 'bit', address: 3.5, initial_value: 0, comment: '15 minute pulse' },
+    { name: 'P_30min', location: 'system', type: 'bit', address: 3.6, initial_value: 0, comment: '30 minute pulse' },
+    { name: 'P_1hr', location: 'system', type: 'bit', address: 3.7, initial_value: 0, comment: '1 hour pulse' },
+    { name: 'P_2hr', location: 'system', type: 'bit', address: 4.0, initial_value: 0, comment: '2 hour pulse' },
+    { name: 'P_3hr', location: 'system', type: 'bit', address: 4.1, initial_value: 0, comment: '3 hour pulse' },
+    { name: 'P_4hr', location: 'system', type: 'bit', address: 4.2, initial_value: 0, comment: '4 hour pulse' },
+    { name: 'P_5hr', location: 'system', type: 'bit', address: 4.3, initial_value: 0, comment: '5 hour pulse' },
+    { name: 'P_6hr', location: 'system', type: 'bit', address: 4.4, initial_value: 0, comment: '6 hour pulse' },
+    { name: 'P_12hr', location: 'system', type: 'bit', address: 4.5, initial_value: 0, comment: '12 hour pulse' },
+    { name: 'P_1day', location: 'system', type: 'bit', address: 4.6, initial_value: 0, comment: '1 day pulse' },
+
+    { name: 'S_100ms', location: 'system', type: 'bit', address: 5.0, initial_value: 0, comment: '100ms square wave' },
+    { name: 'S_200ms', location: 'system', type: 'bit', address: 5.1, initial_value: 0, comment: '200ms square wave' },
+    { name: 'S_300ms', location: 'system', type: 'bit', address: 5.2, initial_value: 0, comment: '300ms square wave' },
+    { name: 'S_500ms', location: 'system', type: 'bit', address: 5.3, initial_value: 0, comment: '500ms square wave' },
+    { name: 'S_1s', location: 'system', type: 'bit', address: 5.4, initial_value: 0, comment: '1 second square wave' },
+    { name: 'S_2s', location: 'system', type: 'bit', address: 5.5, initial_value: 0, comment: '2 second square wave' },
+    { name: 'S_5s', location: 'system', type: 'bit', address: 5.6, initial_value: 0, comment: '5 second square wave' },
+    { name: 'S_10s', location: 'system', type: 'bit', address: 5.7, initial_value: 0, comment: '10 second square wave' },
+    { name: 'S_30s', location: 'system', type: 'bit', address: 6.0, initial_value: 0, comment: '30 second square wave' },
+    { name: 'S_1min', location: 'system', type: 'bit', address: 6.1, initial_value: 0, comment: '1 minute square wave' },
+    { name: 'S_2min', location: 'system', type: 'bit', address: 6.2, initial_value: 0, comment: '2 minute square wave' },
+    { name: 'S_5min', location: 'system', type: 'bit', address: 6.3, initial_value: 0, comment: '5 minute square wave' },
+    { name: 'S_10min', location: 'system', type: 'bit', address: 6.4, initial_value: 0, comment: '10 minute square wave' },
+    { name: 'S_15min', location: 'system', type: 'bit', address: 6.5, initial_value: 0, comment: '15 minute square wave' },
+    { name: 'S_30min', location: 'system', type: 'bit', address: 6.6, initial_value: 0, comment: '30 minute square wave' },
+    { name: 'S_1hr', location: 'system', type: 'bit', address: 6.7, initial_value: 0, comment: '1 hour square wave' },
+
+    { name: 'elapsed_seconds', location: 'system', type: 'byte', address: 8.0, initial_value: 0, comment: 'Elapsed seconds' },
+    { name: 'elapsed_minutes', location: 'system', type: 'byte', address: 9.0, initial_value: 0, comment: 'Elapsed minutes' },
+    { name: 'elapsed_hours', location: 'system', type: 'byte', address: 10.0, initial_value: 0, comment: 'Elapsed hours' },
+    { name: 'elapsed_days', location: 'system', type: 'byte', address: 11.0, initial_value: 0, comment: 'Elapsed days' },
+
+    { name: 'system_uptime', location: 'system', type: 'dint', address: 12.0, initial_value: 0, comment: 'System uptime in seconds' },
+].map(s => ({ ...s, readonly: true })))
+
+// Device symbol areas, both IEC notation (I, Q) and traditional PLC notation (X, Y)
+/** @type {Record<string, import('./types.js').PLC_Symbol_Location>} */
+const DEVICE_AREAS = {
+    'X': 'input',
+    'I': 'input',
+    'Y': 'output',
+    'Q': 'output',
+    'S': 'system',
+    'M': 'marker',
+    'T': 'timer',
+    'C': 'counter'
+}
+
+// Device symbol type names (including C++ type aliases from runtime)
+// Preserve unsigned types for correct value display
+/** @type {Record<string, import('./types.js').PLC_Symbol_Type>} */
+const DEVICE_TYPES = {
+    'bit': 'bit',
+    'bool': 'bit',
+    'byte': 'byte',
+    'u8': 'u8',
+    'i8': 'i8',
+    'int': 'int',
+    'i16': 'i16',
+    'u16': 'u16',
+    'dint': 'dint',
+    'i32': 'i32',
+    'u32': 'u32',
+    'real': 'real',
+    'f32': 'f32',
+    'float': 'real'
+}
+
+/**
+ * Convert the firmware symbols reported by a device (SL command) to readonly project symbols
+ * @param {Array<{name: string, area: string, address: number, bit: number, type: string, comment: string}>} rawSymbols
+ * @returns {PLC_Symbol[]}
+ */
+export const toDeviceSymbols = (rawSymbols) => rawSymbols.map(raw => ({
+    name: raw.name,
+    location: DEVICE_AREAS[raw.area] || 'marker',
+    type: DEVICE_TYPES[raw.type] || 'byte',
+    address: raw.bit > 0 ? raw.address + (raw.bit / 10) : raw.address,
+    initial_value: 0,
+    comment: raw.comment || `Device symbol (${raw.area}${raw.address}${raw.bit > 0 ? '.' + raw.bit : ''})`,
+    readonly: true,
+    device: true
+}))
+
+// Memory areas in layout order, by address prefix
+const AREAS = /** @type {[string, AreaKey][]} */ ([
+    ['S', 'system'],
+    ['X', 'input'],
+    ['Y', 'output'],
+    ['M', 'marker'],
+    ['T', 'timer'],
+    ['C', 'counter'],
+])
+
+// Symbol types as the project compiler names them
+const COMPILE_TYPES = {
+    'bit': 'BOOL',
+    'bool': 'BOOL',
+    'byte': 'BYTE',
+    'int': 'INT',
+    'dint': 'DINT',
+    'real': 'REAL',
+    'word': 'WORD',
+    'dword': 'DWORD',
+}
+
+/** @param {string} text */
+const _lines = (text) => text.replace(/^\uFEFF/, '').split(/\r?\n/)
+
+/** @param {string} str */
+const _quote = (str) => str && str.includes(' ') ? `"${str}"` : str
+
+/**
+ * SYMBOLS line of a symbol in the compile format
+ * @param {PLC_Symbol} sym
+ */
+const _symbolLine = (sym) => {
+    const prefix = (AREAS.find(([, area]) => area === sym.location) || ['M'])[0]
+    const mappedType = COMPILE_TYPES[sym.type] || sym.type.toUpperCase()
+    let addrStr = String(sym.address)
+    if ((mappedType === 'BOOL' || sym.type === 'bit') && !addrStr.includes('.')) addrStr += '.0'
+    const comment = sym.comment ? ` : ${sym.comment}` : ''
+    return `    ${sym.name} : ${mappedType} : ${prefix}${addrStr}${comment}`
+}
+
+/**
+ * Ladder graphs are exported as formatted JSON but compiled from a single line
+ * @param {string[]} content
+ */
+const _compactLadder = (content) => {
+    try {
+        return JSON.stringify(JSON.parse(content.join('\n')))
+    } catch {
+        return content.join('\n')
+    }
+}
+
+/**
+ * Parse a PROGRAM header: name [PATH=path] [: comment]
+ * Supports quoted names and paths.
+ * @param {string} str - Header without the PROGRAM keyword
+ * @returns {{ name: string, path: string, comment: string }}
+ */
+export const parseProgramHeader = (str) => {
+    let pos = 0
+    let name = '', path = '', comment = ''
+
+    // Skip leading whitespace
+    while (pos < str.length && str[pos] === ' ') pos++
+
+    // Parse name (possibly quoted)
+    if (str[pos] === '"') {
+        const end = str.indexOf('"', pos + 1)
+        if (end !== -1) { name = str.substring(pos + 1, end); pos = end + 1 }
+    } else {
+        let end = pos
+        while (end < str.length && str[end] !== ' ' && str[end] !== ':') end++
+        name = str.substring(pos, end)
+        pos = end
+    }
+
+    // Skip whitespace
+    while (pos < str.length && str[pos] === ' ') pos++
+
+    // Parse optional PATH=
+    if (str.substring(pos).startsWith('PATH=')) {
+        pos += 5
+        if (str[pos] === '"') {
+            const end = str.indexOf('"', pos + 1)
+            if (end !== -1) { path = str.substring(pos + 1, end); pos = end + 1 }
+        } else {
+            let end = pos
+            while (end < str.length && str[end] !== ' ' && str[end] !== ':') end++
+            path = str.substring(pos, end)
+            pos = end
+        }
+    }
+
+    // Skip whitespace
+    while (pos < str.length && str[pos] === ' ') pos++
+
+    // Parse optional : comment
+    if (str[pos] === ':') {
+        comment = str.substring(pos + 1).trim()
+    }
+
+    return { name, path, comment }
+}
+
+/**
+ * Parse a DB header line: DB<N> ["Alias"] [PATH=<dir>] [ADDRESS=<addr>] [{ [: comment]]
+ * Supports both old format (no braces) and new format (with braces).
+ * @param {string} line
+ * @returns {{ id: number, name: string, path: string, address: number, comment: string, hasBrace: boolean } | null} The name is empty without an alias
+ */
+export const parseDBHeader = (line) => {
+    const result = { id: 0, name: '', path: '/', address: 0, comment: '', hasBrace: false }
+
+    const dbMatch = line.match(/^DB(\d+)/)
+    if (!dbMatch) return null
+    result.id = parseInt(dbMatch[1], 10)
+    let pos = dbMatch[0].length
+
+    // Skip whitespace
+    while (pos < line.length && line[pos] === ' ') pos++
+
+    // Parse optional "Alias"
+    if (pos < line.length && line[pos] === '"') {
+        const end = line.indexOf('"', pos + 1)
+        if (end !== -1) {
+            result.name = line.substring(pos + 1, end)
+            pos = end + 1
+        }
+    }
+
+    // Parse remaining: PATH=, ADDRESS=, {, : comment
+    while (pos < line.length) {
+        while (pos < line.length && line[pos] === ' ') pos++
+        if (pos >= line.length) break
+
+        const rest = line.substring(pos)
+        if (rest.startsWith('PATH=')) {
+            pos += 5
+            if (line[pos] === '"') {
+                const end = line.indexOf('"', pos + 1)
+                if (end !== -1) { result.path = line.substring(pos + 1, end); pos = end + 1 }
+            } else {
+                let end = pos
+                while (end < line.length && line[end] !== ' ' && line[end] !== '{' && line[end] !== ':') end++
+                result.path = line.substring(pos, end)
+                pos = end
+            }
+        } else if (rest.startsWith('ADDRESS=')) {
+            pos += 8
+            let end = pos
+            while (end < line.length && /\d/.test(line[end])) end++
+            result.address = parseInt(line.substring(pos, end), 10) || 0
+            pos = end
+        } else if (line[pos] === '{') {
+            result.hasBrace = true
+            pos++
+        } else if (line[pos] === ':') {
+            result.comment = line.substring(pos + 1).trim()
+            break
+        } else {
+            pos++
+        }
+    }
+    return result
+}
+
+/**
+ * Parse a DB field line: `name: TYPE = defaultValue : comment` (old format: `name : TYPE ...`)
+ * @param {string} line
+ * @returns {{ name: string, type: string, defaultValue: number | string, comment: string } | null} The type as written
+ */
+export const parseDBField = (line) => {
+    const colonIdx = line.indexOf(':')
+    if (colonIdx === -1) return null
+    const name = line.substring(0, colonIdx).trim()
+    // Split remaining by ':' for comment, the comment may contain colons
+    const parts = line.substring(colonIdx + 1).split(':')
+    const typeAndDefault = parts[0].trim()
+    const comment = parts.slice(1).join(':').trim()
+    // Check for default value: TYPE = value
+    const eqMatch = typeAndDefault.match(/^(\S+)\s*=\s*(.+)$/)
+    if (!eqMatch) return { name, type: typeAndDefault, defaultValue: 0, comment }
+    const defStr = eqMatch[2].trim()
+    const num = parseFloat(defStr)
+    return { name, type: eqMatch[1], defaultValue: isNaN(num) ? defStr : num, comment }
+}
+
+/**
+ * Build the text the runtime compiles. This is the only serializer of the compile format,
+ * used by the editor (`ProjectManager.buildProjectText`) and by `toCompileText`.
+ * @param {CompileSource} source
+ * @returns {string}
+ */
+export const buildCompileText = ({ name, version, sizes, symbols, datablocks, programs }) => {
+    const lines = [`VOVKPLCPROJECT ${name}`, `VERSION ${version}`, '']
+
+    // Total memory is sum of all areas
+    const total = AREAS.reduce((sum, [prefix]) => sum + sizes[prefix], 0)
+    lines.push('MEMORY', '    OFFSET 0', `    AVAILABLE ${total}`)
+    for (const [prefix] of AREAS) lines.push(`    ${prefix} ${sizes[prefix]}`)
+    lines.push('END_MEMORY', '')
+
+    if (symbols.length) {
+        lines.push('SYMBOLS')
+        for (const sym of symbols) {
+            if (sym.name && sym.type && sym.address !== undefined) lines.push(_symbolLine(sym))
+        }
+        lines.push('END_SYMBOLS', '')
+    }
+
+    if (datablocks.length) {
+        lines.push('DATABLOCKS')
+        for (const db of datablocks) {
+            const nameStr = db.name ? ` ${_quote(db.name)}` : ''
+            const dbPath = db.path || '/'
+            const pathStr = dbPath !== '/' ? ` PATH=${_quote(dbPath)}` : ''
+            lines.push(`    DB${db.id}${nameStr}${pathStr} {`)
+            for (const field of (db.fields || [])) {
+                const typeStr = (field.type || 'byte').toUpperCase()
+                const defStr = field.defaultValue !== undefined && field.defaultValue !== null && field.defaultValue !== 0 ? ` = ${field.defaultValue}` : ''
+                lines.push(`        ${field.name}: ${typeStr}${defStr}`)
+            }
+            lines.push(`    }`)
+        }
+        lines.push('END_DATABLOCKS', '')
+    }
+
+    for (const program of programs) {
+        if (program.name === 'main') lines.push(`PROGRAM ${_quote(program.name)}`)
+        else lines.push(`PROGRAM ${_quote(program.name)} PATH=${_quote(program.path || '/')}`)
+        for (const block of program.blocks) {
+            lines.push(`    BLOCK LANG=${block.lang} ${block.name}`)
+            // Block content is written without indentation
+            lines.push(...block.content.split('\n'))
+            lines.push(`    END_BLOCK`)
+        }
+        lines.push('END_PROGRAM', '')
+    }
+
+    return lines.join('\n')
+}
+
+/**
+ * Area sizes and start of the MEMORY section
+ * @param {string[]} section - Lines between MEMORY and END_MEMORY
+ */
+const _parseMemory = (section) => {
+    const sizes = { S: 64, X: 64, Y: 64, M: 256, T: 0, C: 0 }
+    let offset = 0
+    for (const line of section) {
+        const [key, value] = line.trim().split(/\s+/)
+        const number = parseInt(value, 10)
+        if (isNaN(number)) continue
+        if (key === 'OFFSET') offset = number
+        else if (key in sizes) sizes[key] = number
+    }
+    return { offset, sizes }
+}
+
+/**
+ * @param {string[]} section - Lines between SYMBOLS and END_SYMBOLS
+ * @returns {PLC_Symbol[]}
+ */
+const _parseSymbols = (section) => {
+    /** @type {PLC_Symbol[]} */
+    const symbols = []
+    for (const line of section) {
+        // Format: name : TYPE : ADDRESS : comment, the comment may contain colons
+        const [name, typeName, address, ...comment] = line.split(':')
+        const parts = [name, typeName, address].map(p => p?.trim())
+        if (address === undefined || !parts[0]) continue
+        const type = parts[1].toLowerCase()
+        const area = AREAS.find(([prefix]) => prefix === parts[2].charAt(0).toUpperCase())
+        symbols.push(/** @type {PLC_Symbol} */ ({
+            name: parts[0],
+            type: type === 'bool' ? 'bit' : type,
+            location: area ? area[1] : 'marker',
+            address: parseFloat(parts[2].substring(1)) || 0,
+            initial_value: 0,
+            comment: comment.join(':').trim(),
+        }))
+    }
+    return symbols
+}
+
+/**
+ * @param {string[]} section - Lines between DATABLOCKS and END_DATABLOCKS
+ * @returns {CompileSource['datablocks']}
+ */
+const _parseDataBlocks = (section) => {
+    const datablocks = []
+    let db = null
+    for (const line of section) {
+        const trimmed = line.trim()
+        if (!trimmed) continue
+        if (!db) {
+            const header = parseDBHeader(trimmed)
+            if (header) datablocks.push(db = { id: header.id, name: header.name, path: header.path, fields: [] })
+        } else if (trimmed === '}' || trimmed === 'END_DB') {
+            db = null
+        } else {
+            const field = parseDBField(trimmed)
+            if (field) db.fields.push(field)
+        }
+    }
+    return datablocks
+}
+
+/**
+ * @param {string} header - PROGRAM line
+ * @param {string[]} section - Lines between the header and END_PROGRAM
+ * @returns {CompileSource['programs'][number]}
+ */
+const _parseProgram = (header, section) => {
+    const { name, path } = parseProgramHeader(header.trim().substring('PROGRAM '.length))
+    const program = { name: name || 'main', path: path || '/', blocks: [] }
+    let i = 0
+    while (i < section.length) {
+        const trimmed = section[i++].trim()
+        if (!trimmed.startsWith('BLOCK ')) continue
+        // Block header: BLOCK LANG=XXX BlockName
+        const blockHeader = trimmed.substring('BLOCK '.length)
+        const langMatch = blockHeader.match(/LANG=(\w+)\s*/)
+        const lang = langMatch ? langMatch[1].toUpperCase() : 'PLCASM'
+        const blockName = (langMatch ? blockHeader.substring(langMatch[0].length) : blockHeader).trim() || 'Code'
+        const content = []
+        while (i < section.length && section[i].trim() !== 'END_BLOCK') content.push(section[i++])
+        i++
+        program.blocks.push({ name: blockName, lang, content: lang === 'LADDER' ? _compactLadder(content) : content.join('\n') })
+    }
+    return program
+}
+
+/**
+ * Lines of a top level section, up to its end keyword at the indentation of the header.
+ * Indented content that reads like the end keyword (e.g. a plant model script line) does not end the section.
+ * @param {string[]} lines
+ * @param {number} start - Index of the section header
+ * @returns {{ section: string[], next: number } | null} null if the section is never closed
+ */
+const _readSection = (lines, start) => {
+    const header = lines[start]
+    const indent = header.substring(0, header.length - header.trimStart().length)
+    const end = `${indent}END_${header.trim().split(/\s+/, 1)[0]}`
+    for (let i = start + 1; i < lines.length; i++) {
+        if (lines[i].trimEnd() === end) return { section: lines.slice(start + 1, i), next: i + 1 }
+    }
+    return null
+}
+
+/**
+ * Read the parts of an exported project file that the runtime compiles.
+ * Only the header, MEMORY, SYMBOLS, DATABLOCKS and PROGRAM sections are read, every other
+ * section and line belongs to the editor and is skipped.
+ * @param {string} text
+ * @returns {CompileSource & { offset: number }} Without the system symbols
+ */
+const _parseExport = (text) => {
+    const lines = _lines(text)
+    if (!lines[0]?.startsWith('VOVKPLCPROJECT')) throw new Error('Invalid project file: missing VOVKPLCPROJECT header')
+    const source = {
+        name: lines[0].substring('VOVKPLCPROJECT'.length).trim() || 'PLCProject',
+        version: '1.0',
+        ..._parseMemory([]),
+        symbols: [],
+        datablocks: [],
+        programs: [],
+    }
+    let i = 1
+    while (i < lines.length) {
+        const trimmed = lines[i].trim()
+        const keyword = trimmed.split(/\s+/, 1)[0]
+        if (keyword === 'VERSION') {
+            source.version = trimmed.substring('VERSION'.length).trim()
+            i++
+            continue
+        }
+        const read = keyword ? _readSection(lines, i) : null
+        if (!read) {
+            // Single line entries (EXPORT_DATE, ACTIVE_TAB, ...) and blank lines
+            i++
+            continue
+        }
+        if (keyword === 'MEMORY') Object.assign(source, _parseMemory(read.section))
+        else if (keyword === 'SYMBOLS') source.symbols = _parseSymbols(read.section)
+        else if (keyword === 'DATABLOCKS') source.datablocks = _parseDataBlocks(read.section)
+        else if (keyword === 'PROGRAM') source.programs.push(_parseProgram(trimmed, read.section))
+        i = read.next
+    }
+    return source
+}
+
+/**
+ * Convert an exported project file (File > Export) to the text the runtime compiles.
+ * The sections the compiler reads are parsed and written again with `buildCompileText`,
+ * so the result matches `ProjectManager.buildProjectText` for the same project.
+ * The system symbols are added, ladder graphs are compacted and editor-only sections are dropped.
+ * @param {string} text
+ * @param {PLC_Symbol[]} [extraSymbols] Symbols to add besides the system ones, e.g. the device symbols
+ * @returns {string}
+ */
+export const toCompileText = (text, extraSymbols = []) => {
+    const { name, version, sizes, symbols, datablocks, programs } = _parseExport(text)
+    const added = [...SYSTEM_SYMBOLS, ...extraSymbols]
+    const addedNames = new Set(added.map(s => s.name))
+    return buildCompileText({
+        name, version, sizes, datablocks, programs,
+        // System symbols take precedence over user symbols with the same name
+        symbols: [...added, ...symbols.filter(s => !addedNames.has(s.name))],
+    })
+}
+
+/**
+ * Memory areas of the MEMORY section, laid out one after another from its OFFSET
+ * @param {string} text
+ * @returns {{ [key in AreaKey]: { offset: number, size: number } }}
+ */
+export const parseMemoryLayout = (text) => {
+    const { sizes, offset: start } = _parseExport(text)
+    let offset = start
+    const layout = /** @type {{ [key in AreaKey]: { offset: number, size: number } }} */ ({})
+    for (const [prefix, area] of AREAS) {
+        layout[area] = { offset, size: sizes[prefix] }
+        offset += sizes[prefix]
+    }
+    return layout
+}
+
+/**
+ * User symbols of the SYMBOLS section
+ * @param {string} text
+ * @returns {PLC_Symbol[]}
+ */
+export const parseSymbols = (text) => _parseExport(text).symbols
@@ -0,0 +1,200 @@
+/**
+ * @file tags.js
+ * @description Resolves symbol names and addresses to PLC memory locations.
+ * Shared by the editor (DataFetcher) and the backend tag API, so it only depends on the
+ * project fields it reads: `offsets`, `symbols` and `compiledDatablocks`.
+ */
+
+/**
+ * @typedef {{ address: number, size: number, bit: number | null, type: string, dbNumber?: number, fieldName?: string }} ResolvedTag
+ * @typedef {Pick<import('./types.js').PLC_Project, 'symbols' | 'compiledDatablocks'> & { offsets?: any }} TagProject
+ */
+
+const typeSizes = {
+    bit: 1, bool: 1, BOOL: 1,
+    byte: 1, u8: 1, i8: 1, SINT: 1, USINT: 1,
+    int: 2, u16: 2, i16: 2, UINT: 2, WORD: 2, word: 2,
+    dint: 4, u32: 4, i32: 4, UDINT: 4, DWORD: 4, dword: 4, REAL: 4, float: 4, f32: 4,
+    real: 4,
+    u64: 8, i64: 8, f64: 8, lword: 8, LWORD: 8,
+    // String types - header + max data (actual reading handled by caller)
+    str8: 256, str16: 260, cstr8: 256, cstr16: 260,
+    STR8: 256, STR16: 260, CSTR8: 256, CSTR16: 260
+} // Extended types
+
+/**
+ * Resolve symbol or address string to { address, size, type, bit }
+ * Supports: symbol names, M/X/Y/S/C/T prefixed addresses, absolute numbers,
+ * and DB addresses (DB1.field_name, DB1.0, DB1.offset)
+ * @param {TagProject | null | undefined} project
+ * @param {string | object} input
+ * @returns {ResolvedTag | null}
+ */
+export const resolveTag = (project, input) => {
+    if (!project) return null
+
+    const offsets = project.offsets || {}
+    const getOffset = (key) => {
+         const k = key === 'memory' ? 'marker' : key
+         return (offsets[k] && offsets[k].offset) || 0
+    }
+
+    // If input is symbol object
+    /** @type {any} */
+    let symbol = input
+    if (typeof input === 'string') {
+        // Find symbol
+        const s = (project.symbols || []).find(x => x.name === input)
+        if (s) {
+            symbol = s
+        } else {
+            const inputTrimmed = input.trim()
+
+            // Pattern: DB<n>.<field_name_or_offset> (e.g. DB1.speed, DB1.0, DB1.position)
+            const matchDB = inputTrimmed.match(/^DB(\d+)\.(.+)$/i)
+            if (matchDB) {
+                return resolveDBAddress(project, parseInt(matchDB[1]), matchDB[2])
+            }
+
+            // Pattern: Letter + Number (e.g., M100, M100.2)
+            const matchLetter = inputTrimmed.match(/^([cCxXyYsSmM])([0-9]+(?:\.[0-9]+)?)$/)
+            if (matchLetter) {
+                const code = matchLetter[1].toUpperCase()
+                const valStr = matchLetter[2]
+                const val = parseFloat(valStr)
+
+                let key = 'marker'
+                if (code === 'C') key = 'counter'
+                else if (code === 'T') key = 'timer'
+                else if (code === 'X') key = 'input'
+                else if (code === 'Y') key = 'output'
+                else if (code === 'S') key = 'system'
+                else if (code === 'M') key = 'marker'
+
+                const base = getOffset(key)
+                // Timer (T) uses 9 bytes per unit, Counter (C) uses 5 bytes per unit
+                const structSize = (code === 'T') ? 9 : (code === 'C') ? 5 : 1
+
+                if (valStr.includes('.')) {
+                    const byte = Math.floor(val)
+                    const bit = Math.round((val - byte) * 10)
+                    return { address: base + (byte * structSize), size: 1, bit, type: 'bit' }
+                } else {
+                    return { address: base + (val * structSize), size: structSize, bit: null, type: 'byte' }
+                }
+            }
+
+            // Pattern: Absolute Number (e.g. 100, 100.2)
+            const matchNumber = inputTrimmed.match(/^([0-9]+(?:\.[0-9]+)?)$/)
+            if (matchNumber) {
+                 const valStr = matchNumber[1]
+                 const val = parseFloat(valStr)
+                 if (valStr.includes('.')) {
+                    const byte = Math.floor(val)
+                    const bit = Math.round((val - byte) * 10)
+                    return { address: byte, size: 1, bit, type: 'bit' }
+                 } else {
+                    return { address: val, size: 1, bit: null, type: 'byte' }
+                 }
+            }
+
+            return null
+        }
+    }
+
+    if (!symbol) return null
+
+    const baseOffset = getOffset(symbol.location)
+    const addrVal = parseFloat(symbol.address) || 0
+
+    // Handle bits
+    let size = 1
+    let bit = null
+    const type = (symbol.type || 'byte').toLowerCase()
+
+    if (type === 'bit' || type === 'bool') {
+         const byte = Math.floor(addrVal)
+         bit = Math.round((addrVal - byte) * 10) // 100.2 -> 2
+         return { address: baseOffset + byte, size: 1, bit, type }
+    } else {
+         size = typeSizes[type] || 1
+         return { address: baseOffset + Math.floor(addrVal), size, bit: null, type }
+    }
+}
+
+/**
+ * Resolve a DataBlock field reference to absolute address info.
+ * Uses compiled datablock declarations (from project.compiledDatablocks) which contain
+ * the absolute memory offsets computed by the compiler.
+ *
+ * @param {TagProject | null | undefined} project
+ * @param {number} dbNumber - DB number (e.g. 1 for DB1)
+ * @param {string} fieldRef - Field name or numeric offset (e.g. "speed", "0", "4")
+ * @returns {ResolvedTag | null}
+ */
+export const resolveDBAddress = (project, dbNumber, fieldRef) => {
+    if (!project) return null
+
+    // Look up the compiled datablock declarations
+    const decls = project.compiledDatablocks
+    if (!decls || !decls.length) return null
+
+    const decl = decls.find(d => d.db_number === dbNumber)
+    if (!decl) return null
+
+    const baseAddr = decl.computedOffset
+
+    // Try to find field by name first
+    let field = decl.fields.find(f => f.name === fieldRef)
+
+    // If not found by name, try numeric offset
+    if (!field) {
+        const numOffset = parseInt(fieldRef)
+        if (!isNaN(numOffset)) {
+            // Find the field at this offset, or return raw byte access
+            field = decl.fields.find(f => f.offset === numOffset)
+            if (!field) {
+                // Raw byte access within the DB if offset is in range
+                if (numOffset >= 0 && numOffset < decl.totalSize) {
+                    return {
+                        address: baseAddr + numOffset,
+                        size: 1,
+                        bit: null,
+                        type: 'byte',
+                        dbNumber,
+                        fieldName: `+${numOffset}`
+                    }
+                }
+                return null
+            }
+        }
+    }
+
+    if (!field) return null
+
+    const typeName = (field.typeName || 'byte').toLowerCase()
+    const isBit = typeName === 'bit' || typeName === 'bool'
+
+    return {
+        address: baseAddr + field.offset,
+        size: field.typeSize || 1,
+        bit: isBit ? 0 : null,
+        type: typeName,
+        dbNumber,
+        fieldName: field.name
+    }
+}
+
+/**
+ * Names of every symbol and data block field of a project, in `DB<n>.<field>` form for fields
+ * @param {TagProject | null | undefined} project
+ * @returns {string[]}
+ */
+export const listTagNames = (project) => {
+    if (!project) return []
+    const names = (project.symbols || []).map(s => s.name)
+    for (const db of project.compiledDatablocks || []) {
+        for (const field of db.fields || []) names.push(`DB${db.db_number}.${field.name}`)
+    }
+    return names
+}
@@ -218,6 +218,20 @@ export const readTypedValue = (view, offset, type, littleEndian = true) => {
     }
 }
 
+/**
+ * Decode the value of a resolved tag from the bytes fetched at its address
+ * @param {{ type: string, bit?: number | null }} tag - Bit tags read their bit, or the whole byte without one
+ * @param {Uint8Array} data - Bytes starting at the tag address
+ * @param {boolean} [littleEndian=true] - Endianness of the device
+ * @returns {number|bigint|null} 0 or 1 for bits, null without data
+ */
+export const decodeTagValue = (tag, data, littleEndian = true) => {
+    if (!data.length) return null
+    const type = tag.type === 'bool' ? 'bit' : tag.type
+    if (type === 'bit') return tag.bit !== null && tag.bit !== undefined ? (data[0] >> tag.bit) & 1 : data[0] ? 1 : 0
+    return readTypedValue(new DataView(data.buffer, data.byteOffset, data.byteLength), 0, type, littleEndian)
+}
+
 /**
  * Write a typed value to a DataView with endianness support
  * @param {DataView} view - The DataView to write to
@@ -298,6 +312,7 @@ if (debug_components) {
         CSSimporter,
         isVisible,
         readTypedValue,
+        decodeTagValue,
         writeTypedValue,
         debug_components,
     })
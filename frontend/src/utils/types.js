@@ -86,7 +86,15 @@ export let PLC_DataBlock
 *     compiledDatablocks?: { db_number: number, alias: string, totalSize: number, computedOffset: number, fields: { name: string, typeName: string, typeSize: number, offset: number, hasDefault: boolean, defaultValue: number }[] }[]
 *     folders: string[]
 *     files: PLC_ProjectItem[]
-*     watch?: { name: string, format?: string }[]
+*     watch?: import('./watch-tables.js').PLC_WatchEntry[]
+*     watch_tables?: import('./watch-tables.js').PLC_WatchTable[]
+*     forces?: import('./forces.js').PLC_Force[]
+*     alarms?: import('./alarms.js').PLC_Alarm[]
+*     health?: import('./health.js').HealthSettings
+*     plant_models?: import('../connection/plant.js').PlantModel[]
+*     modbus?: import('../connection/gateway.js').ModbusSettings
+*     mqtt?: import('../connection/gateway.js').MqttSettings
+*     traces?: import('../editor/TraceRecorder.js').PLC_Trace[]
 *     lastPhysicalDevice?: { deviceInfo?: any, transports?: any[], symbols?: any[], datablockInfo?: { slots: number, active: number, table_offset: number, free_space: number, lowest_address: number, entries: Array<{ db: number, offset: number, size: number }> }, timestamp?: string }
 * }} PLC_Project * @type { PLC_Project }
 **/
@@ -0,0 +1,169 @@
+/**
+ * @file watch-tables.js
+ * @description Named watch tables of a project, like the watch and force tables of other PLC tools.
+ * Each entry can hold a "modify value", writing all modify values of a table applies them to the
+ * device in one burst, so a table doubles as a small test scenario.
+ * Shared by the editor (WatchPanel, project text format) and the backend CLI, so it has no browser dependencies.
+ */
+
+/**
+ * @typedef {'dec' | 'hex' | 'bin'} WatchFormat
+ * @typedef {{ name: string, type?: string, format?: WatchFormat, comment?: string, modify?: string }} PLC_WatchEntry
+ * @typedef {{ name: string, entries: PLC_WatchEntry[] }} PLC_WatchTable
+ * @typedef {{ address: number, data: number[], mask: number[] }} MaskedWrite
+ */
+
+/** Display formats of integer values */
+export const WATCH_FORMATS = ['dec', 'hex', 'bin']
+
+export const DEFAULT_WATCH_TABLE = 'Watch'
+
+/** Sizes of the numeric watch types, the type picked for an entry overrides the type of its tag */
+export const WATCH_TYPE_SIZES = { bit: 1, byte: 1, u8: 1, i8: 1, hex: 1, int: 2, u16: 2, dint: 4, u32: 4, real: 4, f64: 8 }
+
+/**
+ * Watch tables of a project. The single `watch` list of older projects becomes the first table.
+ * @param {{ watch_tables?: PLC_WatchTable[], watch?: PLC_WatchEntry[] }} project
+ * @returns {PLC_WatchTable[]}
+ */
+export const watchTables = (project) => {
+    if (!Array.isArray(project.watch_tables)) project.watch_tables = []
+    if (project.watch) {
+        if (project.watch.length && !project.watch_tables.length) {
+            project.watch_tables.push({ name: DEFAULT_WATCH_TABLE, entries: project.watch })
+        }
+        delete project.watch
+    }
+    if (!project.watch_tables.length) project.watch_tables.push({ name: DEFAULT_WATCH_TABLE, entries: [] })
+    return project.watch_tables
+}
+
+/**
+ * Text format row of an entry: `<name> [: <type>] [FORMAT=<format>] [MODIFY=<json string>] [// <comment>]`
+ * @param {PLC_WatchEntry} entry
+ * @returns {string}
+ */
+export const formatWatchRow = (entry) => {
+    let line = entry.name
+    if (entry.type) line += ` : ${entry.type}`
+    if (entry.format && entry.format !== 'dec') line += ` FORMAT=${entry.format}`
+    if (entry.modify) line += ` MODIFY=${JSON.stringify(entry.modify)}`
+    if (entry.comment) line += ` // ${entry.comment}`
+    return line
+}
+
+/**
+ * @param {string} line
+ * @returns {PLC_WatchEntry | null}
+ */
+export const parseWatchRow = (line) => {
+    let rest = line.trim()
+    /** @type {Partial<PLC_WatchEntry>} */
+    const entry = {}
+    const modify = rest.match(/\s+MODIFY=("(?:[^"\\]|\\.)*")/)
+    if (modify) {
+        try {
+            entry.modify = JSON.parse(modify[1])
+        } catch {
+            // Keep the row without its modify value
+        }
+        rest = rest.substring(0, modify.index) + rest.substring(modify.index + modify[0].length)
+    }
+    const comment = rest.indexOf('//')
+    if (comment >= 0) {
+        const text = rest.substring(comment + 2).trim()
+        if (text) entry.comment = text
+        rest = rest.substring(0, comment).trim()
+    }
+    const format = rest.match(/\s+FORMAT=(\w+)/)
+    if (format) {
+        if (WATCH_FORMATS.includes(format[1].toLowerCase())) entry.format = /** @type {WatchFormat} */ (format[1].toLowerCase())
+        rest = rest.substring(0, format.index) + rest.substring(format.index + format[0].length)
+    }
+    const [name, type] = rest.split(':').map(part => part.trim())
+    if (!name) return null
+    return { name, ...(type ? { type } : {}), ...entry }
+}
+
+/**
+ * Watch tables of an exported project text, the `WATCH [<name>]` ... `END_WATCH` sections
+ * @param {string} text
+ * @returns {PLC_WatchTable[]}
+ */
+export const parseWatchTables = (text) => {
+    /** @type {PLC_WatchTable[]} */
+    const tables = []
+    /** @type {PLC_WatchTable | null} */
+    let table = null
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim()
+        if (!table) {
+            if (trimmed === 'WATCH' || trimmed.startsWith('WATCH ')) {
+                table = { name: trimmed.substring('WATCH'.length).trim().replace(/^"(.*)"$/, '$1') || DEFAULT_WATCH_TABLE, entries: [] }
+                tables.push(table)
+            }
+        } else if (trimmed === 'END_WATCH') {
+            table = null
+        } else if (trimmed) {
+            const entry = parseWatchRow(trimmed)
+            if (entry) table.entries.push(entry)
+        }
+    }
+    return tables
+}
+
+/**
+ * Parse a bit modify value
+ * @param {string} input
+ * @returns {number | null} 1, 0 or null when the input is not a bit value
+ */
+export const parseBitValue = (input) => {
+    const text = String(input).trim().toLowerCase()
+    if (['1', 'on', 'true'].includes(text)) return 1
+    if (['0', 'off', 'false'].includes(text)) return 0
+    return null
+}
+
+/**
+ * Combine masked writes into as few contiguous writes as possible.
+ * Writes to the same byte are merged, later writes win for the bits they mask. Gaps of up to
+ * `maxGap` bytes are bridged with a zero mask, which leaves those bytes unchanged on the device.
+ * @param {MaskedWrite[]} writes
+ * @param {number} [maxGap]
+ * @param {number} [maxSize] - Largest combined write in bytes
+ * @returns {MaskedWrite[]}
+ */
+export const mergeMaskedWrites = (writes, maxGap = 4, maxSize = 64) => {
+    /** @type {Map<number, { value: number, mask: number }>} */
+    const bytes = new Map()
+    for (const write of writes) {
+        write.data.forEach((value, i) => {
+            const address = write.address + i
+            const mask = write.mask[i] ?? 0xFF
+            if (!mask) return
+            const byte = bytes.get(address) || { value: 0, mask: 0 }
+            byte.value = (byte.value & ~mask) | (value & mask)
+            byte.mask |= mask
+            bytes.set(address, byte)
+        })
+    }
+    /** @type {MaskedWrite[]} */
+    const merged = []
+    /** @type {MaskedWrite | null} */
+    let current = null
+    for (const address of [...bytes.keys()].sort((a, b) => a - b)) {
+        const byte = /** @type {{ value: number, mask: number }} */ (bytes.get(address))
+        const end = current ? current.address + current.data.length : 0
+        if (!current || address - end > maxGap || address - current.address >= maxSize) {
+            current = { address, data: [], mask: [] }
+            merged.push(current)
+        }
+        for (let gap = current.address + current.data.length; gap < address; gap++) {
+            current.data.push(0)
+            current.mask.push(0)
+        }
+        current.data.push(byte.value & 0xFF)
+        current.mask.push(byte.mask & 0xFF)
+    }
+    return merged
+}